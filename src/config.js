@@ -25,6 +25,8 @@ export const CONFIG = {
         packetReq: 0x00ffff,    // Read request packet color - cyan (matches legend)
         packetWrite: 0xff6b35,  // Write/update request packet color - orange
         packetRes: 0xffd700,    // Response packet color - gold (matches legend)
+        packetRetry: 0xff4444,  // Ring around retry attempts - red (matches legend)
+        packetShed: 0xff00ff,   // 429 answer of a rate limiter - magenta (matches legend)
         linkReq: 0x005555,      // Request link/connection color - dark cyan
         linkRes: 0x554400       // Response link/connection color - dark gold
     },
@@ -34,16 +36,12 @@ export const CONFIG = {
      */
     writeRequestPercentage: 30,  // Percentage of requests that are write operations (30%)
     
-    /**
-     * Game Economics
-     */
-    upgradeCost: 200,           // Cost in dollars to upgrade a server's capacity (default)
-    
     /**
      * Win Conditions for Different Levels
      */
     targetTotal: 200,           // Level 1: Total requests that must be processed to complete (200 for Level 1)
     maxErrorRate: 10.0,         // Level 1: Maximum acceptable error rate percentage (10% = 10.0 for Level 1)
+    maxShedRate: 20,            // Maximum share of requests (%) a rate limiter may shed (429) and still win
     
     /**
      * Level 1 Configuration - Budget Cloud Server
@@ -375,8 +373,7 @@ export const CONFIG = {
             },
             cache: {
                 capacity: 15,           // Cache initial capacity (higher than app/db)
-                speed: 10,              // Cache is extremely fast (10ms) - 40x faster than database!
-                hitRate: 0.7            // 70% cache hit rate for read requests
+                speed: 10               // Cache is extremely fast (10ms) - 40x faster than database!
             },
             database: {
                 capacity: 12,           // Database initial capacity
@@ -455,8 +452,7 @@ export const CONFIG = {
             },
             cache: {
                 capacity: 15,           // Cache initial capacity (higher than app/db)
-                speed: 10,              // Cache is extremely fast (10ms)
-                hitRate: 0.7            // 70% cache hit rate for read requests
+                speed: 10               // Cache is extremely fast (10ms)
             },
             database: {
                 capacity: 12,           // Database initial capacity
@@ -535,8 +531,7 @@ export const CONFIG = {
             },
             cdn: {
                 capacity: 25,           // CDN has very high capacity
-                speed: 5,               // CDN is extremely fast (5ms) - edge caching
-                hitRate: 0.8            // 80% CDN hit rate for read requests (higher than cache)
+                speed: 5                // CDN is extremely fast (5ms) - edge caching
             },
             loadbalancer: {
                 capacity: 20,           // Load balancer has high capacity
@@ -548,8 +543,7 @@ export const CONFIG = {
             },
             cache: {
                 capacity: 15,           // Cache initial capacity
-                speed: 10,              // Cache is extremely fast (10ms)
-                hitRate: 0.7            // 70% cache hit rate for read requests
+                speed: 10               // Cache is extremely fast (10ms)
             },
             database: {
                 capacity: 12,           // Database initial capacity
@@ -624,8 +618,7 @@ export const CONFIG = {
             },
             cdn: {
                 capacity: 25,           // CDN has very high capacity
-                speed: 5,               // CDN is extremely fast (5ms) - edge caching
-                hitRate: 0.8            // 80% CDN hit rate for read requests
+                speed: 5                // CDN is extremely fast (5ms) - edge caching
             },
             loadbalancer: {
                 capacity: 20,           // Load balancer has high capacity
@@ -637,8 +630,7 @@ export const CONFIG = {
             },
             cache: {
                 capacity: 15,           // Cache initial capacity
-                speed: 10,              // Cache is extremely fast (10ms)
-                hitRate: 0.7            // 70% cache hit rate for read requests
+                speed: 10               // Cache is extremely fast (10ms)
             },
             database: {
                 capacity: 12,           // Database initial capacity (master)
@@ -721,12 +713,22 @@ export const GameState = {
      */
     success: 0,                 // Count of successfully processed requests
     errors: 0,                  // Count of failed/timed-out requests
-    total: 0,                   // Total requests processed (success + errors)
+    retries: 0,                 // Count of retry attempts sent by users (not part of total)
+    shed: 0,                    // Count of requests shed by a rate limiter (429, neither success nor error)
+    total: 0,                   // Total requests processed (success + errors + shed)
+    latency: { p50: null, p95: null, p99: null },  // End-to-end latency percentiles (ms, null before the first response)
+    latencyObjective: null,     // { percentile, maxLatency } if the level has a latency goal, else null
+    maxShedRate: null,          // Share of requests (%) the level allows to be shed (null = CONFIG.maxShedRate)
+    reads: 0,                   // Successful reads (the denominator of the stale read rate)
+    staleReads: 0,              // Successful reads that returned an older version than the latest write
+    staleOwnReads: 0,           // ...than a write their own client had already been told was saved
+    lostWrites: 0,              // Acknowledged writes lost in a crash (write-back cache, queue)
+    consistencyObjective: null, // { maxStaleReadRate, maxStaleOwnReadRate, maxLostWrites } if the level has a consistency goal, else null
     
     /**
      * Architecture State
      */
-    nodes: {},                  // Object storing all server node instances (key: nodeId, value: ServerNode)
+    nodes: {},                  // Object storing all server node instances (key: nodeId, value: BaseNode)
     
     /**
      * Simulation State Flags
@@ -744,13 +746,21 @@ export const GameState = {
      * Level Tracking
      */
     currentLevel: 1,            // Current level number (1 = monolithic, 2 = microservices)
+    levelDefinition: null,      // LevelDefinition of a level loaded from JSON (targets, notes), else null
     
     /**
      * Database Storage State
      * Tracks how much data has been written to the database
      * Storage growth affects database performance (slower as it grows)
      */
-    databaseStorage: 0          // Current database storage size (increases with write operations)
+    databaseStorage: 0,         // Current database storage size (increases with write operations)
+    
+    /**
+     * Random Seed
+     * Seed of the current run's simulation PRNG (shown in the result modal,
+     * set with ?seed=... in the URL to replay a run)
+     */
+    seed: null
 };
 
 /**
@@ -779,7 +789,17 @@ export const resetGameState = (level = 1, carryOverBudget = null) => {
     // Clear all request processing statistics
     GameState.success = 0;
     GameState.errors = 0;
+    GameState.retries = 0;
+    GameState.shed = 0;
     GameState.total = 0;
+    GameState.latency = { p50: null, p95: null, p99: null };
+    GameState.latencyObjective = null;     // Set by the level scene after the reset
+    GameState.maxShedRate = null;          // Same
+    GameState.reads = 0;
+    GameState.staleReads = 0;
+    GameState.staleOwnReads = 0;
+    GameState.lostWrites = 0;
+    GameState.consistencyObjective = null; // Set by the level scene after the reset
     
     // Clear all server nodes (will be recreated by the level scene)
     GameState.nodes = {};
@@ -792,11 +812,15 @@ export const resetGameState = (level = 1, carryOverBudget = null) => {
     // Reset difficulty to initial level
     GameState.difficultyLevel = 0;
     
-    // Set the current level
+    // Set the current level (a JSON level sets its definition after the reset)
     GameState.currentLevel = level;
+    GameState.levelDefinition = null;
     
     // Reset database storage (only relevant for Level 2+)
     GameState.databaseStorage = 0;
     
+    // Seed is set by the level scene once its simulation exists
+    GameState.seed = null;
+    
     console.log('resetGameState completed - money set to:', GameState.money, '- isRunning set to false');
 };
@@ -0,0 +1,29 @@
+/**
+ * Circuit Breaker Configuration
+ *
+ * Defaults for CircuitBreakerNode (levels can override them per node in its props).
+ * They are more sensitive than a production breaker's so that it trips within
+ * the short runs of a level.
+ * - window: how far back (ms) call outcomes are counted
+ * - minimumCalls: calls needed in the window before the failure ratio can trip the breaker
+ * - failureThreshold: failure ratio (0-1) that opens the breaker
+ * - openDuration: how long (ms) the breaker stays open before letting trial calls through
+ * - halfOpenCalls: trial calls in half-open state; all must succeed to close again
+ */
+
+export const BREAKER_CONFIG = {
+    window: 5000,
+    minimumCalls: 10,
+    failureThreshold: 0.2,
+    openDuration: 5000,
+    halfOpenCalls: 3,
+
+    /**
+     * Color per breaker state (canvas and inspector)
+     */
+    stateColors: {
+        closed: 0x00ff00,
+        open: 0xff4444,
+        halfOpen: 0xffcc00
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * Cache Configuration
+ *
+ * What the requests read and how caches keep it (see KeySpace and CacheNode).
+ * - keySpace: every read or write is for one resource key, drawn from `keys`
+ *   keys with a popularity `distribution`. Levels can set their own in
+ *   traffic.keySpace
+ * - keysPerCapacity: keys a cache holds per point of capacity, so upgrading a
+ *   cache makes room for more keys (levels can set `maxKeys` in a cache's props)
+ * - eviction: policy a full cache uses to make room (levels can set `eviction`)
+ * - ttl: ms a cached key stays fresh, 0 = until evicted (levels can set `ttl`)
+ * - invalidateOnWrite: app servers delete a key from the caches they read from
+ *   when they write it (levels can set `invalidateOnWrite` on a cache)
+ * - writePolicy: how a cache takes part in writes (the player can switch it
+ *   from the cache's inspector; levels can set `writePolicy`)
+ * - flushInterval: ms between a write-back cache's flushes of its dirty keys
+ *   to the database (levels can set `flushInterval`)
+ * - fetchTimeout: ms a cache treats a miss as still being fetched from the
+ *   database; stampedeThreshold: misses for one key in that time that make
+ *   a stampede
+ * - staleWindow: ms past its TTL a key can still be served with
+ *   stale-while-revalidate; earlyRefreshWindow: ms before its TTL a key can
+ *   be refreshed early
+ * - mitigations: stampede mitigations a cache can run (off by default; levels
+ *   can set them in a cache's props, Level 5 sells them)
+ */
+
+export const CACHE_CONFIG = {
+    /**
+     * Popularity of the resource keys
+     * - zipf: key k (1 = hottest) is read in proportion to 1 / k^exponent
+     * - uniform: every key as often
+     */
+    keySpace: {
+        keys: 200,
+        distribution: 'zipf',
+        exponent: 1.0
+    },
+
+    keysPerCapacity: 4,
+    eviction: 'lru',
+    ttl: 30000,
+    invalidateOnWrite: true,
+    writePolicy: 'writeAround',
+    flushInterval: 2000,
+    fetchTimeout: 3000,
+    stampedeThreshold: 3,
+    staleWindow: 15000,
+    earlyRefreshWindow: 5000,
+
+    /**
+     * Key popularity distributions, by key
+     */
+    distributions: {
+        zipf:    { label: 'Zipf (a few hot keys)' },
+        uniform: { label: 'Uniform' }
+    },
+
+    /**
+     * Write policies, by key
+     * - writeAround: writes go straight to the database; the key is deleted
+     *   from the cache once the write is acknowledged
+     * - writeThrough: writes pass through the cache on their way to the
+     *   database, and the cache keeps the new value once the database
+     *   acknowledged it (an extra hop, fresh reads)
+     * - writeBack: the cache keeps the new value as a dirty key and acknowledges
+     *   at once; dirty keys are flushed to the database every flushInterval
+     *   (repeated writes to a key cost one database write), and are lost if
+     *   the cache crashes first
+     */
+    writePolicies: {
+        writeAround:  { label: 'Write-around (invalidate)' },
+        writeThrough: { label: 'Write-through' },
+        writeBack:    { label: 'Write-back (async flush)' }
+    },
+
+    /**
+     * Stampede mitigations, by key (the CacheNode flag they turn on)
+     * - singleFlight: request coalescing - misses for a key already being
+     *   fetched wait for that fetch instead of going to the database too
+     * - earlyRefresh: probabilistic early refresh - a hit in the last
+     *   earlyRefreshWindow ms before the key expires may refresh it in the
+     *   background, more likely the closer it is to expiring
+     * - staleWhileRevalidate: a key up to staleWindow ms past its TTL is still
+     *   served, and refreshed in the background
+     */
+    mitigations: {
+        singleFlight:         { label: 'Request Coalescing', price: 200 },
+        earlyRefresh:         { label: 'Early Refresh', price: 150 },
+        staleWhileRevalidate: { label: 'Stale-While-Revalidate', price: 150 }
+    },
+
+    /**
+     * Eviction policies, by key
+     * - lru: evict the key read longest ago
+     * - lfu: evict the key read the fewest times since it was cached
+     */
+    evictionPolicies: {
+        lru: { label: 'Least recently used (LRU)' },
+        lfu: { label: 'Least frequently used (LFU)' }
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * CDN Configuration
+ *
+ * What CDN edges (PoPs) cache and for how long (see CDNNode).
+ * - contentTypes: what a read asks for. Static content (images, scripts,
+ *   pages) is the same for every user and can be kept at the edge; dynamic
+ *   content (API calls, personalized pages) always goes to the origin.
+ *   Writes are always dynamic
+ * - staticPercentage: share of reads (%) that are for static content
+ *   (levels can set `staticPercentage` in their traffic)
+ * - keysPerCapacity: keys a CDN node holds per point of capacity
+ *   (levels can set `maxKeys` in a CDN's props)
+ * - ttl: ms a key stays at the edge before it is fetched again, 0 = until
+ *   evicted or purged (levels can set `ttl` in a CDN's props)
+ */
+
+export const CDN_CONFIG = {
+    /**
+     * Content types, by key
+     */
+    contentTypes: {
+        static:  { label: 'Static (cacheable)' },
+        dynamic: { label: 'Dynamic (origin only)' }
+    },
+
+    staticPercentage: 80,
+    keysPerCapacity: 10,
+    ttl: 60000
+};
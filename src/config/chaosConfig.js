@@ -0,0 +1,40 @@
+/**
+ * Chaos Configuration
+ *
+ * Defaults of the chaos events a level can declare (see ChaosEngine). Each
+ * event may set its own values; these fill in the ones it leaves out.
+ * - duration: how long (ms) an event lasts
+ * - slowdownFactor: processing time multiplier of a slowed down node
+ * - linkLatency / linkLoss: extra travel time (ms) and share of packets lost (0-1) on a faulty link
+ * - random: random chaos, every `interval` ms an event starts with probability `chance`
+ */
+
+export const CHAOS_CONFIG = {
+    duration: 8000,
+    slowdownFactor: 3,
+    linkLatency: 600,
+    linkLoss: 0.3,
+
+    random: {
+        interval: 15000,
+        chance: 0.5
+    },
+
+    /**
+     * Event types, by key
+     */
+    types: {
+        crash:     { label: 'Node crash' },
+        slowdown:  { label: 'Node slowdown' },
+        linkFault: { label: 'Link latency / packet loss' },
+        partition: { label: 'Network partition' }
+    },
+
+    /**
+     * Link colors while a link is faulty or cut by a partition
+     */
+    colors: {
+        linkFault: 0xff9800,
+        partition: 0xff4444
+    }
+};
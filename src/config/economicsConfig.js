@@ -49,6 +49,8 @@ export const ECONOMICS_CONFIG = {
         loadBalancerCapacity: 50,
         cdnCapacity: 20,
         readReplicaCapacity: 8,
+        circuitBreakerCapacity: 50,
+        apiGatewayCapacity: 30,
         
         // Processing delay (milliseconds to process each request)
         processingDelay: 300,
@@ -56,7 +58,15 @@ export const ECONOMICS_CONFIG = {
         cacheDelay: 100,
         loadBalancerDelay: 50,
         cdnDelay: 80,
-        readReplicaDelay: 300
+        readReplicaDelay: 300,
+        circuitBreakerDelay: 50,
+        apiGatewayDelay: 50,
+
+        // Wait queue (accept backlog): requests arriving at a component that is at
+        // capacity wait here, up to queueSize of them, and time out if they are not
+        // picked up within requestTimeout (ms)
+        queueSize: 5,
+        requestTimeout: 2000
     },
 
     /**
@@ -72,15 +82,21 @@ export const ECONOMICS_CONFIG = {
     },
 
     /**
-     * Upgrade costs
+     * Upgrade costs (first upgrade of a node; see BaseNode.getNextUpgrade)
      */
     upgrades: {
-        server: 200,             // Cost to upgrade a server's capacity
+        server: 200,             // Cost to upgrade a server's capacity (any other kind)
         database: 300,           // Cost to upgrade database
         appServer: 300,          // Cost to upgrade app server
         cache: 250,              // Cost to upgrade cache
         loadBalancer: 200,       // Cost to upgrade load balancer
-        cdn: 200                 // Cost to upgrade CDN
+        cdn: 200,                // Cost to upgrade CDN
+        readReplica: 250,        // Cost to upgrade a read replica
+        queue: 150,              // Cost to upgrade a pubsub queue
+        circuitBreaker: 150,     // Cost to upgrade a circuit breaker
+        apiGateway: 200,         // Cost to upgrade an API gateway
+        costGrowth: 1.5,         // Each further upgrade of the same node costs 1.5x the previous one
+        maxLevel: 4              // Nodes start at level 1 and can be upgraded up to this level
     },
 
     /**
@@ -90,9 +106,12 @@ export const ECONOMICS_CONFIG = {
         database: 300,           // Cost to add a new database server
         appServer: 300,          // Cost to add a new app server
         loadBalancer: 300,       // Cost to add a load balancer
-        cdn: 400,                // Cost to add a CDN
+        cdn: 400,                // Cost to add a CDN (an edge PoP)
+        originShield: 250,       // Cost to add an origin shield (a CDN node in front of the origin)
         readReplica: 350,        // Cost to add a read replica
-        cache: 250               // Cost to add a cache server
+        cache: 250,              // Cost to add a cache server
+        circuitBreaker: 200,     // Cost to add a circuit breaker
+        apiGateway: 250          // Cost to add an API gateway
     },
 
     /**
@@ -104,7 +123,9 @@ export const ECONOMICS_CONFIG = {
         readReplicas: 3,         // Maximum number of read replicas
         caches: 3,               // Maximum number of cache servers
         loadBalancers: 1,        // Maximum number of load balancers (typically 1)
-        cdns: 1                  // Maximum number of CDNs (typically 1)
+        cdns: 4,                 // Maximum number of CDN nodes (edge PoPs and origin shields)
+        circuitBreakers: 3,      // Maximum number of circuit breakers
+        apiGateways: 1           // Maximum number of API gateways (typically 1)
     },
 
     /**
@@ -114,7 +135,13 @@ export const ECONOMICS_CONFIG = {
         server: 5,               // How much capacity increases per upgrade
         database: 3,             // Database capacity increase
         cache: 5,                // Cache capacity increase
-        appServer: 5             // App server capacity increase
+        appServer: 5,            // App server capacity increase
+        loadBalancer: 25,        // Load balancer capacity increase
+        cdn: 10,                 // CDN capacity increase
+        readReplica: 3,          // Read replica capacity increase
+        queue: 10,               // Queue length increase
+        circuitBreaker: 25,      // Circuit breaker capacity increase
+        apiGateway: 20           // API gateway capacity increase
     },
 
     /**
@@ -122,6 +149,6 @@ export const ECONOMICS_CONFIG = {
      */
     speedImprovement: {
         percentage: 0.2,         // 20% faster per upgrade
-        minSpeed: 100            // Minimum speed (ms) - can't go below this
+        minSpeed: 100            // Minimum speed (ms) - upgrades don't go below this (faster nodes only gain capacity)
     }
 };
@@ -0,0 +1,29 @@
+/**
+ * API Gateway Configuration
+ *
+ * Defaults for ApiGatewayNode (levels can override them per node in its props).
+ * Limits apply to each user node separately.
+ * - algorithm: 'tokenBucket' or 'slidingWindow' (see algorithms below)
+ * - rate, burst: token bucket - tokens added per second, and how many it holds
+ * - limit, window: sliding window - requests allowed in any window of that many ms
+ * - auth: check each admitted request's credentials before passing it on
+ * - authDelay: extra processing time (ms) of an auth check
+ */
+
+export const GATEWAY_CONFIG = {
+    algorithm: 'tokenBucket',
+    rate: 5,
+    burst: 10,
+    limit: 10,
+    window: 2000,
+    auth: false,
+    authDelay: 150,
+
+    /**
+     * Rate limiting algorithms (label shown in the inspector and editor)
+     */
+    algorithms: {
+        tokenBucket: { label: 'Token bucket' },
+        slidingWindow: { label: 'Sliding window' }
+    }
+};
@@ -25,3 +25,30 @@ export { LAYOUT_CONFIG } from './layoutConfig.js';
 
 // Economics configurations (costs, limits, budgets)
 export { ECONOMICS_CONFIG } from './economicsConfig.js';
+
+// Client retry policies
+export { RETRY_CONFIG } from './retryConfig.js';
+
+// Circuit breaker defaults
+export { BREAKER_CONFIG } from './breakerConfig.js';
+
+// API gateway rate limiting defaults
+export { GATEWAY_CONFIG } from './gatewayConfig.js';
+
+// Load balancing strategies
+export { LOAD_BALANCER_CONFIG } from './loadBalancerConfig.js';
+
+// Chaos event defaults
+export { CHAOS_CONFIG } from './chaosConfig.js';
+
+// Cache key space, eviction and expiry defaults
+export { CACHE_CONFIG } from './cacheConfig.js';
+
+// Regions and link distances
+export { REGION_CONFIG } from './regionConfig.js';
+
+// CDN content types and edge caching defaults
+export { CDN_CONFIG } from './cdnConfig.js';
+
+// Read replica replication defaults
+export { REPLICATION_CONFIG } from './replicationConfig.js';
@@ -47,6 +47,7 @@ export const LAYOUT_CONFIG = {
     packets: {
         circleRadius: 5,         // Radius for circular packets (read requests)
         diamondSize: 6,          // Size for diamond packets (write requests)
+        retryRingRadius: 9,      // Ring drawn around retry attempts
         responseRadius: 4        // Radius for response packets
     },
 
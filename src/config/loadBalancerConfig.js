@@ -0,0 +1,61 @@
+/**
+ * Load Balancer Configuration
+ *
+ * Strategies a load balancer can use to pick the app server for a request
+ * (see LoadBalancingStrategy). The player can switch them per load balancer
+ * from its inspector; levels can set `strategy` in a load balancer's props.
+ * - clientsPerUser: clients (sessions) each user node stands for; hash
+ *   strategies keep each client on one app server
+ * - virtualNodes: points per app server on the consistent hashing ring
+ * - healthCheck: defaults of the load balancers' health checks (levels can
+ *   set healthCheck, healthCheckInterval, unhealthyThreshold and
+ *   healthyThreshold per load balancer in its props)
+ */
+
+export const LOAD_BALANCER_CONFIG = {
+    /**
+     * Strategy load balancers start with
+     */
+    defaultStrategy: 'leastLoad',
+
+    clientsPerUser: 20,
+    virtualNodes: 40,
+
+    /**
+     * Health checks: every `interval` ms each app server is checked (a crashed
+     * one fails); `unhealthyThreshold` failures in a row take it out of
+     * rotation, `healthyThreshold` passes in a row put it back
+     */
+    healthCheck: {
+        enabled: true,
+        interval: 1000,
+        unhealthyThreshold: 2,
+        healthyThreshold: 3
+    },
+
+    /**
+     * Link color per app server health state (canvas and inspector)
+     * - failing: in rotation but failing checks
+     * - recovering: out of rotation but passing checks
+     */
+    healthColors: {
+        healthy: 0x00ff00,
+        failing: 0xffcc00,
+        unhealthy: 0xff4444,
+        recovering: 0xffcc00
+    },
+
+    /**
+     * Strategies, by key
+     */
+    strategies: {
+        leastLoad:          { label: 'Least load (ratio)' },
+        roundRobin:         { label: 'Round robin' },
+        weightedRoundRobin: { label: 'Weighted round robin (by capacity)' },
+        random:             { label: 'Random' },
+        leastConnections:   { label: 'Least connections' },
+        powerOfTwo:         { label: 'Power of two choices' },
+        clientHash:         { label: 'Client hash (sticky sessions)', sticky: true },
+        consistentHash:     { label: 'Consistent hashing (sticky sessions)', sticky: true }
+    }
+};
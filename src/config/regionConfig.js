@@ -0,0 +1,21 @@
+/**
+ * Region Configuration
+ *
+ * Where nodes are in the world (see Regions). Levels put a node in a region
+ * with `region` in its props; a link between nodes in different regions takes
+ * longer the further apart they are:
+ * - regions: name, tag and color of each region, and where it is on a flat
+ *   world map (thousands of km)
+ * - msPerThousandKm: travel time a link gains per thousand km between the
+ *   regions of its two ends (a node without a region adds none)
+ */
+
+export const REGION_CONFIG = {
+    regions: {
+        na:   { label: 'North America', short: 'NA',   color: 0x4fc1ff, position: { x: 0,   y: 0 } },
+        eu:   { label: 'Europe',        short: 'EU',   color: 0x9ccc65, position: { x: 5.5, y: 0 } },
+        apac: { label: 'Asia-Pacific',  short: 'APAC', color: 0xffb74d, position: { x: 12,  y: 7 } }
+    },
+
+    msPerThousandKm: 40
+};
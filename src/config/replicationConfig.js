@@ -0,0 +1,47 @@
+/**
+ * Replication Configuration
+ *
+ * How a primary database copies its writes to its read replicas (see
+ * DatabaseNode).
+ * - mode: how the primary replicates (levels can set `replicationMode` on a
+ *   database, Level 8 sells synchronous replication)
+ * - lag: ms before a replica applies a write the primary took asynchronously;
+ *   until then it returns the previous version (levels can set
+ *   `replicationLag` on a replica)
+ * - syncDelay: ms a synchronous write waits for its replicas to confirm
+ *   before the primary answers it
+ * - readYourWritesWindow: ms after a client's write during which app servers
+ *   with read-your-writes routing send that client's reads to the primary
+ *   (levels can set `readYourWrites` on an app server)
+ * - options: replication trade-offs a level can sell
+ */
+
+export const REPLICATION_CONFIG = {
+    mode: 'async',
+    lag: 2500,
+    syncDelay: 400,
+    readYourWritesWindow: 5000,
+
+    /**
+     * Replication modes, by key
+     * - async: the primary answers a write at once and ships it to its
+     *   replicas, which apply it `lag` ms later (reads from them can be stale)
+     * - sync: the primary answers a write once every replica applied it
+     *   (slower writes, replicas never behind)
+     */
+    modes: {
+        async: { label: 'Asynchronous' },
+        sync:  { label: 'Synchronous' }
+    },
+
+    /**
+     * Replication trade-offs, by key
+     * - readYourWrites: app servers send a client's reads to the primary for
+     *   readYourWritesWindow ms after it wrote (more load on the primary)
+     * - syncReplication: the primary replicates synchronously (slower writes)
+     */
+    options: {
+        readYourWrites:  { label: 'Read-Your-Writes Routing', price: 250 },
+        syncReplication: { label: 'Synchronous Replication', price: 300 }
+    }
+};
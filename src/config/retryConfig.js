@@ -0,0 +1,66 @@
+/**
+ * Retry Configuration
+ *
+ * Client retry policies the users can be given (see RetryPolicy):
+ * - maxAttempts: total attempts per request, the first one included (1 = never retry)
+ * - backoff: 'fixed' (always baseDelay) or 'exponential' (baseDelay x multiplier per retry, up to maxDelay)
+ * - jitter: wait a random time between 0 and the backoff delay ("full jitter")
+ * - budget: retries allowed per new request, saved up to budgetCap (null = unlimited)
+ */
+
+export const RETRY_CONFIG = {
+    /**
+     * Policy users start with (levels can pick another one)
+     */
+    defaultPolicy: 'none',
+
+    /**
+     * Policy presets, by key
+     */
+    policies: {
+        none: {
+            label: 'No retries',
+            maxAttempts: 1
+        },
+        immediate: {
+            label: 'Retry immediately (3x)',
+            maxAttempts: 4,
+            backoff: 'fixed',
+            baseDelay: 0
+        },
+        fixed: {
+            label: 'Fixed delay 500ms (3x)',
+            maxAttempts: 4,
+            backoff: 'fixed',
+            baseDelay: 500
+        },
+        exponential: {
+            label: 'Exponential backoff (3x)',
+            maxAttempts: 4,
+            backoff: 'exponential',
+            baseDelay: 500,
+            multiplier: 2,
+            maxDelay: 8000
+        },
+        exponentialJitter: {
+            label: 'Exponential backoff + jitter (3x)',
+            maxAttempts: 4,
+            backoff: 'exponential',
+            baseDelay: 500,
+            multiplier: 2,
+            maxDelay: 8000,
+            jitter: true
+        },
+        retryBudget: {
+            label: 'Backoff + jitter, 10% retry budget',
+            maxAttempts: 4,
+            backoff: 'exponential',
+            baseDelay: 500,
+            multiplier: 2,
+            maxDelay: 8000,
+            jitter: true,
+            budget: 0.1,
+            budgetCap: 10
+        }
+    }
+};
@@ -101,6 +101,30 @@ export const SCENE_CONFIG = [
         title: 'Message Queue',
         nextLevel: null,
         description: 'Asynchronous processing with Pubsub queues'
+    },
+    {
+        key: 'SandboxScene',
+        isLevel: false,
+        levelNumber: null,
+        title: 'Sandbox',
+        nextLevel: null,
+        description: 'Free build: place, wire and run any architecture'
+    },
+    {
+        key: 'DataLevelScene',
+        isLevel: false,
+        levelNumber: null,
+        title: 'Custom Level',
+        nextLevel: null,
+        description: 'Level loaded from a JSON definition (?level=levels/level4.json)'
+    },
+    {
+        key: 'LevelEditorScene',
+        isLevel: false,
+        levelNumber: null,
+        title: 'Level Editor',
+        nextLevel: null,
+        description: 'Build, play-test and export JSON levels'
     }
 ];
 
@@ -0,0 +1,432 @@
+/**
+ * LevelDefinition Class
+ *
+ * Declarative description of a level, loaded from a JSON file and built by
+ * DataLevelScene, so new levels can be authored without a new scene class.
+ * fromData() validates the JSON and fills in defaults; the scene only ever
+ * sees a complete definition.
+ *
+ * JSON schema (positions are fractions of the canvas, 0-1):
+ *
+ * {
+ *   "title": "App Server Scaling",             // required
+ *   "levelNumber": 4,                          // optional, shown in messages
+ *   "budget": 1500,                            // optional starting budget
+ *   "revenuePerRequest": 0,                    // optional
+ *   "upgradeCost": 200,                        // optional flat cost of every node upgrade (default: per type and tier)
+ *   "target": { "requests": 1200, "maxErrorRate": 1,
+ *               "maxLatency": 4000, "latencyPercentile": 95,     // optional latency goal (percentile 50/95/99, default 95)
+ *               "maxShedRate": 20,                               // optional % of requests rate limiters may shed (429)
+ *               "maxStaleReadRate": 2, "maxLostWrites": 0,       // optional consistency goal: % of reads that may
+ *                                                                // return stale data, acknowledged writes that may be lost,
+ *               "maxStaleOwnReadRate": 1 },                      // % of reads that may miss their own client's write
+ *   "traffic": {
+ *     "initialDelay": 1400, "initialPacketsPerWave": 1,
+ *     "difficultyInterval": 8500,              // 0 = constant traffic
+ *     "writePercentage": 30,                   // optional
+ *     "staticPercentage": 70,                  // optional % of reads for static content, which CDN
+ *                                              // edges can keep (see CDN_CONFIG)
+ *     "users": ["User1"],                      // optional, default: every user node (each wave picks
+ *                                              // users at random: repeat a key to give it a bigger share)
+ *     "stages": [ { "delay": 1100, "packetsPerWave": 2, "message": "Traffic increasing..." } ],
+ *     "keySpace": { "keys": 200, "distribution": "zipf", "exponent": 1.2 },   // optional resource keys
+ *                                              // requests are for (see KeySpace, CACHE_CONFIG.keySpace)
+ *     "chaos": {                               // optional failures injected during the run (see ChaosEngine)
+ *       "events": [ { "at": 20000, "type": "crash", "node": "App1", "duration": 8000 },
+ *                   { "at": 40000, "type": "slowdown", "node": "Database1", "factor": 3 },
+ *                   { "at": 50000, "type": "linkFault", "from": "App1", "to": "Database1", "latency": 600, "loss": 0.3 },
+ *                   { "at": 60000, "type": "partition", "nodes": ["App2"], "message": "✂ App 2 is cut off!" } ],
+ *       "random": { "interval": 15000, "chance": 0.5, "types": ["crash"], "nodes": ["App1", "App2"] }
+ *     }
+ *   },
+ *   "nodes": [
+ *     { "key": "User1", "type": "user", "name": "User", "x": 0.15, "y": 0.5,
+ *       "props": { "region": "eu" } },         // optional region of any node (REGION_CONFIG key): links
+ *                                              // between regions are slower, users pick the nearest entry point
+ *     { "key": "App1", "type": "app", "x": 0.5, "y": 0.5, "capacity": 10, "speed": 300,
+ *       "props": { "maxCapacity": 20, "maxLevel": 3,     // optional extra node properties: upgrade limits,
+ *                  "queueSize": 5, "timeout": 2000,      // wait queue length and timeout (see ProcessingNode),
+ *                  "readYourWrites": true } },           // reads of clients that just wrote skip read replicas...
+ *     { "key": "LoadBalancer1", "type": "loadbalancer", "x": 0.35, "y": 0.5,
+ *       "props": { "strategy": "roundRobin",                       // load balancing and health
+ *                  "unhealthyThreshold": 3 } },                   // checks (see LOAD_BALANCER_CONFIG)
+ *     { "key": "Breaker1", "type": "breaker", "x": 0.65, "y": 0.5,
+ *       "props": { "failureThreshold": 0.5, "openDuration": 5000 } },  // circuit breaker settings (see BREAKER_CONFIG)
+ *     { "key": "Cache1", "type": "cache", "x": 0.65, "y": 0.3,
+ *       "props": { "eviction": "lfu", "ttl": 10000, "maxKeys": 40,
+ *                  "invalidateOnWrite": false,
+ *                  "writePolicy": "writeBack", "flushInterval": 3000,
+ *                  "singleFlight": true, "staleWhileRevalidate": true } },  // cache settings (see CACHE_CONFIG)
+ *     { "key": "Database1", "type": "database", "x": 0.8, "y": 0.5,
+ *       "props": { "replicationMode": "sync" } },      // how a primary replicates (see REPLICATION_CONFIG)
+ *     { "key": "Replica1", "type": "database", "x": 0.8, "y": 0.7,
+ *       "props": { "isReplica": true, "replicationLag": 4000 } },  // link Database1 -> Replica1 to replicate
+ *     { "key": "CDN1", "type": "cdn", "x": 0.3, "y": 0.2,
+ *       "props": { "ttl": 30000, "maxKeys": 50 } },   // CDN edge caching (see CDN_CONFIG); a CDN linked
+ *                                                     // to another CDN uses it as its origin shield
+ *     { "key": "Gateway1", "type": "gateway", "x": 0.3, "y": 0.5,
+ *       "props": { "algorithm": "slidingWindow", "limit": 10, "window": 2000,
+ *                  "auth": true } }                                  // rate limit and auth (see GATEWAY_CONFIG)
+ *   ],
+ *   "links": [                                 // roles/priority inferred from node types if omitted
+ *     { "from": "User1", "to": "App1" },
+ *     { "from": "App1", "to": "Database1", "roles": ["read", "write", "miss"], "priority": 1 }
+ *   ],
+ *   "purchases": [
+ *     { "id": "appServer", "label": "App Server", "price": 300, "limit": 4,
+ *       "node": { "type": "app", "name": "App Server" },
+ *       "keyPrefix": "App",                    // new nodes are App2, App3...
+ *       "positions": [ { "x": 0.5, "y": 0.3 } ],           // optional, default: below the last one of its type
+ *       "links": [ { "from": "User1", "to": "$new" } ] }   // $new = the bought node, or "auto":
+ *                                                          // wired like player-drawn links to every node it fits
+ *   ],
+ *   "retries": { "policy": "immediate",                   // optional users' retry policy (RETRY_CONFIG key)
+ *                "choices": ["none", "exponentialJitter"] },  // and the ones the player can switch to
+ *   "story": [ { "text": "Welcome!", "spotlight": { "node": "App1", "radius": 100 } } ],
+ *   "notes": { "title": "Architect's Notes", "text": "...", "points": ["✅ ..."], "insight": "..." }
+ * }
+ */
+
+import { CONFIG } from '../config.js';
+import { RETRY_CONFIG, CHAOS_CONFIG, CACHE_CONFIG, REGION_CONFIG, REPLICATION_CONFIG, GATEWAY_CONFIG, LOAD_BALANCER_CONFIG } from '../config/index.js';
+import { NODE_TYPES } from '../objects/nodes.js';
+import { LATENCY_PERCENTILES } from '../simulation/LatencyTracker.js';
+
+/**
+ * Placeholder for the node a purchase creates, in purchase links
+ */
+export const NEW_NODE = '$new';
+
+export class LevelDefinition {
+    /**
+     * @param {Object} props - Normalized fields (use LevelDefinition.fromData())
+     */
+    constructor(props) {
+        Object.assign(this, props);
+    }
+
+    /**
+     * Validate level JSON and fill in defaults
+     *
+     * @param {Object} data - Parsed JSON
+     * @param {string} source - Where it was loaded from (for error messages and replays)
+     * @returns {LevelDefinition}
+     * @throws {Error} Describing the first problem found
+     */
+    static fromData(data, source = null) {
+        const fail = (message) => {
+            throw new Error(`Level definition${source ? ` (${source})` : ''}: ${message}`);
+        };
+
+        if (!data || typeof data !== 'object') fail('not a JSON object');
+        if (typeof data.title !== 'string' || !data.title) fail('"title" is required');
+        if (!data.target || !(data.target.requests > 0)) fail('"target.requests" must be a positive number');
+        if (!Array.isArray(data.nodes) || data.nodes.length === 0) fail('"nodes" must list at least one node');
+        if (data.target.maxLatency !== undefined && !(data.target.maxLatency > 0)) {
+            fail('"target.maxLatency" must be a positive number of milliseconds');
+        }
+        if (data.target.latencyPercentile !== undefined && !LATENCY_PERCENTILES.includes(data.target.latencyPercentile)) {
+            fail(`"target.latencyPercentile" must be one of ${LATENCY_PERCENTILES.join(', ')}`);
+        }
+
+        if (data.target.maxShedRate !== undefined && !(data.target.maxShedRate >= 0 && data.target.maxShedRate <= 100)) {
+            fail('"target.maxShedRate" must be a percentage (0-100)');
+        }
+        if (data.target.maxStaleReadRate !== undefined && !(data.target.maxStaleReadRate >= 0 && data.target.maxStaleReadRate <= 100)) {
+            fail('"target.maxStaleReadRate" must be a percentage (0-100)');
+        }
+        if (data.target.maxStaleOwnReadRate !== undefined && !(data.target.maxStaleOwnReadRate >= 0 && data.target.maxStaleOwnReadRate <= 100)) {
+            fail('"target.maxStaleOwnReadRate" must be a percentage (0-100)');
+        }
+        if (data.target.maxLostWrites !== undefined && !(data.target.maxLostWrites >= 0)) {
+            fail('"target.maxLostWrites" must be a number of writes (0 or more)');
+        }
+
+        const nodes = data.nodes.map((node, i) => LevelDefinition.normalizeNode(node, `nodes[${i}]`, fail));
+
+        const keys = new Set();
+        nodes.forEach(node => {
+            if (keys.has(node.key)) fail(`duplicate node key '${node.key}'`);
+            keys.add(node.key);
+        });
+
+        const links = (data.links || []).map((link, i) => LevelDefinition.normalizeLink(link, `links[${i}]`, fail));
+        links.forEach(link => {
+            if (!keys.has(link.from) || !keys.has(link.to)) {
+                fail(`link ${link.from} → ${link.to} uses a node that is not in "nodes" (declare it in a purchase's links)`);
+            }
+        });
+
+        const purchases = (data.purchases || []).map((purchase, i) => {
+            const path = `purchases[${i}]`;
+            if (typeof purchase.id !== 'string' || !purchase.id) fail(`${path}.id is required`);
+            if (!(purchase.price >= 0)) fail(`${path}.price must be a number`);
+
+            const node = LevelDefinition.normalizeNode(
+                { key: purchase.keyPrefix || purchase.id, x: 0, y: 0, ...purchase.node },
+                `${path}.node`, fail
+            );
+
+            const autoLink = purchase.links === 'auto';
+
+            return {
+                id: purchase.id,
+                label: purchase.label || node.name,
+                price: purchase.price,
+                limit: purchase.limit !== undefined ? purchase.limit : 1,
+                node,
+                keyPrefix: purchase.keyPrefix || purchase.id,
+                positions: (purchase.positions || []).map(pos => ({ x: pos.x, y: pos.y })),
+                links: autoLink ? [] : (purchase.links || []).map((link, j) =>
+                    LevelDefinition.normalizeLink(link, `${path}.links[${j}]`, fail)),
+                autoLink
+            };
+        });
+
+        const traffic = data.traffic || {};
+        if (traffic.staticPercentage !== undefined && !(traffic.staticPercentage >= 0 && traffic.staticPercentage <= 100)) {
+            fail('"traffic.staticPercentage" must be a percentage (0-100)');
+        }
+        const users = traffic.users || nodes.filter(node => node.type === 'user').map(node => node.key);
+        const chaos = traffic.chaos ? LevelDefinition.normalizeChaos(traffic.chaos, keys, purchases, fail) : null;
+        const keySpace = traffic.keySpace ? LevelDefinition.normalizeKeySpace(traffic.keySpace, fail) : null;
+
+        const story = (data.story || []).map((page, i) => {
+            if (typeof page.text !== 'string') fail(`story[${i}].text is required`);
+            return { text: page.text, spotlight: page.spotlight || null };
+        });
+
+        let retries = null;
+        if (data.retries) {
+            const policy = data.retries.policy || RETRY_CONFIG.defaultPolicy;
+            const choices = data.retries.choices || [policy];
+            [policy, ...choices].forEach(key => {
+                if (!RETRY_CONFIG.policies[key]) {
+                    fail(`retry policy '${key}' is not one of ${Object.keys(RETRY_CONFIG.policies).join(', ')}`);
+                }
+            });
+            retries = { policy, choices: choices.includes(policy) ? choices : [policy, ...choices] };
+        }
+
+        const notes = data.notes
+            ? {
+                title: data.notes.title || "Architect's Notes",
+                text: data.notes.text || '',
+                points: data.notes.points || [],
+                insight: data.notes.insight || ''
+            }
+            : null;
+
+        return new LevelDefinition({
+            source,
+            title: data.title,
+            levelNumber: data.levelNumber || 0,
+            budget: data.budget !== undefined ? data.budget : null,
+            revenuePerRequest: data.revenuePerRequest || 0,
+            upgradeCost: data.upgradeCost,
+            target: {
+                requests: data.target.requests,
+                maxErrorRate: data.target.maxErrorRate !== undefined ? data.target.maxErrorRate : CONFIG.maxErrorRate,
+                maxLatency: data.target.maxLatency !== undefined ? data.target.maxLatency : null,
+                latencyPercentile: data.target.latencyPercentile || 95,
+                maxShedRate: data.target.maxShedRate,   // undefined = CONFIG.maxShedRate
+                maxStaleReadRate: data.target.maxStaleReadRate !== undefined ? data.target.maxStaleReadRate : null,
+                maxStaleOwnReadRate: data.target.maxStaleOwnReadRate !== undefined ? data.target.maxStaleOwnReadRate : null,
+                maxLostWrites: data.target.maxLostWrites !== undefined ? data.target.maxLostWrites : null
+            },
+            traffic: {
+                initialDelay: traffic.initialDelay || 1500,
+                initialPacketsPerWave: traffic.initialPacketsPerWave || 1,
+                difficultyInterval: traffic.difficultyInterval !== undefined ? traffic.difficultyInterval : 8000,
+                writePercentage: traffic.writePercentage,
+                staticPercentage: traffic.staticPercentage,
+                users,
+                stages: traffic.stages || [],
+                chaos,
+                keySpace
+            },
+            nodes,
+            links,
+            purchases,
+            story,
+            notes,
+            retries
+        });
+    }
+
+    /**
+     * Validate one node entry
+     */
+    static normalizeNode(node, path, fail) {
+        if (!node || typeof node.key !== 'string' || !node.key) fail(`${path}.key is required`);
+        if (!NODE_TYPES[node.type]) {
+            fail(`${path}.type '${node.type}' is not one of ${Object.keys(NODE_TYPES).join(', ')}`);
+        }
+        if (typeof node.x !== 'number' || typeof node.y !== 'number') fail(`${path} needs numeric x and y`);
+        if (node.capacity !== undefined && !(node.capacity > 0)) fail(`${path}.capacity must be a positive number`);
+        if (node.props && node.props.maxKeys !== undefined && !(Number.isInteger(node.props.maxKeys) && node.props.maxKeys > 0)) {
+            fail(`${path}.props.maxKeys must be a positive integer`);
+        }
+        if (node.props && node.props.region !== undefined && !REGION_CONFIG.regions[node.props.region]) {
+            fail(`${path}.props.region '${node.props.region}' is not one of ${Object.keys(REGION_CONFIG.regions).join(', ')}`);
+        }
+        if (node.props && node.props.strategy !== undefined && !LOAD_BALANCER_CONFIG.strategies[node.props.strategy]) {
+            fail(`${path}.props.strategy '${node.props.strategy}' is not one of ${Object.keys(LOAD_BALANCER_CONFIG.strategies).join(', ')}`);
+        }
+        if (node.props && node.props.algorithm !== undefined && !GATEWAY_CONFIG.algorithms[node.props.algorithm]) {
+            fail(`${path}.props.algorithm '${node.props.algorithm}' is not one of ${Object.keys(GATEWAY_CONFIG.algorithms).join(', ')}`);
+        }
+        if (node.props && node.props.eviction !== undefined && !CACHE_CONFIG.evictionPolicies[node.props.eviction]) {
+            fail(`${path}.props.eviction '${node.props.eviction}' is not one of ${Object.keys(CACHE_CONFIG.evictionPolicies).join(', ')}`);
+        }
+        if (node.props && node.props.writePolicy !== undefined && !CACHE_CONFIG.writePolicies[node.props.writePolicy]) {
+            fail(`${path}.props.writePolicy '${node.props.writePolicy}' is not one of ${Object.keys(CACHE_CONFIG.writePolicies).join(', ')}`);
+        }
+        if (node.props && node.props.replicationMode !== undefined && !REPLICATION_CONFIG.modes[node.props.replicationMode]) {
+            fail(`${path}.props.replicationMode '${node.props.replicationMode}' is not one of ${Object.keys(REPLICATION_CONFIG.modes).join(', ')}`);
+        }
+
+        return {
+            key: node.key,
+            type: node.type,
+            name: node.name || node.key,
+            x: node.x,
+            y: node.y,
+            capacity: node.capacity,
+            speed: node.speed,
+            props: node.props || {}
+        };
+    }
+
+    /**
+     * Validate one link entry
+     */
+    static normalizeLink(link, path, fail) {
+        if (!link || typeof link.from !== 'string' || typeof link.to !== 'string') {
+            fail(`${path} needs "from" and "to" node keys`);
+        }
+
+        return {
+            from: link.from,
+            to: link.to,
+            roles: link.roles || null,      // null = infer from the node types
+            priority: link.priority
+        };
+    }
+
+    /**
+     * Validate the chaos events
+     * Nodes can be ones the player buys (keys starting with a purchase's keyPrefix).
+     */
+    static normalizeChaos(chaos, keys, purchases, fail) {
+        const checkNode = (key, path) => {
+            if (typeof key !== 'string' || !(keys.has(key) || purchases.some(purchase => key.startsWith(purchase.keyPrefix)))) {
+                fail(`${path} '${key}' is not a node of the level`);
+            }
+        };
+        const types = Object.keys(CHAOS_CONFIG.types);
+
+        const events = (chaos.events || []).map((event, i) => {
+            const path = `traffic.chaos.events[${i}]`;
+            if (!types.includes(event.type)) fail(`${path}.type must be one of ${types.join(', ')}`);
+            if (!(event.at >= 0)) fail(`${path}.at must be a time in milliseconds`);
+            if (event.duration !== undefined && !(event.duration > 0)) fail(`${path}.duration must be a positive number`);
+            if (event.loss !== undefined && !(event.loss >= 0 && event.loss <= 1)) fail(`${path}.loss must be between 0 and 1`);
+            if (event.factor !== undefined && !(event.factor > 0)) fail(`${path}.factor must be a positive number`);
+
+            if (event.type === 'linkFault') {
+                checkNode(event.from, `${path}.from`);
+                checkNode(event.to, `${path}.to`);
+            } else if (event.type === 'partition') {
+                if (!Array.isArray(event.nodes) || event.nodes.length === 0) fail(`${path}.nodes must list node keys`);
+                event.nodes.forEach((key, j) => checkNode(key, `${path}.nodes[${j}]`));
+            } else {
+                checkNode(event.node, `${path}.node`);
+            }
+
+            return { ...event };
+        });
+
+        let random = null;
+        if (chaos.random) {
+            const path = 'traffic.chaos.random';
+            random = { ...chaos.random };
+            if (random.interval !== undefined && !(random.interval > 0)) fail(`${path}.interval must be a positive number`);
+            if (random.chance !== undefined && !(random.chance >= 0 && random.chance <= 1)) fail(`${path}.chance must be between 0 and 1`);
+            (random.types || []).forEach(type => {
+                if (!types.includes(type)) fail(`${path}.types: '${type}' is not one of ${types.join(', ')}`);
+            });
+            (random.nodes || []).forEach((key, j) => checkNode(key, `${path}.nodes[${j}]`));
+        }
+
+        return { events, random };
+    }
+
+    /**
+     * Validate the resource key space
+     */
+    static normalizeKeySpace(keySpace, fail) {
+        const path = 'traffic.keySpace';
+        const distributions = Object.keys(CACHE_CONFIG.distributions);
+
+        if (keySpace.keys !== undefined && !(Number.isInteger(keySpace.keys) && keySpace.keys > 0)) {
+            fail(`${path}.keys must be a positive integer`);
+        }
+        if (keySpace.distribution !== undefined && !distributions.includes(keySpace.distribution)) {
+            fail(`${path}.distribution must be one of ${distributions.join(', ')}`);
+        }
+        if (keySpace.exponent !== undefined && !(keySpace.exponent >= 0)) {
+            fail(`${path}.exponent must be a number >= 0`);
+        }
+
+        return { ...keySpace };
+    }
+
+    /**
+     * Scene configuration for BaseLevelScene
+     *
+     * @param {string} key - Scene key the level runs in
+     * @returns {Object}
+     */
+    toSceneConfig(key) {
+        const difficultyStages = {};
+        this.traffic.stages.forEach((stage, i) => {
+            difficultyStages[`stage${i + 1}`] = {
+                trafficDelay: stage.delay,
+                packetsPerWave: stage.packetsPerWave,
+                message: stage.message || ''
+            };
+        });
+
+        return {
+            key,
+            levelNumber: this.levelNumber,
+            targetTotal: this.target.requests,
+            maxErrorRate: this.target.maxErrorRate,
+            maxShedRate: this.target.maxShedRate,
+            latencyObjective: this.target.maxLatency !== null
+                ? { percentile: this.target.latencyPercentile, maxLatency: this.target.maxLatency }
+                : null,
+            consistencyObjective: this.target.maxStaleReadRate !== null || this.target.maxStaleOwnReadRate !== null
+                || this.target.maxLostWrites !== null
+                ? {
+                    maxStaleReadRate: this.target.maxStaleReadRate,
+                    maxStaleOwnReadRate: this.target.maxStaleOwnReadRate,
+                    maxLostWrites: this.target.maxLostWrites
+                }
+                : null,
+            initialTrafficDelay: this.traffic.initialDelay,
+            initialPacketsPerWave: this.traffic.initialPacketsPerWave,
+            difficultyInterval: this.traffic.difficultyInterval,
+            difficultyStages,
+            userNodeIds: this.traffic.users,
+            revenuePerRequest: this.revenuePerRequest,
+            startingBudget: this.budget !== null ? this.budget : undefined,
+            writeRequestPercentage: this.traffic.writePercentage,
+            staticPercentage: this.traffic.staticPercentage,
+            retries: this.retries,
+            chaos: this.traffic.chaos,
+            keySpace: this.traffic.keySpace
+        };
+    }
+}
@@ -0,0 +1,421 @@
+/**
+ * Level Layouts
+ *
+ * The starting architecture of each built-in level: the nodes it begins
+ * with, where they sit and how they are wired (see Topology). A layout only needs a Simulation and the size of
+ * the area it is drawn in, so a level can be built headless (in Node, for
+ * tests and balance experiments) as well as by its scene, which passes its
+ * layout in the level config (see BaseLevelScene.createNodes()).
+ *
+ * What the player buys during a level stays in the level's scene.
+ *
+ * Usage:
+ *   const sim = new Simulation();
+ *   level5Layout(sim, { width: 1280, height: 720 });
+ */
+
+import { CONFIG } from '../config.js';
+import { LAYOUT_CONFIG, ECONOMICS_CONFIG, REGION_CONFIG } from '../config/index.js';
+import {
+    UserNode, AppServerNode, DatabaseNode, CacheNode, CDNNode, LoadBalancerNode, PubsubQueueNode
+} from '../objects/nodes.js';
+import { DATA_ROLES } from '../simulation/Topology.js';
+
+/**
+ * Level 1 - Vertical Scaling
+ * One user and a budget cloud server that handles everything itself
+ *
+ * @param {Simulation} sim - Simulation to add the nodes to
+ * @param {Object} size - { width, height } of the area the level is drawn in
+ */
+export function level1Layout(sim, { width: w, height: h }) {
+    const userX = w * LAYOUT_CONFIG.positions.user.x;
+    const serverX = w * LAYOUT_CONFIG.positions.appServer.x;
+
+    const user = sim.addNode('User1', new UserNode(sim, userX, h/2, 'User'));
+
+    // Level 1 uses special budget server configuration
+    const app = sim.addNode('App', new AppServerNode(
+        sim,
+        serverX,
+        h/2,
+        'Budget Cloud Server',
+        CONFIG.level1.servers.app.capacity,     // 3 concurrent requests
+        CONFIG.level1.servers.app.speed         // 300ms processing time
+    ));
+
+    // Wire User → App (the monolith handles everything itself)
+    sim.topology.connect('User1', 'App');
+
+    // The budget cloud server has a single upgrade: 3 → 5 capacity, 2x faster
+    const appConfig = CONFIG.level1.servers.app;
+    app.upgradeCost = appConfig.upgradeCost;
+    app.maxLevel = 2;
+    app.maxCapacity = appConfig.upgradedCapacity;
+    app.speedImprovement = 1 - appConfig.upgradedSpeed / appConfig.speed;
+
+    // Level 1 users only keep a few requests in flight at once
+    user.maxConcurrent = 10;
+}
+
+/**
+ * Level 2 - Database Integration
+ * User → App → Database
+ */
+export function level2Layout(sim, { width: w, height: h }) {
+    sim.addNode('User1', new UserNode(sim, w * 0.15, h/2, 'User'));
+
+    sim.addNode('App', new AppServerNode(
+        sim, w * 0.5, h/2, 'App Server',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    sim.addNode('Database', new DatabaseNode(
+        sim, w * 0.8, h/2, 'Database',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    sim.topology.connect('User1', 'App');
+    sim.topology.connect('App', 'Database', DATA_ROLES);
+}
+
+/**
+ * Level 3 - Multi-Database Scalability
+ * User → App → one slow database (the player adds more)
+ */
+export function level3Layout(sim, { width: w, height: h }) {
+    sim.addNode('User1', new UserNode(sim, w * LAYOUT_CONFIG.positions.leftMid, h/2, 'User'));
+
+    sim.addNode('App', new AppServerNode(
+        sim, w * LAYOUT_CONFIG.positions.centerRight, h/2, 'App Server', 5, 800
+    ));
+
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * LAYOUT_CONFIG.positions.farRight, h/2, 'Database 1', 3, 1200
+    ));
+
+    sim.topology.connect('User1', 'App');
+    sim.topology.connect('App', 'Database1', DATA_ROLES);
+}
+
+/**
+ * Level 4 - App Server Horizontal Scaling
+ * User → one app server (the player adds more) → two fixed databases
+ */
+export function level4Layout(sim, { width: w, height: h }) {
+    const largeSpacing = LAYOUT_CONFIG.spacing.vertical.large;
+
+    sim.addNode('User1', new UserNode(sim, w * 0.15, h/2, 'User'));
+
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.5, h/2, 'App Server 1',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    const dbStartY = h/2 - largeSpacing/2;
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.8, dbStartY, 'Database 1',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+    sim.addNode('Database2', new DatabaseNode(
+        sim, w * 0.8, dbStartY + largeSpacing, 'Database 2',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    connectLevel4AppServer(sim, 'App1');
+}
+
+/**
+ * Wire a Level 4 app server (the first one or one the player bought):
+ * User → App → both databases
+ */
+export function connectLevel4AppServer(sim, key) {
+    sim.topology.connect('User1', key);
+    sim.topology.connect(key, 'Database1', DATA_ROLES);
+    sim.topology.connect(key, 'Database2', DATA_ROLES);
+}
+
+/**
+ * Level 5 - Cache Layer
+ * User → App → Cache, with the database behind it
+ */
+export function level5Layout(sim, { width: w, height: h }) {
+    const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
+
+    sim.addNode('User1', new UserNode(sim, w * 0.15, h/2, 'User'));
+
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.45, h/2, 'App Server',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    sim.addNode('Cache1', new CacheNode(
+        sim, w * 0.45, h/2 - vertOffset, 'Cache',
+        ECONOMICS_CONFIG.initialValues.cacheCapacity,
+        ECONOMICS_CONFIG.initialValues.cacheDelay
+    ));
+
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.70, h/2, 'Database',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    // Reads try the cache first; writes and cache misses go to the database
+    sim.topology.connect('User1', 'App1');
+    sim.topology.connect('App1', 'Cache1', ['read'], 0);
+    sim.topology.connect('App1', 'Database1', DATA_ROLES, 1);
+}
+
+/**
+ * Level 6 - Load Balancer
+ * User, two app servers (the player adds the load balancer), cache and database
+ */
+export function level6Layout(sim, { width: w, height: h }) {
+    const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
+    const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
+
+    sim.addNode('User1', new UserNode(sim, w * 0.15, h/2, 'User'));
+
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.40, h/2 - smallSpacing, 'App Server 1',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+    sim.addNode('App2', new AppServerNode(
+        sim, w * 0.40, h/2 + smallSpacing, 'App Server 2',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    sim.addNode('Cache1', new CacheNode(
+        sim, w * 0.60, h/2 - vertOffset, 'Cache',
+        ECONOMICS_CONFIG.initialValues.cacheCapacity,
+        ECONOMICS_CONFIG.initialValues.cacheDelay
+    ));
+
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.60, h/2, 'Database',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    // Users go through the load balancer once it is bought, until then straight to the apps
+    const topology = sim.topology;
+    topology.connect('User1', 'LoadBalancer1', ['request'], 0);
+    topology.connect('User1', 'App1', ['request'], 1);
+    topology.connect('User1', 'App2', ['request'], 1);
+    ['App1', 'App2'].forEach(app => {
+        topology.connect('LoadBalancer1', app);
+        topology.connect(app, 'Cache1', ['read'], 0);
+        topology.connect(app, 'Database1', DATA_ROLES, 1);
+    });
+}
+
+// Level 7 has one user and one CDN edge per region, top to bottom
+export const LEVEL7_REGIONS = ['na', 'eu', 'apac'];
+
+/**
+ * Key of a Level 7 region's CDN edge
+ */
+export function level7EdgeKey(region) {
+    return `CDN_${region.toUpperCase()}`;
+}
+
+/**
+ * Level 7 - CDN
+ * Users in three regions → an origin in North America: Load Balancer → two
+ * app servers, cache and database (the player adds the CDN edges and the
+ * origin shield; links to them are wired up front and ignored until then)
+ */
+export function level7Layout(sim, { width: w, height: h }) {
+    const spacing = LAYOUT_CONFIG.spacing.vertical.large;
+    const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
+    const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
+
+    // One user per region
+    LEVEL7_REGIONS.forEach((region, i) => {
+        const user = new UserNode(
+            sim, w * 0.10, h/2 + (i - 1) * spacing, `Users (${REGION_CONFIG.regions[region].short})`
+        );
+        user.region = region;
+        sim.addNode(`User${i + 1}`, user);
+    });
+
+    // The origin, in North America
+    sim.addNode('LoadBalancer1', new LoadBalancerNode(
+        sim, w * 0.45, h/2, 'Load Balancer',
+        ECONOMICS_CONFIG.initialValues.loadBalancerCapacity,
+        ECONOMICS_CONFIG.initialValues.loadBalancerDelay
+    ));
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.60, h/2 - smallSpacing, 'App Server 1',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+    sim.addNode('App2', new AppServerNode(
+        sim, w * 0.60, h/2 + smallSpacing, 'App Server 2',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+    sim.addNode('Cache1', new CacheNode(
+        sim, w * 0.78, h/2 - vertOffset, 'Cache',
+        ECONOMICS_CONFIG.initialValues.cacheCapacity,
+        ECONOMICS_CONFIG.initialValues.cacheDelay
+    ));
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.78, h/2, 'Database',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+    ['LoadBalancer1', 'App1', 'App2', 'Cache1', 'Database1'].forEach(key => {
+        sim.nodes[key].region = 'na';
+    });
+
+    // Users send static reads to their nearest edge once one is bought,
+    // everything else to the origin; edges fetch misses through the shield
+    const topology = sim.topology;
+    LEVEL7_REGIONS.forEach((region, i) => {
+        LEVEL7_REGIONS.forEach(edgeRegion => topology.connect(`User${i + 1}`, level7EdgeKey(edgeRegion), ['request'], 0));
+        topology.connect(`User${i + 1}`, 'LoadBalancer1', ['request'], 1);
+        topology.connect(level7EdgeKey(region), 'Shield1', ['request'], 0);
+        topology.connect(level7EdgeKey(region), 'LoadBalancer1', ['request'], 1);
+    });
+    topology.connect('Shield1', 'LoadBalancer1');
+    ['App1', 'App2'].forEach(app => {
+        topology.connect('LoadBalancer1', app);
+        topology.connect(app, 'Cache1', ['read'], 0);
+        topology.connect(app, 'Database1', DATA_ROLES, 1);
+    });
+}
+
+/**
+ * Level 8 - Read Replica
+ * Three users → Load Balancer → two app servers, cache and primary database
+ * (the player adds read replicas)
+ */
+export function level8Layout(sim, { width: w, height: h }) {
+    const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
+    const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
+    const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
+
+    sim.addNode('User1', new UserNode(sim, w * 0.12, h/2 - spacing, 'User 1'));
+    sim.addNode('User2', new UserNode(sim, w * 0.12, h/2, 'User 2'));
+    sim.addNode('User3', new UserNode(sim, w * 0.12, h/2 + spacing, 'User 3'));
+
+    sim.addNode('LoadBalancer1', new LoadBalancerNode(
+        sim, w * 0.27, h/2, 'Load Balancer',
+        ECONOMICS_CONFIG.initialValues.loadBalancerCapacity,
+        ECONOMICS_CONFIG.initialValues.loadBalancerDelay
+    ));
+
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.42, h/2 - smallSpacing, 'App Server 1',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+    sim.addNode('App2', new AppServerNode(
+        sim, w * 0.42, h/2 + smallSpacing, 'App Server 2',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    sim.addNode('Cache1', new CacheNode(
+        sim, w * 0.58, h/2 - vertOffset, 'Cache',
+        ECONOMICS_CONFIG.initialValues.cacheCapacity,
+        ECONOMICS_CONFIG.initialValues.cacheDelay
+    ));
+
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.58, h/2, 'Primary DB',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    // Reads: cache, then read replicas (once bought), then the primary
+    const topology = sim.topology;
+    ['User1', 'User2', 'User3'].forEach(user => topology.connect(user, 'LoadBalancer1'));
+    ['App1', 'App2'].forEach(app => {
+        topology.connect('LoadBalancer1', app);
+        topology.connect(app, 'Cache1', ['read'], 0);
+        topology.connect(app, 'Database1', DATA_ROLES, 2);
+    });
+}
+
+/**
+ * Level 9 - Pubsub Queue
+ * Level 8's architecture plus a pub/sub queue (the player adds more)
+ */
+export function level9Layout(sim, { width: w, height: h }) {
+    const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
+    const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
+
+    sim.addNode('User1', new UserNode(sim, w * 0.12, h/2, 'User'));
+
+    sim.addNode('CDN1', new CDNNode(
+        sim, w * 0.12, h/2 - vertOffset * 1.2, 'CDN',
+        ECONOMICS_CONFIG.initialValues.cdnCapacity,
+        ECONOMICS_CONFIG.initialValues.cdnDelay
+    ));
+
+    sim.addNode('LoadBalancer1', new LoadBalancerNode(
+        sim, w * 0.27, h/2, 'Load Balancer',
+        ECONOMICS_CONFIG.initialValues.loadBalancerCapacity,
+        ECONOMICS_CONFIG.initialValues.loadBalancerDelay
+    ));
+
+    sim.addNode('App1', new AppServerNode(
+        sim, w * 0.42, h/2 - smallSpacing, 'App Server 1',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+    sim.addNode('App2', new AppServerNode(
+        sim, w * 0.42, h/2 + smallSpacing, 'App Server 2',
+        ECONOMICS_CONFIG.initialValues.appServerCapacity,
+        ECONOMICS_CONFIG.initialValues.processingDelay
+    ));
+
+    sim.addNode('Cache1', new CacheNode(
+        sim, w * 0.58, h/2 - vertOffset, 'Cache',
+        ECONOMICS_CONFIG.initialValues.cacheCapacity,
+        ECONOMICS_CONFIG.initialValues.cacheDelay
+    ));
+
+    sim.addNode('Queue1', new PubsubQueueNode(
+        sim, w * 0.58, h/2 + vertOffset * 0.5, 'Queue 1',
+        20, // capacity
+        200 // processing speed
+    ));
+
+    sim.addNode('Database1', new DatabaseNode(
+        sim, w * 0.74, h/2, 'Primary DB',
+        ECONOMICS_CONFIG.initialValues.databaseCapacity,
+        ECONOMICS_CONFIG.initialValues.databaseDelay
+    ));
+
+    // Writes go through the queues; reads use the cache, then the database
+    const topology = sim.topology;
+    topology.connect('User1', 'CDN1');
+    topology.connect('CDN1', 'LoadBalancer1');
+    ['App1', 'App2'].forEach(app => {
+        topology.connect('LoadBalancer1', app);
+        topology.connect(app, 'Cache1', ['read'], 0);
+        topology.connect(app, 'Database1', DATA_ROLES, 1);
+    });
+    connectLevel9Queue(sim, 'Queue1');
+}
+
+/**
+ * Wire a Level 9 queue (the first one or one the player bought): apps
+ * publish writes to it and it drains them to the database
+ */
+export function connectLevel9Queue(sim, key) {
+    ['App1', 'App2'].forEach(app => sim.topology.connect(app, key, ['write'], 0));
+    sim.topology.connect(key, 'Database1', ['write']);
+}
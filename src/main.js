@@ -9,10 +9,10 @@
  * 4. Coordinating between the DOM UI and Phaser game scenes
  */
 
-// Import game configuration and state management
-import { CONFIG, GameState } from './config.js';
-// Import UI update utilities
-import { updateUI } from './utils/uiManager.js';
+// Import game state management
+import { GameState } from './config.js';
+// Import replay log parsing (for loading saved replays)
+import { ReplayLog } from './simulation/ReplayLog.js';
 // Import SceneManager for centralized scene management
 import { SceneManager } from './managers/SceneManager.js';
 import { SCENE_CONFIG } from './config/sceneConfig.js';
@@ -28,6 +28,9 @@ import { Level6Scene } from './scenes/Level6Scene.js';
 import { Level7Scene } from './scenes/Level7Scene.js';
 import { Level8Scene } from './scenes/Level8Scene.js';
 import { Level9Scene } from './scenes/Level9Scene.js';
+import { SandboxScene } from './scenes/SandboxScene.js';
+import { DataLevelScene } from './scenes/DataLevelScene.js';
+import { LevelEditorScene } from './scenes/LevelEditorScene.js';
 
 /**
  * Phaser Game Configuration Object
@@ -56,7 +59,7 @@ const gameConfig = {
      * Scenes are the different "screens" or "levels" of the game
      * First scene in array (WelcomeScene) will be the default starting scene
      */
-    scene: [WelcomeScene, ChapterSelectScene, Level1Scene, Level2Scene, Level3Scene, Level4Scene, Level5Scene, Level6Scene, Level7Scene, Level8Scene, Level9Scene]
+    scene: [WelcomeScene, ChapterSelectScene, Level1Scene, Level2Scene, Level3Scene, Level4Scene, Level5Scene, Level6Scene, Level7Scene, Level8Scene, Level9Scene, SandboxScene, DataLevelScene, LevelEditorScene]
 };
 
 /**
@@ -72,6 +75,19 @@ const game = new Phaser.Game(gameConfig);
 const sceneManager = new SceneManager(game);
 sceneManager.initialize(SCENE_CONFIG);
 
+/**
+ * JSON Level Loading
+ * 
+ * ?level=levels/level4.json opens a level file in the DataLevelScene
+ * instead of the welcome screen (see LevelDefinition for the format).
+ */
+const levelUrl = new URLSearchParams(window.location.search).get('level');
+if (levelUrl) {
+    game.events.once('ready', () => {
+        sceneManager.switchToScene('DataLevelScene', true, { url: levelUrl });
+    });
+}
+
 /**
  * Window Resize Event Handler
  * 
@@ -175,60 +191,31 @@ function setupEventHandlers() {
     }
 
     /**
-     * Reset Button Handler
+     * Retry Policy Picker Handler
      * 
-     * Restarts the current level from the beginning.
-     * This completely resets the scene, clearing all state and UI.
+     * Switches the users' retry policy in levels that offer a choice.
      */
-    document.getElementById('btn-reset').addEventListener('click', () => {
-        sceneManager.restartCurrentScene();
+    document.getElementById('retry-policy').addEventListener('change', (event) => {
+        sceneManager.executeOnActive('setRetryPolicy', event.target.value);
     });
 
     /**
-     * Upgrade Button Handler
+     * Trace Button Handler
      * 
-     * Purchases an upgrade for the main application server.
-     * Only works if player has enough money (checked before executing).
-     * Deducts money, upgrades the server capacity, and updates the UI.
-     * Uses level-specific upgrade costs when available.
+     * Turns packet trace mode on/off: follow a request hop by hop.
      */
-    document.getElementById('btn-upgrade').addEventListener('click', () => {
-        // Get level-specific upgrade cost
-        let upgradeCost = CONFIG.upgradeCost; // Default cost
-        
-        // Level 1 has a special upgrade cost
-        if (GameState.currentLevel === 1 && CONFIG.level1 && CONFIG.level1.servers && CONFIG.level1.servers.app) {
-            upgradeCost = CONFIG.level1.servers.app.upgradeCost;
-        }
-        
-        // Check if player has sufficient funds for upgrade
-        if (GameState.money >= upgradeCost) {
-            // Find all app servers (supports both single 'App' and multiple 'App1', 'App2', etc.)
-            const appServers = Object.keys(GameState.nodes)
-                .filter(key => key.startsWith('App') || key === 'App')
-                .map(key => GameState.nodes[key])
-                .filter(app => app && app.active);
-            
-            // Try to upgrade all app servers, check if any succeeded
-            let upgradeSucceeded = false;
-            appServers.forEach(app => {
-                if (app && app.upgrade) {
-                    const success = app.upgrade();
-                    if (success) {
-                        upgradeSucceeded = true;
-                    }
-                }
-            });
-            
-            // Only deduct money if upgrade was successful
-            if (upgradeSucceeded) {
-                GameState.money -= upgradeCost;
-            }
-            
-            // Update the UI to reflect new money amount and node capacity
-            updateUI();
-        }
-        // Note: If insufficient funds, nothing happens (button should be disabled via UI)
+    document.getElementById('btn-trace').addEventListener('click', () => {
+        sceneManager.executeOnActive('toggleTracing');
+    });
+
+    /**
+     * Reset Button Handler
+     * 
+     * Restarts the current level from the beginning.
+     * This completely resets the scene, clearing all state and UI.
+     */
+    document.getElementById('btn-reset').addEventListener('click', () => {
+        sceneManager.restartCurrentScene();
     });
 
     /**
@@ -251,6 +238,49 @@ function setupEventHandlers() {
         sceneManager.goToNextLevel();
     });
 
+    /**
+     * Replay Button Handlers
+     * 
+     * - Watch Replay: replays the run that just ended
+     * - Save Replay: downloads the run as a JSON file
+     * - Load Replay: plays a saved replay file (e.g. a student's run)
+     * - 1x/2x/4x: playback speed while a replay is playing
+     */
+    document.getElementById('btn-modal-replay').addEventListener('click', () => {
+        sceneManager.executeOnActive('watchReplay');
+    });
+
+    document.getElementById('btn-modal-save-replay').addEventListener('click', () => {
+        sceneManager.executeOnActive('downloadReplay');
+    });
+
+    const replayFileInput = document.getElementById('replay-file-input');
+    document.getElementById('btn-load-replay').addEventListener('click', () => {
+        replayFileInput.click();
+    });
+
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            try {
+                sceneManager.playReplay(ReplayLog.parse(text));
+            } catch (e) {
+                alert('Could not load replay: ' + e.message);
+            }
+        });
+
+        // Allow loading the same file again
+        replayFileInput.value = '';
+    });
+
+    document.querySelectorAll('#replay-controls [data-speed]').forEach(button => {
+        button.addEventListener('click', () => {
+            sceneManager.executeOnActive('setReplaySpeed', Number(button.dataset.speed));
+        });
+    });
+
     /**
      * Skip Level Button Handler
      * 
@@ -271,7 +301,17 @@ function setupEventHandlers() {
     if (levelSelector) {
         levelSelector.addEventListener('change', (event) => {
             const selectedLevel = parseInt(event.target.value);
-            if (selectedLevel && selectedLevel >= 1 && selectedLevel <= 9) {
+            if (event.target.value === 'sandbox') {
+                sceneManager.switchToScene('SandboxScene');
+                setTimeout(() => { levelSelector.value = ''; }, 100);
+            } else if (event.target.value === 'editor') {
+                sceneManager.switchToScene('LevelEditorScene');
+                setTimeout(() => { levelSelector.value = ''; }, 100);
+            } else if (event.target.value.endsWith('.json')) {
+                // Level file (see LevelDefinition)
+                sceneManager.switchToScene('DataLevelScene', true, { url: event.target.value });
+                setTimeout(() => { levelSelector.value = ''; }, 100);
+            } else if (selectedLevel && selectedLevel >= 1 && selectedLevel <= 9) {
                 sceneManager.switchToLevel(selectedLevel);
                 // Reset dropdown to default
                 setTimeout(() => { levelSelector.value = ''; }, 100);
@@ -81,8 +81,9 @@ export class SceneManager {
      * 
      * @param {string} sceneKey - The key of the scene to switch to
      * @param {boolean} stopOthers - Whether to stop all other scenes (default: true)
+     * @param {Object} data - Optional data passed to the scene's init() (e.g. { replay })
      */
-    switchToScene(sceneKey, stopOthers = true) {
+    switchToScene(sceneKey, stopOthers = true, data = undefined) {
         console.log('SceneManager: Switching to', sceneKey);
         
         // Validate scene exists
@@ -104,7 +105,7 @@ export class SceneManager {
         }
 
         // Start the target scene
-        this.game.scene.start(sceneKey);
+        this.game.scene.start(sceneKey, data);
         this.currentSceneKey = sceneKey;
     }
 
@@ -218,6 +219,22 @@ export class SceneManager {
         }
     }
 
+    /**
+     * Play a recorded run
+     * Starts the replay's level scene in replay mode
+     * 
+     * @param {ReplayLog} replayLog - The replay to play
+     */
+    playReplay(replayLog) {
+        if (!this.sceneMap.has(replayLog.sceneKey)) {
+            console.error(`SceneManager: Replay level '${replayLog.sceneKey}' not found`);
+            return;
+        }
+
+        console.log('SceneManager: Playing replay of', replayLog.sceneKey, 'seed', replayLog.seed);
+        this.switchToScene(replayLog.sceneKey, true, { replay: replayLog });
+    }
+
     /**
      * Execute a method on the currently active scene
      * 
@@ -225,6 +242,9 @@ export class SceneManager {
      * @param {...any} args - Arguments to pass to the method
      * @returns {any} The return value of the method, or undefined if method doesn't exist
      * 
+     * Player actions the scene records for replays (see BaseLevelScene.isReplayAction)
+     * are dispatched through the scene's performAction() so they end up in the log.
+     * 
      * @example
      * sceneManager.executeOnActive('startSimulation');
      * sceneManager.executeOnActive('adjustZoom', 0.1);
@@ -243,6 +263,11 @@ export class SceneManager {
         }
 
         console.log(`SceneManager: Executing ${methodName} on active scene`);
+
+        if (typeof activeScene.isReplayAction === 'function' && activeScene.isReplayAction(methodName)) {
+            return activeScene.performAction(methodName, ...args);
+        }
+
         return activeScene[methodName](...args);
     }
 
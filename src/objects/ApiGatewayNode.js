@@ -0,0 +1,164 @@
+/**
+ * ApiGatewayNode Class
+ *
+ * API gateway between users (or a CDN) and the load balancer / app servers.
+ * Every request that arrives is first checked against its user's rate limit:
+ * - tokenBucket:   each user has a bucket of `burst` tokens that refills at
+ *                  `rate` tokens per second; a request takes one token
+ * - slidingWindow: each user may send `limit` requests in any `window` ms
+ *
+ * Requests over the limit are shed at once: the gateway answers them with a
+ * 429 (packet.isShed) that goes straight back to the user (through any CDN
+ * edge it came from). A shed request is neither a success nor an error (see
+ * Simulation.recordShed) and users do not retry it. Admitted requests take
+ * a processing slot like on any node, plus `authDelay` ms when `auth` checks
+ * are on, and go on to the targets wired behind the gateway.
+ * Defaults come from GATEWAY_CONFIG; levels can set them per node in its props.
+ */
+
+import { GATEWAY_CONFIG } from '../config/index.js';
+import { ProcessingNode } from './ProcessingNode.js';
+
+export class ApiGatewayNode extends ProcessingNode {
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'gateway', capacity, speed);
+
+        this.algorithm = GATEWAY_CONFIG.algorithm;
+        this.rate = GATEWAY_CONFIG.rate;
+        this.burst = GATEWAY_CONFIG.burst;
+        this.limit = GATEWAY_CONFIG.limit;
+        this.window = GATEWAY_CONFIG.window;
+        this.auth = GATEWAY_CONFIG.auth;
+        this.authDelay = GATEWAY_CONFIG.authDelay;
+
+        this.buckets = {};          // Token bucket: user key -> { tokens, updatedAt }
+        this.windows = {};          // Sliding window: user key -> admission times, oldest first
+        this.allowed = 0;           // Requests let through
+        this.shed = 0;              // Requests answered with a 429
+        this.authChecks = 0;        // Auth checks done
+    }
+
+    /**
+     * Receive Packet
+     * Requests over their user's limit are shed before taking a slot
+     */
+    receivePacket(packet) {
+        if (!packet.isResponse && !this.admit(packet)) {
+            this.shedRequest(packet);
+            return;
+        }
+
+        super.receivePacket(packet);
+    }
+
+    /**
+     * Processing time: auth checks add to it
+     */
+    getProcessingTime(packet) {
+        return this.auth ? this.speed + this.authDelay : this.speed;
+    }
+
+    /**
+     * Route Packet
+     * Passes admitted requests on to the load balancer or app servers behind it
+     */
+    routePacket(packet) {
+        if (packet.isResponse) {
+            const target = packet.returnNode;
+            if (target && target.active) {
+                this.sendPacket(packet, target);
+            } else {
+                packet.destroy();
+            }
+            return;
+        }
+
+        if (this.auth) {
+            this.authChecks++;
+            packet.annotate('auth ok');
+        }
+
+        const targets = this.getDownstream('request');
+
+        if (targets.length === 0) {
+            this.dropPacket(packet, 'noRoute', 'No Route!');
+            return;
+        }
+
+        this.sendPacket(packet, this.sim.random.pick(targets));
+    }
+
+    /**
+     * Would the user's limit let this request through? Counts it if so.
+     */
+    admit(packet) {
+        const user = packet.sourceNode ? packet.sourceNode.key : null;
+        const allowed = this.algorithm === 'slidingWindow'
+            ? this.admitSlidingWindow(user)
+            : this.admitTokenBucket(user);
+
+        if (allowed) this.allowed++;
+        return allowed;
+    }
+
+    /**
+     * Token bucket: refill for the time since the last request, then take a token
+     */
+    admitTokenBucket(user) {
+        const now = this.sim.now;
+        let bucket = this.buckets[user];
+        if (!bucket) {
+            bucket = { tokens: this.burst, updatedAt: now };
+            this.buckets[user] = bucket;
+        }
+
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.rate / 1000);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    /**
+     * Sliding window: count the user's requests admitted in the last window ms
+     */
+    admitSlidingWindow(user) {
+        const now = this.sim.now;
+        const times = this.windows[user] || (this.windows[user] = []);
+
+        while (times.length > 0 && times[0] <= now - this.window) {
+            times.shift();
+        }
+
+        if (times.length >= this.limit) return false;
+        times.push(now);
+        return true;
+    }
+
+    /**
+     * Answer a request with a 429 (Too Many Requests)
+     */
+    shedRequest(packet) {
+        this.shed++;
+        packet.annotate('rate limited (429)');
+        packet.isResponse = true;
+        packet.isShed = true;
+        this.showFloatText('429', '#ff00ff');
+
+        const target = packet.returnNode;
+        if (target && target.active) {
+            this.sendPacket(packet, target);
+        } else {
+            packet.destroy();
+        }
+    }
+
+    /**
+     * Share of requests shed so far (0-1)
+     */
+    getShedRatio() {
+        const seen = this.allowed + this.shed;
+        return seen > 0 ? this.shed / seen : 0;
+    }
+}
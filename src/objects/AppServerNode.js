@@ -2,185 +2,168 @@
  * AppServerNode Class
  * 
  * Represents an application server that processes business logic.
- * - Rectangle shape
  * - Has capacity and processing speed
  * - Can be upgraded
- * - Routes to: Cache/Database (requests) or User (responses)
+ * - Routes to: its downstream nodes in the Topology (requests) or User (responses,
+ *   through the CDN edges the request came from)
+ * - Keeps its caches in step with the database (cache-aside): stores what the
+ *   database returned after a cache miss, and once a write is acknowledged
+ *   deletes its key from the caches it reads from
+ * - Sends writes to a cache it reads from (directly or through a circuit
+ *   breaker) instead if that cache takes them (write-through / write-back,
+ *   see CacheNode): that cache keeps the new value, the others lose the key
+ * - With read-your-writes routing, sends the reads of a client that just wrote
+ *   straight to the primary database rather than a cache or read replica that
+ *   may be behind (see REPLICATION_CONFIG.readYourWritesWindow)
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { REPLICATION_CONFIG } from '../config/index.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class AppServerNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity, speed) {
-        super(scene, x, y, name, 'app', capacity, speed);
-    }
-
-    /**
-     * Create Rectangle Shape
-     */
-    createShape(w, h) {
-        this.bg = this.scene.add.rectangle(0, 0, w, h, CONFIG.colors.node);
-        this.bg.setStrokeStyle(2, CONFIG.colors.nodeBorder);
-        this.bg.width = w;
-        this.bg.height = h;
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'app', capacity, speed);
+        this.readYourWrites = false;    // Route reads of clients that just wrote to the primary
+        this.pinnedReads = 0;           // Reads it sent to the primary for that
     }
 
     /**
      * Route Packet
-     * Handles both requests (to cache/database) and responses (to user)
+     * Handles both requests (to cache/database/queue) and responses (to user)
      */
     routePacket(packet) {
         // App receives response from database/cache - forward to original user
         if (packet.isResponse) {
-            if (packet.sourceNode && packet.sourceNode.active) {
-                sendPacketAnim(this.scene, packet, packet.sourceNode, this);
-            } else {
-                packet.destroy();
+            if (packet.isWrite) {
+                this.invalidateCaches(packet.resourceKey, packet.cacheNode);
+            } else if (packet.cacheNode && packet.dataVersion !== null) {
+                packet.cacheNode.fill(packet.resourceKey, packet.dataVersion);
+                packet.cacheNode = null;
             }
+            this.respondToUser(packet);
+            return;
         }
-        // App receives request from user - route based on architecture
-        else {
-            // Check if database exists in this level
-            const databases = this.getAvailableDatabases();
-            const hasDatabase = databases.length > 0;
-            
-            // Level 1 (Monolithic): No database, handle everything internally
-            if (!hasDatabase) {
-                // Process the request and respond immediately
-                packet.isResponse = true;
-                
-                if (packet.setFillStyle) {
-                    packet.setFillStyle(CONFIG.colors.packetRes);
-                } else if (packet.setTint) {
-                    packet.setTint(CONFIG.colors.packetRes);
-                }
-                
-                if (packet.sourceNode && packet.sourceNode.active) {
-                    sendPacketAnim(this.scene, packet, packet.sourceNode, this);
-                } else {
-                    packet.destroy();
-                }
+
+        // Level 1 (Monolithic): No backend wired to this app, handle everything internally
+        if (!this.sim.topology.hasDownstream(this.key)) {
+            // Process the request and respond immediately
+            packet.isResponse = true;
+            this.respondToUser(packet);
+            return;
+        }
+
+        // Level 2+: Route to the backend wired for this kind of request
+        // - writes:       'write' edges (queue first if one is wired, then master database)
+        // - cache misses: 'miss' edges (read replicas first, then databases)
+        // - other reads:  'read' edges (cache first, then replicas/databases)
+        let role = 'read';
+        if (packet.isWrite) {
+            // A write-through / write-back cache takes the write on to the database itself
+            const writeCache = this.getWriteCache();
+            if (writeCache) {
+                packet.appNode = this;
+                packet.dataRole = 'write';
+                packet.cacheNode = writeCache.cache;
+                this.sendPacket(packet, writeCache.via);
                 return;
             }
-            
-            // Level 2+: Route to appropriate backend based on request type
-            // Check if this is a cache miss returning to app
-            if (packet.cacheMissed) {
-                packet.cacheMissed = false;
-                
-                // Check for read-write splitting (Level 8)
-                const readReplica = GameState.nodes['ReadReplica1'];
-                
-                if (readReplica && readReplica.active) {
-                    // Cache miss reads go to read replica
-                    packet.appNode = this;
-                    sendPacketAnim(this.scene, packet, readReplica, this);
-                } else {
-                    // Use any available database
-                    this.routeToDatabase(packet);
-                }
-            } else {
-                // New request from user
-                const cache = GameState.nodes['Cache1'];
-                
-                // Write requests always go directly to master database (skip cache)
-                if (packet.isWrite) {
-                    this.routeWriteToDatabase(packet);
-                }
-                // Read requests go through cache if available (Level 5+)
-                else if (cache && cache.active) {
-                    packet.appNode = this;
-                    sendPacketAnim(this.scene, packet, cache, this);
-                } else {
-                    // Check for read-write splitting (Level 8)
-                    const readReplica = GameState.nodes['ReadReplica1'];
-                    
-                    if (readReplica && readReplica.active) {
-                        // Reads go to read replica
-                        packet.appNode = this;
-                        sendPacketAnim(this.scene, packet, readReplica, this);
-                    } else {
-                        // Route to database
-                        const randomIndex = Math.floor(Math.random() * databases.length);
-                        const selectedDatabase = databases[randomIndex];
-                        packet.appNode = this;
-                        sendPacketAnim(this.scene, packet, selectedDatabase, this);
-                    }
-                }
-            }
+            role = 'write';
+        } else if (packet.cacheMissed) {
+            packet.cacheMissed = false;
+            role = 'miss';
+        }
+
+        // Caches and replicas may still hold the old value: a client that just
+        // wrote reads straight from a primary, if the app is linked to one
+        const primaries = !packet.isWrite && this.wroteRecently(packet.clientId)
+            ? this.sim.topology.getTargets(this.key, role, node => node.type === 'database' && !node.isReplica)
+            : [];
+        const pinned = primaries.length > 0;
+        const targets = pinned ? primaries : this.getDownstream(role);
+
+        if (targets.length === 0) {
+            this.dropPacket(packet, 'noRoute', 'No Route!');
+            return;
         }
+
+        const target = this.selectTarget(targets);
+        if (pinned) {
+            this.pinnedReads++;
+            packet.annotate('read-your-writes: primary');
+        }
+
+        packet.appNode = this;
+        packet.dataRole = role;
+        this.sendPacket(packet, target);
     }
 
     /**
-     * Route Write to Database
-     * Writes go to Pubsub Queue if available (Level 9), otherwise to master database
+     * Did this client write within the read-your-writes window? (Always false
+     * without read-your-writes routing)
      */
-    routeWriteToDatabase(packet) {
-        // Check for Pubsub Queue first (Level 9)
-        const queues = this.getAvailableQueues();
-        
-        if (queues.length > 0) {
-            // Route to least loaded queue
-            const selectedQueue = this.selectLeastLoadedQueue(queues);
-            packet.appNode = this;
-            sendPacketAnim(this.scene, packet, selectedQueue, this);
-            return;
-        }
-        
-        // No queue available, use traditional routing
-        const readReplica = GameState.nodes['ReadReplica1'];
-        
-        if (readReplica && readReplica.active) {
-            // Read-write splitting enabled: writes ONLY to master (Database1)
-            const masterDb = GameState.nodes['Database1'];
-            if (masterDb && masterDb.active) {
-                packet.appNode = this;
-                sendPacketAnim(this.scene, packet, masterDb, this);
-            } else {
-                packet.destroy();
+    wroteRecently(clientId) {
+        if (!this.readYourWrites || clientId === null) return false;
+
+        const at = this.sim.keySpace.lastWriteAt(clientId);
+        return at !== null && this.sim.now - at <= REPLICATION_CONFIG.readYourWritesWindow;
+    }
+
+    /**
+     * Cache it reads from that takes writes (write-through / write-back), and
+     * the node a write to it goes to: the cache, or the circuit breaker in
+     * front of it if that breaker is taking calls
+     *
+     * @returns {Object|null} { cache, via }, or null if no cache takes writes
+     */
+    getWriteCache() {
+        const takesWrites = node => node.takesWrites && node.takesWrites();
+
+        for (const node of this.getDownstream('read')) {
+            if (takesWrites(node)) return { cache: node, via: node };
+            if (node.type === 'breaker' && node.isTakingCalls()) {
+                const cache = node.getDownstream('read').find(takesWrites);
+                if (cache) return { cache, via: node };
             }
-        } else {
-            // No read-write splitting: use all databases
-            this.routeToDatabase(packet);
         }
+        return null;
     }
 
     /**
-     * Route to Any Available Database
+     * Delete a key the app wrote from the caches it reads from, directly or
+     * through a circuit breaker (immediately: the delete is not simulated as a packet)
+     *
+     * @param {number} key - Resource key
+     * @param {CacheNode|null} writer - Cache that took the write (it has the new value)
      */
-    routeToDatabase(packet) {
-        const databases = this.getAvailableDatabases();
-        
-        if (databases.length > 0) {
-            const randomIndex = Math.floor(Math.random() * databases.length);
-            const selectedDatabase = databases[randomIndex];
-            packet.appNode = this;
-            sendPacketAnim(this.scene, packet, selectedDatabase, this);
-        } else {
-            packet.destroy();
-        }
+    invalidateCaches(key, writer = null) {
+        this.getDownstream('read')
+            .flatMap(node => (node.type === 'breaker' ? node.getDownstream('read') : [node]))
+            .filter(node => node.invalidate && node !== writer)
+            .forEach(cache => cache.invalidate(key));
     }
 
     /**
-     * Get Available Databases
+     * Send a response back to the user that made the request (through its CDN edges)
      */
-    getAvailableDatabases() {
-        return Object.keys(GameState.nodes)
-            .filter(key => key.startsWith('Database'))
-            .map(key => GameState.nodes[key])
-            .filter(db => db && db.active);
+    respondToUser(packet) {
+        const target = packet.returnNode;
+        if (target && target.active) {
+            this.sendPacket(packet, target);
+        } else {
+            packet.destroy();
+        }
     }
 
     /**
-     * Get Available Queues
+     * Select Target
+     * Queues are picked by free space, anything else at random
      */
-    getAvailableQueues() {
-        return Object.keys(GameState.nodes)
-            .filter(key => key.startsWith('Queue'))
-            .map(key => GameState.nodes[key])
-            .filter(queue => queue && queue.active);
+    selectTarget(targets) {
+        if (targets.every(target => target.messageQueue)) {
+            return this.selectLeastLoadedQueue(targets);
+        }
+
+        return this.sim.random.pick(targets);
     }
 
     /**
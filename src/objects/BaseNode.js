@@ -1,80 +1,72 @@
 /**
  * BaseNode Class (Abstract)
- * 
+ *
  * Base class for all node types in the architecture simulation.
+ * Nodes are plain JavaScript objects owned by a Simulation - they hold the
+ * state and routing behavior, while drawing is done by a NodeView
+ * (see src/render/) that reads this state every frame.
+ *
  * Provides common functionality:
- * - Visual management (shapes, colors, text, animations)
- * - Dragging functionality
- * - Upgrade system
- * - Visual effects (flash, float text)
+ * - Identity, position (and region, see Regions) and performance state
+ *   (capacity, speed, level)
+ * - Upgrade system: per-type tiers from ECONOMICS_CONFIG (upgrades,
+ *   capacityIncrease, speedImprovement); a node can override its tier values
+ *   with upgradeCost, capacityIncrease, speedImprovement, maxLevel and maxCapacity
+ * - Downstream lookup through the simulation's Topology
+ * - Visual effect requests (flash, float text) sent as simulation events
  * - Abstract methods for type-specific behavior
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { updateUI } from '../utils/uiManager.js';
+import { ECONOMICS_CONFIG } from '../config/index.js';
 
-export class BaseNode extends Phaser.GameObjects.Container {
-    constructor(scene, x, y, name, type, capacity, speed) {
-        super(scene, x, y);
-        
-        this.scene = scene;
+/**
+ * Key of ECONOMICS_CONFIG.upgrades / capacityIncrease per node type
+ * (types without an entry use 'server')
+ */
+const UPGRADE_KINDS = {
+    app: 'appServer',
+    database: 'database',
+    cache: 'cache',
+    loadbalancer: 'loadBalancer',
+    cdn: 'cdn',
+    pubsub: 'queue',
+    breaker: 'circuitBreaker',
+    gateway: 'apiGateway'
+};
+
+export class BaseNode {
+    /**
+     * @param {Simulation} sim - The simulation this node belongs to
+     * @param {number} x - X position (world coordinates)
+     * @param {number} y - Y position (world coordinates)
+     * @param {string} name - Display name
+     * @param {string} type - Node type ('user', 'app', 'database', ...)
+     * @param {number} capacity - Maximum concurrent requests
+     * @param {number} speed - Processing time per request (ms)
+     */
+    constructor(sim, x, y, name, type, capacity, speed) {
+        this.sim = sim;
+        this.key = null;            // Set by Simulation.addNode
+        this.x = x;
+        this.y = y;
+        this.region = null;         // REGION_CONFIG key (levels can set `region`), null = nowhere in particular
         this.name = name;
         this.type = type;
         this.level = 1;
-        
+
         this.capacity = capacity;
         this.speed = speed;
         this.baseSpeed = speed;
         this.currentLoad = 0;
-        
-        this.setActive(true);
-        this.createVisuals();
-        scene.add.existing(this);
-    }
-
-    /**
-     * Create Visual Elements
-     * Template method - calls createShape() which subclasses override
-     */
-    createVisuals() {
-        const w = 80;
-        const h = 60;
-        
-        // Create shape (subclass-specific)
-        this.createShape(w, h);
-        
-        // Name label
-        this.textName = this.scene.add.text(0, -h/2 - 15, this.name, { 
-            fontSize: '14px', 
-            color: '#fff', 
-            fontFamily: 'Arial' 
-        }).setOrigin(0.5);
-        
-        // Processing indicator
-        this.processIndicator = this.scene.add.circle(0, 0, 6, 0xffffff, 1);
-        this.processIndicator.setVisible(false);
-        
-        // Add common elements
-        this.add([this.bg, this.textName, this.processIndicator]);
-        
-        // Create type-specific UI
-        this.createTypeSpecificUI();
-        
-        this.setupDragging();
-    }
 
-    /**
-     * Abstract method - subclasses must implement
-     */
-    createShape(w, h) {
-        throw new Error('createShape() must be implemented by subclass');
+        this.active = true;
     }
 
     /**
      * Abstract method - subclasses must implement
      */
-    createTypeSpecificUI() {
-        // Default: no additional UI
+    receivePacket(packet) {
+        throw new Error('receivePacket() must be implemented by subclass');
     }
 
     /**
@@ -85,283 +77,109 @@ export class BaseNode extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Setup Dragging Functionality
+     * Upgrade kind (key of the ECONOMICS_CONFIG upgrade tables)
      */
-    setupDragging() {
-        this.originalX = this.x;
-        this.originalY = this.y;
-        
-        const hitAreaSize = 100;
-        const hitArea = new Phaser.Geom.Circle(0, 0, hitAreaSize / 2);
-        
-        this.setInteractive(hitArea, Phaser.Geom.Circle.Contains);
-        this.scene.input.setDraggable(this);
-        
-        this.on('pointerover', () => {
-            if (!GameState.isRunning) {
-                this.scene.input.setDefaultCursor('pointer');
-            }
-        });
-        
-        this.on('pointerout', () => {
-            this.scene.input.setDefaultCursor('default');
-        });
-        
-        this.on('dragstart', () => {
-            if (!GameState.isRunning) {
-                this.setAlpha(0.7);
-                this.setDepth(1000);
-            }
-        });
-        
-        this.on('drag', (pointer, dragX, dragY) => {
-            if (!GameState.isRunning) {
-                this.x = dragX;
-                this.y = dragY;
-            }
-        });
-        
-        this.on('dragend', () => {
-            if (!GameState.isRunning) {
-                this.setAlpha(1);
-                this.setDepth(0);
-            }
-        });
+    getUpgradeKind() {
+        return UPGRADE_KINDS[this.type] || 'server';
     }
 
     /**
-     * Upgrade Node
+     * Next Upgrade
+     * What the next upgrade tier costs and gives: capacity grows by the kind's
+     * capacityIncrease (up to maxCapacity), processing gets speedImprovement
+     * faster (down to minSpeed), and each tier costs costGrowth times the last.
+     *
+     * @returns {Object|null} { level, cost, capacity, speed, baseSpeed }, or null at the last tier
      */
-    upgrade() {
-        // Check if capacity has reached maximum (if maxCapacity is set)
-        if (this.maxCapacity && this.capacity >= this.maxCapacity) {
-            this.showFloatText('Max Capacity!', '#ff6600');
-            return false; // Upgrade failed
-        }
-        
-        this.level++;
-        const newCapacity = Math.floor(this.capacity * 2.4);
-        
-        // Apply max capacity limit if set
-        if (this.maxCapacity) {
-            this.capacity = Math.min(newCapacity, this.maxCapacity);
-        } else {
-            this.capacity = newCapacity;
-        }
-        
-        this.speed = Math.max(50, this.speed * 0.5);
+    getNextUpgrade() {
+        const { upgrades, capacityIncrease, speedImprovement } = ECONOMICS_CONFIG;
+        const kind = this.getUpgradeKind();
+        const maxLevel = this.maxLevel || upgrades.maxLevel;
 
-        const newStrokeWidth = 2 + (this.level - 1) * 2;
-        let newBorderColor = CONFIG.colors.nodeBorder;
-        if (this.level === 2) newBorderColor = 0xbd00ff;
-        if (this.level >= 3) newBorderColor = 0xffd700;
+        if (this.level >= maxLevel) return null;
+        if (this.maxCapacity && this.capacity >= this.maxCapacity) return null;
 
-        if (this.bg.isGraphics) {
-            this.redrawShape(newBorderColor, newStrokeWidth);
-        } else {
-            this.bg.setStrokeStyle(newStrokeWidth, newBorderColor);
-        }
-        
-        if (this.levelText) {
-            this.levelText.setText('Lv.' + this.level);
-            this.levelText.setColor(this.level >= 3 ? '#ffd700' : '#bd00ff');
-        }
-        
-        // Update server info display if it exists (for ProcessingNode subclasses)
-        if (typeof this.updateServerInfo === 'function') {
-            this.updateServerInfo();
-        }
+        const firstCost = this.upgradeCost !== undefined
+            ? this.upgradeCost
+            : (upgrades[kind] !== undefined ? upgrades[kind] : upgrades.server);
+        const increase = this.capacityIncrease !== undefined
+            ? this.capacityIncrease
+            : (capacityIncrease[kind] !== undefined ? capacityIncrease[kind] : capacityIncrease.server);
+        const improvement = this.speedImprovement !== undefined ? this.speedImprovement : speedImprovement.percentage;
 
-        this.playUpgradeAnimation(newBorderColor);
-        this.showFloatText('UPGRADE!', '#ffd700');
-        
-        return true; // Upgrade successful
-    }
+        // Speed is scaled through baseSpeed, which databases slow down from as storage grows
+        const baseSpeed = this.baseSpeed <= speedImprovement.minSpeed
+            ? this.baseSpeed
+            : Math.max(speedImprovement.minSpeed, Math.round(this.baseSpeed * (1 - improvement)));
 
-    /**
-     * Redraw Shape (for Graphics objects)
-     */
-    redrawShape(borderColor, strokeWidth) {
-        // Subclasses with Graphics shapes override this
-    }
+        let capacity = this.capacity + increase;
+        if (this.maxCapacity) {
+            capacity = Math.min(capacity, this.maxCapacity);
+        }
 
-    /**
-     * Play Upgrade Animation
-     */
-    playUpgradeAnimation(color) {
-        const aura = this.scene.add.circle(this.x, this.y, 40, color, 0.5);
-        
-        this.scene.tweens.add({
-            targets: aura,
-            scale: 2.5,
-            alpha: 0,
-            duration: 600,
-            onComplete: () => aura.destroy()
-        });
+        return {
+            level: this.level + 1,
+            cost: Math.round(firstCost * Math.pow(upgrades.costGrowth, this.level - 1)),
+            capacity,
+            speed: Math.round(this.speed * baseSpeed / this.baseSpeed),
+            baseSpeed
+        };
     }
 
     /**
-     * Show Floating Text
+     * Upgrade Node
+     * Applies the next upgrade tier (the caller pays its cost)
+     *
+     * @returns {boolean} False if the node is at its last tier
      */
-    showFloatText(msg, color) {
-        const txt = this.scene.add.text(this.x, this.y - 50, msg, { 
-            fontSize: '14px', 
-            color: color, 
-            fontStyle: 'bold',
-            stroke: '#000',
-            strokeThickness: 2
-        }).setOrigin(0.5);
-        
-        this.scene.tweens.add({ 
-            targets: txt, 
-            y: this.y - 80,
-            alpha: 0,
-            duration: 1000,
-            onComplete: () => txt.destroy()
-        });
-    }
+    upgrade() {
+        const next = this.getNextUpgrade();
 
-    /**
-     * Flash Red Effect
-     */
-    flashRed() {
-        if (this.bg.isGraphics) {
-            const strokeWidth = 2 + (this.level - 1) * 2;
-            this.redrawShape(0xff0000, strokeWidth);
-            
-            this.scene.time.delayedCall(100, () => {
-                let color = CONFIG.colors.nodeBorder;
-                if (this.level === 2) color = 0xbd00ff;
-                if (this.level >= 3) color = 0xffd700;
-                this.redrawShape(color, strokeWidth);
-            });
-        } else {
-            this.scene.tweens.add({ 
-                targets: this.bg, 
-                strokeColor: 0xff0000,
-                duration: 100,
-                yoyo: true,
-                onComplete: () => {
-                    let color = CONFIG.colors.nodeBorder;
-                    if (this.level === 2) color = 0xbd00ff;
-                    if (this.level >= 3) color = 0xffd700;
-                    this.bg.setStrokeStyle(this.bg.lineWidth, color);
-                } 
-            });
+        if (!next) {
+            const atCapacity = this.maxCapacity && this.capacity >= this.maxCapacity;
+            this.showFloatText(atCapacity ? 'Max Capacity!' : 'Max Level!', '#ff6600');
+            return false; // Upgrade failed
         }
-    }
 
-    /**
-     * Start Processing Visual Indicator
-     */
-    startProcessing() {
-        this.processIndicator.setVisible(true);
-        
-        this.scene.tweens.add({
-            targets: this.processIndicator,
-            alpha: 0.3,
-            scale: 1.2,
-            duration: 200,
-            yoyo: true,
-            repeat: -1
-        });
-    }
+        this.level = next.level;
+        this.capacity = next.capacity;
+        this.speed = next.speed;
+        this.baseSpeed = next.baseSpeed;
 
-    /**
-     * Stop Processing Visual Indicator
-     */
-    stopProcessing() {
-        this.processIndicator.setVisible(false);
-        this.scene.tweens.killTweensOf(this.processIndicator);
+        this.sim.emit('nodeUpgraded', this);
+        this.showFloatText('UPGRADE!', '#ffd700');
+
+        return true; // Upgrade successful
     }
 
     /**
-     * Helper: Draw Cylinder Shape
+     * Show Floating Text above the node
      */
-    drawCylinder(graphics, x, y, w, h, borderColor, strokeWidth) {
-        const topHeight = h * 0.15;
-        
-        graphics.fillStyle(CONFIG.colors.node, 1);
-        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
-        
-        graphics.fillRect(x - w/2, y - h/2 + topHeight, w, h - topHeight * 2);
-        graphics.strokeRect(x - w/2, y - h/2 + topHeight, w, h - topHeight * 2);
-        
-        graphics.fillEllipse(x, y + h/2 - topHeight, w/2, topHeight);
-        graphics.strokeEllipse(x, y + h/2 - topHeight, w/2, topHeight);
-        
-        graphics.fillEllipse(x, y - h/2 + topHeight, w/2, topHeight);
-        graphics.strokeEllipse(x, y - h/2 + topHeight, w/2, topHeight);
+    showFloatText(msg, color) {
+        this.sim.emit('nodeFloatText', this, msg, color);
     }
 
     /**
-     * Helper: Draw Diamond Shape
+     * Flash Red Effect
      */
-    drawDiamond(graphics, x, y, w, h, borderColor, strokeWidth) {
-        graphics.fillStyle(CONFIG.colors.node, 1);
-        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
-        
-        graphics.beginPath();
-        graphics.moveTo(x, y - h/2);
-        graphics.lineTo(x + w/2, y);
-        graphics.lineTo(x, y + h/2);
-        graphics.lineTo(x - w/2, y);
-        graphics.closePath();
-        
-        graphics.fillPath();
-        graphics.strokePath();
+    flashRed() {
+        this.sim.emit('nodeFlash', this);
     }
 
     /**
-     * Helper: Draw Hexagon Shape
+     * Get the downstream nodes for a traffic role (see Topology)
+     *
+     * @param {string} role - 'request', 'read', 'write' or 'miss'
+     * @returns {Array<BaseNode>} Available targets in the preferred priority group
      */
-    drawHexagon(graphics, x, y, radius, borderColor, strokeWidth) {
-        graphics.fillStyle(CONFIG.colors.node, 1);
-        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
-        
-        graphics.beginPath();
-        
-        for (let i = 0; i < 6; i++) {
-            const angle = (Math.PI / 3) * i - Math.PI / 2;
-            const px = x + radius * Math.cos(angle);
-            const py = y + radius * Math.sin(angle);
-            
-            if (i === 0) {
-                graphics.moveTo(px, py);
-            } else {
-                graphics.lineTo(px, py);
-            }
-        }
-        
-        graphics.closePath();
-        graphics.fillPath();
-        graphics.strokePath();
+    getDownstream(role) {
+        return this.sim.topology.getTargets(this.key, role);
     }
 
     /**
-     * Helper: Draw Star Shape
+     * Send a packet to another node
      */
-    drawStar(graphics, x, y, points, outerRadius, innerRadius, borderColor, strokeWidth) {
-        graphics.fillStyle(CONFIG.colors.node, 1);
-        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
-        
-        graphics.beginPath();
-        
-        for (let i = 0; i < points * 2; i++) {
-            const angle = (Math.PI / points) * i - Math.PI / 2;
-            const radius = i % 2 === 0 ? outerRadius : innerRadius;
-            const px = x + radius * Math.cos(angle);
-            const py = y + radius * Math.sin(angle);
-            
-            if (i === 0) {
-                graphics.moveTo(px, py);
-            } else {
-                graphics.lineTo(px, py);
-            }
-        }
-        
-        graphics.closePath();
-        graphics.fillPath();
-        graphics.strokePath();
+    sendPacket(packet, target) {
+        this.sim.transmit(packet, target, this);
     }
 }
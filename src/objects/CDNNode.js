@@ -1,100 +1,198 @@
 /**
  * CDNNode Class
- * 
- * Represents a Content Delivery Network node for edge caching.
- * - Star shape
- * - Hit/miss logic for static content (80% hit rate)
- * - Serves content from edge locations
- * - Bypasses CDN for write requests
+ *
+ * Represents a CDN point of presence (PoP): an edge server close to the users
+ * of its region that keeps static content.
+ * - Static reads are looked up by resource key: a hit is answered right at
+ *   the edge, a miss is fetched from the origin and kept on its way back
+ *   (up to keyCapacity keys, least recently used evicted first, each for ttl ms)
+ * - Dynamic reads and writes always go to the origin: users send them there
+ *   directly if they are linked to it, otherwise the edge proxies them (see
+ *   CDN_CONFIG.contentTypes, UserNode.getEntryPoints)
+ * - Misses go to the nearest node it is wired to: an origin shield (another
+ *   CDN node in front of the origin, so the origin fetches a key once rather
+ *   than once per PoP) or the origin itself
+ * - Responses come back through the edges the request passed (packet.cdnPath)
+ * - Keeps the version of each key, so a copy older than an acknowledged write
+ *   is served stale until it expires or is purged
+ * - purge() drops every key it holds; a crashed PoP also comes back empty
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { CDN_CONFIG } from '../config/index.js';
+import { nearestNodes } from '../simulation/Regions.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class CDNNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity, speed) {
-        super(scene, x, y, name, 'cdn', capacity, speed);
-        this.hitRate = CONFIG.level7?.servers?.cdn?.hitRate || 0.8;
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'cdn', capacity, speed);
+        this.hits = 0;              // Static reads answered at this node
+        this.misses = 0;            // Static reads fetched from further in
+        this.passed = 0;            // Dynamic reads and writes proxied to the origin
+        this.entries = new Map();   // Key -> { version, expiresAt }, least recently used first
+        this.maxKeys = null;        // Fixed key capacity (levels can set it), null = keysPerCapacity x capacity
+        this.ttl = CDN_CONFIG.ttl;
+        this.evictions = 0;
+        this.expirations = 0;
+        this.staleHits = 0;         // Hits that returned an older version than one already acknowledged
+        this.purges = 0;
+        this.purged = 0;            // Keys dropped by purges
     }
 
     /**
-     * Create Star Shape
+     * Keys this node can hold
      */
-    createShape(w, h) {
-        this.bg = this.scene.add.graphics();
-        this.drawStar(this.bg, 0, 0, 5, 35, 18);
-        this.bg.width = 70;
-        this.bg.height = 70;
-        this.bg.isGraphics = true;
+    get keyCapacity() {
+        return this.maxKeys || Math.max(1, Math.round(this.capacity * CDN_CONFIG.keysPerCapacity));
     }
 
     /**
      * Route Packet
-     * Implements CDN hit/miss logic
+     * Answers static reads it holds, passes everything else towards the origin
      */
     routePacket(packet) {
-        // Write requests always bypass CDN (go to backend)
-        if (packet.isWrite) {
-            const loadBalancer = GameState.nodes['LoadBalancer1'];
-            if (loadBalancer && loadBalancer.active) {
-                sendPacketAnim(this.scene, packet, loadBalancer, this);
-            } else {
-                packet.destroy();
-            }
+        // Response on its way back to the user - keep static content
+        if (packet.isResponse) {
+            this.returnResponse(packet);
+            return;
         }
-        // CDN receives response from backend - forward to user
-        else if (packet.isResponse) {
-            if (packet.sourceNode && packet.sourceNode.active) {
-                sendPacketAnim(this.scene, packet, packet.sourceNode, this);
-            } else {
-                packet.destroy();
-            }
+
+        // Writes and dynamic reads are not cacheable
+        if (packet.isWrite || packet.contentType !== 'static' || packet.resourceKey === null) {
+            this.passed++;
+            packet.annotate('CDN pass-through (dynamic)');
+            this.forwardToOrigin(packet);
+            return;
+        }
+
+        const entry = this.lookup(packet.resourceKey);
+
+        if (entry) {
+            // CDN HIT - answer from the edge
+            this.hits++;
+            packet.annotate('CDN hit');
+            packet.isResponse = true;
+            packet.isCDNHit = true;
+            packet.dataVersion = entry.version;
+            packet.staleRead = this.sim.keySpace.isStale(packet.resourceKey, entry.version);
+            if (packet.staleRead) this.staleHits++;
+
+            this.showFloatText('HIT', '#00ff00');
+            this.sendBack(packet);
+        } else {
+            // CDN MISS - fetch from the shield or origin
+            this.misses++;
+            packet.annotate('CDN miss');
+            this.showFloatText('MISS', '#ff6b35');
+
+            this.forwardToOrigin(packet);
         }
-        // Read request - check for CDN hit
-        else {
-            const isCDNHit = Math.random() < this.hitRate;
-            
-            if (isCDNHit) {
-                // CDN HIT - return directly to user
-                packet.isResponse = true;
-                packet.isCDNHit = true;
-                
-                // Change packet color to response (gold)
-                if (packet.setFillStyle) {
-                    packet.setFillStyle(CONFIG.colors.packetRes);
-                } else if (packet.setTint) {
-                    packet.setTint(CONFIG.colors.packetRes);
-                }
-                
-                // Show CDN hit feedback
-                this.showFloatText('HIT', '#00ff00');
-                
-                // Return to user
-                if (packet.sourceNode && packet.sourceNode.active) {
-                    sendPacketAnim(this.scene, packet, packet.sourceNode, this);
-                } else {
-                    packet.destroy();
-                }
-            } else {
-                // CDN MISS - forward to backend
-                this.showFloatText('MISS', '#ff6b35');
-                
-                const loadBalancer = GameState.nodes['LoadBalancer1'];
-                if (loadBalancer && loadBalancer.active) {
-                    sendPacketAnim(this.scene, packet, loadBalancer, this);
-                } else {
-                    packet.destroy();
-                }
+    }
+
+    /**
+     * A response came back through this node: keep static content, pass it on
+     */
+    returnResponse(packet) {
+        if (packet.cdnPath[packet.cdnPath.length - 1] === this) packet.cdnPath.pop();
+
+        if (!packet.isWrite && !packet.isShed && packet.contentType === 'static' && packet.resourceKey !== null) {
+            this.store(packet.resourceKey, packet.dataVersion !== null ? packet.dataVersion : 0);
+        }
+        this.sendBack(packet);
+    }
+
+    /**
+     * Send a response on towards the user (through the edges it came from)
+     */
+    sendBack(packet) {
+        const target = packet.returnNode;
+        if (target && target.active) {
+            this.sendPacket(packet, target);
+        } else {
+            packet.destroy();
+        }
+    }
+
+    /**
+     * Forward to Origin
+     * Sends the request to the nearest node wired behind the CDN (an origin
+     * shield, or the load balancer / gateway / app servers); its response
+     * comes back through here
+     */
+    forwardToOrigin(packet) {
+        // Never back to a CDN the request already passed
+        const origins = this.getDownstream('request').filter(node => !packet.cdnPath.includes(node));
+
+        if (origins.length === 0) {
+            this.dropPacket(packet, 'noRoute', 'No Route!');
+            return;
+        }
+
+        packet.cdnPath.push(this);
+        this.sendPacket(packet, this.sim.random.pick(nearestNodes(this, origins)));
+    }
+
+    /**
+     * Look a key up (an expired key counts as a miss and is dropped)
+     *
+     * @returns {Object|null} The entry, or null on a miss
+     */
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        if (this.ttl > 0 && this.sim.now >= entry.expiresAt) {
+            this.expirations++;
+            return null;
+        }
+
+        // Re-insert: the most recently used keys stay at the end
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Keep a key that came back from the origin (unless a newer copy is already here)
+     */
+    store(key, version) {
+        const previous = this.entries.get(key);
+        if (previous && previous.version > version) return;
+
+        if (previous) {
+            this.entries.delete(key);
+        } else {
+            while (this.entries.size > 0 && this.entries.size >= this.keyCapacity) {
+                this.entries.delete(this.entries.keys().next().value);
+                this.evictions++;
             }
         }
+
+        this.entries.set(key, { version, expiresAt: this.ttl > 0 ? this.sim.now + this.ttl : Infinity });
     }
 
     /**
-     * Redraw Shape (for upgrade visuals)
+     * Drop every key held here, so the next read of each fetches it again
+     *
+     * @returns {number} Keys dropped
      */
-    redrawShape(borderColor, strokeWidth) {
-        this.bg.clear();
-        this.drawStar(this.bg, 0, 0, 5, 35, 18, borderColor, strokeWidth);
+    purge() {
+        const count = this.entries.size;
+        this.entries.clear();
+        this.purges++;
+        this.purged += count;
+
+        this.showFloatText(`🧹 Purged ${count}`, '#ffd700');
+        this.sim.emit('cdnPurged', this, count);
+        return count;
+    }
+
+    /**
+     * Crash: the PoP comes back with nothing cached
+     */
+    crash(duration = 0) {
+        if (this.down) return;
+
+        this.entries.clear();
+        super.crash(duration);
     }
 }
@@ -1,84 +1,573 @@
 /**
  * CacheNode Class
- * 
+ *
  * Represents a cache server that speeds up data access.
- * - Diamond shape
- * - Hit/miss logic (70% hit rate by default)
+ * - Holds a bounded set of resource keys (see KeySpace): a read for a key it
+ *   holds is a hit, anything else a miss. Its hit rate comes from how many
+ *   keys fit (keyCapacity, grows with upgrades) and how skewed the traffic is
+ * - Starts empty and fills up as it goes: on a miss the app server reads the
+ *   database and stores the answer here (cache-aside), so a new or restarted
+ *   cache warms up
+ * - A full cache evicts a key to make room (LRU or LFU, see CACHE_CONFIG)
+ * - Keys expire ttl ms after they were stored
+ * - App servers delete a key they write (invalidateOnWrite); a key refilled
+ *   with an older version than the latest write is served stale
+ * - Write policy (see CACHE_CONFIG.writePolicies): write-around leaves writes
+ *   to the app server; write-through writes pass through the cache on their
+ *   way to the database and it keeps the value the database acknowledged;
+ *   write-back writes stay in the cache as dirty keys, flushed to the
+ *   database every flushInterval ms and lost if it crashes
+ * - Stampedes: misses for a key already being fetched (a hot key that
+ *   expired, a cold start) all go to the database, unless a mitigation is on
+ *   (see CACHE_CONFIG.mitigations): request coalescing, probabilistic early
+ *   refresh or stale-while-revalidate. Refreshes are background reads the
+ *   cache sends to the database itself
  * - Fast responses on cache hits
  * - Forwards cache misses back to app for database access
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { CACHE_CONFIG } from '../config/index.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class CacheNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity, speed) {
-        super(scene, x, y, name, 'cache', capacity, speed);
-        this.hitRate = CONFIG.level5?.servers?.cache?.hitRate || 0.7;
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'cache', capacity, speed);
+        this.hits = 0;          // Observed hits/misses (the node inspector shows the real hit rate)
+        this.misses = 0;
+
+        this.maxKeys = null;    // Keys it holds (null = capacity × CACHE_CONFIG.keysPerCapacity)
+        this.eviction = CACHE_CONFIG.eviction;
+        this.ttl = CACHE_CONFIG.ttl;
+        this.invalidateOnWrite = CACHE_CONFIG.invalidateOnWrite;
+        this.writePolicy = CACHE_CONFIG.writePolicy;
+        this.flushInterval = CACHE_CONFIG.flushInterval;
+        this.singleFlight = false;          // Stampede mitigations (see CACHE_CONFIG.mitigations)
+        this.earlyRefresh = false;
+        this.staleWhileRevalidate = false;
+        this.staleWindow = CACHE_CONFIG.staleWindow;
+        this.earlyRefreshWindow = CACHE_CONFIG.earlyRefreshWindow;
+
+        this.entries = new Map();   // Key -> { version, expiresAt, uses, dirty }, least recently used first
+        this.dirtyWriters = new Map();  // Dirty key -> app server whose databases it is flushed to
+        this.evictions = 0;
+        this.expirations = 0;
+        this.invalidations = 0;
+        this.staleHits = 0;     // Hits that served an older version than one already acknowledged
+        this.writes = 0;        // Writes taken (write-through and write-back)
+        this.flushes = 0;       // Dirty keys written to a database (write-back)
+        this.lostWrites = 0;    // Dirty keys lost in crashes, or evicted with nowhere to flush them
+
+        this.fetching = new Map();  // Key -> { key, startedAt, misses, waiters } while a miss or refresh is being fetched
+        this.duplicateMisses = 0;   // Misses for a key already being fetched (each one another database read)
+        this.stampedes = 0;         // Keys that got stampedeThreshold misses during one fetch
+        this.coalesced = 0;         // Misses that waited for a fetch in flight (request coalescing)
+        this.earlyRefreshes = 0;
+        this.staleServed = 0;       // Expired keys served while being refreshed (stale-while-revalidate)
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Keys the cache can hold
+     */
+    get keyCapacity() {
+        return this.maxKeys || this.capacity * CACHE_CONFIG.keysPerCapacity;
+    }
+
+    /**
+     * Switch write policy
+     * Dirty keys are flushed right away when leaving write-back.
+     *
+     * @param {string} key - CACHE_CONFIG write policy key
+     */
+    setWritePolicy(key) {
+        if (this.writePolicy === 'writeBack' && key !== 'writeBack') this.flush();
+        this.writePolicy = key;
+        this.showFloatText(CACHE_CONFIG.writePolicies[key].label, '#03a9f4');
+        this.sim.emit('cacheWritePolicyChanged', this, key);
+    }
+
+    /**
+     * Turn a stampede mitigation on or off
+     *
+     * @param {string} key - CACHE_CONFIG mitigation key
+     * @param {boolean} enabled
+     */
+    setMitigation(key, enabled) {
+        this[key] = enabled;
+        if (enabled) this.showFloatText(CACHE_CONFIG.mitigations[key].label, '#03a9f4');
+        this.sim.emit('cacheMitigationChanged', this, key, enabled);
     }
 
     /**
-     * Create Diamond Shape
+     * Does the cache take the writes of the app servers reading from it?
      */
-    createShape(w, h) {
-        this.bg = this.scene.add.graphics();
-        this.drawDiamond(this.bg, 0, 0, w * 0.9, h * 0.9);
-        this.bg.width = w * 0.9;
-        this.bg.height = h * 0.9;
-        this.bg.isGraphics = true;
+    takesWrites() {
+        return this.writePolicy === 'writeThrough' || this.writePolicy === 'writeBack';
     }
 
     /**
      * Route Packet
-     * Implements cache hit/miss logic
+     * Implements cache hit/miss logic, and takes writes (write-through / write-back)
      */
     routePacket(packet) {
+        if (packet.isWrite && packet.isResponse) {
+            // Write-through acknowledged by the database: keep the new value, then answer the app
+            this.fill(packet.resourceKey, packet.dataVersion);
+            this.forwardToApp(packet);
+            return;
+        }
+        if (packet.isResponse) {
+            // Background refresh answered by the database
+            packet.annotate('refreshed');
+            packet.destroy();
+            this.fill(packet.resourceKey, packet.dataVersion);
+            return;
+        }
+        if (packet.isWrite) {
+            this.takeWrite(packet);
+            return;
+        }
+
         // Cache receives read request from app - check for hit/miss
-        const isCacheHit = Math.random() < this.hitRate;
-        
-        if (isCacheHit) {
+        const entry = this.lookup(packet.resourceKey);
+
+        if (entry) {
             // Cache HIT - return directly to app
+            this.hits++;
             packet.isResponse = true;
             packet.isCacheHit = true;
-            
-            // Change packet color to response (gold)
-            if (packet.setFillStyle) {
-                packet.setFillStyle(CONFIG.colors.packetRes);
-            } else if (packet.setTint) {
-                packet.setTint(CONFIG.colors.packetRes);
+            packet.dataVersion = entry.version;
+
+            // Refresh a key about to expire, or serve an expired one while refreshing it
+            if (this.isExpired(entry)) {
+                this.staleServed++;
+                packet.annotate('served expired (revalidating)');
+                this.refresh(packet.resourceKey, this.getCaller(packet));
+            } else if (this.earlyRefresh && this.shouldRefreshEarly(entry)) {
+                if (this.refresh(packet.resourceKey, this.getCaller(packet))) this.earlyRefreshes++;
             }
-            
+
             // Show cache hit feedback
-            this.showFloatText('HIT', '#00ff00');
-            
+            if (this.sim.keySpace.isStale(packet.resourceKey, entry.version)) {
+                this.staleHits++;
+                packet.staleRead = true;
+                packet.annotate('cache hit (stale)');
+                this.showFloatText('STALE', '#ffcc00');
+            } else {
+                packet.annotate('cache hit');
+                this.showFloatText('HIT', '#00ff00');
+            }
+
             // Return to app
             if (packet.appNode && packet.appNode.active) {
-                sendPacketAnim(this.scene, packet, packet.appNode, this);
+                this.sendPacket(packet, packet.appNode);
             } else {
                 packet.destroy();
             }
         } else {
-            // Cache MISS - return to app so it can go to database
-            packet.cacheMissed = true;
-            
-            // Show cache miss feedback
-            this.showFloatText('MISS', '#ff6b35');
-            
-            // Return to app
-            if (packet.appNode && packet.appNode.active) {
-                sendPacketAnim(this.scene, packet, packet.appNode, this);
+            // Cache MISS - return to app so it can go to database (and fill this cache)
+            this.misses++;
+
+            // Another miss for a key already being fetched: wait for it, or stampede the database
+            const fetch = this.getFetch(packet.resourceKey);
+            if (fetch && this.singleFlight) {
+                packet.annotate('cache miss (coalesced)');
+                this.coalesced++;
+                this.waitForFetch(fetch, packet);
+                return;
+            }
+            if (fetch) {
+                this.duplicateMisses++;
+                fetch.misses++;
+                if (fetch.misses === CACHE_CONFIG.stampedeThreshold) {
+                    this.stampedes++;
+                    this.showFloatText('STAMPEDE!', '#ff0000');
+                }
             } else {
-                packet.destroy();
+                this.startFetch(packet.resourceKey);
             }
+
+            this.returnMiss(packet);
+        }
+    }
+
+    /**
+     * Send a miss back to the app server, which reads the database and fills this cache
+     */
+    returnMiss(packet) {
+        packet.annotate('cache miss');
+        packet.cacheMissed = true;
+        packet.cacheNode = this;
+
+        // Show cache miss feedback
+        this.showFloatText('MISS', '#ff6b35');
+
+        // Return to app
+        if (packet.appNode && packet.appNode.active) {
+            this.sendPacket(packet, packet.appNode);
+        } else {
+            packet.destroy();
         }
     }
 
     /**
-     * Redraw Shape (for upgrade visuals)
+     * Has the key's time to live run out? (a dirty key stays until flushed)
+     */
+    isExpired(entry) {
+        return this.ttl > 0 && this.sim.now >= entry.expiresAt && !entry.dirty;
+    }
+
+    /**
+     * Probabilistic early refresh: in the last earlyRefreshWindow ms of a key's
+     * TTL, a hit refreshes it with a chance that grows to 1 at expiry, so a
+     * hot key is refreshed once, a little early, instead of expiring under load
+     */
+    shouldRefreshEarly(entry) {
+        if (this.ttl <= 0 || entry.dirty) return false;
+
+        const remaining = entry.expiresAt - this.sim.now;
+        if (remaining >= this.earlyRefreshWindow) return false;
+        return this.sim.random.chance(1 - remaining / this.earlyRefreshWindow);
+    }
+
+    /**
+     * Fetch of the key in flight, if any (one older than fetchTimeout is given up)
+     */
+    getFetch(key) {
+        const fetch = this.fetching.get(key);
+        if (fetch && this.sim.now - fetch.startedAt >= CACHE_CONFIG.fetchTimeout) {
+            this.endFetch(key, fetch);
+            return null;
+        }
+        return fetch || null;
+    }
+
+    /**
+     * Note that the key is being fetched from the database
+     */
+    startFetch(key) {
+        const fetch = { key, startedAt: this.sim.now, misses: 1, waiters: [] };
+        this.fetching.set(key, fetch);
+        return fetch;
+    }
+
+    /**
+     * Park a coalesced miss until the fetch it joined fills the key
+     * (or is given up after fetchTimeout)
+     */
+    waitForFetch(fetch, packet) {
+        if (fetch.waiters.length === 0) {
+            const remaining = fetch.startedAt + CACHE_CONFIG.fetchTimeout - this.sim.now;
+            this.sim.clock.delayedCall(remaining, () => {
+                if (this.fetching.get(fetch.key) === fetch && !this.down) this.endFetch(fetch.key, fetch);
+            });
+        }
+        fetch.waiters.push(packet);
+        this.showFloatText('COALESCED', '#03a9f4');
+    }
+
+    /**
+     * Forget a fetch: reads still waiting for it (it failed or took too long)
+     * go to the database themselves
+     */
+    endFetch(key, fetch) {
+        if (this.fetching.get(key) === fetch) this.fetching.delete(key);
+        fetch.waiters.forEach(packet => {
+            if (packet.alive) this.returnMiss(packet);
+        });
+        fetch.waiters = [];
+    }
+
+    /**
+     * Read the key from the database in the background, so the next reads hit
+     * (early refresh, stale-while-revalidate). The answer comes back here.
+     *
+     * @param {number} key - Resource key
+     * @param {AppServerNode} app - App server whose databases are read
+     * @returns {boolean} Whether a refresh was sent (not if one is already in flight)
+     */
+    refresh(key, app) {
+        if (this.getFetch(key)) return false;
+
+        const databases = app && app.active ? app.getDownstream('miss').filter(node => node.type === 'database') : [];
+        if (databases.length === 0) return false;
+
+        this.startFetch(key);
+        const read = this.sim.createPacket({
+            isBackground: true,
+            resourceKey: key,
+            cacheNode: this,
+            location: this
+        });
+        read.startProcessing();
+        read.annotate('cache refresh');
+        this.sendPacket(read, app.selectTarget(databases));
+        return true;
+    }
+
+    /**
+     * Look a key up, dropping it if it expired
+     *
+     * @returns {Object|null} The entry, or null on a miss
+     */
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        if (this.isExpired(entry) &&
+            !(this.staleWhileRevalidate && this.sim.now < entry.expiresAt + this.staleWindow)) {
+            this.expirations++;
+            return null;
+        }
+
+        // Re-insert: the most recently used keys stay at the end
+        entry.uses++;
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store the database's answer for a key (cache-aside fill after a miss,
+     * or a refresh), and answer the reads waiting for it
+     *
+     * @param {number} key - Resource key
+     * @param {number} version - Version the database returned
      */
-    redrawShape(borderColor, strokeWidth) {
-        this.bg.clear();
-        this.drawDiamond(this.bg, 0, 0, this.bg.width, this.bg.height, borderColor, strokeWidth);
+    fill(key, version) {
+        if (!this.active || this.down || key === null) return;
+
+        // Never replace a newer value (e.g. a write that raced the read)
+        const entry = this.entries.get(key);
+        if (!entry || entry.version <= version) this.store(key, version, false);
+
+        const fetch = this.fetching.get(key);
+        if (fetch) {
+            this.fetching.delete(key);
+            this.answerWaiters(key, fetch.waiters);
+        }
+    }
+
+    /**
+     * Answer coalesced reads with the value that was just fetched
+     */
+    answerWaiters(key, waiters) {
+        const entry = this.entries.get(key);
+        waiters.forEach(packet => {
+            if (!packet.alive) return;
+
+            packet.isResponse = true;
+            packet.isCacheHit = true;
+            packet.dataVersion = entry.version;
+            packet.staleRead = this.sim.keySpace.isStale(key, entry.version);
+            if (packet.staleRead) this.staleHits++;
+            packet.annotate('cache hit (coalesced)');
+            this.forwardToApp(packet);
+        });
+    }
+
+    /**
+     * Put a value in the cache as the most recently used key
+     *
+     * @param {boolean} dirty - Not in the database yet (write-back)
+     */
+    store(key, version, dirty) {
+        const previous = this.entries.get(key);
+        if (previous) {
+            this.entries.delete(key);
+        } else {
+            while (this.entries.size > 0 && this.entries.size >= this.keyCapacity) this.evict();
+        }
+
+        this.entries.set(key, { version, expiresAt: this.sim.now + this.ttl, uses: previous ? previous.uses : 0, dirty });
+        if (!dirty) this.dirtyWriters.delete(key);
+    }
+
+    /**
+     * Take a write: pass it through to the database (its acknowledgment comes
+     * back through here), or keep it as a dirty key and acknowledge it at
+     * once (write-back)
+     */
+    takeWrite(packet) {
+        const app = this.getCaller(packet);
+        const key = packet.resourceKey;
+        this.writes++;
+
+        if (this.writePolicy === 'writeBack') {
+            // Number the new value here: from now on it is the latest one
+            packet.dataVersion = this.sim.keySpace.newVersion(key);
+            this.store(key, packet.dataVersion, true);
+            this.dirtyWriters.set(key, app);
+            packet.annotate('write-back (dirty in cache), acked');
+            packet.isResponse = true;
+            this.forwardToApp(packet);
+            return;
+        }
+
+        // Write-through: on to the database the app server writes to. A write
+        // that came through a circuit breaker is one call to it, database
+        // included, so it does not go through another breaker on the way
+        packet.annotate('write-through');
+        let targets = app && app.active ? app.getDownstream('write') : [];
+        if (packet.breaker) {
+            targets = targets.flatMap(node => (node.type === 'breaker' ? node.getDownstream('write') : [node]));
+        }
+        if (targets.length === 0) {
+            this.dropPacket(packet, 'noRoute', 'No Route!');
+            return;
+        }
+        this.sendPacket(packet, app.selectTarget(targets));
+    }
+
+    /**
+     * App server a request comes from (the caller of the circuit breaker it
+     * came through, if any)
+     */
+    getCaller(packet) {
+        return packet.breaker ? packet.breaker.caller : packet.appNode;
+    }
+
+    /**
+     * Send a response to the app server that sent the request
+     */
+    forwardToApp(packet) {
+        if (packet.appNode && packet.appNode.active) {
+            this.sendPacket(packet, packet.appNode);
+        } else {
+            packet.destroy();
+        }
+    }
+
+    /**
+     * Run the next flush after flushInterval
+     */
+    scheduleFlush() {
+        this.sim.clock.delayedCall(this.flushInterval, () => {
+            if (!this.active) return;
+            if (!this.down) this.flush();
+            this.scheduleFlush();
+        });
+    }
+
+    /**
+     * Write every dirty key to the database (write-back)
+     */
+    flush() {
+        this.entries.forEach((entry, key) => {
+            if (entry.dirty) this.flushKey(key, entry);
+        });
+    }
+
+    /**
+     * Write one dirty key to the database its writer writes to
+     * (as a background write: its user already got the acknowledgment)
+     *
+     * @returns {boolean} False if there is nowhere to write it (it stays dirty)
+     */
+    flushKey(key, entry) {
+        const app = this.dirtyWriters.get(key);
+        const targets = app && app.active ? app.getDownstream('write') : [];
+        if (targets.length === 0) return false;    // Stays dirty until there is somewhere to write it
+
+        entry.dirty = false;
+        this.dirtyWriters.delete(key);
+        this.flushes++;
+
+        const write = this.sim.createPacket({
+            isWrite: true,
+            isBackground: true,
+            resourceKey: key,
+            dataVersion: entry.version,
+            location: this
+        });
+        write.startProcessing();
+        write.annotate('write-back flush');
+        this.sendPacket(write, app.selectTarget(targets));
+        return true;
+    }
+
+    /**
+     * Keys not in the database yet
+     */
+    getDirtyCount() {
+        let dirty = 0;
+        this.entries.forEach(entry => {
+            if (entry.dirty) dirty++;
+        });
+        return dirty;
+    }
+
+    /**
+     * Make room for one key with the eviction policy
+     */
+    evict() {
+        if (this.entries.size === 0) return;
+
+        let victim = this.entries.keys().next().value;     // LRU: first in the map
+
+        if (this.eviction === 'lfu') {
+            let fewest = Infinity;
+            this.entries.forEach((entry, key) => {
+                if (entry.uses < fewest) {
+                    fewest = entry.uses;
+                    victim = key;
+                }
+            });
+        }
+
+        // A dirty key has to reach the database before it can go; with
+        // nowhere to write it, the acknowledged write is lost
+        const entry = this.entries.get(victim);
+        const lost = entry.dirty && !this.flushKey(victim, entry);
+
+        this.entries.delete(victim);
+        this.evictions++;
+
+        if (lost) {
+            this.dirtyWriters.delete(victim);
+            this.lostWrites++;
+            this.showFloatText('1 write lost', '#ff0000');
+            this.sim.recordLostWrites(this, 1);
+        }
+    }
+
+    /**
+     * An app server wrote the key: delete it so the next read goes to the database
+     */
+    invalidate(key) {
+        const entry = this.entries.get(key);
+        if (!this.invalidateOnWrite || this.down || !entry || entry.dirty) return;
+
+        this.entries.delete(key);
+
+        this.invalidations++;
+        this.showFloatText('INVALIDATED', '#03a9f4');
+    }
+
+    /**
+     * Crash
+     * The cache is in memory: it restarts empty (cold), and the dirty keys of
+     * a write-back cache - writes already acknowledged - are lost
+     */
+    crash(duration = 0) {
+        if (this.down) return;
+
+        const lost = this.getDirtyCount();
+        this.entries.clear();
+        this.dirtyWriters.clear();
+        this.lostWrites += lost;
+
+        // Reads waiting for a fetch are lost with the cache
+        const waiting = [];
+        this.fetching.forEach(fetch => waiting.push(...fetch.waiters));
+        this.fetching.clear();
+
+        super.crash(duration);
+        waiting.forEach(packet => {
+            if (packet.alive) this.dropPacket(packet, 'nodeDown', 'Down!');
+        });
+        if (lost > 0) this.showFloatText(`${lost} writes lost`, '#ff0000');
+        this.sim.recordLostWrites(this, lost);
     }
 }
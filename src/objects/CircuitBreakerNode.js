@@ -0,0 +1,263 @@
+/**
+ * CircuitBreakerNode Class
+ *
+ * Circuit breaker between app servers and a data store (database, read
+ * replica or cache). It forwards each call to the store behind it and
+ * watches how the calls end:
+ * - closed:    calls go through; their outcomes are counted over a sliding
+ *              window, and once failureThreshold of at least minimumCalls
+ *              calls failed the breaker opens
+ * - open:      calls fail fast ('Circuit Open!') without reaching the store,
+ *              which gets openDuration ms to recover - unless the app server
+ *              has another route for them (its fallback, see Topology)
+ * - half-open: halfOpenCalls trial calls go through; if they all succeed the
+ *              breaker closes, if one fails it opens again (as it does if
+ *              they have not all come back after another openDuration ms)
+ *
+ * A call fails when it is dropped anywhere behind the breaker (the packet
+ * carries the call in packet.breaker, see ProcessingNode.dropPacket) and
+ * succeeds when the answer comes back through the breaker.
+ * Defaults come from BREAKER_CONFIG; levels can set them per node in its props.
+ */
+
+import { BREAKER_CONFIG } from '../config/index.js';
+import { ProcessingNode } from './ProcessingNode.js';
+
+export class CircuitBreakerNode extends ProcessingNode {
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'breaker', capacity, speed);
+
+        this.window = BREAKER_CONFIG.window;
+        this.minimumCalls = BREAKER_CONFIG.minimumCalls;
+        this.failureThreshold = BREAKER_CONFIG.failureThreshold;
+        this.openDuration = BREAKER_CONFIG.openDuration;
+        this.halfOpenCalls = BREAKER_CONFIG.halfOpenCalls;
+
+        this.state = 'closed';      // 'closed', 'open' or 'halfOpen'
+        this.outcomes = [];         // { time, failed } of calls that ended in closed state, oldest first
+        this.openTimer = null;
+        this.trialTimer = null;     // Half-open: gives up on trial calls that never come back
+        this.trialsSent = 0;        // Half-open: trial calls let through
+        this.trialsPassed = 0;      // Half-open: trial calls that succeeded
+        this.rejected = 0;          // Calls turned away (failed fast or sent to the fallback)
+        this.trips = 0;             // Times the breaker opened
+    }
+
+    /**
+     * Receive Packet
+     * Answers coming back always pass; new calls only if the breaker allows them
+     */
+    receivePacket(packet) {
+        if (packet.appNode !== this) {
+            const trial = this.state === 'halfOpen';
+            if (!this.allowCall()) {
+                this.rejected++;
+                this.rejectCall(packet);
+                return;
+            }
+
+            packet.breaker = { node: this, caller: packet.appNode, trial };
+        }
+
+        super.receivePacket(packet);
+    }
+
+    /**
+     * Route Packet
+     * Calls go to the store wired for the role the app server picked
+     * (packet.dataRole), writes to the write-through / write-back cache it
+     * picked (packet.cacheNode); answers go back to the app server that made
+     * the call
+     */
+    routePacket(packet) {
+        if (packet.appNode === this) {
+            this.finishCall(packet);
+            return;
+        }
+
+        const targets = packet.isWrite && packet.cacheNode
+            ? this.getDownstream('read').filter(node => node === packet.cacheNode)
+            : this.getDownstream(packet.dataRole);
+
+        if (targets.length === 0) {
+            this.dropPacket(packet, 'noRoute', 'No Route!');
+            return;
+        }
+
+        packet.appNode = this;
+        this.sendPacket(packet, this.sim.random.pick(targets));
+    }
+
+    /**
+     * Would a new call be let through? (no side effects, used for routing)
+     */
+    isTakingCalls() {
+        return this.state === 'closed' || (this.state === 'halfOpen' && this.trialsSent < this.halfOpenCalls);
+    }
+
+    /**
+     * Can a new call go through? Counts the trial calls in half-open state.
+     */
+    allowCall() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open') return false;
+
+        if (this.trialsSent >= this.halfOpenCalls) return false;
+        this.trialsSent++;
+        return true;
+    }
+
+    /**
+     * Turn a call away: pass it to the caller's fallback route if it has one
+     * (calls already on their way when the breaker opened), else fail it fast
+     */
+    rejectCall(packet) {
+        const caller = packet.appNode;
+        const fallback = caller && caller.active
+            ? caller.getDownstream(packet.dataRole).filter(node => node !== this)
+            : [];
+
+        if (fallback.length === 0) {
+            this.dropPacket(packet, 'circuitOpen', 'Circuit Open!');
+            return;
+        }
+
+        // A write meant for the cache behind the breaker goes around it instead
+        if (packet.isWrite) packet.cacheNode = null;
+
+        packet.annotate('circuit open, fallback');
+        this.sendPacket(packet, this.sim.random.pick(fallback));
+    }
+
+    /**
+     * An answer came back: the call succeeded
+     */
+    finishCall(packet) {
+        const call = packet.breaker;
+        packet.breaker = null;
+        packet.appNode = call ? call.caller : null;
+
+        if (call) {
+            this.recordOutcome(call, false);
+        }
+
+        if (packet.appNode && packet.appNode.active) {
+            this.sendPacket(packet, packet.appNode);
+        } else {
+            packet.destroy();
+        }
+    }
+
+    /**
+     * A call was dropped behind (or in) the breaker (see ProcessingNode.dropPacket)
+     */
+    recordFailure(packet) {
+        const call = packet.breaker;
+        packet.breaker = null;
+        this.recordOutcome(call, true);
+    }
+
+    /**
+     * Count a call outcome and change state if it calls for it
+     *
+     * @param {Object} call - The call ({ node, caller, trial })
+     * @param {boolean} failed
+     */
+    recordOutcome(call, failed) {
+        if (this.state === 'halfOpen') {
+            // Calls let through before the breaker opened do not decide anything
+            if (!call.trial) return;
+
+            if (failed) {
+                this.open();
+            } else if (++this.trialsPassed >= this.halfOpenCalls) {
+                this.close();
+            }
+            return;
+        }
+
+        if (this.state === 'open') return;
+
+        this.outcomes.push({ time: this.sim.now, failed });
+
+        const { calls, failureRatio } = this.getWindowStats();
+        if (calls >= this.minimumCalls && failureRatio >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    /**
+     * Calls and failure ratio over the sliding window
+     *
+     * @returns {Object} { calls, failures, failureRatio }
+     */
+    getWindowStats() {
+        const since = this.sim.now - this.window;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < since) {
+            this.outcomes.shift();
+        }
+
+        const failures = this.outcomes.filter(outcome => outcome.failed).length;
+        const calls = this.outcomes.length;
+
+        return { calls, failures, failureRatio: calls > 0 ? failures / calls : 0 };
+    }
+
+    /**
+     * Open: fail fast, then try again after openDuration
+     */
+    open() {
+        this.trips++;
+        this.outcomes = [];
+        this.clearTrialTimer();
+        this.setState('open', 'Circuit Open!', '#ff4444');
+
+        if (this.openTimer) this.openTimer.remove();
+        this.openTimer = this.sim.clock.delayedCall(this.openDuration, () => {
+            this.openTimer = null;
+            this.halfOpen();
+        });
+    }
+
+    /**
+     * Half-open: let trial calls through. A trial that is lost without an
+     * outcome (its store was removed) would hold its slot for good, so the
+     * breaker opens again if the trials have not all come back in time.
+     */
+    halfOpen() {
+        this.trialsSent = 0;
+        this.trialsPassed = 0;
+        this.setState('halfOpen', 'Half-Open', '#ffcc00');
+
+        this.trialTimer = this.sim.clock.delayedCall(this.openDuration, () => {
+            this.trialTimer = null;
+            if (this.state === 'halfOpen' && this.trialsSent >= this.halfOpenCalls) this.open();
+        });
+    }
+
+    /**
+     * Stop waiting for trial calls
+     */
+    clearTrialTimer() {
+        if (this.trialTimer) this.trialTimer.remove();
+        this.trialTimer = null;
+    }
+
+    /**
+     * Close: the store answers again
+     */
+    close() {
+        this.outcomes = [];
+        this.clearTrialTimer();
+        this.setState('closed', 'Circuit Closed', '#00ff00');
+    }
+
+    /**
+     * Change state and tell the views
+     */
+    setState(state, label, color) {
+        this.state = state;
+        this.showFloatText(label, color);
+        this.sim.emit('breakerStateChanged', this, state);
+    }
+}
@@ -2,58 +2,39 @@
  * DatabaseNode Class
  * 
  * Represents a database server that stores and retrieves data.
- * - Cylinder shape
  * - Manages data storage (write operations increase storage)
  * - Performance degrades as storage grows
- * - Visual storage fill indicator
- * - Routes responses back to app servers
+ * - Writes store a new version of their key, reads return the version it
+ *   holds (stale while a write-back cache has not flushed a newer one, see KeySpace)
+ * - Routes responses back to app servers (write-through writes via their
+ *   cache, cache refreshes to their cache)
+ * - A primary copies its writes to the read replicas it is linked to
+ *   ('replication' edges): asynchronously, each replica applies a write
+ *   replicationLag ms later and returns the previous version until then;
+ *   synchronously, the replicas apply it at once and the primary answers
+ *   the write once they confirmed (see REPLICATION_CONFIG)
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { REPLICATION_CONFIG } from '../config/index.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class DatabaseNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity, speed) {
-        super(scene, x, y, name, 'database', capacity, speed);
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'database', capacity, speed);
         this.databaseStorage = 0;
+        this.isReplica = false;     // Read replicas only take reads (see Topology.inferLink)
+        this.replicationMode = REPLICATION_CONFIG.mode;    // How a primary replicates its writes
+        this.replicationLag = REPLICATION_CONFIG.lag;      // ms a replica applies an asynchronous write after the primary
+        this.behind = new Map();    // Replica: key -> { version, pending } for keys with writes not applied yet
+        this.replicated = 0;        // Replica: writes applied from the primary
+        this.staleServed = 0;       // Replica: reads answered with an older version than the primary's
     }
 
     /**
-     * Create Cylinder Shape
+     * Upgrade kind - read replicas have their own upgrade tiers
      */
-    createShape(w, h) {
-        this.bg = this.scene.add.graphics();
-        this.drawCylinder(this.bg, 0, 0, w, h);
-        this.bg.width = w;
-        this.bg.height = h;
-        this.bg.isGraphics = true;
-    }
-
-    /**
-     * Create Database-Specific UI
-     * Adds storage fill indicator and storage text
-     */
-    createTypeSpecificUI() {
-        super.createTypeSpecificUI();
-        
-        const w = this.bg.width;
-        const h = this.bg.height;
-        
-        // Create visual fill indicator (cyan rectangle that grows from bottom upward)
-        this.storageFill = this.scene.add.rectangle(0, h/2 - 5, w, 5, 0x00ffff, 0.5);
-        this.storageFill.setOrigin(0.5, 0);
-        
-        // Create text display showing current storage amount
-        this.storageText = this.scene.add.text(w/2 + 15, 0, 'Data: 0', {
-            fontSize: '14px',
-            color: '#00ff00',
-            fontStyle: 'bold',
-            backgroundColor: '#000000',
-            padding: { x: 4, y: 2 }
-        }).setOrigin(0, 0.5);
-        
-        this.add([this.storageFill, this.storageText]);
+    getUpgradeKind() {
+        return this.isReplica ? 'readReplica' : 'database';
     }
 
     /**
@@ -66,105 +47,119 @@ export class DatabaseNode extends ProcessingNode {
             this.databaseStorage += 1;
             
             // Also update global counter for UI display
-            GameState.databaseStorage += 1;
+            this.sim.stats.databaseStorage += 1;
             
             // Update THIS database's processing speed based on its own storage
             // As storage grows, operations become slower
             this.speed = Math.floor(this.baseSpeed * (1 + this.databaseStorage / 100));
             
-            // Update the visual storage fill indicator
-            this.updateStorageFill();
-            
             // Show visual feedback for write operation
             this.showFloatText('+1 Data', '#ff6b35');
         }
+
+        let replicas = [];
+        if (packet.resourceKey !== null) {
+            const keySpace = this.sim.keySpace;
+            if (packet.isWrite) {
+                const previous = keySpace.version(packet.resourceKey);
+                packet.dataVersion = keySpace.write(packet.resourceKey, packet.dataVersion);
+                replicas = this.replicate(packet.resourceKey, previous, packet.dataVersion);
+            } else {
+                packet.dataVersion = this.versionOf(packet.resourceKey);
+                packet.staleRead = keySpace.isStale(packet.resourceKey, packet.dataVersion);
+                if (this.isReplica && packet.dataVersion < keySpace.version(packet.resourceKey)) {
+                    this.staleServed++;
+                    this.showFloatText('STALE', '#ffcc00');
+                }
+            }
+        }
         
+        packet.annotate(packet.isWrite ? 'write' : (this.isReplica ? 'read (replica)' : 'read'));
         packet.isResponse = true;
         
-        // Change packet color to response (gold)
-        if (packet.setFillStyle) {
-            packet.setFillStyle(CONFIG.colors.packetRes);
-        } else if (packet.clear) {
-            // Graphics packets (diamonds) - need to redraw with new color
-            packet.clear();
-            packet.fillStyle(CONFIG.colors.packetRes, 1);
-            const size = 6;
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-        } else if (packet.setTint) {
-            packet.setTint(CONFIG.colors.packetRes);
+        // A synchronous write is answered once its replicas confirmed it
+        if (replicas.length > 0 && this.replicationMode === 'sync') {
+            packet.annotate(`replicated to ${replicas.length} (sync)`);
+            this.sim.clock.delayedCall(REPLICATION_CONFIG.syncDelay, () => {
+                if (packet.alive) this.reply(packet);
+            });
+            return;
         }
-        
-        // Always send back to the app that forwarded this request
-        if (packet.appNode && packet.appNode.active) {
-            sendPacketAnim(this.scene, packet, packet.appNode, this);
+        this.reply(packet);
+    }
+
+    /**
+     * Send a processed request back to whoever is waiting for it
+     */
+    reply(packet) {
+        // Send back to the app that forwarded this request (write-through writes and
+        // cache refreshes go back to their cache, which keeps the new value)
+        const replyTo = packet.cacheNode && (packet.isWrite || packet.isBackground) ? packet.cacheNode : packet.appNode;
+        if (replyTo && replyTo.active) {
+            this.sendPacket(packet, replyTo);
         } else {
             packet.destroy();
         }
     }
 
     /**
-     * Update Storage Fill Indicator
+     * Version of a key this database returns (a replica can be behind the primary)
      */
-    updateStorageFill() {
-        if (!this.storageText) {
-            return;
-        }
+    versionOf(key) {
+        const lagging = this.behind.get(key);
+        return lagging ? lagging.version : this.sim.keySpace.version(key);
+    }
 
-        // Update the storage text display with THIS database's storage
-        this.storageText.setText('Data: ' + this.databaseStorage);
-        
-        // Change color based on storage amount for visual feedback
-        if (this.databaseStorage < 20) {
-            this.storageText.setColor('#00ff00');  // Green - low storage
-        } else if (this.databaseStorage < 50) {
-            this.storageText.setColor('#ffff00');  // Yellow - medium storage
-        } else if (this.databaseStorage < 80) {
-            this.storageText.setColor('#ff6b35');  // Orange - high storage
+    /**
+     * Copy a write to the read replicas linked to this primary
+     *
+     * @param {number} key - Resource key
+     * @param {number} previous - Version the replicas held before the write
+     * @param {number} version - Version written
+     * @returns {Array<DatabaseNode>} Replicas the write was copied to
+     */
+    replicate(key, previous, version) {
+        if (this.isReplica) return [];
+
+        const replicas = this.sim.topology.getTargets(this.key, 'replication').filter(node => node.isReplica);
+        replicas.forEach(replica => {
+            if (this.replicationMode === 'sync') {
+                replica.applyReplicated(key, version);
+                return;
+            }
+
+            replica.markBehind(key, previous);
+            this.sim.clock.delayedCall(replica.replicationLag, () => replica.applyReplicated(key, version, true));
+        });
+        return replicas;
+    }
+
+    /**
+     * Replica: a write to the key is on its way, keep returning what it held
+     */
+    markBehind(key, previous) {
+        const lagging = this.behind.get(key);
+        if (lagging) {
+            lagging.pending++;
         } else {
-            this.storageText.setColor('#ff0000');  // Red - very high storage
-        }
-        
-        // Update the visual fill indicator
-        const maxStorage = 100;
-        const fillRatio = Math.min(this.databaseStorage / maxStorage, 1);
-        const maxHeight = this.bg.height;
-        const newHeight = Math.max(5, maxHeight * fillRatio);
-        
-        // Calculate new Y position to grow upward from bottom
-        const newY = (this.bg.height / 2) - newHeight;
-        
-        // Determine fill color based on storage amount
-        let fillColor = 0x00ffff;  // Cyan - low storage
-        if (fillRatio >= 0.8) {
-            fillColor = 0xff0000;  // Red - very high storage
-        } else if (fillRatio >= 0.5) {
-            fillColor = 0xff6b35;  // Orange - high storage
-        } else if (fillRatio >= 0.2) {
-            fillColor = 0xffff00;  // Yellow - medium storage
+            this.behind.set(key, { version: previous, pending: 1 });
         }
-        
-        // Animate both height, Y position, and fill color smoothly
-        this.scene.tweens.add({
-            targets: this.storageFill,
-            height: newHeight,
-            y: newY,
-            fillColor: fillColor,
-            duration: 300,
-            ease: 'Power2'
-        });
     }
 
     /**
-     * Redraw Shape (for upgrade visuals)
+     * Replica: apply a write the primary took
+     *
+     * @param {boolean} pending - The write was marked behind (asynchronous replication)
      */
-    redrawShape(borderColor, strokeWidth) {
-        this.bg.clear();
-        this.drawCylinder(this.bg, 0, 0, this.bg.width, this.bg.height, borderColor, strokeWidth);
+    applyReplicated(key, version, pending = false) {
+        this.replicated++;
+
+        const lagging = this.behind.get(key);
+        if (!lagging) return;
+
+        // Synchronous writes and the last pending one bring the key up to date
+        lagging.version = Math.max(lagging.version, version);
+        if (pending) lagging.pending--;
+        if (!pending || lagging.pending <= 0) this.behind.delete(key);
     }
 }
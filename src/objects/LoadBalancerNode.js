@@ -1,92 +1,191 @@
 /**
  * LoadBalancerNode Class
  * 
- * Represents a load balancer that distributes traffic intelligently.
- * - Hexagon shape
- * - Monitors all app servers
- * - Selects least loaded server for each request
- * - Routes responses back to users
+ * Represents a load balancer that distributes traffic across app servers.
+ * - Monitors the app servers wired behind it
+ * - Picks one per request with its load balancing strategy (least load ratio
+ *   by default; see LoadBalancingStrategy), which can be switched mid-run
+ * - Counts the requests sent to each app server since the strategy was set
+ *   (the inspector's distribution histogram)
+ * - Health checks its app servers periodically: a server that fails
+ *   unhealthyThreshold checks in a row is taken out of rotation, and put back
+ *   after healthyThreshold passed checks. Until then requests sent to a crashed
+ *   server are lost; with every server out of rotation requests fail ('503')
+ * - Routes responses back to users (through the CDN edges they came from)
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { LOAD_BALANCER_CONFIG } from '../config/index.js';
+import { LoadBalancingStrategy } from '../simulation/LoadBalancingStrategy.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class LoadBalancerNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity, speed) {
-        super(scene, x, y, name, 'loadbalancer', capacity, speed);
+    constructor(sim, x, y, name, capacity, speed) {
+        super(sim, x, y, name, 'loadbalancer', capacity, speed);
+
+        this.strategy = LOAD_BALANCER_CONFIG.defaultStrategy;  // Strategy key (levels can set it in props)
+        this.balancer = null;       // LoadBalancingStrategy for this.strategy, created on first use
+        this.distribution = {};     // App server key -> requests sent since the strategy was set
+
+        const healthCheck = LOAD_BALANCER_CONFIG.healthCheck;
+        this.healthCheck = healthCheck.enabled;
+        this.healthCheckInterval = healthCheck.interval;
+        this.unhealthyThreshold = healthCheck.unhealthyThreshold;
+        this.healthyThreshold = healthCheck.healthyThreshold;
+        this.health = {};           // App server key -> { healthy, failures, passes } (checks in a row)
+        this.healthChecks = 0;      // Checks run
+        this.failovers = 0;         // Times an app server was taken out of rotation
+
+        this.scheduleHealthCheck();
+    }
+
+    /**
+     * Switch load balancing strategy
+     * Sticky sessions and counts start over with the new strategy.
+     *
+     * @param {string} key - LOAD_BALANCER_CONFIG strategy key
+     */
+    setStrategy(key) {
+        this.balancer = new LoadBalancingStrategy(key);
+        this.strategy = key;
+        this.distribution = {};
+        this.showFloatText(this.balancer.label, '#9c27b0');
+        this.sim.emit('loadBalancerStrategyChanged', this, this.balancer);
+    }
+
+    /**
+     * Strategy in use (follows this.strategy if it was set directly, e.g. from level props)
+     */
+    getBalancer() {
+        if (!this.balancer || this.balancer.key !== this.strategy) {
+            this.balancer = new LoadBalancingStrategy(this.strategy);
+        }
+        return this.balancer;
+    }
+
+    /**
+     * Turn health checks on or off
+     * Every app server starts healthy again.
+     *
+     * @param {boolean} enabled
+     */
+    setHealthCheck(enabled) {
+        this.healthCheck = enabled;
+        this.health = {};
+        this.sim.emit('backendHealthChanged', this, null, true);
+    }
+
+    /**
+     * Run the next round of health checks after healthCheckInterval
+     */
+    scheduleHealthCheck() {
+        this.sim.clock.delayedCall(this.healthCheckInterval, () => {
+            if (!this.active) return;
+            if (this.healthCheck && !this.down) this.checkHealth();
+            this.scheduleHealthCheck();
+        });
+    }
+
+    /**
+     * Check every app server once (a crashed or partitioned one fails)
+     */
+    checkHealth() {
+        this.getDownstream('request').forEach(server => {
+            const health = this.getHealth(server);
+            this.healthChecks++;
+
+            if (!this.sim.isReachable(this, server)) {
+                health.failures++;
+                health.passes = 0;
+                if (health.healthy && health.failures >= this.unhealthyThreshold) {
+                    this.setServerHealth(server, health, false);
+                }
+            } else {
+                health.passes++;
+                health.failures = 0;
+                if (!health.healthy && health.passes >= this.healthyThreshold) {
+                    this.setServerHealth(server, health, true);
+                }
+            }
+        });
+    }
+
+    /**
+     * Take an app server out of rotation or put it back
+     */
+    setServerHealth(server, health, healthy) {
+        health.healthy = healthy;
+        if (!healthy) this.failovers++;
+
+        this.showFloatText(healthy ? `${server.name} back` : `${server.name} out`, healthy ? '#00ff00' : '#ff4444');
+        this.sim.emit('backendHealthChanged', this, server, healthy);
+    }
+
+    /**
+     * Health record of an app server (new ones start healthy)
+     */
+    getHealth(server) {
+        if (!this.health[server.key]) {
+            this.health[server.key] = { healthy: true, failures: 0, passes: 0 };
+        }
+        return this.health[server.key];
     }
 
     /**
-     * Create Hexagon Shape
+     * Health state of an app server as seen by the checks, for drawing
+     *
+     * @returns {string|null} 'healthy', 'failing', 'unhealthy' or 'recovering';
+     *                        null with health checks off
      */
-    createShape(w, h) {
-        this.bg = this.scene.add.graphics();
-        this.drawHexagon(this.bg, 0, 0, 40);
-        this.bg.width = 80;
-        this.bg.height = 80;
-        this.bg.isGraphics = true;
+    getServerHealth(server) {
+        if (!this.healthCheck) return null;
+
+        const health = this.getHealth(server);
+        if (health.healthy) return health.failures > 0 ? 'failing' : 'healthy';
+        return health.passes > 0 ? 'recovering' : 'unhealthy';
+    }
+
+    /**
+     * Is the app server in rotation? (always, with health checks off)
+     */
+    isInRotation(server) {
+        return !this.healthCheck || this.getHealth(server).healthy;
     }
 
     /**
      * Route Packet
-     * Implements intelligent load balancing
+     * Sends requests to the app server the strategy picks among those in rotation
      */
     routePacket(packet) {
-        // LoadBalancer receives request - intelligently route to least loaded app server
+        // LoadBalancer receives request - route to the app server picked by the strategy
         if (!packet.isResponse) {
-            // Find all available app servers
-            const appServers = Object.keys(GameState.nodes)
-                .filter(key => key.startsWith('App'))
-                .map(key => GameState.nodes[key])
-                .filter(app => app && app.active);
+            // Find all available app servers wired behind this load balancer
+            const appServers = this.getDownstream('request');
             
-            if (appServers.length > 0) {
-                // Select app server with lowest current load (intelligent load balancing)
-                let selectedServer = appServers[0];
-                let lowestLoadRatio = selectedServer.currentLoad / selectedServer.capacity;
-                
-                for (let i = 1; i < appServers.length; i++) {
-                    const server = appServers[i];
-                    const loadRatio = server.currentLoad / server.capacity;
-                    if (loadRatio < lowestLoadRatio) {
-                        lowestLoadRatio = loadRatio;
-                        selectedServer = server;
-                    }
-                }
-                
-                // Debug logging to verify load balancing is working
-                console.log('Load Balancer routing decision:');
-                appServers.forEach(server => {
-                    const ratio = (server.currentLoad / server.capacity * 100).toFixed(1);
-                    const isSelected = server === selectedServer;
-                    console.log(`  ${server.name}: ${server.currentLoad}/${server.capacity} (${ratio}%) ${isSelected ? '← SELECTED' : ''}`);
-                });
+            const inRotation = appServers.filter(server => this.isInRotation(server));
+            
+            if (appServers.length > 0 && inRotation.length === 0) {
+                this.dropPacket(packet, 'noHealthyServer', '503');
+            } else if (appServers.length > 0) {
+                const balancer = this.getBalancer();
+                const selectedServer = balancer.select(inRotation, packet, this.sim.random);
+                this.distribution[selectedServer.key] = (this.distribution[selectedServer.key] || 0) + 1;
                 
                 // Show visual feedback on load balancer
-                const serverNum = selectedServer.name.includes('1') ? '1' : '2';
-                this.showFloatText(`→ App ${serverNum}`, '#9c27b0');
+                this.showFloatText(`→ ${selectedServer.name}`, '#9c27b0');
                 
-                sendPacketAnim(this.scene, packet, selectedServer, this);
+                this.sendPacket(packet, selectedServer);
             } else {
                 packet.destroy();
             }
         }
         // LoadBalancer receives response - forward back to original user
         else {
-            if (packet.sourceNode && packet.sourceNode.active) {
-                sendPacketAnim(this.scene, packet, packet.sourceNode, this);
+            const target = packet.returnNode;
+            if (target && target.active) {
+                this.sendPacket(packet, target);
             } else {
                 packet.destroy();
             }
         }
     }
-
-    /**
-     * Redraw Shape (for upgrade visuals)
-     */
-    redrawShape(borderColor, strokeWidth) {
-        this.bg.clear();
-        this.drawHexagon(this.bg, 0, 0, 40, borderColor, strokeWidth);
-    }
 }
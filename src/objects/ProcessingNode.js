@@ -1,154 +1,212 @@
 /**
  * ProcessingNode Class (Abstract)
- * 
- * Extends BaseNode to add capacity management and load visualization.
+ *
+ * Extends BaseNode to add capacity management.
  * Base class for all processing nodes (App, Database, Cache, CDN, LoadBalancer).
+ *
+ * Like a real server's accept backlog, requests that arrive while the node is
+ * at capacity (its concurrency limit) wait in a bounded queue:
+ * - `queueSize` requests can wait; beyond that they are rejected ('Queue Full!')
+ * - A request that waits longer than `timeout` ms is dropped ('Timeout')
+ * - Waiting requests are started in arrival order as processing slots free up
+ * Defaults come from ECONOMICS_CONFIG.initialValues; levels can set them per node.
+ *
+ * A node can crash (injected failure): the requests it was processing or
+ * holding are lost, and packets arriving while it is down are dropped
+ * ('Down!', see Simulation.transmit) until it restarts. Chaos events can
+ * also slow it down (`slowdown` multiplies its processing time).
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { updateUI, checkGameEnd } from '../utils/uiManager.js';
+import { ECONOMICS_CONFIG } from '../config/index.js';
 import { BaseNode } from './BaseNode.js';
 
 export class ProcessingNode extends BaseNode {
-    constructor(scene, x, y, name, type, capacity, speed) {
-        super(scene, x, y, name, type, capacity, speed);
-    }
+    constructor(sim, x, y, name, type, capacity, speed) {
+        super(sim, x, y, name, type, capacity, speed);
+        this.processed = 0;     // Packets that finished processing here
+        this.dropped = 0;       // Packets dropped here (full, no route...)
+        this.timedOut = 0;      // Packets that timed out in the wait queue
 
-    /**
-     * Create Type-Specific UI
-     * Adds capacity bar and level badge
-     */
-    createTypeSpecificUI() {
-        const w = this.bg.width || 80;
-        const h = this.bg.height || 60;
-        
-        // Load bar background
-        this.barBg = this.scene.add.rectangle(0, h/2 + 10, w, 6, 0x000000).setOrigin(0.5);
-        
-        // Load bar foreground
-        this.barFg = this.scene.add.rectangle(-w/2, h/2 + 10, 0, 6, 0x00ff00).setOrigin(0, 0.5);
-        
-        // Capacity text
-        this.capacityText = this.scene.add.text(0, h/2 + 20, '0/' + this.capacity, {
-            fontSize: '10px',
-            color: '#ffffff',
-            fontFamily: 'Arial'
-        }).setOrigin(0.5, 0);
-        
-        // Level badge
-        this.levelText = this.scene.add.text(w/2 + 5, -h/2, 'Lv.1', { 
-            fontSize: '10px', 
-            color: '#ffd700', 
-            fontStyle: 'bold' 
-        }).setOrigin(0, 0.5);
-        
-        // Server capacity info (for app servers only)
-        if (this.type === 'app') {
-            this.serverInfoText = this.scene.add.text(w/2 + 10, 0, 
-                `Capacity: ${this.capacity}\nSpeed: ${this.speed}ms`, 
-                {
-                    fontSize: '11px',
-                    color: '#4fc1ff',
-                    fontFamily: 'Courier New',
-                    align: 'left'
-                }
-            ).setOrigin(0, 0.5);
-            
-            this.add([this.serverInfoText]);
-        }
-        
-        this.add([this.barBg, this.barFg, this.capacityText, this.levelText]);
+        this.waitQueue = [];    // { packet, timer } waiting for a processing slot, oldest first
+        this.queueSize = ECONOMICS_CONFIG.initialValues.queueSize;
+        this.timeout = ECONOMICS_CONFIG.initialValues.requestTimeout;
+
+        this.inProgress = new Set();    // { packet, timer } being processed
+        this.down = false;              // Crashed, not accepting packets
+        this.crashes = 0;               // Times the node crashed
+        this.restartTimer = null;
+        this.slowdown = 1;              // Processing time multiplier (chaos slowdown)
     }
 
     /**
      * Receive Packet
-     * Handles capacity management and processing
+     * Processes the packet now if there is a free slot, otherwise queues it
      */
     receivePacket(packet) {
-        if (GameState.isGameOver) { 
-            packet.destroy(); 
-            return; 
+        if (this.currentLoad < this.capacity) {
+            this.startPacket(packet);
+            return;
         }
 
-        // Check capacity
-        if (this.currentLoad >= this.capacity) {
+        // At capacity: wait in the queue if there is room
+        if (this.waitQueue.length >= this.queueSize) {
             this.flashRed();
-            this.dropPacket(packet);
+            this.dropPacket(packet, 'queueFull', 'Queue Full!');
             return;
         }
 
-        // Accept packet
+        packet.annotate('queued');
+        const entry = { packet, timer: null };
+        entry.timer = this.sim.clock.delayedCall(this.timeout, () => this.expire(entry));
+        this.waitQueue.push(entry);
+    }
+
+    /**
+     * Take a processing slot and process the packet
+     */
+    startPacket(packet) {
         this.currentLoad++;
-        this.updateVisuals();
-        this.startProcessing();
+        this.sim.metrics.recordArrival(this);
+        packet.startProcessing();
 
         // Process after delay
-        this.scene.time.delayedCall(this.speed, () => {
+        const entry = { packet, timer: null };
+        entry.timer = this.sim.clock.delayedCall(this.getProcessingTime(packet) * this.slowdown, () => {
+            this.inProgress.delete(entry);
             this.currentLoad--;
-            this.stopProcessing();
-            this.updateVisuals();
+            this.processed++;
             this.routePacket(packet);
+            this.startWaiting();
         });
+        this.inProgress.add(entry);
     }
 
     /**
-     * Drop Packet
+     * Time (ms) it takes to process a packet (subclasses can add per-packet work)
      */
-    dropPacket(packet) {
-        if (packet.sourceNode && packet.sourceNode.active) {
-            packet.sourceNode.recordError();
+    getProcessingTime(packet) {
+        return this.speed;
+    }
+
+    /**
+     * Start waiting packets while there are free slots
+     */
+    startWaiting() {
+        while (this.waitQueue.length > 0 && this.currentLoad < this.capacity) {
+            const entry = this.waitQueue.shift();
+            entry.timer.remove();
+
+            if (entry.packet.alive) {
+                this.startPacket(entry.packet);
+            }
         }
-        
-        packet.destroy();
-        
-        GameState.errors++;
-        GameState.total++;
-        
-        updateUI();
-        checkGameEnd(this.scene);
-        
-        this.showFloatText('Timeout', '#ff0000');
     }
 
     /**
-     * Update Visual Elements
+     * A packet waited too long in the queue
+     */
+    expire(entry) {
+        const index = this.waitQueue.indexOf(entry);
+        if (index === -1) return;
+
+        this.waitQueue.splice(index, 1);
+        this.timedOut++;
+        this.flashRed();
+        this.dropPacket(entry.packet, 'timeout', 'Timeout');
+    }
+
+    /**
+     * Crash the node
+     * Requests being processed or waiting are dropped; the node restarts on
+     * its own after `duration` ms, or when restart() is called if no duration
+     *
+     * @param {number} duration - Downtime (ms), 0 to stay down
+     */
+    crash(duration = 0) {
+        if (this.down) return;
+
+        this.down = true;
+        this.crashes++;
+
+        const lost = [...this.inProgress, ...this.waitQueue];
+        this.inProgress.clear();
+        this.waitQueue = [];
+        this.currentLoad = 0;
+
+        this.flashRed();
+        this.showFloatText('💥 Crashed!', '#ff0000');
+        lost.forEach(entry => {
+            entry.timer.remove();
+            if (entry.packet.alive) this.dropPacket(entry.packet, 'nodeDown', 'Down!');
+        });
+
+        if (duration > 0) {
+            this.restartTimer = this.sim.clock.delayedCall(duration, () => this.restart());
+        }
+        this.sim.emit('nodeCrashed', this);
+    }
+
+    /**
+     * Bring a crashed node back up (empty: nothing it held survived)
      */
-    updateVisuals() {
-        const ratio = Math.min(this.currentLoad / this.capacity, 1);
-        
-        this.barFg.width = this.bg.width * ratio;
-        this.barFg.fillColor = this.getLoadColor(ratio);
-        
-        this.capacityText.setText(this.currentLoad + '/' + this.capacity);
-        
-        if (ratio < 0.5) {
-            this.capacityText.setColor('#00ff00');
-        } else if (ratio < 0.9) {
-            this.capacityText.setColor('#ffff00');
-        } else {
-            this.capacityText.setColor('#ff0000');
+    restart() {
+        if (!this.down) return;
+
+        if (this.restartTimer) {
+            this.restartTimer.remove();
+            this.restartTimer = null;
         }
-        
-        // Update server info display if exists (for app servers)
-        this.updateServerInfo();
+        this.down = false;
+        this.showFloatText('Restarted', '#00ff00');
+        this.sim.emit('nodeRestarted', this);
     }
-    
+
     /**
-     * Update Server Info Display
-     * Updates the capacity and speed display on the right side of app servers
+     * Upgrade Node
+     * New capacity is used right away by waiting packets
      */
-    updateServerInfo() {
-        if (this.type === 'app' && this.serverInfoText) {
-            this.serverInfoText.setText(`Capacity: ${this.capacity}\nSpeed: ${this.speed}ms`);
+    upgrade() {
+        const upgraded = super.upgrade();
+        if (upgraded) this.startWaiting();
+        return upgraded;
+    }
+
+    /**
+     * Drop Packet
+     */
+    dropPacket(packet, reason = 'timeout', label = 'Timeout') {
+        packet.annotate(`dropped (${reason})`);
+        packet.destroy();
+        this.dropped++;
+        this.sim.metrics.recordDrop(this);
+
+        // The call through a circuit breaker failed
+        if (packet.breaker) {
+            packet.breaker.node.recordFailure(packet);
         }
+
+        // A background write (queued or flushed) was already acknowledged to its user
+        if (packet.isBackground && packet.isWrite) {
+            this.sim.recordLostWrites(this, 1);
+        }
+
+        // Internal background work is not a user request, and a request
+        // its user retries has not failed (yet)
+        const user = packet.sourceNode && packet.sourceNode.active ? packet.sourceNode : null;
+        if (!packet.isBackground && !(user && user.retryRequest(packet))) {
+            if (user) {
+                user.recordError();
+            }
+            this.sim.recordFailure(packet, this, reason);
+        }
+
+        this.showFloatText(label, '#ff0000');
     }
 
     /**
-     * Get Load Bar Color
+     * Current load as a 0-1 ratio (used by views and load balancers)
      */
-    getLoadColor(ratio) {
-        if (ratio < 0.5) return 0x00ff00;
-        if (ratio < 0.9) return 0xffff00;
-        return 0xff0000;
+    getLoadRatio() {
+        return Math.min(this.currentLoad / this.capacity, 1);
     }
 }
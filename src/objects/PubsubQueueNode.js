@@ -1,69 +1,25 @@
 /**
  * PubsubQueueNode Class
- * 
+ *
  * Represents a message queue (Pub/Sub) that accepts write requests asynchronously.
  * Write requests are queued and processed to the database in the background.
  * The app server gets an immediate response without waiting for database processing.
- * 
+ *
  * Key Features:
  * - Asynchronous write processing
- * - Queue visualization showing pending messages
  * - Configurable queue capacity and processing rate
  * - Returns immediately to app server (fire and forget)
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { updateUI, checkGameEnd } from '../utils/uiManager.js';
 import { ProcessingNode } from './ProcessingNode.js';
 
 export class PubsubQueueNode extends ProcessingNode {
-    constructor(scene, x, y, name, capacity = 20, speed = 200) {
-        super(scene, x, y, name, 'pubsub', capacity, speed);
-        
-        // Queue for storing pending write requests
+    constructor(sim, x, y, name, capacity = 20, speed = 200) {
+        super(sim, x, y, name, 'pubsub', capacity, speed);
+
+        // Queue for storing pending write messages
         this.messageQueue = [];
         this.isProcessing = false;
-        this.queueText = null;
-        
-        this.createQueueUI();
-    }
-
-    /**
-     * Create Star Shape for Queue
-     */
-    createShape(w, h) {
-        this.bg = this.scene.add.graphics();
-        const radius = Math.min(w, h) / 2;
-        this.drawStar(this.bg, 0, 0, 5, radius, radius * 0.5);
-        this.bg.width = w;
-        this.bg.height = h;
-        this.bg.isGraphics = true;
-    }
-
-    /**
-     * Redraw Shape (for upgrade visuals)
-     */
-    redrawShape(borderColor, strokeWidth) {
-        this.bg.clear();
-        const radius = Math.min(this.bg.width, this.bg.height) / 2;
-        this.drawStar(this.bg, 0, 0, 5, radius, radius * 0.5, borderColor, strokeWidth);
-    }
-
-    /**
-     * Create Queue-Specific UI Elements
-     */
-    createQueueUI() {
-        const h = this.bg.height || 60;
-        
-        // Queue size indicator
-        this.queueText = this.scene.add.text(0, h/2 + 30, 'Queue: 0', {
-            fontSize: '10px',
-            color: '#00ffff',
-            fontFamily: 'Arial',
-            fontStyle: 'bold'
-        }).setOrigin(0.5, 0);
-        
-        this.add(this.queueText);
     }
 
     /**
@@ -71,25 +27,30 @@ export class PubsubQueueNode extends ProcessingNode {
      * Accept immediately and add to queue
      */
     receivePacket(packet) {
-        if (GameState.isGameOver) {
-            packet.destroy();
-            return;
-        }
-
         // Check if queue is full
         if (this.messageQueue.length >= this.capacity) {
             this.flashRed();
-            this.dropPacket(packet);
+            this.dropPacket(packet, 'queueFull', 'Queue Full!');
             return;
         }
 
-        // Add to queue
-        this.messageQueue.push(packet);
-        this.updateQueueUI();
-        
+        this.sim.metrics.recordArrival(this);
+        packet.startProcessing();
+        packet.annotate('queued for async write, acked');
+
+        // Add a background message to the queue - it carries the write to the database
+        const message = this.sim.createPacket({
+            sourceNode: packet.sourceNode,
+            isWrite: true,
+            resourceKey: packet.resourceKey,
+            isBackground: true,
+            location: this
+        });
+        this.messageQueue.push(message);
+
         // Return immediately to sender (async behavior)
         this.sendImmediateAck(packet);
-        
+
         // Start processing if not already processing
         if (!this.isProcessing) {
             this.processQueue();
@@ -98,27 +59,15 @@ export class PubsubQueueNode extends ProcessingNode {
 
     /**
      * Send Immediate Acknowledgment
-     * The app server gets instant response
+     * The app server gets an instant response and forwards it to the user
      */
     sendImmediateAck(packet) {
-        if (packet.sourceNode && packet.sourceNode.active) {
-            // Create response packet
-            const responsePacket = this.scene.add.circle(
-                this.x, this.y,
-                packet.radius || 5,
-                CONFIG.colors.packetRes
-            );
-            responsePacket.isResponse = true;
-            responsePacket.targetNode = packet.sourceNode;
-            
-            // Send back to source immediately (no delay)
-            this.scene.time.delayedCall(50, () => {
-                if (responsePacket.targetNode && responsePacket.targetNode.active) {
-                    responsePacket.targetNode.receivePacket(responsePacket);
-                } else {
-                    responsePacket.destroy();
-                }
-            });
+        packet.isResponse = true;
+
+        if (packet.appNode && packet.appNode.active) {
+            this.sendPacket(packet, packet.appNode);
+        } else {
+            packet.destroy();
         }
     }
 
@@ -129,112 +78,69 @@ export class PubsubQueueNode extends ProcessingNode {
     processQueue() {
         if (this.messageQueue.length === 0) {
             this.isProcessing = false;
-            this.stopProcessing();
             return;
         }
 
         this.isProcessing = true;
-        this.startProcessing();
 
         // Get next message from queue
-        const packet = this.messageQueue.shift();
-        this.updateQueueUI();
+        const message = this.messageQueue.shift();
+        message.startProcessing();
+
+        // Process to database (unless the queue crashed meanwhile)
+        const crashes = this.crashes;
+        this.sim.clock.delayedCall(this.speed * this.slowdown, () => {
+            if (crashes !== this.crashes) {
+                message.destroy();
+                return;
+            }
+            this.processed++;
 
-        // Process to database
-        this.scene.time.delayedCall(this.speed, () => {
             // Route to database
-            this.routePacket(packet);
-            
+            this.routePacket(message);
+
             // Continue processing queue
             this.processQueue();
         });
     }
 
     /**
-     * Route Packet to Database
+     * Crash
+     * The queue is in memory: the writes it acknowledged but had not written
+     * to the database yet are lost
      */
-    routePacket(packet) {
-        if (GameState.isGameOver) {
-            packet.destroy();
-            return;
-        }
+    crash(duration = 0) {
+        if (this.down) return;
 
-        // Find primary database
-        const database = GameState.nodes['Database1'];
-        
-        if (database && database.active) {
-            // Create tween to database
-            this.scene.tweens.add({
-                targets: packet,
-                x: database.x,
-                y: database.y,
-                duration: 200,
-                onComplete: () => {
-                    database.receivePacket(packet);
-                }
-            });
-        } else {
-            // No database available, drop packet
-            this.dropPacket(packet);
-        }
-    }
+        const lost = this.messageQueue.length + (this.isProcessing ? 1 : 0);
+        this.messageQueue.forEach(message => message.destroy());
+        this.messageQueue = [];
+        this.isProcessing = false;
 
-    /**
-     * Update Queue UI
-     */
-    updateQueueUI() {
-        if (this.queueText) {
-            this.queueText.setText(`Queue: ${this.messageQueue.length}`);
-            
-            // Color based on queue fullness
-            const ratio = this.messageQueue.length / this.capacity;
-            if (ratio < 0.5) {
-                this.queueText.setColor('#00ff00');
-            } else if (ratio < 0.8) {
-                this.queueText.setColor('#ffff00');
-            } else {
-                this.queueText.setColor('#ff0000');
-            }
-        }
+        super.crash(duration);
+        if (lost > 0) this.showFloatText(`${lost} writes lost`, '#ff0000');
+        this.sim.recordLostWrites(this, lost);
     }
 
     /**
-     * Drop Packet
+     * Route Message to Database
      */
-    dropPacket(packet) {
-        if (packet.sourceNode && packet.sourceNode.active) {
-            packet.sourceNode.recordError();
+    routePacket(message) {
+        // Find the database wired behind the queue
+        const databases = this.getDownstream('write');
+
+        if (databases.length > 0) {
+            this.sim.transmit(message, this.sim.random.pick(databases), this, 200);
+        } else {
+            // No database available, drop message
+            this.dropPacket(message, 'queueFull', 'No Database!');
         }
-        
-        packet.destroy();
-        
-        GameState.errors++;
-        GameState.total++;
-        
-        updateUI();
-        checkGameEnd(this.scene);
-        
-        this.showFloatText('Queue Full!', '#ff0000');
     }
 
     /**
-     * Update Visuals
-     * Override to show queue status
+     * Queue fill as a 0-1 ratio (the load bar shows queue depth)
      */
-    updateVisuals() {
-        const queueRatio = this.messageQueue.length / this.capacity;
-        
-        this.barFg.width = this.bg.width * queueRatio;
-        this.barFg.fillColor = this.getLoadColor(queueRatio);
-        
-        this.capacityText.setText(this.messageQueue.length + '/' + this.capacity);
-        
-        if (queueRatio < 0.5) {
-            this.capacityText.setColor('#00ff00');
-        } else if (queueRatio < 0.9) {
-            this.capacityText.setColor('#ffff00');
-        } else {
-            this.capacityText.setColor('#ff0000');
-        }
+    getLoadRatio() {
+        return Math.min(this.messageQueue.length / this.capacity, 1);
     }
 }
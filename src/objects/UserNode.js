@@ -1,75 +1,51 @@
 /**
  * UserNode Class
- * 
+ *
  * Represents a user/client node that generates requests and receives responses.
- * - Circle shape
  * - Tracks success/error statistics
+ * - Retries failed attempts as the simulation's RetryPolicy allows; a request
+ *   stays in flight (and counts as one request) until an attempt succeeds or
+ *   the policy gives up
+ * - Takes a 429 from a rate limiter as the request's answer: it is shed, not
+ *   failed, and is not retried
+ * - Stands for many clients: its requests take turns among `clients` client
+ *   ids (packet.clientId, kept by retries) so sticky load balancing has
+ *   sessions to keep together
  * - No capacity management (can generate unlimited requests)
- * - Routes to: CDN → LoadBalancer → App
+ * - Routes to its entry points in the Topology (CDN → LoadBalancer → App),
+ *   the nearest one if they are in different regions. Only static reads go to
+ *   CDN edges when the user is also linked to the origin: dynamic content
+ *   and writes go straight there (like an assets domain on the CDN and an
+ *   API domain on the origin)
+ * - Keeps the latency of its own requests, so users in different regions
+ *   can be compared
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { updateUI, checkGameEnd, addRevenue } from '../utils/uiManager.js';
-import { sendPacketAnim } from '../utils/animations.js';
+import { LOAD_BALANCER_CONFIG } from '../config/index.js';
+import { LatencyTracker } from '../simulation/LatencyTracker.js';
+import { nearestNodes } from '../simulation/Regions.js';
 import { BaseNode } from './BaseNode.js';
 
 export class UserNode extends BaseNode {
-    constructor(scene, x, y, name) {
-        super(scene, x, y, name, 'user', 999, 10);
+    constructor(sim, x, y, name) {
+        super(sim, x, y, name, 'user', 999, 10);
         this.localSuccess = 0;
         this.localErrors = 0;
-        
+        this.localShed = 0;             // Requests answered with a 429
+        this.retries = 0;               // Retry attempts sent
+        this.staleOwnReads = 0;         // Reads that missed their own client's earlier write (see KeySpace)
+        this.clients = LOAD_BALANCER_CONFIG.clientsPerUser;
+        this.requestsSent = 0;          // Requests sent (picks each one's client)
+        this.latency = new LatencyTracker();    // End-to-end latency of this user's requests
+
         // Track concurrent requests and RPM
         this.concurrentRequests = 0;
+        this.maxConcurrent = 999;       // Levels can lower this (Level 1 caps users at 10)
         this.requestsLastMinute = [];
         this.rpm = 0;
-    }
 
-    /**
-     * Create Circle Shape
-     */
-    createShape(w, h) {
-        this.bg = this.scene.add.circle(0, 0, 35, CONFIG.colors.node);
-        this.bg.setStrokeStyle(2, CONFIG.colors.nodeBorder);
-        this.bg.width = 70;
-        this.bg.height = 70;
-    }
-
-    /**
-     * Create User-Specific Statistics Display
-     */
-    createTypeSpecificUI() {
-        this.statsTextSuccess = this.scene.add.text(-50, -12, '✔ 0', { 
-            fontSize: '12px', 
-            color: '#00ff00', 
-            align: 'right', 
-            fontFamily: 'Courier New' 
-        }).setOrigin(1, 0.5);
-        
-        this.statsTextError = this.scene.add.text(-50, 8, '✖ 0', { 
-            fontSize: '12px', 
-            color: '#ff4444', 
-            align: 'right', 
-            fontFamily: 'Courier New' 
-        }).setOrigin(1, 0.5);
-        
-        // Add concurrent requests and RPM display below the node
-        this.concurrentText = this.scene.add.text(0, 50, 'Concurrent: 0', { 
-            fontSize: '11px', 
-            color: '#00ffff', 
-            fontFamily: 'Courier New' 
-        }).setOrigin(0.5, 0);
-        
-        this.rpmText = this.scene.add.text(0, 65, 'RPM: 0', { 
-            fontSize: '11px', 
-            color: '#ffd700', 
-            fontFamily: 'Courier New' 
-        }).setOrigin(0.5, 0);
-        
-        this.add([this.statsTextSuccess, this.statsTextError, this.concurrentText, this.rpmText]);
-        
         // Start RPM update timer
-        this.scene.time.addEvent({
+        this.sim.clock.addEvent({
             delay: 1000, // Update every second
             callback: this.updateRPM,
             callbackScope: this,
@@ -79,87 +55,136 @@ export class UserNode extends BaseNode {
 
     /**
      * Receive Packet
-     * Users only receive response packets
+     * Users only receive response packets; the time since the request was
+     * sent is its end-to-end latency
      */
     receivePacket(packet) {
-        if (GameState.isGameOver) { 
-            packet.destroy(); 
-            return; 
+        // User receives a 429 - the request was shed by a rate limiter
+        if (packet.isShed) {
+            packet.destroy();
+            this.concurrentRequests = Math.max(0, this.concurrentRequests - 1);
+            this.localShed++;
+            this.sim.recordShed(packet, this);
+            return;
         }
 
         // User receives response - request completed successfully
         if (packet.isResponse) {
             packet.destroy();
-            
+
             // Decrement concurrent requests
             this.concurrentRequests = Math.max(0, this.concurrentRequests - 1);
-            this.updateConcurrentDisplay();
-            
-            GameState.success++;
-            GameState.total++;
             this.localSuccess++;
-            
-            // Add revenue for successful request (if level has revenue system)
-            addRevenue(this.scene);
-            
-            this.updateStatsDisplay();
-            updateUI();
-            checkGameEnd(this.scene);
+
+            // Measured from the first attempt: retries are part of what the user waited
+            const latency = this.sim.now - packet.requestStartedAt;
+            this.latency.record(latency);
+            this.sim.recordSuccess(packet, this, latency);
         }
     }
 
+    /**
+     * Next Upgrade - users are not servers and can't be upgraded
+     */
+    getNextUpgrade() {
+        return null;
+    }
+
     /**
      * Route Packet (Send Request)
-     * Routes to CDN, LoadBalancer, or App based on availability
+     * Routes to the entry point wired in the Topology (CDN, LoadBalancer or App)
      */
     routePacket(packet) {
-        // Check if user has reached maximum concurrent requests (Level 1 limit)
-        const maxConcurrent = GameState.currentLevel === 1 ? 10 : 999;
-        
-        if (this.concurrentRequests >= maxConcurrent) {
+        if (this.concurrentRequests >= this.maxConcurrent) {
             // User is at max capacity, drop the request silently
             packet.destroy();
             return;
         }
-        
+
+        const entryPoints = this.getEntryPoints(packet);
+
+        if (entryPoints.length === 0) {
+            // Nothing to send to yet
+            packet.destroy();
+            return;
+        }
+
         // Track request sent
+        packet.clientId = `${this.key}:${this.requestsSent++ % this.clients}`;
         this.concurrentRequests++;
         this.trackRequest();
-        this.updateConcurrentDisplay();
-        
-        // Check for CDN (Level 7)
-        const cdn = GameState.nodes['CDN1'];
-        
-        if (cdn && cdn.active) {
-            sendPacketAnim(this.scene, packet, cdn, this);
-        } else {
-            // Check for LoadBalancer (Level 6)
-            const loadBalancer = GameState.nodes['LoadBalancer1'];
-            
-            if (loadBalancer && loadBalancer.active) {
-                sendPacketAnim(this.scene, packet, loadBalancer, this);
-            } else {
-                // Find available app servers (Levels 1-5)
-                const appServers = Object.keys(GameState.nodes)
-                    .filter(key => key.startsWith('App'))
-                    .map(key => GameState.nodes[key])
-                    .filter(app => app && app.active);
-                
-                if (appServers.length > 0) {
-                    const randomIndex = Math.floor(Math.random() * appServers.length);
-                    const target = appServers[randomIndex];
-                    sendPacketAnim(this.scene, packet, target, this);
-                }
-            }
+        this.sim.retryPolicy.recordRequest();
+
+        this.sendPacket(packet, this.pickEntryPoint(entryPoints));
+    }
+
+    /**
+     * Retry Request
+     * Called when an attempt of this user's request was dropped. Schedules
+     * the next attempt if the retry policy allows one.
+     *
+     * @param {Packet} packet - The failed attempt
+     * @returns {boolean} True if the request will be retried
+     */
+    retryRequest(packet) {
+        const policy = this.sim.retryPolicy;
+        if (!policy.shouldRetry(packet.attempt)) return false;
+
+        const delay = policy.getDelay(packet.attempt, this.sim.random);
+        this.sim.clock.delayedCall(delay, () => this.sendRetry(packet));
+        return true;
+    }
+
+    /**
+     * Send the next attempt of a failed request
+     * Retries skip the maxConcurrent check: the request already holds its slot.
+     */
+    sendRetry(failed) {
+        if (!this.active) return;
+
+        const packet = this.sim.createPacket({
+            sourceNode: this,
+            clientId: failed.clientId,
+            isWrite: failed.isWrite,
+            contentType: failed.contentType,
+            resourceKey: failed.resourceKey,
+            attempt: failed.attempt + 1,
+            requestStartedAt: failed.requestStartedAt
+        });
+        packet.startProcessing();
+        packet.annotate(`retry ${failed.attempt} (attempt ${packet.attempt})`);
+
+        const entryPoints = this.getEntryPoints(packet);
+
+        if (entryPoints.length === 0) {
+            packet.destroy();
+            this.recordError();
+            this.sim.recordFailure(packet, this, 'noRoute');
+            return;
         }
+
+        this.retries++;
+        this.sim.recordRetry(packet, this);
+        this.sendPacket(packet, this.pickEntryPoint(entryPoints));
     }
 
     /**
-     * Update Statistics Display
+     * Entry points a request can go to: CDN edges only take static reads,
+     * unless the user has no other way in (the CDN then proxies the rest)
      */
-    updateStatsDisplay() {
-        this.statsTextSuccess.setText('✔ ' + this.localSuccess);
-        this.statsTextError.setText('✖ ' + this.localErrors);
+    getEntryPoints(packet) {
+        if (packet.contentType !== 'static') {
+            const origins = this.sim.topology.getTargets(this.key, 'request', node => node.type !== 'cdn');
+            if (origins.length > 0) return origins;
+        }
+        return this.getDownstream('request');
+    }
+
+    /**
+     * Entry point for a request: one of the nearest (like geo DNS would pick)
+     */
+    pickEntryPoint(entryPoints) {
+        return this.sim.random.pick(nearestNodes(this, entryPoints));
     }
 
     /**
@@ -168,50 +193,30 @@ export class UserNode extends BaseNode {
     recordError() {
         this.localErrors++;
         this.concurrentRequests = Math.max(0, this.concurrentRequests - 1);
-        this.updateConcurrentDisplay();
-        this.updateStatsDisplay();
     }
-    
+
     /**
      * Track Request for RPM Calculation
      */
     trackRequest() {
-        const now = Date.now();
+        const now = this.sim.now;
         this.requestsLastMinute.push(now);
-        
+
         // Remove requests older than 60 seconds
         const oneMinuteAgo = now - 60000;
         this.requestsLastMinute = this.requestsLastMinute.filter(time => time > oneMinuteAgo);
     }
-    
+
     /**
-     * Update RPM Display
+     * Update RPM
      */
     updateRPM() {
-        if (!this.active || !this.rpmText) return;
-        
+        if (!this.active) return;
+
         // Clean old requests
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
+        const oneMinuteAgo = this.sim.now - 60000;
         this.requestsLastMinute = this.requestsLastMinute.filter(time => time > oneMinuteAgo);
-        
-        // Update RPM
+
         this.rpm = this.requestsLastMinute.length;
-        this.rpmText.setText(`RPM: ${this.rpm}`);
-        
-        // Keep green color always
-        this.rpmText.setColor('#00ff00');
-    }
-    
-    /**
-     * Update Concurrent Display
-     */
-    updateConcurrentDisplay() {
-        if (!this.active || !this.concurrentText) return;
-        
-        this.concurrentText.setText(`Concurrent: ${this.concurrentRequests}`);
-        
-        // Keep green color always
-        this.concurrentText.setColor('#00ff00');
     }
 }
@@ -0,0 +1,66 @@
+/**
+ * Node Factory
+ *
+ * Creates nodes from a type name instead of a class, for scenes that build
+ * their architecture from data (sandbox palette, JSON level definitions).
+ * Capacity and speed default to ECONOMICS_CONFIG.initialValues.
+ */
+
+import { ECONOMICS_CONFIG } from '../config/index.js';
+import { UserNode } from './UserNode.js';
+import { AppServerNode } from './AppServerNode.js';
+import { DatabaseNode } from './DatabaseNode.js';
+import { CacheNode } from './CacheNode.js';
+import { CDNNode } from './CDNNode.js';
+import { LoadBalancerNode } from './LoadBalancerNode.js';
+import { PubsubQueueNode } from './PubsubQueueNode.js';
+import { CircuitBreakerNode } from './CircuitBreakerNode.js';
+import { ApiGatewayNode } from './ApiGatewayNode.js';
+
+const values = ECONOMICS_CONFIG.initialValues;
+
+/**
+ * Node class and default capacity/speed per type
+ * (types match BaseNode.type)
+ */
+export const NODE_TYPES = {
+    user:         { NodeClass: UserNode },
+    app:          { NodeClass: AppServerNode,    capacity: values.appServerCapacity,    speed: values.processingDelay },
+    database:     { NodeClass: DatabaseNode,     capacity: values.databaseCapacity,     speed: values.databaseDelay },
+    cache:        { NodeClass: CacheNode,        capacity: values.cacheCapacity,        speed: values.cacheDelay },
+    loadbalancer: { NodeClass: LoadBalancerNode, capacity: values.loadBalancerCapacity, speed: values.loadBalancerDelay },
+    cdn:          { NodeClass: CDNNode,          capacity: values.cdnCapacity,          speed: values.cdnDelay },
+    pubsub:       { NodeClass: PubsubQueueNode,  capacity: 20,                          speed: 200 },
+    breaker:      { NodeClass: CircuitBreakerNode, capacity: values.circuitBreakerCapacity, speed: values.circuitBreakerDelay },
+    gateway:      { NodeClass: ApiGatewayNode,   capacity: values.apiGatewayCapacity,   speed: values.apiGatewayDelay }
+};
+
+/**
+ * Create a node by type
+ *
+ * @param {Simulation} sim - Owning simulation
+ * @param {string} type - Key of NODE_TYPES ('app', 'database', ...)
+ * @param {number} x - Position
+ * @param {number} y - Position
+ * @param {string} name - Display name
+ * @param {number} capacity - Optional, defaults per type
+ * @param {number} speed - Optional processing delay (ms), defaults per type
+ * @returns {BaseNode}
+ * @throws {Error} If the type is unknown
+ */
+export function createNode(sim, type, x, y, name, capacity, speed) {
+    const nodeType = NODE_TYPES[type];
+    if (!nodeType) {
+        throw new Error(`Unknown node type '${type}'`);
+    }
+
+    if (type === 'user') {
+        return new UserNode(sim, x, y, name);
+    }
+
+    return new nodeType.NodeClass(
+        sim, x, y, name,
+        capacity !== undefined ? capacity : nodeType.capacity,
+        speed !== undefined ? speed : nodeType.speed
+    );
+}
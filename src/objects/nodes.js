@@ -2,6 +2,8 @@
  * Node Classes Index
  * 
  * Exports all node classes for easy importing in scenes.
+ * Node classes are plain simulation objects (no Phaser dependency);
+ * their on-screen representation lives in src/render/.
  * 
  * Usage:
  *   import { UserNode, AppServerNode, DatabaseNode } from '../objects/nodes.js';
@@ -16,6 +18,6 @@ export { CacheNode } from './CacheNode.js';
 export { CDNNode } from './CDNNode.js';
 export { LoadBalancerNode } from './LoadBalancerNode.js';
 export { PubsubQueueNode } from './PubsubQueueNode.js';
-
-// Backward compatibility - still export ServerNode if needed
-export { ServerNode } from './ServerNode.js';
+export { CircuitBreakerNode } from './CircuitBreakerNode.js';
+export { ApiGatewayNode } from './ApiGatewayNode.js';
+export { NODE_TYPES, createNode } from './nodeFactory.js';
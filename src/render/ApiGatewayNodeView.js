@@ -0,0 +1,100 @@
+/**
+ * ApiGatewayNodeView Class
+ *
+ * Draws API gateway nodes.
+ * - Gate shape (arch over a doorway)
+ * - Label next to the node with the rate limit and the share of requests
+ *   shed so far (magenta once any were shed), plus AUTH when auth checks are on
+ */
+
+import { CONFIG } from '../config.js';
+import { ProcessingNodeView } from './ProcessingNodeView.js';
+
+/**
+ * Gate size (px)
+ */
+const WIDTH = 64;
+const HEIGHT = 60;
+
+export class ApiGatewayNodeView extends ProcessingNodeView {
+    /**
+     * Create Gate Shape
+     */
+    createShape() {
+        this.bg = this.scene.add.graphics();
+        this.bg.width = WIDTH;
+        this.bg.height = HEIGHT;
+        this.bg.isGraphics = true;
+        this.redrawShape();
+    }
+
+    /**
+     * Redraw Shape (for upgrade visuals)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        this.bg.clear();
+        this.drawGate(this.bg, 0, 0, WIDTH, HEIGHT, borderColor, strokeWidth);
+    }
+
+    /**
+     * Create Gateway-Specific UI
+     * Adds the rate limit label
+     */
+    createTypeSpecificUI() {
+        super.createTypeSpecificUI();
+
+        this.renderedLimit = null;
+        this.limitText = this.scene.add.text(WIDTH / 2 + 15, 0, '', {
+            fontSize: '11px',
+            fontFamily: 'Courier New',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 }
+        }).setOrigin(0, 0.5);
+
+        this.add(this.limitText);
+    }
+
+    /**
+     * Update Visuals
+     * Override to show the rate limit and shed load
+     */
+    updateVisuals() {
+        super.updateVisuals();
+
+        const node = this.node;
+        const limit = node.algorithm === 'slidingWindow'
+            ? `${node.limit}/${node.window / 1000}s`
+            : `${node.rate}/s (burst ${node.burst})`;
+        const shed = Math.round(node.getShedRatio() * 100);
+        const label = `${limit} per user${node.auth ? ' +AUTH' : ''}\n429: ${node.shed} (${shed}%)`;
+        if (label === this.renderedLimit) return;
+        this.renderedLimit = label;
+
+        this.limitText.setText(label);
+        this.limitText.setColor(node.shed > 0 ? '#ff00ff' : '#4fc1ff');
+    }
+
+    /**
+     * Helper: Draw Gate Shape
+     * Straight sides under a half-circle arch, with a doorway outline
+     */
+    drawGate(graphics, x, y, w, h, borderColor, strokeWidth) {
+        const top = y - h/2 + w/2;     // Where the arch meets the sides
+
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+
+        graphics.beginPath();
+        graphics.moveTo(x - w/2, y + h/2);
+        graphics.lineTo(x - w/2, top);
+        graphics.arc(x, top, w/2, Math.PI, 0, false);
+        graphics.lineTo(x + w/2, y + h/2);
+        graphics.closePath();
+        graphics.fillPath();
+        graphics.strokePath();
+
+        // Doorway
+        graphics.lineStyle(1, borderColor || CONFIG.colors.nodeBorder);
+        graphics.strokeRect(x - w/6, y + h/2 - h * 0.4, w/3, h * 0.4);
+    }
+}
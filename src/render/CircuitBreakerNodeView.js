@@ -0,0 +1,98 @@
+/**
+ * CircuitBreakerNodeView Class
+ *
+ * Draws circuit breaker nodes.
+ * - Octagon shape
+ * - State label next to the node (closed / open / half-open, in the state's
+ *   color) with the failure ratio over the breaker's window
+ */
+
+import { CONFIG } from '../config.js';
+import { BREAKER_CONFIG } from '../config/index.js';
+import { ProcessingNodeView } from './ProcessingNodeView.js';
+
+/**
+ * Label per breaker state
+ */
+const STATE_LABELS = {
+    closed: 'CLOSED',
+    open: 'OPEN',
+    halfOpen: 'HALF-OPEN'
+};
+
+/**
+ * Octagon radius (px)
+ */
+const RADIUS = 30;
+
+export class CircuitBreakerNodeView extends ProcessingNodeView {
+    /**
+     * Create Octagon Shape
+     */
+    createShape() {
+        this.bg = this.scene.add.graphics();
+        this.bg.width = RADIUS * 2;
+        this.bg.height = RADIUS * 2;
+        this.bg.isGraphics = true;
+        this.redrawShape();
+    }
+
+    /**
+     * Redraw Shape (for upgrade visuals)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        this.bg.clear();
+        this.drawOctagon(this.bg, 0, 0, RADIUS, borderColor, strokeWidth);
+    }
+
+    /**
+     * Create Breaker-Specific UI
+     * Adds the state label
+     */
+    createTypeSpecificUI() {
+        super.createTypeSpecificUI();
+
+        this.renderedState = null;
+        this.stateText = this.scene.add.text(RADIUS + 15, 0, '', {
+            fontSize: '12px',
+            fontStyle: 'bold',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 }
+        }).setOrigin(0, 0.5);
+
+        this.add(this.stateText);
+    }
+
+    /**
+     * Update Visuals
+     * Override to show the breaker state
+     */
+    updateVisuals() {
+        super.updateVisuals();
+
+        const { calls, failureRatio } = this.node.getWindowStats();
+        const state = `${this.node.state}:${calls}:${Math.round(failureRatio * 100)}`;
+        if (state === this.renderedState) return;
+        this.renderedState = state;
+
+        const color = BREAKER_CONFIG.stateColors[this.node.state];
+        this.stateText.setText(`${STATE_LABELS[this.node.state]}\nfailed ${Math.round(failureRatio * 100)}% of ${calls}`);
+        this.stateText.setColor('#' + color.toString(16).padStart(6, '0'));
+    }
+
+    /**
+     * Helper: Draw Octagon Shape
+     */
+    drawOctagon(graphics, x, y, radius, borderColor, strokeWidth) {
+        const points = [];
+        for (let i = 0; i < 8; i++) {
+            const angle = (Math.PI / 4) * i + Math.PI / 8;
+            points.push({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        }
+
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+        graphics.fillPoints(points, true);
+        graphics.strokePoints(points, true);
+    }
+}
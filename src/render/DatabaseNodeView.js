@@ -0,0 +1,120 @@
+/**
+ * DatabaseNodeView Class
+ *
+ * Draws database nodes.
+ * - Cylinder shape
+ * - Visual storage fill indicator that grows as writes accumulate
+ */
+
+import { ProcessingNodeView } from './ProcessingNodeView.js';
+
+export class DatabaseNodeView extends ProcessingNodeView {
+    /**
+     * Create Cylinder Shape
+     */
+    createShape(w, h) {
+        this.bg = this.scene.add.graphics();
+        this.drawCylinder(this.bg, 0, 0, w, h);
+        this.bg.width = w;
+        this.bg.height = h;
+        this.bg.isGraphics = true;
+    }
+
+    /**
+     * Redraw Shape (for upgrade visuals)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        this.bg.clear();
+        this.drawCylinder(this.bg, 0, 0, this.bg.width, this.bg.height, borderColor, strokeWidth);
+    }
+
+    /**
+     * Create Database-Specific UI
+     * Adds storage fill indicator and storage text
+     */
+    createTypeSpecificUI() {
+        super.createTypeSpecificUI();
+
+        const w = this.bg.width;
+        const h = this.bg.height;
+
+        this.renderedStorage = 0;
+
+        // Create visual fill indicator (cyan rectangle that grows from bottom upward)
+        this.storageFill = this.scene.add.rectangle(0, h/2 - 5, w, 5, 0x00ffff, 0.5);
+        this.storageFill.setOrigin(0.5, 0);
+
+        // Create text display showing current storage amount
+        this.storageText = this.scene.add.text(w/2 + 15, 0, 'Data: 0', {
+            fontSize: '14px',
+            color: '#00ff00',
+            fontStyle: 'bold',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 }
+        }).setOrigin(0, 0.5);
+
+        this.add([this.storageFill, this.storageText]);
+    }
+
+    /**
+     * Refresh From Model
+     */
+    refresh() {
+        super.refresh();
+
+        if (this.node.databaseStorage !== this.renderedStorage) {
+            this.renderedStorage = this.node.databaseStorage;
+            this.updateStorageFill();
+        }
+    }
+
+    /**
+     * Update Storage Fill Indicator
+     */
+    updateStorageFill() {
+        const storage = this.node.databaseStorage;
+
+        // Update the storage text display with THIS database's storage
+        this.storageText.setText('Data: ' + storage);
+
+        // Change color based on storage amount for visual feedback
+        if (storage < 20) {
+            this.storageText.setColor('#00ff00');  // Green - low storage
+        } else if (storage < 50) {
+            this.storageText.setColor('#ffff00');  // Yellow - medium storage
+        } else if (storage < 80) {
+            this.storageText.setColor('#ff6b35');  // Orange - high storage
+        } else {
+            this.storageText.setColor('#ff0000');  // Red - very high storage
+        }
+
+        // Update the visual fill indicator
+        const maxStorage = 100;
+        const fillRatio = Math.min(storage / maxStorage, 1);
+        const maxHeight = this.bg.height;
+        const newHeight = Math.max(5, maxHeight * fillRatio);
+
+        // Calculate new Y position to grow upward from bottom
+        const newY = (this.bg.height / 2) - newHeight;
+
+        // Determine fill color based on storage amount
+        let fillColor = 0x00ffff;  // Cyan - low storage
+        if (fillRatio >= 0.8) {
+            fillColor = 0xff0000;  // Red - very high storage
+        } else if (fillRatio >= 0.5) {
+            fillColor = 0xff6b35;  // Orange - high storage
+        } else if (fillRatio >= 0.2) {
+            fillColor = 0xffff00;  // Yellow - medium storage
+        }
+
+        // Animate both height, Y position, and fill color smoothly
+        this.scene.tweens.add({
+            targets: this.storageFill,
+            height: newHeight,
+            y: newY,
+            fillColor: fillColor,
+            duration: 300,
+            ease: 'Power2'
+        });
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * LinkEditor Class
+ *
+ * Lets the player wire the architecture before a run: shift-drag from one
+ * node onto another to link them, and do it again to remove the link.
+ * - Draws the preview line while dragging (green: valid link, red: not allowed)
+ * - Links can be dragged either way; the direction is picked from the node types
+ * - The change goes through the scene's performAction('addLink' / 'removeLink')
+ *   so it is recorded in the replay like any other player action
+ */
+
+import { GameState } from '../config.js';
+import { LAYOUT_CONFIG } from '../config/index.js';
+import { Topology } from '../simulation/Topology.js';
+
+/**
+ * How close (px) the pointer must be to a node to drop a link on it
+ */
+const SNAP_RADIUS = 50;
+
+const PREVIEW_COLORS = {
+    none: 0x4fc1ff,
+    valid: 0x00ff00,
+    invalid: 0xff0000
+};
+
+export class LinkEditor {
+    /**
+     * @param {BaseLevelScene} scene - Scene that owns the simulation
+     * @param {Simulation} sim - Simulation whose topology is edited
+     */
+    constructor(scene, sim) {
+        this.scene = scene;
+        this.sim = sim;
+        this.source = null;     // Node the link is dragged from
+
+        this.graphics = scene.add.graphics();
+        this.graphics.setDepth(LAYOUT_CONFIG.zIndex.packets);
+    }
+
+    /**
+     * Links can only be edited before the run starts, and not during a replay
+     */
+    canEdit() {
+        return !GameState.isRunning && !GameState.isGameOver && !this.scene.replayPlayer;
+    }
+
+    /**
+     * Start dragging a link from a node
+     *
+     * @returns {boolean} False if links cannot be edited right now
+     */
+    begin(node) {
+        if (!this.canEdit()) return false;
+
+        this.source = node;
+        return true;
+    }
+
+    /**
+     * Redraw the preview line to the pointer (world coordinates)
+     */
+    update(x, y) {
+        if (!this.source) return;
+
+        const target = this.findNodeAt(x, y);
+        let color = PREVIEW_COLORS.none;
+
+        if (target && target !== this.source) {
+            color = this.resolveLink(this.source, target) ? PREVIEW_COLORS.valid : PREVIEW_COLORS.invalid;
+        }
+
+        this.graphics.clear();
+        this.graphics.lineStyle(2, color, 0.9);
+        this.graphics.lineBetween(this.source.x, this.source.y, x, y);
+    }
+
+    /**
+     * Finish the drag: link (or unlink) the source and the node under the pointer
+     */
+    end(x, y) {
+        const source = this.source;
+        const target = this.findNodeAt(x, y);
+
+        this.source = null;
+        this.graphics.clear();
+
+        if (!source || !target || target === source || !this.canEdit()) return;
+
+        const topology = this.sim.topology;
+
+        // Dragging over an existing link (either way) removes it
+        const existing = topology.getEdge(source.key, target.key) || topology.getEdge(target.key, source.key);
+        if (existing) {
+            this.scene.performAction('removeLink', existing.from, existing.to);
+            return;
+        }
+
+        const link = this.resolveLink(source, target);
+        if (link) {
+            this.scene.performAction('addLink', link.from.key, link.to.key);
+        } else {
+            this.scene.showToast(`Can't link ${source.name} and ${target.name}`);
+        }
+    }
+
+    /**
+     * Pick the direction of a link between two nodes
+     *
+     * @returns {Object|null} { from, to } nodes, or null if they cannot be linked
+     */
+    resolveLink(nodeA, nodeB) {
+        if (Topology.inferLink(nodeA, nodeB)) return { from: nodeA, to: nodeB };
+        if (Topology.inferLink(nodeB, nodeA)) return { from: nodeB, to: nodeA };
+        return null;
+    }
+
+    /**
+     * Closest node within SNAP_RADIUS of a point (or null)
+     */
+    findNodeAt(x, y) {
+        let closest = null;
+        let closestDistance = SNAP_RADIUS;
+
+        Object.values(this.sim.nodes).forEach(node => {
+            if (!node.active) return;
+
+            const distance = Math.hypot(node.x - x, node.y - y);
+            if (distance < closestDistance) {
+                closest = node;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Remove the preview graphics
+     */
+    destroy() {
+        this.graphics.destroy();
+        this.source = null;
+    }
+}
@@ -0,0 +1,447 @@
+/**
+ * NodeView Class (Abstract)
+ *
+ * Phaser container that draws one simulation node.
+ * Views never change gameplay state (apart from the node position while the
+ * player drags it before the simulation starts, which is recorded through the
+ * scene's performAction('moveNode'), and shift-drags, which the scene's
+ * LinkEditor turns into links); they read the node every
+ * frame in refresh() and react to effect events forwarded by SimulationView.
+ *
+ * Provides common functionality:
+ * - Visual management (shapes, colors, text, animations)
+ * - Region tag above the name for nodes placed in a region (see Regions)
+ * - Dragging functionality (shift-drag draws a link instead of moving)
+ * - Visual effects (flash, float text, upgrade aura)
+ * - Abstract methods for type-specific visuals
+ */
+
+import { CONFIG, GameState } from '../config.js';
+import { REGION_CONFIG } from '../config/index.js';
+
+/**
+ * Pointer travel (px) below which a press on a node counts as a click, not a drag
+ */
+const CLICK_DISTANCE = 5;
+
+export class NodeView extends Phaser.GameObjects.Container {
+    /**
+     * @param {Phaser.Scene} scene - The scene this view belongs to
+     * @param {BaseNode} node - The simulation node to draw
+     */
+    constructor(scene, node) {
+        super(scene, node.x, node.y);
+
+        this.scene = scene;
+        this.node = node;
+        this.renderedLevel = node.level;
+        this.isBusy = false;
+        this.isLinking = false;     // True while the player shift-drags a link from this node
+
+        this.createVisuals();
+        scene.add.existing(this);
+    }
+
+    /**
+     * Create Visual Elements
+     * Template method - calls createShape() which subclasses override
+     */
+    createVisuals() {
+        const w = 80;
+        const h = 60;
+
+        // Create shape (subclass-specific)
+        this.createShape(w, h);
+
+        // Name label
+        this.textName = this.scene.add.text(0, -h/2 - 15, this.node.name, {
+            fontSize: '14px',
+            color: '#fff',
+            fontFamily: 'Arial'
+        }).setOrigin(0.5);
+
+        // Region tag (filled in by updateRegionTag())
+        this.regionText = this.scene.add.text(0, -h/2 - 33, '', {
+            fontSize: '11px',
+            fontStyle: 'bold',
+            fontFamily: 'Arial',
+            backgroundColor: '#000000',
+            padding: { x: 3, y: 1 }
+        }).setOrigin(0.5);
+        this.renderedRegion = undefined;
+        this.updateRegionTag();
+
+        // Processing indicator
+        this.processIndicator = this.scene.add.circle(0, 0, 6, 0xffffff, 1);
+        this.processIndicator.setVisible(false);
+
+        // Add common elements
+        this.add([this.bg, this.textName, this.regionText, this.processIndicator]);
+
+        // Create type-specific UI
+        this.createTypeSpecificUI();
+
+        this.setupDragging();
+    }
+
+    /**
+     * Abstract method - subclasses must implement
+     */
+    createShape(w, h) {
+        throw new Error('createShape() must be implemented by subclass');
+    }
+
+    /**
+     * Abstract method - subclasses may implement
+     */
+    createTypeSpecificUI() {
+        // Default: no additional UI
+    }
+
+    /**
+     * Refresh From Model
+     * Called every frame by SimulationView
+     */
+    refresh() {
+        this.x = this.node.x;
+        this.y = this.node.y;
+
+        const busy = this.node.currentLoad > 0 || !!this.node.isProcessing;
+        if (busy !== this.isBusy) {
+            this.isBusy = busy;
+            if (busy) {
+                this.startProcessing();
+            } else {
+                this.stopProcessing();
+            }
+        }
+
+        if (this.node.level !== this.renderedLevel) {
+            this.renderedLevel = this.node.level;
+            this.applyLevelStyle();
+        }
+
+        if (this.node.region !== this.renderedRegion) {
+            this.updateRegionTag();
+        }
+    }
+
+    /**
+     * Show the node's region (hidden for nodes without one)
+     */
+    updateRegionTag() {
+        this.renderedRegion = this.node.region;
+        const region = REGION_CONFIG.regions[this.node.region];
+
+        this.regionText.setVisible(!!region);
+        if (region) {
+            this.regionText.setText(`🌐 ${region.short}`);
+            this.regionText.setColor('#' + region.color.toString(16).padStart(6, '0'));
+        }
+    }
+
+    /**
+     * Setup Dragging Functionality
+     * Dragging moves the simulation node; the view follows in refresh().
+     * Holding shift when the drag starts draws a link to another node instead.
+     */
+    setupDragging() {
+        const hitAreaSize = 100;
+        const hitArea = new Phaser.Geom.Circle(0, 0, hitAreaSize / 2);
+
+        this.setInteractive(hitArea, Phaser.Geom.Circle.Contains);
+        this.scene.input.setDraggable(this);
+
+        this.on('pointerover', () => {
+            if (this.canDrag()) {
+                this.scene.input.setDefaultCursor('pointer');
+            }
+        });
+
+        this.on('pointerout', () => {
+            this.scene.input.setDefaultCursor('default');
+        });
+
+        this.on('dragstart', (pointer) => {
+            const linkEditor = this.scene.linkEditor;
+            if (pointer.event && pointer.event.shiftKey && linkEditor && linkEditor.begin(this.node)) {
+                this.isLinking = true;
+                return;
+            }
+
+            if (this.canDrag()) {
+                this.setAlpha(0.7);
+                this.setDepth(1000);
+            }
+        });
+
+        this.on('drag', (pointer, dragX, dragY) => {
+            if (this.isLinking) {
+                this.scene.linkEditor.update(pointer.worldX, pointer.worldY);
+                return;
+            }
+
+            if (this.canDrag()) {
+                this.node.x = dragX;
+                this.node.y = dragY;
+            }
+        });
+
+        this.on('dragend', (pointer) => {
+            if (this.isLinking) {
+                this.isLinking = false;
+                this.scene.linkEditor.end(pointer.worldX, pointer.worldY);
+                return;
+            }
+
+            if (this.canDrag()) {
+                this.setAlpha(1);
+                this.setDepth(0);
+
+                // Record the final position so replays reproduce the layout
+                if (this.scene.performAction) {
+                    this.scene.performAction('moveNode', this.node.key, this.node.x, this.node.y);
+                }
+            }
+        });
+
+        // A click (pointer released where it went down) is handed to the scene
+        this.on('pointerup', (pointer) => {
+            if (pointer.getDistance() < CLICK_DISTANCE && this.scene.onNodeClicked) {
+                this.scene.onNodeClicked(this.node);
+            }
+        });
+    }
+
+    /**
+     * Nodes can be dragged before the simulation starts, but not during a replay
+     */
+    canDrag() {
+        return !GameState.isRunning && !this.scene.replayPlayer;
+    }
+
+    /**
+     * Border Color for the current upgrade level
+     */
+    getBorderColor() {
+        if (this.node.level >= 3) return 0xffd700;
+        if (this.node.level === 2) return 0xbd00ff;
+        return CONFIG.colors.nodeBorder;
+    }
+
+    /**
+     * Border Width for the current upgrade level
+     */
+    getStrokeWidth() {
+        return 2 + (this.node.level - 1) * 2;
+    }
+
+    /**
+     * Apply Level Style
+     * Updates border and level badge after an upgrade
+     */
+    applyLevelStyle() {
+        const borderColor = this.getBorderColor();
+
+        if (this.bg.isGraphics) {
+            this.redrawShape(borderColor, this.getStrokeWidth());
+        } else {
+            this.bg.setStrokeStyle(this.getStrokeWidth(), borderColor);
+        }
+
+        if (this.levelText) {
+            this.levelText.setText('Lv.' + this.node.level);
+            this.levelText.setColor(this.node.level >= 3 ? '#ffd700' : '#bd00ff');
+        }
+    }
+
+    /**
+     * Node Upgraded (simulation event)
+     */
+    onUpgraded() {
+        this.renderedLevel = this.node.level;
+        this.applyLevelStyle();
+        this.playUpgradeAnimation(this.getBorderColor());
+    }
+
+    /**
+     * Redraw Shape (for Graphics objects)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        // Subclasses with Graphics shapes override this
+    }
+
+    /**
+     * Play Upgrade Animation
+     */
+    playUpgradeAnimation(color) {
+        const aura = this.scene.add.circle(this.x, this.y, 40, color, 0.5);
+
+        this.scene.tweens.add({
+            targets: aura,
+            scale: 2.5,
+            alpha: 0,
+            duration: 600,
+            onComplete: () => aura.destroy()
+        });
+    }
+
+    /**
+     * Show Floating Text
+     */
+    showFloatText(msg, color) {
+        const txt = this.scene.add.text(this.x, this.y - 50, msg, {
+            fontSize: '14px',
+            color: color,
+            fontStyle: 'bold',
+            stroke: '#000',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        this.scene.tweens.add({
+            targets: txt,
+            y: this.y - 80,
+            alpha: 0,
+            duration: 1000,
+            onComplete: () => txt.destroy()
+        });
+    }
+
+    /**
+     * Flash Red Effect
+     */
+    flashRed() {
+        if (this.bg.isGraphics) {
+            this.redrawShape(0xff0000, this.getStrokeWidth());
+
+            this.scene.time.delayedCall(100, () => {
+                if (!this.active) return;
+                this.redrawShape(this.getBorderColor(), this.getStrokeWidth());
+            });
+        } else {
+            this.scene.tweens.add({
+                targets: this.bg,
+                strokeColor: 0xff0000,
+                duration: 100,
+                yoyo: true,
+                onComplete: () => {
+                    this.bg.setStrokeStyle(this.bg.lineWidth, this.getBorderColor());
+                }
+            });
+        }
+    }
+
+    /**
+     * Start Processing Visual Indicator
+     */
+    startProcessing() {
+        this.processIndicator.setVisible(true);
+
+        this.scene.tweens.add({
+            targets: this.processIndicator,
+            alpha: 0.3,
+            scale: 1.2,
+            duration: 200,
+            yoyo: true,
+            repeat: -1
+        });
+    }
+
+    /**
+     * Stop Processing Visual Indicator
+     */
+    stopProcessing() {
+        this.processIndicator.setVisible(false);
+        this.scene.tweens.killTweensOf(this.processIndicator);
+    }
+
+    /**
+     * Helper: Draw Cylinder Shape
+     */
+    drawCylinder(graphics, x, y, w, h, borderColor, strokeWidth) {
+        const topHeight = h * 0.15;
+
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+
+        graphics.fillRect(x - w/2, y - h/2 + topHeight, w, h - topHeight * 2);
+        graphics.strokeRect(x - w/2, y - h/2 + topHeight, w, h - topHeight * 2);
+
+        graphics.fillEllipse(x, y + h/2 - topHeight, w/2, topHeight);
+        graphics.strokeEllipse(x, y + h/2 - topHeight, w/2, topHeight);
+
+        graphics.fillEllipse(x, y - h/2 + topHeight, w/2, topHeight);
+        graphics.strokeEllipse(x, y - h/2 + topHeight, w/2, topHeight);
+    }
+
+    /**
+     * Helper: Draw Diamond Shape
+     */
+    drawDiamond(graphics, x, y, w, h, borderColor, strokeWidth) {
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+
+        graphics.beginPath();
+        graphics.moveTo(x, y - h/2);
+        graphics.lineTo(x + w/2, y);
+        graphics.lineTo(x, y + h/2);
+        graphics.lineTo(x - w/2, y);
+        graphics.closePath();
+
+        graphics.fillPath();
+        graphics.strokePath();
+    }
+
+    /**
+     * Helper: Draw Hexagon Shape
+     */
+    drawHexagon(graphics, x, y, radius, borderColor, strokeWidth) {
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+
+        graphics.beginPath();
+
+        for (let i = 0; i < 6; i++) {
+            const angle = (Math.PI / 3) * i - Math.PI / 2;
+            const px = x + radius * Math.cos(angle);
+            const py = y + radius * Math.sin(angle);
+
+            if (i === 0) {
+                graphics.moveTo(px, py);
+            } else {
+                graphics.lineTo(px, py);
+            }
+        }
+
+        graphics.closePath();
+        graphics.fillPath();
+        graphics.strokePath();
+    }
+
+    /**
+     * Helper: Draw Star Shape
+     */
+    drawStar(graphics, x, y, points, outerRadius, innerRadius, borderColor, strokeWidth) {
+        graphics.fillStyle(CONFIG.colors.node, 1);
+        graphics.lineStyle(strokeWidth || 2, borderColor || CONFIG.colors.nodeBorder);
+
+        graphics.beginPath();
+
+        for (let i = 0; i < points * 2; i++) {
+            const angle = (Math.PI / points) * i - Math.PI / 2;
+            const radius = i % 2 === 0 ? outerRadius : innerRadius;
+            const px = x + radius * Math.cos(angle);
+            const py = y + radius * Math.sin(angle);
+
+            if (i === 0) {
+                graphics.moveTo(px, py);
+            } else {
+                graphics.lineTo(px, py);
+            }
+        }
+
+        graphics.closePath();
+        graphics.fillPath();
+        graphics.strokePath();
+    }
+}
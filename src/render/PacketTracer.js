@@ -0,0 +1,192 @@
+/**
+ * PacketTracer Class
+ *
+ * Trace mode: follow one request through the architecture, like a
+ * distributed tracing tool follows a request across services.
+ * - While tracing, click any packet to follow it, or let the tracer pick
+ *   1 in SAMPLE_EVERY new user requests (sampling)
+ * - The followed packet gets a highlight ring, and the nodes it visited
+ *   are joined by a path
+ * - Its spans (Packet.getSpans()) are listed in the TraceTimeline panel
+ *
+ * Like SimulationView, the tracer only reads simulation state.
+ */
+
+import { LAYOUT_CONFIG } from '../config/index.js';
+import { TraceTimeline } from '../utils/TraceTimeline.js';
+
+/**
+ * Sampling rate: follow 1 in this many user requests
+ */
+const SAMPLE_EVERY = 10;
+
+/**
+ * How close (px) a click must be to a packet to pick it
+ */
+const PICK_RADIUS = 15;
+
+const HIGHLIGHT = {
+    color: 0xff44cc,
+    ringRadius: 12,
+    pathWidth: 3
+};
+
+export class PacketTracer {
+    /**
+     * @param {BaseLevelScene} scene - Scene drawing the simulation
+     * @param {Simulation} sim - Simulation whose packets are traced
+     * @param {SimulationView} view - View holding the packet sprites
+     */
+    constructor(scene, sim, view) {
+        this.scene = scene;
+        this.sim = sim;
+        this.view = view;
+
+        this.enabled = false;
+        this.sampleEvery = SAMPLE_EVERY;
+        this.packet = null;         // Packet being followed
+        this.sampling = false;      // Waiting for the next sampled request
+        this.seen = 0;              // User requests seen while sampling
+        this.lastRender = null;     // Timeline state last drawn (see update())
+
+        this.graphics = scene.add.graphics();
+        this.graphics.setDepth(LAYOUT_CONFIG.zIndex.ui);
+        this.timeline = new TraceTimeline(this);
+
+        this.onPacketCreated = (packet) => this.samplePacket(packet);
+        this.onPointerDown = (pointer) => this.pickPacket(pointer.worldX, pointer.worldY);
+        this.sim.on('packetCreated', this.onPacketCreated);
+        this.scene.input.on('pointerdown', this.onPointerDown);
+    }
+
+    /**
+     * Turn trace mode on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.packet = null;
+        this.lastRender = null;
+        this.graphics.clear();
+
+        if (enabled) {
+            this.sampleNext();
+            this.timeline.show();
+        } else {
+            this.sampling = false;
+            this.timeline.hide();
+        }
+    }
+
+    /**
+     * Stop following the current packet and wait for the next sampled request
+     */
+    sampleNext() {
+        this.packet = null;
+        this.sampling = true;
+        this.seen = 0;
+        this.lastRender = null;
+        this.timeline.render(null);
+    }
+
+    /**
+     * Follow a packet
+     */
+    follow(packet) {
+        this.packet = packet;
+        this.sampling = false;
+        this.lastRender = null;
+        this.update();
+    }
+
+    /**
+     * New packet (simulation event): follow it if it is the sampled request
+     */
+    samplePacket(packet) {
+        if (!this.enabled || !this.sampling || packet.isBackground) return;
+
+        this.seen++;
+        if (this.seen >= this.sampleEvery) {
+            this.follow(packet);
+        }
+    }
+
+    /**
+     * Follow the packet closest to a click (world coordinates), if any
+     */
+    pickPacket(x, y) {
+        if (!this.enabled) return;
+
+        let closest = null;
+        let closestDistance = PICK_RADIUS;
+
+        this.view.packetSprites.forEach((sprite, packet) => {
+            if (!sprite.visible) return;
+
+            const distance = Phaser.Math.Distance.Between(x, y, sprite.x, sprite.y);
+            if (distance <= closestDistance) {
+                closest = packet;
+                closestDistance = distance;
+            }
+        });
+
+        if (closest) {
+            this.follow(closest);
+        }
+    }
+
+    /**
+     * Redraw the highlight and refresh the timeline when the trace changed
+     * Called every frame after SimulationView.update()
+     */
+    update() {
+        if (!this.enabled || !this.packet) return;
+
+        this.drawHighlight();
+
+        // The DOM timeline is only rebuilt when a span starts or ends
+        const packet = this.packet;
+        const hop = packet.currentHop;
+        const state = `${packet.hops.length}:${packet.alive}:${hop ? hop.startedAt : ''}:${hop ? hop.leftAt : ''}`;
+        if (state !== this.lastRender) {
+            this.lastRender = state;
+            this.timeline.render(packet);
+        }
+    }
+
+    /**
+     * Ring around the packet and path through the nodes it visited
+     */
+    drawHighlight() {
+        const packet = this.packet;
+        const points = packet.hops
+            .map(hop => this.sim.nodes[hop.node])
+            .filter(node => node)
+            .map(node => ({ x: node.x, y: node.y }));
+
+        const sprite = this.view.packetSprites.get(packet);
+        if (sprite && sprite.visible) {
+            points.push({ x: sprite.x, y: sprite.y });
+        }
+
+        this.graphics.clear();
+        this.graphics.lineStyle(HIGHLIGHT.pathWidth, HIGHLIGHT.color, 0.5);
+        for (let i = 1; i < points.length; i++) {
+            this.graphics.lineBetween(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+        }
+
+        if (sprite && sprite.visible) {
+            this.graphics.lineStyle(2, HIGHLIGHT.color, 1);
+            this.graphics.strokeCircle(sprite.x, sprite.y, HIGHLIGHT.ringRadius);
+        }
+    }
+
+    /**
+     * Unsubscribe and remove the highlight and panel (scene shutdown)
+     */
+    destroy() {
+        this.sim.off('packetCreated', this.onPacketCreated);
+        this.scene.input.off('pointerdown', this.onPointerDown);
+        this.graphics.destroy();
+        this.timeline.destroy();
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * ProcessingNodeView Class
+ *
+ * Draws processing nodes (App, Cache, CDN, LoadBalancer) and is the base
+ * view for Database, Queue, Circuit Breaker and API Gateway nodes.
+ * - Shape picked from the node type
+ * - Load bar, capacity text and level badge
+ * - Wait queue depth: one pip per queue slot, lit while a request waits in it
+ * - Capacity/speed info next to app servers, keys held and hit rate next to
+ *   caches and CDN nodes (so a cache visibly warms up)
+ * - Chaos status over the shape: DOWN (shape faded) while the node is crashed,
+ *   PARTITIONED while a partition cuts it off, SLOW while it is slowed down
+ */
+
+import { CONFIG } from '../config.js';
+import { NodeView } from './NodeView.js';
+
+/**
+ * Wait queue pips (px)
+ */
+const QUEUE_PIP = {
+    size: 5,
+    gap: 2,
+    waiting: 0xff9800,
+    empty: 0x333333
+};
+
+export class ProcessingNodeView extends NodeView {
+    /**
+     * Create Shape by node type
+     * - app: rectangle
+     * - cache: diamond
+     * - cdn: star
+     * - loadbalancer: hexagon
+     */
+    createShape(w, h) {
+        if (this.node.type === 'app') {
+            this.bg = this.scene.add.rectangle(0, 0, w, h, CONFIG.colors.node);
+            this.bg.setStrokeStyle(2, CONFIG.colors.nodeBorder);
+            this.bg.width = w;
+            this.bg.height = h;
+            return;
+        }
+
+        this.bg = this.scene.add.graphics();
+        this.bg.isGraphics = true;
+
+        if (this.node.type === 'cdn') {
+            this.bg.width = 70;
+            this.bg.height = 70;
+        } else if (this.node.type === 'loadbalancer') {
+            this.bg.width = 80;
+            this.bg.height = 80;
+        } else {
+            this.bg.width = w * 0.9;
+            this.bg.height = h * 0.9;
+        }
+
+        this.redrawShape();
+    }
+
+    /**
+     * Redraw Shape (for upgrade visuals)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        this.bg.clear();
+
+        switch (this.node.type) {
+            case 'cdn':
+                this.drawStar(this.bg, 0, 0, 5, 35, 18, borderColor, strokeWidth);
+                break;
+            case 'loadbalancer':
+                this.drawHexagon(this.bg, 0, 0, 40, borderColor, strokeWidth);
+                break;
+            default:
+                this.drawDiamond(this.bg, 0, 0, this.bg.width, this.bg.height, borderColor, strokeWidth);
+        }
+    }
+
+    /**
+     * Create Type-Specific UI
+     * Adds capacity bar and level badge
+     */
+    createTypeSpecificUI() {
+        const w = this.bg.width || 80;
+        const h = this.bg.height || 60;
+
+        // Load bar background
+        this.barBg = this.scene.add.rectangle(0, h/2 + 10, w, 6, 0x000000).setOrigin(0.5);
+
+        // Load bar foreground
+        this.barFg = this.scene.add.rectangle(-w/2, h/2 + 10, 0, 6, 0x00ff00).setOrigin(0, 0.5);
+
+        // Capacity text
+        this.capacityText = this.scene.add.text(0, h/2 + 20, '0/' + this.node.capacity, {
+            fontSize: '10px',
+            color: '#ffffff',
+            fontFamily: 'Arial'
+        }).setOrigin(0.5, 0);
+
+        // Level badge
+        this.levelText = this.scene.add.text(w/2 + 5, -h/2, 'Lv.1', {
+            fontSize: '10px',
+            color: '#ffd700',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0.5);
+
+        // Server capacity info (app servers) or cache contents (caches, CDN nodes)
+        if (this.node.type === 'app' || this.node.type === 'cache' || this.node.type === 'cdn') {
+            this.serverInfoText = this.scene.add.text(w/2 + 10, 0, '', {
+                fontSize: '11px',
+                color: '#4fc1ff',
+                fontFamily: 'Courier New',
+                align: 'left'
+            }).setOrigin(0, 0.5);
+
+            this.add([this.serverInfoText]);
+        }
+
+        this.add([this.barBg, this.barFg, this.capacityText, this.levelText]);
+
+        // Wait queue (pubsub queues show their message queue instead)
+        if (!this.node.messageQueue) {
+            this.queuePips = this.scene.add.graphics();
+            this.queuePips.y = h/2 + 34;
+            this.renderedQueue = null;
+            this.add(this.queuePips);
+        }
+
+        // Chaos status
+        this.renderedStatus = '';
+        this.statusText = this.scene.add.text(0, 0, '', {
+            fontSize: '13px',
+            fontStyle: 'bold',
+            backgroundColor: '#000000',
+            padding: { x: 3, y: 1 }
+        }).setOrigin(0.5).setVisible(false);
+        this.add(this.statusText);
+    }
+
+    /**
+     * Refresh From Model
+     */
+    refresh() {
+        super.refresh();
+        this.updateVisuals();
+    }
+
+    /**
+     * Load shown in the bar/text as [current, max]
+     */
+    getLoadFigures() {
+        return [this.node.currentLoad, this.node.capacity];
+    }
+
+    /**
+     * Update Visual Elements
+     */
+    updateVisuals() {
+        const ratio = this.node.getLoadRatio();
+        const [current, max] = this.getLoadFigures();
+
+        this.barFg.width = this.bg.width * ratio;
+        this.barFg.fillColor = this.getLoadColor(ratio);
+
+        this.capacityText.setText(current + '/' + max);
+
+        if (ratio < 0.5) {
+            this.capacityText.setColor('#00ff00');
+        } else if (ratio < 0.9) {
+            this.capacityText.setColor('#ffff00');
+        } else {
+            this.capacityText.setColor('#ff0000');
+        }
+
+        if (this.queuePips) {
+            this.updateQueuePips();
+        }
+
+        this.updateStatus();
+
+        // Update server info display if exists (for app servers, caches and CDN nodes)
+        if (this.serverInfoText && this.node.entries) {
+            const lookups = this.node.hits + this.node.misses;
+            const hitRate = lookups > 0 ? `${Math.round(this.node.hits / lookups * 100)}%` : '-';
+            this.serverInfoText.setText(`Keys: ${this.node.entries.size}/${this.node.keyCapacity}\nHits: ${hitRate}`);
+        } else if (this.serverInfoText) {
+            this.serverInfoText.setText(`Capacity: ${this.node.capacity}\nSpeed: ${this.node.speed}ms`);
+        }
+    }
+
+    /**
+     * Show the node's chaos status when it changed
+     */
+    updateStatus() {
+        const node = this.node;
+        const chaos = node.sim.chaos;
+        let status = '';
+        let color = '#ff9800';
+
+        if (node.down) {
+            status = '✖ DOWN';
+            color = '#ff4444';
+        } else if (chaos && chaos.isIsolated(node)) {
+            status = '✂ PARTITIONED';
+            color = '#ff4444';
+        } else if (node.slowdown > 1) {
+            status = `🐢 SLOW ×${node.slowdown}`;
+        }
+
+        if (status === this.renderedStatus) return;
+        this.renderedStatus = status;
+
+        this.statusText.setText(status);
+        this.statusText.setColor(color);
+        this.statusText.setVisible(status !== '');
+        this.bg.setAlpha(node.down ? 0.35 : 1);
+    }
+
+    /**
+     * Redraw the wait queue pips when the queue changed
+     */
+    updateQueuePips() {
+        const waiting = this.node.waitQueue.length;
+        const size = this.node.queueSize;
+        const state = `${waiting}/${size}`;
+        if (state === this.renderedQueue) return;
+        this.renderedQueue = state;
+
+        const step = QUEUE_PIP.size + QUEUE_PIP.gap;
+        const left = -(size * step - QUEUE_PIP.gap) / 2;
+
+        this.queuePips.clear();
+        for (let i = 0; i < size; i++) {
+            this.queuePips.fillStyle(i < waiting ? QUEUE_PIP.waiting : QUEUE_PIP.empty, 1);
+            this.queuePips.fillRect(left + i * step, 0, QUEUE_PIP.size, QUEUE_PIP.size);
+        }
+    }
+
+    /**
+     * Get Load Bar Color
+     */
+    getLoadColor(ratio) {
+        if (ratio < 0.5) return 0x00ff00;
+        if (ratio < 0.9) return 0xffff00;
+        return 0xff0000;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * QueueNodeView Class
+ *
+ * Draws Pubsub queue nodes.
+ * - Star shape
+ * - Load bar and capacity text show queue depth instead of concurrent load
+ * - Queue size indicator below the node
+ */
+
+import { ProcessingNodeView } from './ProcessingNodeView.js';
+
+export class QueueNodeView extends ProcessingNodeView {
+    /**
+     * Create Star Shape for Queue
+     */
+    createShape(w, h) {
+        this.bg = this.scene.add.graphics();
+        const radius = Math.min(w, h) / 2;
+        this.drawStar(this.bg, 0, 0, 5, radius, radius * 0.5);
+        this.bg.width = w;
+        this.bg.height = h;
+        this.bg.isGraphics = true;
+    }
+
+    /**
+     * Redraw Shape (for upgrade visuals)
+     */
+    redrawShape(borderColor, strokeWidth) {
+        this.bg.clear();
+        const radius = Math.min(this.bg.width, this.bg.height) / 2;
+        this.drawStar(this.bg, 0, 0, 5, radius, radius * 0.5, borderColor, strokeWidth);
+    }
+
+    /**
+     * Create Queue-Specific UI Elements
+     */
+    createTypeSpecificUI() {
+        super.createTypeSpecificUI();
+
+        const h = this.bg.height || 60;
+
+        // Queue size indicator
+        this.queueText = this.scene.add.text(0, h/2 + 30, 'Queue: 0', {
+            fontSize: '10px',
+            color: '#00ffff',
+            fontFamily: 'Arial',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+
+        this.add(this.queueText);
+    }
+
+    /**
+     * Queue depth shown in the bar/text
+     */
+    getLoadFigures() {
+        return [this.node.messageQueue.length, this.node.capacity];
+    }
+
+    /**
+     * Update Visuals
+     * Override to show queue status
+     */
+    updateVisuals() {
+        super.updateVisuals();
+
+        this.queueText.setText(`Queue: ${this.node.messageQueue.length}`);
+
+        // Color based on queue fullness
+        const ratio = this.node.getLoadRatio();
+        if (ratio < 0.5) {
+            this.queueText.setColor('#00ff00');
+        } else if (ratio < 0.8) {
+            this.queueText.setColor('#ffff00');
+        } else {
+            this.queueText.setColor('#ff0000');
+        }
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * SimulationView Class
+ *
+ * Draws a Simulation inside a Phaser scene.
+ * - Creates one NodeView per node (and keeps the set in sync on add/remove)
+ * - Creates one sprite per packet and moves it along its link every frame
+ * - Forwards node effect events (float text, flash, upgrade) to the views
+ *
+ * The view only reads simulation state; gameplay runs entirely in the
+ * Simulation, so removing the view does not change the outcome of a level.
+ */
+
+import { CONFIG } from '../config.js';
+import { LAYOUT_CONFIG } from '../config/index.js';
+import { ProcessingNodeView } from './ProcessingNodeView.js';
+import { UserNodeView } from './UserNodeView.js';
+import { DatabaseNodeView } from './DatabaseNodeView.js';
+import { QueueNodeView } from './QueueNodeView.js';
+import { CircuitBreakerNodeView } from './CircuitBreakerNodeView.js';
+import { ApiGatewayNodeView } from './ApiGatewayNodeView.js';
+
+/**
+ * View class per node type (anything else is drawn as a processing node)
+ */
+const VIEW_CLASSES = {
+    user: UserNodeView,
+    database: DatabaseNodeView,
+    pubsub: QueueNodeView,
+    breaker: CircuitBreakerNodeView,
+    gateway: ApiGatewayNodeView
+};
+
+export class SimulationView {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw into
+     * @param {Simulation} sim - Simulation to draw
+     */
+    constructor(scene, sim) {
+        this.scene = scene;
+        this.sim = sim;
+
+        this.nodeViews = new Map();     // node -> NodeView
+        this.packetSprites = new Map(); // packet -> Phaser.GameObjects.Graphics
+
+        this.listeners = {
+            nodeAdded: (key, node) => this.addNodeView(node),
+            nodeRemoved: (key, node) => this.removeNodeView(node),
+            packetCreated: (packet) => this.addPacketSprite(packet),
+            packetDestroyed: (packet) => this.removePacketSprite(packet),
+            nodeFloatText: (node, msg, color) => this.withView(node, view => view.showFloatText(msg, color)),
+            nodeFlash: (node) => this.withView(node, view => view.flashRed()),
+            nodeUpgraded: (node) => this.withView(node, view => view.onUpgraded())
+        };
+
+        Object.entries(this.listeners).forEach(([event, fn]) => sim.on(event, fn));
+
+        // Draw anything that already exists
+        Object.values(sim.nodes).forEach(node => this.addNodeView(node));
+        sim.packets.forEach(packet => this.addPacketSprite(packet));
+    }
+
+    /**
+     * Get the view drawing a node
+     *
+     * @param {BaseNode} node
+     * @returns {NodeView|undefined}
+     */
+    getNodeView(node) {
+        return this.nodeViews.get(node);
+    }
+
+    /**
+     * Run fn with the node's view if it has one
+     */
+    withView(node, fn) {
+        const view = this.nodeViews.get(node);
+        if (view && view.active) fn(view);
+    }
+
+    /**
+     * Create the view for a node
+     */
+    addNodeView(node) {
+        if (this.nodeViews.has(node)) return;
+
+        const ViewClass = VIEW_CLASSES[node.type] || ProcessingNodeView;
+        this.nodeViews.set(node, new ViewClass(this.scene, node));
+    }
+
+    /**
+     * Destroy the view for a node
+     */
+    removeNodeView(node) {
+        const view = this.nodeViews.get(node);
+        if (!view) return;
+
+        view.destroy();
+        this.nodeViews.delete(node);
+    }
+
+    /**
+     * Create the sprite for a packet
+     * Reads are circles, writes are diamonds, retries get a red ring
+     */
+    addPacketSprite(packet) {
+        const sprite = this.scene.add.graphics();
+        sprite.setDepth(LAYOUT_CONFIG.zIndex.packets);
+        this.drawPacket(sprite, packet);
+        this.packetSprites.set(packet, sprite);
+        this.positionPacket(sprite, packet);
+    }
+
+    /**
+     * Draw a packet shape in its current colour
+     */
+    drawPacket(sprite, packet) {
+        const color = packet.isShed ? CONFIG.colors.packetShed
+            : packet.isResponse ? CONFIG.colors.packetRes
+            : CONFIG.colors.packetReq;
+
+        sprite.clear();
+        sprite.fillStyle(color, 1);
+
+        if (packet.isWrite) {
+            const size = LAYOUT_CONFIG.packets.diamondSize;
+            sprite.beginPath();
+            sprite.moveTo(0, -size);
+            sprite.lineTo(size, 0);
+            sprite.lineTo(0, size);
+            sprite.lineTo(-size, 0);
+            sprite.closePath();
+            sprite.fillPath();
+        } else {
+            sprite.fillCircle(0, 0, LAYOUT_CONFIG.packets.circleRadius);
+        }
+
+        if (packet.attempt > 1) {
+            sprite.lineStyle(2, CONFIG.colors.packetRetry, 1);
+            sprite.strokeCircle(0, 0, LAYOUT_CONFIG.packets.retryRingRadius);
+        }
+
+        sprite.drawnAsResponse = packet.isResponse;
+    }
+
+    /**
+     * Destroy the sprite for a packet
+     */
+    removePacketSprite(packet) {
+        const sprite = this.packetSprites.get(packet);
+        if (!sprite) return;
+
+        sprite.destroy();
+        this.packetSprites.delete(packet);
+    }
+
+    /**
+     * Place a packet sprite at its simulated position
+     * In transit packets are interpolated linearly between the two nodes.
+     */
+    positionPacket(sprite, packet) {
+        const transit = packet.transit;
+
+        if (transit) {
+            const span = transit.arriveAt - transit.departAt;
+            const t = span > 0 ? Phaser.Math.Clamp((this.sim.now - transit.departAt) / span, 0, 1) : 1;
+            sprite.x = transit.from.x + (transit.to.x - transit.from.x) * t;
+            sprite.y = transit.from.y + (transit.to.y - transit.from.y) * t;
+            sprite.setVisible(true);
+        } else if (packet.location) {
+            sprite.x = packet.location.x;
+            sprite.y = packet.location.y;
+            sprite.setVisible(true);
+        } else {
+            sprite.setVisible(false);
+        }
+    }
+
+    /**
+     * Update Method
+     * Called every frame after the simulation has advanced
+     */
+    update() {
+        this.nodeViews.forEach(view => view.refresh());
+
+        this.packetSprites.forEach((sprite, packet) => {
+            if (sprite.drawnAsResponse !== packet.isResponse) {
+                this.drawPacket(sprite, packet);
+            }
+            this.positionPacket(sprite, packet);
+        });
+    }
+
+    /**
+     * Unsubscribe from the simulation and destroy every view
+     */
+    destroy() {
+        Object.entries(this.listeners).forEach(([event, fn]) => this.sim.off(event, fn));
+
+        this.nodeViews.forEach(view => view.destroy());
+        this.packetSprites.forEach(sprite => sprite.destroy());
+        this.nodeViews.clear();
+        this.packetSprites.clear();
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * UserNodeView Class
+ *
+ * Draws user/client nodes.
+ * - Circle shape
+ * - Success/error counters, concurrent requests, RPM and p95 latency
+ */
+
+import { CONFIG } from '../config.js';
+import { NodeView } from './NodeView.js';
+
+export class UserNodeView extends NodeView {
+    /**
+     * Create Circle Shape
+     */
+    createShape(w, h) {
+        this.bg = this.scene.add.circle(0, 0, 35, CONFIG.colors.node);
+        this.bg.setStrokeStyle(2, CONFIG.colors.nodeBorder);
+        this.bg.width = 70;
+        this.bg.height = 70;
+    }
+
+    /**
+     * Create User-Specific Statistics Display
+     */
+    createTypeSpecificUI() {
+        this.statsTextSuccess = this.scene.add.text(-50, -12, '✔ 0', {
+            fontSize: '12px',
+            color: '#00ff00',
+            align: 'right',
+            fontFamily: 'Courier New'
+        }).setOrigin(1, 0.5);
+
+        this.statsTextError = this.scene.add.text(-50, 8, '✖ 0', {
+            fontSize: '12px',
+            color: '#ff4444',
+            align: 'right',
+            fontFamily: 'Courier New'
+        }).setOrigin(1, 0.5);
+
+        // Add concurrent requests and RPM display below the node
+        this.concurrentText = this.scene.add.text(0, 50, 'Concurrent: 0', {
+            fontSize: '11px',
+            color: '#00ff00',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5, 0);
+
+        this.rpmText = this.scene.add.text(0, 65, 'RPM: 0', {
+            fontSize: '11px',
+            color: '#00ff00',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5, 0);
+
+        this.latencyText = this.scene.add.text(0, 80, 'p95: -', {
+            fontSize: '11px',
+            color: '#4fc1ff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5, 0);
+
+        this.add([this.statsTextSuccess, this.statsTextError, this.concurrentText, this.rpmText, this.latencyText]);
+    }
+
+    /**
+     * Refresh From Model
+     */
+    refresh() {
+        super.refresh();
+
+        this.statsTextSuccess.setText('✔ ' + this.node.localSuccess);
+        this.statsTextError.setText('✖ ' + this.node.localErrors);
+        this.concurrentText.setText(`Concurrent: ${this.node.concurrentRequests}`);
+        this.rpmText.setText(`RPM: ${this.node.rpm}`);
+
+        const p95 = this.node.latency.percentile(95);
+        this.latencyText.setText(`p95: ${p95 === null ? '-' : `${Math.round(p95)}ms`}`);
+    }
+}
@@ -6,17 +6,71 @@
  * structure for creating new levels.
  * 
  * Child classes only need to:
- * 1. Provide level configuration in constructor
- * 2. Implement createNodes() to define the architecture
+ * 1. Provide level configuration in constructor, including the layout that
+ *    builds the level's architecture (see src/levels/layouts.js)
+ * 2. Override createNodes() if they keep scene state about the nodes
  * 
  * All other functionality (UI setup, traffic generation, difficulty progression,
  * zoom controls, camera dragging, etc.) is handled by this base class.
+ *
+ * Gameplay runs in a headless Simulation (src/simulation/); the scene only
+ * advances it every frame and draws it through a SimulationView.
  */
 
 import { CONFIG, GameState, resetGameState } from '../config.js';
-import { LAYOUT_CONFIG, UI_CONFIG } from '../config/index.js';
+import { UI_CONFIG, LOAD_BALANCER_CONFIG, CHAOS_CONFIG, CACHE_CONFIG } from '../config/index.js';
 import { drawDualLines } from '../utils/animations.js';
-import { updateUI, checkGameEnd, updateObjectivesDisplay } from '../utils/uiManager.js';
+import { updateUI, checkGameEnd, getErrorRate, getUpgradeCost, updateObjectivesDisplay, addRevenue, getSeedInfoHtml, updateReplayControls, updateTraceButton, updateRetryControls } from '../utils/uiManager.js';
+import { Simulation } from '../simulation/Simulation.js';
+import { ReplayLog } from '../simulation/ReplayLog.js';
+import { ReplayPlayer } from '../simulation/ReplayPlayer.js';
+import { Topology } from '../simulation/Topology.js';
+import { SimulationView } from '../render/SimulationView.js';
+import { LinkEditor } from '../render/LinkEditor.js';
+import { PacketTracer } from '../render/PacketTracer.js';
+import { MetricsDashboard } from '../utils/MetricsDashboard.js';
+import { NodeInspector } from '../utils/NodeInspector.js';
+
+/**
+ * Player actions recorded into the replay log
+ * Each one is a scene method; a level only implements the ones it uses.
+ */
+const REPLAY_ACTIONS = [
+    'startSimulation',
+    'pauseSimulation',
+    'resumeSimulation',
+    'upgradeAppServers',
+    'upgradeNode',
+    'moveNode',
+    'addLink',
+    'removeLink',
+    'addDatabaseServer',
+    'addAppServer',
+    'addLoadBalancer',
+    'addCDN',
+    'addOriginShield',
+    'addReadReplica',
+    'addQueue',
+    'addComponent',
+    'removeComponent',
+    'clearDesign',
+    'configureTraffic',
+    'buyComponent',
+    'setRetryPolicy',
+    'setLoadBalancerStrategy',
+    'setHealthCheck',
+    'setCacheWritePolicy',
+    'buyCacheMitigation',
+    'buyReplicationOption',
+    'purgeCDN',
+    'crashNode',
+    'restartNode'
+];
+
+/**
+ * Actions a viewer can still use while watching a replay (not recorded)
+ */
+const REPLAY_VIEWER_ACTIONS = ['pauseSimulation', 'resumeSimulation'];
 
 export class BaseLevelScene extends Phaser.Scene {
     /**
@@ -29,25 +83,69 @@ export class BaseLevelScene extends Phaser.Scene {
      * @param {number} config.maxErrorRate - Maximum acceptable error rate percentage (optional, default from CONFIG)
      * @param {number} config.initialTrafficDelay - Initial delay between traffic waves (ms)
      * @param {number} config.initialPacketsPerWave - Starting packets per wave
-     * @param {number} config.difficultyInterval - Time between difficulty increases (ms)
+     * @param {number} config.difficultyInterval - Time between difficulty increases (ms, 0 = constant traffic)
      * @param {Object} config.difficultyStages - Difficulty progression configuration
      * @param {Array<string>} config.userNodeIds - Array of user node IDs (e.g., ['User1', 'User2'])
+     * @param {Function} config.layout - Builds the starting nodes: (simulation, { width, height })
      * @param {number} config.revenuePerRequest - Revenue earned per successful request (optional, default 0)
+     * @param {number} config.startingBudget - Budget at the start of the level (optional, default from resetGameState)
+     * @param {number} config.writeRequestPercentage - Share of writes (optional, default from CONFIG)
+     * @param {number} config.staticPercentage - Share of reads for static content (optional, default from CDN_CONFIG)
+     * @param {Object} config.latencyObjective - Extra win condition { percentile: 95, maxLatency: 4000 } (optional)
+     * @param {number} config.maxShedRate - Largest share of requests (%) rate limiters may shed (optional, default from CONFIG)
+     * @param {Object} config.consistencyObjective - Extra win condition { maxStaleReadRate: 2, maxStaleOwnReadRate: 1,
+     *                                               maxLostWrites: 0 } (optional, limits left out or null are not checked)
+     * @param {Object} config.retries - { policy, choices }: users' retry policy and the RETRY_CONFIG
+     *                                  policies the player can switch to (optional, default: no retries, no choice)
+     * @param {Object} config.chaos - { events, random }: failures injected during the run (optional, see ChaosEngine)
+     * @param {Object} config.keySpace - { keys, distribution, exponent }: resource keys requests are for
+     *                                   (optional, default CACHE_CONFIG.keySpace, see KeySpace)
      */
     constructor(config) {
         super({ key: config.key });
-        
-        // Store level configuration
+        this.applyLevelConfig(config);
+    }
+
+    /**
+     * Apply Level Config
+     * 
+     * Stores the level configuration (see constructor). Scenes that only know
+     * their level once it is loaded (DataLevelScene) call this again before create().
+     */
+    applyLevelConfig(config) {
         this.levelConfig = config;
         this.levelNumber = config.levelNumber;
         this.targetTotal = config.targetTotal;
         this.maxErrorRate = config.maxErrorRate !== undefined ? config.maxErrorRate : CONFIG.maxErrorRate;
         this.initialTrafficDelay = config.initialTrafficDelay || 1500;
         this.initialPacketsPerWave = config.initialPacketsPerWave || 1;
-        this.difficultyInterval = config.difficultyInterval || 8000;
+        this.difficultyInterval = config.difficultyInterval !== undefined ? config.difficultyInterval : 8000;
         this.difficultyStages = config.difficultyStages || {};
         this.userNodeIds = config.userNodeIds || ['User1', 'User2', 'User3'];
         this.revenuePerRequest = config.revenuePerRequest || 0;  // Revenue per successful request
+        this.startingBudget = config.startingBudget !== undefined ? config.startingBudget : null;
+        this.latencyObjective = config.latencyObjective || null;
+        this.maxShedRate = config.maxShedRate !== undefined ? config.maxShedRate : null;
+        this.consistencyObjective = config.consistencyObjective
+            ? { maxStaleReadRate: null, maxStaleOwnReadRate: null, maxLostWrites: null, ...config.consistencyObjective }
+            : null;
+        this.retries = config.retries || null;
+        this.chaos = config.chaos || null;
+        this.keySpace = config.keySpace || null;
+    }
+
+    /**
+     * Init Method
+     * 
+     * Called by Phaser before create() with the data passed to scene.start().
+     * 
+     * @param {Object} data - Pass { replay: ReplayLog } to watch a recorded run
+     */
+    init(data) {
+        this.replaySource = (data && data.replay) || null;
+        
+        // Scene data sticks to the scene between starts - a replay only plays once
+        this.sys.settings.data = {};
     }
 
     /**
@@ -87,13 +185,14 @@ export class BaseLevelScene extends Phaser.Scene {
         document.getElementById('result-modal').style.display = 'none';
         
         // Reset Game State for this level
-        resetGameState(this.levelNumber);
+        resetGameState(this.levelNumber, this.startingBudget);
+        GameState.levelDefinition = this.levelDefinition || null;
+        GameState.latencyObjective = this.latencyObjective;
+        GameState.maxShedRate = this.maxShedRate;
+        GameState.consistencyObjective = this.consistencyObjective;
         
-        // Initialize Scene-Specific State Variables
-        this.trafficTimer = null;
-        this.difficultyTimer = null;
-        this.currentTrafficDelay = this.initialTrafficDelay;
-        this.packetsPerWave = this.initialPacketsPerWave;
+        // Create the simulation and the view that draws it
+        this.setupSimulation();
 
         // Update the UI to reflect initial state
         updateObjectivesDisplay(); // Update objectives with level-specific targets
@@ -101,11 +200,303 @@ export class BaseLevelScene extends Phaser.Scene {
 
         // Set up visual elements and create server nodes
         this.setupBackground();
-        this.createNodes(); // Must be implemented by child classes
+        this.createNodes();
         this.setupCameraDrag();
         this.setupCameraZoom();
     }
 
+    /**
+     * Setup Simulation
+     *
+     * Creates the Simulation for this level, its traffic generator and the
+     * SimulationView, and wires simulation events to the game UI.
+     */
+    setupSimulation() {
+        const seed = this.replaySource ? this.replaySource.seed : this.getRequestedSeed();
+        this.simulation = new Simulation({
+            seed,
+            writeRequestPercentage: this.levelConfig.writeRequestPercentage,
+            staticPercentage: this.levelConfig.staticPercentage,
+            retryPolicy: this.retries ? this.retries.policy : undefined,
+            keySpace: this.keySpace || undefined
+        });
+        GameState.nodes = this.simulation.nodes;
+        GameState.seed = this.simulation.seed;
+
+        this.simulation.setTraffic({
+            initialTrafficDelay: this.initialTrafficDelay,
+            initialPacketsPerWave: this.initialPacketsPerWave,
+            difficultyInterval: this.difficultyInterval,
+            difficultyStages: this.difficultyStages,
+            userNodeIds: this.userNodeIds
+        });
+        if (this.chaos) {
+            this.simulation.setChaos(this.chaos);
+        }
+
+        this.simulationView = new SimulationView(this, this.simulation);
+        this.linkEditor = new LinkEditor(this, this.simulation);
+
+        // Time-series charts; money lives in GameState, so the collector reads it as a gauge
+        this.simulation.metrics.addGauge('money', () => GameState.money);
+        this.metricsDashboard = new MetricsDashboard(this.simulation, {
+            maxErrorRate: this.maxErrorRate,
+            latencyObjective: this.latencyObjective
+        });
+        this.metricsDashboard.show();
+        this.nodeInspector = new NodeInspector(this, this.simulation);
+        this.packetTracer = new PacketTracer(this, this.simulation, this.simulationView);
+        updateTraceButton(false);
+        updateRetryControls(this.retries ? this.retries.choices : null, this.simulation.retryPolicy.key);
+
+        this.simulation.on('requestSucceeded', () => {
+            this.syncStats();
+            addRevenue(this);
+            updateUI();
+            checkGameEnd(this);
+        });
+
+        this.simulation.on('requestRetried', () => {
+            this.syncStats();
+            updateUI();
+        });
+
+        this.simulation.on('requestFailed', () => {
+            this.syncStats();
+            updateUI();
+            checkGameEnd(this);
+        });
+
+        // Shed requests (429) count towards the target but earn nothing
+        this.simulation.on('requestShed', () => {
+            this.syncStats();
+            updateUI();
+            checkGameEnd(this);
+        });
+
+        // Acknowledged writes lost in a crash (write-back cache, queue)
+        this.simulation.on('writesLost', () => {
+            this.syncStats();
+            updateUI();
+        });
+
+        this.simulation.on('difficultyChanged', (level, stage) => this.onDifficultyChanged(level, stage));
+
+        // Chaos events are announced like difficulty stages
+        this.simulation.on('chaosStarted', (event, description) => this.showDifficultyToast(description));
+        this.simulation.on('chaosEnded', (event, description) => this.showDifficultyToast(description));
+
+        this.setupReplay();
+
+        // Step the simulation from the scene's update event rather than update(),
+        // since level scenes override update() for their connection drawing
+        const stepSimulation = (time, delta) => this.stepSimulation(delta);
+        this.events.on('update', stepSimulation);
+
+        this.events.once('shutdown', () => {
+            this.events.off('update', stepSimulation);
+            this.simulation.stop();
+            this.simulationView.destroy();
+            this.linkEditor.destroy();
+            this.metricsDashboard.destroy();
+            this.nodeInspector.destroy();
+            this.packetTracer.destroy();
+        });
+    }
+
+    /**
+     * Setup Replay
+     *
+     * Either records this run into a fresh ReplayLog, or - when the scene was
+     * started with a replay - drives the simulation from the recorded actions.
+     */
+    setupReplay() {
+        this.replaySpeed = 1;
+
+        if (this.replaySource) {
+            this.replayLog = this.replaySource;
+            this.replayPlayer = new ReplayPlayer(this.simulation, this.replayLog, {
+                dispatch: (action, args) => this.applyAction(action, args),
+                canAdvance: () => GameState.isRunning && !GameState.isPaused
+            });
+            this.showToast(`Replaying Level ${this.levelNumber} (seed ${this.replayLog.seed})`);
+        } else {
+            this.replayLog = new ReplayLog({
+                sceneKey: this.levelConfig.key,
+                level: this.levelNumber,
+                seed: this.simulation.seed
+            });
+            this.replayPlayer = null;
+            this.simulation.on('stopped', () => this.replayLog.finish(this.simulation.now));
+        }
+
+        updateReplayControls(!!this.replayPlayer, this.replaySpeed);
+    }
+
+    /**
+     * Is Replay Action
+     *
+     * @param {string} action - Scene method name
+     * @returns {boolean} True if the action goes into the replay log
+     */
+    isReplayAction(action) {
+        return REPLAY_ACTIONS.includes(action);
+    }
+
+    /**
+     * Perform Action
+     *
+     * Entry point for player actions (control panel buttons via SceneManager,
+     * in-canvas buttons, node drags). Records the action at the current
+     * simulated time, then runs it. While a replay is playing only the viewer
+     * controls are accepted and nothing is recorded.
+     *
+     * @param {string} action - Scene method name
+     * @param {...any} args - JSON-serializable arguments
+     */
+    performAction(action, ...args) {
+        if (this.replayPlayer) {
+            if (REPLAY_VIEWER_ACTIONS.includes(action)) {
+                return this.applyAction(action, args);
+            }
+            this.showToast('Watching a replay - press Reset to play');
+            return;
+        }
+
+        this.replayLog.record(this.simulation.now, action, args);
+        return this.applyAction(action, args);
+    }
+
+    /**
+     * Apply Action
+     *
+     * Runs a recorded or live action on this scene.
+     */
+    applyAction(action, args) {
+        if (typeof this[action] !== 'function') {
+            console.warn(`${this.levelConfig.key} has no action '${action}'`);
+            return;
+        }
+
+        return this[action](...args);
+    }
+
+    /**
+     * Watch Replay
+     *
+     * Restarts the level and replays the run that was just played.
+     */
+    watchReplay() {
+        this.scene.restart({ replay: this.replayLog });
+    }
+
+    /**
+     * Download Replay
+     *
+     * Saves the replay log of this run as a JSON file.
+     */
+    downloadReplay() {
+        const blob = new Blob([this.replayLog.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `architecture-tycoon-level${this.levelNumber}-seed${this.replayLog.seed}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Set Replay Speed
+     *
+     * @param {number} speed - Playback multiplier (1, 2 or 4)
+     */
+    setReplaySpeed(speed) {
+        if (!this.replayPlayer) return;
+
+        this.replaySpeed = speed;
+        updateReplayControls(true, speed);
+    }
+
+    /**
+     * Get Requested Seed
+     *
+     * Reads a challenge seed from the page URL (?seed=12345).
+     * Returns undefined when none is set so the simulation picks a fresh one.
+     */
+    getRequestedSeed() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed || undefined;
+    }
+
+    /**
+     * Step Simulation
+     *
+     * Advances simulated time by the frame delta while the level is running.
+     */
+    stepSimulation(delta) {
+        if (this.replayPlayer) {
+            // The replay player starts, pauses and advances the simulation itself
+            if (!GameState.isGameOver) {
+                this.replayPlayer.advance(delta * this.replaySpeed);
+            }
+        } else if (GameState.isRunning && !GameState.isPaused) {
+            this.simulation.advance(delta);
+        }
+
+        this.simulationView.update();
+        this.packetTracer.update();
+    }
+
+    /**
+     * Sync Stats
+     *
+     * Copies the simulation's request statistics into GameState for the UI.
+     */
+    syncStats() {
+        const stats = this.simulation.stats;
+        GameState.success = stats.success;
+        GameState.errors = stats.errors;
+        GameState.retries = stats.retries;
+        GameState.shed = stats.shed;
+        GameState.reads = stats.reads;
+        GameState.staleReads = stats.staleReads;
+        GameState.staleOwnReads = stats.staleOwnReads;
+        GameState.lostWrites = stats.lostWrites;
+        GameState.total = stats.total;
+        GameState.databaseStorage = stats.databaseStorage;
+        GameState.latency = this.simulation.latency.summary();
+    }
+
+    /**
+     * Add Node
+     *
+     * Registers a node with the simulation; the SimulationView creates its visuals.
+     *
+     * @param {string} key - Node key (e.g. 'App1')
+     * @param {BaseNode} node - Node instance
+     * @returns {BaseNode} The node
+     */
+    addNode(key, node) {
+        return this.simulation.addNode(key, node);
+    }
+
+    /**
+     * Connect
+     *
+     * Wires two nodes in the simulation's topology (see Topology for roles and
+     * priorities). Nodes route along these edges and connections are drawn from them.
+     *
+     * @param {string} from - Upstream node key
+     * @param {string} to - Downstream node key
+     * @param {Array<string>} roles - Traffic carried (default ['request'])
+     * @param {number} priority - Lower numbers are preferred (default 0)
+     */
+    connect(from, to, roles = ['request'], priority = 0) {
+        this.simulation.topology.connect(from, to, roles, priority);
+    }
+
     /**
      * Setup Camera Drag
      * 
@@ -231,11 +622,18 @@ export class BaseLevelScene extends Phaser.Scene {
     /**
      * Create Server Nodes
      * 
-     * MUST be implemented by child classes to define the level's architecture.
-     * Child classes should create nodes and add them to GameState.nodes.
+     * Builds the level's layout (config.layout) in the simulation, sized to the
+     * camera. Child classes without a layout must override this, create their
+     * nodes with this.addNode() and wire them with this.connect().
      */
     createNodes() {
-        throw new Error('createNodes() must be implemented by child class');
+        if (!this.levelConfig.layout) {
+            throw new Error('createNodes() must be implemented by child class');
+        }
+        this.levelConfig.layout(this.simulation, {
+            width: this.cameras.main.width,
+            height: this.cameras.main.height
+        });
     }
 
     /**
@@ -249,23 +647,281 @@ export class BaseLevelScene extends Phaser.Scene {
             return;
         }
         
+        // Refuse to start an architecture that cannot answer its users
+        const problems = this.simulation.topology.validate();
+        if (problems.length > 0) {
+            this.showTopologyProblems(problems);
+            return;
+        }
+        
         GameState.isRunning = true;
         GameState.isPaused = false;
         this.time.paused = false;
         this.tweens.resumeAll();
         
-        console.log('Calling scheduleNextWave...');
-        this.scheduleNextWave();
+        this.simulation.start();
         
-        // Start Difficulty Progression Timer
-        this.difficultyTimer = this.time.addEvent({
-            delay: this.difficultyInterval,
-            callback: () => this.increaseDifficulty(),
-            loop: true
+        updateUI();
+    }
+
+    /**
+     * Show Topology Problems
+     * 
+     * Flags the nodes that make the architecture invalid (see Topology.validate()).
+     * 
+     * @param {Array<Object>} problems - { key, message } entries
+     */
+    showTopologyProblems(problems) {
+        problems.forEach(problem => {
+            console.warn(`Topology problem - ${problem.message}`);
+            
+            const node = this.simulation.nodes[problem.key];
+            if (node) {
+                this.simulationView.withView(node, view => view.flashRed());
+            }
         });
         
+        const more = problems.length > 1 ? ` (+${problems.length - 1} more)` : '';
+        this.showToast(`Can't start - ${problems[0].message}${more}`);
+    }
+
+    /**
+     * Node Clicked (from NodeView)
+     * 
+     * Opens the node inspector (statistics, upgrade and remove actions).
+     */
+    onNodeClicked(node) {
+        this.nodeInspector.open(node);
+    }
+
+    /**
+     * Set Retry Policy
+     * 
+     * Switches how users retry failed requests (only to a policy the level offers).
+     * Can be changed during the run, like rolling out a new client config.
+     * 
+     * @param {string} key - RETRY_CONFIG policy key
+     */
+    setRetryPolicy(key) {
+        if (!this.retries || !this.retries.choices.includes(key)) return;
+        
+        this.simulation.setRetryPolicy(key);
+        updateRetryControls(this.retries.choices, key);
+        this.showToast(`🔁 Retries: ${this.simulation.retryPolicy.label}`);
+    }
+
+    /**
+     * Set Load Balancer Strategy
+     * 
+     * Switches how one load balancer picks app servers (from the node
+     * inspector). Can be changed during the run.
+     * 
+     * @param {string} key - Load balancer node key
+     * @param {string} strategy - LOAD_BALANCER_CONFIG strategy key
+     */
+    setLoadBalancerStrategy(key, strategy) {
+        const node = this.simulation.nodes[key];
+        if (!node || !node.setStrategy || !LOAD_BALANCER_CONFIG.strategies[strategy]) return;
+        
+        node.setStrategy(strategy);
+        this.showToast(`⚖️ ${node.name}: ${node.balancer.label}`);
+    }
+
+    /**
+     * Set Health Check
+     * 
+     * Turns one load balancer's health checks on or off (from the node
+     * inspector). Can be changed during the run.
+     * 
+     * @param {string} key - Load balancer node key
+     * @param {boolean} enabled - Whether to run health checks
+     */
+    setHealthCheck(key, enabled) {
+        const node = this.simulation.nodes[key];
+        if (!node || !node.setHealthCheck) return;
+        
+        node.setHealthCheck(!!enabled);
+        this.showToast(`🩺 ${node.name}: health checks ${enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Set Cache Write Policy
+     * 
+     * Switches how one cache takes part in writes (from the node inspector).
+     * Can be changed during the run; a write-back cache flushes its dirty keys
+     * when leaving write-back.
+     * 
+     * @param {string} key - Cache node key
+     * @param {string} policy - CACHE_CONFIG write policy key
+     */
+    setCacheWritePolicy(key, policy) {
+        const node = this.simulation.nodes[key];
+        if (!node || !node.setWritePolicy || !CACHE_CONFIG.writePolicies[policy]) return;
+        
+        node.setWritePolicy(policy);
+        this.showToast(`🗄️ ${node.name}: ${CACHE_CONFIG.writePolicies[policy].label}`);
+    }
+
+    /**
+     * Purge CDN
+     * 
+     * Drops the content a CDN node holds (from the node inspector), or every
+     * CDN node's with no key (a global purge, e.g. once new content is out).
+     * 
+     * @param {string|null} key - CDN node key, null for all of them
+     */
+    purgeCDN(key = null) {
+        const nodes = key ? [this.simulation.nodes[key]] : Object.values(this.simulation.nodes);
+        const cdns = nodes.filter(node => node && node.purge);
+        if (cdns.length === 0) return;
+        
+        const purged = cdns.reduce((sum, node) => sum + node.purge(), 0);
+        this.showToast(`🧹 Purged ${purged} keys from ${cdns.length === 1 ? cdns[0].name : `${cdns.length} CDN nodes`}`);
+    }
+
+    /**
+     * Crash Node
+     * 
+     * Injects a failure (from the node inspector): the node crashes and
+     * stays down until restarted.
+     * 
+     * @param {string} key - Node key
+     */
+    crashNode(key) {
+        const node = this.simulation.nodes[key];
+        if (!node || !node.crash || !GameState.isRunning) return;
+        
+        node.crash();
+        this.showToast(`💥 ${node.name} crashed`);
+    }
+
+    /**
+     * Restart Node
+     * 
+     * Brings a crashed node back up (from the node inspector).
+     * 
+     * @param {string} key - Node key
+     */
+    restartNode(key) {
+        const node = this.simulation.nodes[key];
+        if (!node || !node.restart || !GameState.isRunning) return;
+        
+        node.restart();
+    }
+
+    /**
+     * Toggle Tracing
+     * 
+     * Turns packet trace mode on or off. Only changes what is shown, so it
+     * is not recorded in replays and works while watching one.
+     */
+    toggleTracing() {
+        this.packetTracer.setEnabled(!this.packetTracer.enabled);
+        updateTraceButton(this.packetTracer.enabled);
+    }
+
+    /**
+     * Upgrade Node
+     * 
+     * Upgrades one node (from the node inspector) to its next tier, at that
+     * tier's cost (see getUpgradeCost).
+     * 
+     * @param {string} key - Node key
+     */
+    upgradeNode(key) {
+        const node = this.simulation.nodes[key];
+        if (!node || GameState.isGameOver) return;
+        
+        const upgradeCost = getUpgradeCost(node);
+        if (upgradeCost === null) {
+            node.upgrade();     // Shows why (max level / max capacity)
+            return;
+        }
+        
+        if (GameState.money < upgradeCost) {
+            this.showToast('Not enough money! Need $' + upgradeCost);
+            return;
+        }
+        
+        node.upgrade();
+        GameState.money -= upgradeCost;
+        
         updateUI();
-        console.log('startSimulation completed');
+        this.nodeInspector.refresh();
+    }
+
+    /**
+     * Upgrade App Servers
+     * 
+     * Upgrades every app server, each at its own tier cost (see upgradeNode).
+     * The control panel button for this was replaced by the node inspector;
+     * the action stays so replays saved before that still load.
+     */
+    upgradeAppServers() {
+        Object.values(this.simulation.nodes)
+            .filter(node => node.type === 'app')
+            .forEach(node => this.upgradeNode(node.key));
+    }
+
+    /**
+     * Move Node
+     * 
+     * Places a node at a new position (player drag, before the simulation starts).
+     * 
+     * @param {string} key - Node key
+     * @param {number} x - New x position
+     * @param {number} y - New y position
+     */
+    moveNode(key, x, y) {
+        const node = this.simulation.nodes[key];
+        if (!node || GameState.isRunning) return;
+        
+        node.x = x;
+        node.y = y;
+    }
+
+    /**
+     * Add Link
+     * 
+     * Links two nodes drawn together by the player (before the simulation starts).
+     * What the link carries is inferred from the node types.
+     * 
+     * @param {string} from - Upstream node key
+     * @param {string} to - Downstream node key
+     */
+    addLink(from, to) {
+        const fromNode = this.simulation.nodes[from];
+        const toNode = this.simulation.nodes[to];
+        if (!fromNode || !toNode || GameState.isRunning) return;
+        
+        const link = Topology.inferLink(fromNode, toNode);
+        if (!link) {
+            this.showToast(`Can't link ${fromNode.name} to ${toNode.name}`);
+            return;
+        }
+        
+        this.connect(from, to, link.roles, link.priority);
+        this.showToast(`Linked ${fromNode.name} → ${toNode.name} (${link.roles.join(', ')})`);
+    }
+
+    /**
+     * Remove Link
+     * 
+     * Deletes a link between two nodes (before the simulation starts).
+     * 
+     * @param {string} from - Upstream node key
+     * @param {string} to - Downstream node key
+     */
+    removeLink(from, to) {
+        if (GameState.isRunning || !this.simulation.topology.getEdge(from, to)) return;
+        
+        this.simulation.topology.disconnect(from, to);
+        
+        const fromNode = this.simulation.nodes[from];
+        const toNode = this.simulation.nodes[to];
+        if (fromNode && toNode) {
+            this.showToast(`Removed link ${fromNode.name} → ${toNode.name}`);
+        }
     }
 
     /**
@@ -293,38 +949,14 @@ export class BaseLevelScene extends Phaser.Scene {
     }
 
     /**
-     * Schedule Next Traffic Wave
-     */
-    scheduleNextWave() {
-        if (!GameState.isRunning) return;
-        
-        // Spawn Packets
-        for (let i = 0; i < this.packetsPerWave; i++) {
-            const userNode = GameState.nodes[this.userNodeIds[Math.floor(Math.random() * this.userNodeIds.length)]];
-            this.time.delayedCall(i * 80, () => this.spawnPacket(userNode));
-        }
-        
-        // Schedule Next Wave
-        this.trafficTimer = this.time.delayedCall(this.currentTrafficDelay, () => {
-            this.scheduleNextWave();
-        });
-    }
-
-    /**
-     * Increase Difficulty
+     * Difficulty Changed (simulation event)
      * 
-     * Uses the difficulty stages configuration to progressively increase challenge.
+     * Announces the new difficulty stage set by the traffic generator.
      */
-    increaseDifficulty() {
-        GameState.difficultyLevel++;
-        
-        // Find the stage configuration for current difficulty level
-        const stageKey = `stage${GameState.difficultyLevel}`;
-        const stage = this.difficultyStages[stageKey];
+    onDifficultyChanged(level, stage) {
+        GameState.difficultyLevel = level;
         
         if (stage) {
-            this.currentTrafficDelay = stage.trafficDelay;
-            this.packetsPerWave = stage.packetsPerWave;
             this.showDifficultyToast(stage.message);
         } else {
             // No more stages defined, maintain current difficulty
@@ -365,7 +997,6 @@ export class BaseLevelScene extends Phaser.Scene {
      * Update Method
      * 
      * Called every frame by Phaser. Redraws connection lines between nodes.
-     * Can be overridden by child classes for custom drawing logic.
      */
     update() {
         this.graphics.clear();
@@ -375,64 +1006,30 @@ export class BaseLevelScene extends Phaser.Scene {
     /**
      * Draw Connections
      * 
-     * Can be overridden by child classes to customize connection drawing.
-     * Default implementation draws lines from all users to all app servers.
+     * Draws every edge of the simulation's topology that is currently in effect
+     * (both nodes exist and routing would use it). Before the run starts,
+     * standby links (outranked by a preferred link) are drawn faded so the
+     * player can see everything they wired. Links cut by a chaos partition or
+     * degraded by a link fault are drawn in CHAOS_CONFIG colors; links from a
+     * load balancer to an app server its health checks doubt in the health
+     * state's color.
      */
     drawConnections() {
-        // Find all app servers (or load balancers)
-        const targets = this.getConnectionTargets();
-        
-        // Draw lines from each user to each target
-        this.userNodeIds.forEach(uid => {
-            const user = GameState.nodes[uid];
-            if (user) {
-                targets.forEach(target => {
-                    if (target) {
-                        drawDualLines(this.graphics, user, target);
-                    }
-                });
-            }
-        });
-    }
-
-    /**
-     * Get Connection Targets
-     * 
-     * Returns array of nodes that users connect to.
-     * Can be overridden by child classes.
-     * 
-     * Default: Returns all app servers
-     */
-    getConnectionTargets() {
-        // Default: connect to app servers
-        return Object.keys(GameState.nodes)
-            .filter(key => key.startsWith('App'))
-            .map(key => GameState.nodes[key])
-            .filter(node => node && node.active);
-    }
-
-    /**
-     * Spawn Packet
-     */
-    spawnPacket(startNode) {
-        // Determine if this is a write request (based on config percentage)
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
+        const topology = this.simulation.topology;
+        const edges = GameState.isRunning ? topology.getActiveEdges() : topology.getLinkedEdges();
         
-        // Create Packet Visual with appropriate color
-        const packet = this.add.circle(
-            startNode.x,
-            startNode.y, 
-            LAYOUT_CONFIG.packets.circleRadius,
-            isWrite ? CONFIG.colors.packetWrite : CONFIG.colors.packetReq
-        );
+        const chaos = this.simulation.chaos;
         
-        // Set Packet Metadata
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        packet.isWrite = isWrite;
-        
-        // Start Packet Routing
-        startNode.routePacket(packet);
+        edges.forEach(edge => {
+            const health = edge.fromNode.getServerHealth ? edge.fromNode.getServerHealth(edge.toNode) : null;
+            let color = health && health !== 'healthy' ? LOAD_BALANCER_CONFIG.healthColors[health] : undefined;
+            if (chaos && chaos.isPartitioned(edge.fromNode, edge.toNode)) {
+                color = CHAOS_CONFIG.colors.partition;
+            } else if (chaos && chaos.getLinkFault(edge.fromNode, edge.toNode)) {
+                color = CHAOS_CONFIG.colors.linkFault;
+            }
+            drawDualLines(this.graphics, edge.fromNode, edge.toNode, edge.inEffect ? 1 : 0.35, color);
+        });
     }
 
     /**
@@ -441,21 +1038,21 @@ export class BaseLevelScene extends Phaser.Scene {
      * Debug/testing feature to auto-complete the level.
      */
     skipLevel() {
-        // Stop All Active Timers
-        if (this.trafficTimer) this.trafficTimer.remove();
-        if (this.difficultyTimer) this.difficultyTimer.remove();
+        // Stop the simulation (timers and in-flight packets)
+        this.simulation.stop();
 
         // Set Winning Game State
         GameState.total = this.targetTotal;
         GameState.success = this.targetTotal - 5;
         GameState.errors = 5;
+        GameState.shed = 0;
         GameState.isRunning = false;
         GameState.isGameOver = true;
 
         updateUI();
         
         // Show Success Modal
-        const rate = (GameState.errors / GameState.total) * 100;
+        const rate = getErrorRate();
         const modal = document.getElementById('result-modal');
         const title = document.getElementById('modal-title');
         const body = document.getElementById('modal-body');
@@ -473,6 +1070,7 @@ export class BaseLevelScene extends Phaser.Scene {
                 <strong>Level ${this.levelNumber} Complete!</strong><br/>
                 This level was skipped for testing purposes.
             </div>
+            ${getSeedInfoHtml()}
         `;
         
         // Show next button if not last level
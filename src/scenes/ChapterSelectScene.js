@@ -2,7 +2,8 @@
  * Chapter Select Scene
  * 
  * Displays available chapters for the player to choose from.
- * Shows 6 chapters in a card grid layout, with only Chapter 1 currently unlocked.
+ * Shows 6 chapters in a card grid layout. Chapter 1 and the first level of
+ * Chapter 6 (the Circuit Breaker level file) are playable so far.
  */
 
 export class ChapterSelectScene extends Phaser.Scene {
@@ -95,8 +96,9 @@ export class ChapterSelectScene extends Phaser.Scene {
                 number: 6,
                 title: 'Chapter 6',
                 subtitle: 'Reliability & Resilience',
-                levelCount: 'Coming Soon',
-                isUnlocked: false
+                levelCount: '1 Level (more soon)',
+                isUnlocked: true,
+                onClick: () => this.scene.start('DataLevelScene', { url: 'levels/circuit-breaker.json' })
             }
         ];
         
@@ -0,0 +1,349 @@
+/**
+ * Data Level Scene
+ *
+ * Generic level built from a JSON level definition (see LevelDefinition for
+ * the schema) instead of a scene class of its own.
+ *
+ * How it works:
+ * - Started with { url } (main.js does this for ?level=levels/level4.json)
+ * - preload() fetches the JSON, create() validates it and configures the level
+ *   (targets, traffic stages, budget) before the base scene sets up
+ * - Nodes and links come from the definition; positions are fractions of the canvas
+ * - Each purchase gets a button along the bottom; buying goes through
+ *   performAction('buyComponent', id) so it is recorded in the replay
+ * - The story pages are shown before the first run, the notes in the win modal
+ *
+ * Replays remember the level file (ReplayLog.levelSource), so a saved run of a
+ * JSON level can be loaded and watched like any other.
+ */
+
+import { GameState } from '../config.js';
+import { UI_CONFIG } from '../config/index.js';
+import { createNode } from '../objects/nodes.js';
+import { LevelDefinition, NEW_NODE } from '../levels/LevelDefinition.js';
+import { Topology } from '../simulation/Topology.js';
+import { StoryManager } from '../utils/StoryManager.js';
+import { BaseLevelScene } from './BaseLevelScene.js';
+
+/**
+ * Purchase button row (screen coordinates)
+ */
+const PURCHASE_BUTTONS = {
+    bottomOffset: 50,
+    spacing: 20
+};
+
+/**
+ * Spacing (canvas fraction) below the previous node of a kind, for
+ * purchases beyond the positions the definition lists
+ */
+const EXTRA_POSITION_STEP = 0.12;
+
+export class DataLevelScene extends BaseLevelScene {
+    /**
+     * Constructor
+     *
+     * The real configuration is applied in create(), once the JSON is loaded.
+     */
+    constructor() {
+        super({
+            key: 'DataLevelScene',
+            levelNumber: 0,
+            targetTotal: Infinity,
+            userNodeIds: []
+        });
+        this.levelUrl = null;
+        this.levelDefinition = null;
+        this.storyManager = null;
+    }
+
+    /**
+     * Init Method Override
+     *
+     * @param {Object} data - { url } of a level file, or { replay } of a JSON level run.
+     *                        A restart without data keeps the current level.
+     */
+    init(data) {
+        if (data && data.url) {
+            this.levelUrl = data.url;
+        } else if (data && data.replay && data.replay.levelSource) {
+            this.levelUrl = data.replay.levelSource;
+        }
+
+        super.init(data);
+    }
+
+    /**
+     * Preload Method
+     *
+     * Fetches the level file (once; restarts reuse the cached JSON).
+     */
+    preload() {
+        if (this.levelUrl && !this.cache.json.exists(this.levelUrl)) {
+            this.load.json(this.levelUrl, this.levelUrl);
+        }
+    }
+
+    /**
+     * Create Method Override
+     *
+     * Validates the level file and applies it before building the level.
+     * An invalid file is reported and the player is sent back to the chapter list.
+     */
+    create() {
+        try {
+            this.levelDefinition = LevelDefinition.fromData(this.cache.json.get(this.levelUrl), this.levelUrl);
+        } catch (e) {
+            console.error(e);
+            alert('Could not load level: ' + e.message);
+            this.scene.start('ChapterSelectScene');
+            return;
+        }
+
+        this.applyLevelConfig(this.levelDefinition.toSceneConfig('DataLevelScene'));
+        this.purchaseCounts = {};
+
+        super.create();
+        this.createPurchaseButtons();
+
+        // No story while watching a replay
+        if (this.replayPlayer || this.levelDefinition.story.length === 0) return;
+
+        // Wait a frame for all elements to be positioned
+        this.time.delayedCall(100, () => this.showStory());
+    }
+
+    /**
+     * Setup Replay Override
+     *
+     * Records which level file the run was played on.
+     */
+    setupReplay() {
+        super.setupReplay();
+
+        if (!this.replayPlayer) {
+            this.replayLog.levelSource = this.levelUrl;
+        }
+    }
+
+    /**
+     * Create Server Nodes
+     *
+     * Builds the starting architecture from the definition.
+     */
+    createNodes() {
+        this.levelDefinition.nodes.forEach(spec => this.createDefinedNode(spec.key, spec, spec));
+        this.levelDefinition.links.forEach(link => this.connectDefined(link));
+    }
+
+    /**
+     * Create Defined Node
+     *
+     * @param {string} key - Node key
+     * @param {Object} spec - Node entry of the definition ({ type, name, capacity, speed, props })
+     * @param {Object} position - { x, y } as fractions of the canvas
+     * @param {string} name - Display name (default spec.name)
+     * @returns {BaseNode}
+     */
+    createDefinedNode(key, spec, position, name = spec.name) {
+        const w = this.cameras.main.width;
+        const h = this.cameras.main.height;
+
+        const node = createNode(this.simulation, spec.type, w * position.x, h * position.y,
+            name, spec.capacity, spec.speed);
+        Object.assign(node, spec.props);
+
+        return this.addNode(key, node);
+    }
+
+    /**
+     * Connect Defined Link
+     *
+     * Links without roles get the ones a player-drawn link would (Topology.inferLink),
+     * which needs both nodes to exist - links to nodes that are bought later
+     * must list their roles.
+     *
+     * @param {Object} link - Link entry of the definition
+     * @param {string} newKey - Key that replaces NEW_NODE (purchase links)
+     */
+    connectDefined(link, newKey = null) {
+        const from = link.from === NEW_NODE ? newKey : link.from;
+        const to = link.to === NEW_NODE ? newKey : link.to;
+
+        if (link.roles) {
+            this.connect(from, to, link.roles, link.priority !== undefined ? link.priority : 0);
+            return;
+        }
+
+        const inferred = Topology.inferLink(this.simulation.nodes[from], this.simulation.nodes[to]);
+        if (!inferred) {
+            console.warn(`${this.levelDefinition.title}: link ${from} → ${to} needs "roles"`);
+            return;
+        }
+
+        this.connect(from, to, inferred.roles, link.priority !== undefined ? link.priority : inferred.priority);
+    }
+
+    /**
+     * Create Purchase Buttons
+     *
+     * One button per purchase, centered in a row along the bottom of the canvas.
+     */
+    createPurchaseButtons() {
+        const purchases = this.levelDefinition.purchases;
+        const w = this.cameras.main.width;
+        const h = this.cameras.main.height;
+        const buttonWidth = UI_CONFIG.buttons.medium.width;
+        const rowWidth = purchases.length * buttonWidth + (purchases.length - 1) * PURCHASE_BUTTONS.spacing;
+        const y = h - PURCHASE_BUTTONS.bottomOffset;
+
+        purchases.forEach((purchase, i) => {
+            const x = (w - rowWidth) / 2 + buttonWidth / 2 + i * (buttonWidth + PURCHASE_BUTTONS.spacing);
+
+            const button = this.add.rectangle(x, y, buttonWidth, UI_CONFIG.buttons.medium.height,
+                UI_CONFIG.buttonColors.primary
+            ).setInteractive({ useHandCursor: true });
+
+            this.add.text(x, y, `+ ${purchase.label} ($${purchase.price})`, {
+                fontSize: UI_CONFIG.fonts.button,
+                color: UI_CONFIG.textColors.light,
+                fontFamily: 'Arial'
+            }).setOrigin(0.5);
+
+            button.on('pointerover', () => button.setFillStyle(UI_CONFIG.buttonColors.primaryHighlight));
+            button.on('pointerout', () => button.setFillStyle(UI_CONFIG.buttonColors.primary));
+            button.on('pointerdown', () => this.performAction('buyComponent', purchase.id));
+        });
+    }
+
+    /**
+     * Buy Component
+     *
+     * Adds the node a purchase describes if the player can afford it and is
+     * under the purchase limit, then wires it with the purchase's links.
+     *
+     * @param {string} id - Purchase id
+     */
+    buyComponent(id) {
+        const purchase = this.levelDefinition.purchases.find(entry => entry.id === id);
+        if (!purchase) return;
+
+        const bought = this.purchaseCounts[id] || 0;
+
+        if (GameState.money < purchase.price) {
+            this.showToast('Not enough money! Need $' + purchase.price);
+            return;
+        }
+
+        if (bought >= purchase.limit) {
+            this.showToast(`Maximum ${purchase.label} limit reached!`);
+            return;
+        }
+
+        GameState.money -= purchase.price;
+        this.purchaseCounts[id] = bought + 1;
+
+        // Next free number, so a purchase can extend nodes the level starts with (App1 → App2)
+        let number = 0;
+        do {
+            number++;
+        } while (this.simulation.nodes[purchase.keyPrefix + number]);
+
+        const key = purchase.keyPrefix + number;
+        const name = `${purchase.node.name} ${number}`;
+        this.createDefinedNode(key, purchase.node, this.getPurchasePosition(purchase, bought), name);
+
+        if (purchase.autoLink) {
+            this.autoLink(key);
+        } else {
+            purchase.links.forEach(link => this.connectDefined(link, key));
+        }
+
+        this.updateUI();
+        this.showToast(`${name} added!`);
+    }
+
+    /**
+     * Auto Link
+     *
+     * Links a bought node to every node it fits with, both ways, as if the
+     * player had drawn the links (priorities keep e.g. users on the load
+     * balancer once there is one).
+     *
+     * @param {string} key - Key of the new node
+     */
+    autoLink(key) {
+        const node = this.simulation.nodes[key];
+
+        Object.values(this.simulation.nodes).forEach(other => {
+            [[other, node], [node, other]].forEach(([from, to]) => {
+                const link = Topology.inferLink(from, to);
+                if (link) {
+                    this.connect(from.key, to.key, link.roles, link.priority);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get Purchase Position
+     *
+     * @param {Object} purchase - Purchase entry
+     * @param {number} index - How many were bought before this one
+     * @returns {Object} { x, y } as fractions of the canvas
+     */
+    getPurchasePosition(purchase, index) {
+        const positions = purchase.positions;
+        if (index < positions.length) return positions[index];
+
+        if (positions.length > 0) {
+            const last = positions[positions.length - 1];
+            return {
+                x: last.x,
+                y: last.y + (index - positions.length + 1) * EXTRA_POSITION_STEP
+            };
+        }
+
+        // No positions listed: below the lowest node of the same type
+        const sameType = Object.values(this.simulation.nodes).filter(node => node.type === purchase.node.type);
+        if (sameType.length === 0) return { x: 0.5, y: 0.5 };
+
+        const lowest = sameType.reduce((a, b) => (b.y > a.y ? b : a));
+        return {
+            x: lowest.x / this.cameras.main.width,
+            y: lowest.y / this.cameras.main.height + EXTRA_POSITION_STEP
+        };
+    }
+
+    /**
+     * Show Story
+     *
+     * Shows the definition's story pages. Spotlights either name a node or
+     * give x/y as fractions of the canvas.
+     */
+    showStory() {
+        const gameCanvas = document.getElementById('game-canvas');
+        const canvasRect = gameCanvas ? gameCanvas.getBoundingClientRect() : { left: 0, top: 0 };
+        const w = this.cameras.main.width;
+        const h = this.cameras.main.height;
+
+        const pages = this.levelDefinition.story.map(page => {
+            const spotlight = page.spotlight;
+            if (!spotlight) return { text: page.text };
+
+            const node = spotlight.node ? this.simulation.nodes[spotlight.node] : null;
+            const x = node ? node.x : w * spotlight.x;
+            const y = node ? node.y : h * spotlight.y;
+
+            return {
+                text: page.text,
+                spotlight: { x: canvasRect.left + x, y: canvasRect.top + y, radius: spotlight.radius || 100 }
+            };
+        });
+
+        this.storyManager = new StoryManager(this);
+        this.storyManager.show(pages, () => {
+            console.log(`${this.levelDefinition.title}: story completed - game ready to start`);
+        });
+    }
+}
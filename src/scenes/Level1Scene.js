@@ -21,10 +21,10 @@
  * - Trade-offs between cost and performance
  */
 
-import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode } from '../objects/nodes.js';
+import { CONFIG } from '../config.js';
+import { ECONOMICS_CONFIG } from '../config/index.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level1Layout } from '../levels/layouts.js';
 import { StoryManager } from '../utils/StoryManager.js';
 
 export class Level1Scene extends BaseLevelScene {
@@ -43,6 +43,7 @@ export class Level1Scene extends BaseLevelScene {
             initialPacketsPerWave: CONFIG.level1.initialPacketsPerWave,
             difficultyInterval: CONFIG.level1.difficultyInterval,
             userNodeIds: ['User1'],
+            layout: level1Layout,
             difficultyStages: CONFIG.level1.difficulty,
             revenuePerRequest: CONFIG.level1.revenuePerRequest
         });
@@ -58,6 +59,9 @@ export class Level1Scene extends BaseLevelScene {
         // Call parent create first
         super.create();
         
+        // No tutorial while watching a replay
+        if (this.replayPlayer) return;
+        
         // Wait a frame for all elements to be positioned
         this.time.delayedCall(100, () => {
             this.showTutorial();
@@ -88,9 +92,6 @@ export class Level1Scene extends BaseLevelScene {
         const startBtnX = canvasRect.left + 100;
         const startBtnY = canvasRect.top + 50;
         
-        const upgradeBtnX = canvasRect.left + w - 150;
-        const upgradeBtnY = canvasRect.top + h - 100;
-        
         // Initialize story manager
         this.storyManager = new StoryManager(this);
         
@@ -121,8 +122,8 @@ export class Level1Scene extends BaseLevelScene {
                 text: "Your Mission:\n\n✓ Complete 100 user requests\n✓ Keep failure rate below 10%\n✓ Earn revenue to upgrade server\n\n💡 Smart timing is everything!"
             },
             {
-                text: "Server Upgrade Available:\n\n💸 Cost: $150\n⚡ Speed: 2x faster processing\n📈 Capacity: 3 → 5 concurrent requests\n\n💡 This is 'Vertical Scaling'",
-                spotlight: { x: upgradeBtnX, y: upgradeBtnY, radius: 80 }
+                text: "Server Upgrade Available:\n\n👆 Click the server to inspect it\n💸 Cost: $150\n⚡ Speed: 2x faster processing\n📈 Capacity: 3 → 5 concurrent requests\n\n💡 This is 'Vertical Scaling'",
+                spotlight: { x: serverX, y: serverY, radius: 100 }
             },
             {
                 text: "Monitor your business:\n\n💰 Current Budget & Revenue\n📊 Total Requests Processed\n✅ Successful Transactions\n❌ Failed Requests\n📈 Server Load Status",
@@ -142,43 +143,4 @@ export class Level1Scene extends BaseLevelScene {
             console.log('Tutorial completed - game ready to start');
         });
     }
-
-    /**
-     * Create Server Nodes
-     * 
-     * Instantiates all server nodes for Level 1:
-     * - 1 User node (left side) that generates requests  
-     * - 1 App Server (center) that processes all requests - BUDGET CLOUD SERVER
-     */
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const userX = w * LAYOUT_CONFIG.positions.user.x;
-        const serverX = w * LAYOUT_CONFIG.positions.appServer.x;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(
-            this, userX, h/2, 'User'
-        );
-        
-        // Create Budget Cloud Server (using new AppServerNode class)
-        // Level 1 uses special budget server configuration
-        GameState.nodes['App'] = new AppServerNode(
-            this, 
-            serverX, 
-            h/2, 
-            'Budget Cloud Server', 
-            CONFIG.level1.servers.app.capacity,     // 3 concurrent requests
-            CONFIG.level1.servers.app.speed         // 300ms processing time
-        );
-        
-        // Set maximum capacity limit for Level 1 (budget cloud server)
-        GameState.nodes['App'].maxCapacity = 5;
-        
-        // Store Level 1 upgrade configuration for later use
-        this.level1AppServer = GameState.nodes['App'];
-        this.level1UpgradeCost = CONFIG.level1.servers.app.upgradeCost;
-        this.level1UpgradedCapacity = CONFIG.level1.servers.app.upgradedCapacity;
-        this.level1UpgradedSpeed = CONFIG.level1.servers.app.upgradedSpeed;
-    }
 }
@@ -21,9 +21,10 @@
  */
 
 import { CONFIG, GameState, UI_CONFIG, LAYOUT_CONFIG, ECONOMICS_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, DatabaseNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { DatabaseNode } from '../objects/nodes.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level3Layout } from '../levels/layouts.js';
+import { DATA_ROLES } from '../simulation/Topology.js';
 
 export class Level3Scene extends BaseLevelScene {
     /**
@@ -40,6 +41,7 @@ export class Level3Scene extends BaseLevelScene {
             initialPacketsPerWave: 1,
             difficultyInterval: 9000,
             userNodeIds: ['User1'],
+            layout: level3Layout,
             difficultyStages: {
                 stage1: {
                     trafficDelay: 1300,
@@ -88,31 +90,6 @@ export class Level3Scene extends BaseLevelScene {
         this.createAddDatabaseButton();
     }
 
-    /**
-     * Create Server Nodes
-     * 
-     * Instantiates initial server nodes for Level 3.
-     */
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(
-            this, w * LAYOUT_CONFIG.positions.leftMid, h/2, 'User'
-        );
-        
-        // Create Application Server (using new AppServerNode class)
-        GameState.nodes['App'] = new AppServerNode(
-            this, w * LAYOUT_CONFIG.positions.centerRight, h/2, 'App Server', 5, 800
-        );
-        
-        // Create Initial Database Server (using new DatabaseNode class)
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * LAYOUT_CONFIG.positions.farRight, h/2, 'Database 1', 3, 1200
-        );
-    }
-
     /**
      * Create Add Database Button
      * 
@@ -150,7 +127,7 @@ export class Level3Scene extends BaseLevelScene {
         });
 
         this.addDbButton.on('pointerdown', () => {
-            this.addDatabaseServer();
+            this.performAction('addDatabaseServer');
         });
     }
 
@@ -190,73 +167,13 @@ export class Level3Scene extends BaseLevelScene {
 
         // Create new database (using new DatabaseNode class)
         const newY = startY + (this.databaseCount - 1) * spacing;
-        GameState.nodes['Database' + this.databaseCount] = new DatabaseNode(
-            this, w * LAYOUT_CONFIG.positions.farRight, newY,
+        this.addNode('Database' + this.databaseCount, new DatabaseNode(
+            this.simulation, w * LAYOUT_CONFIG.positions.farRight, newY,
             'Database ' + this.databaseCount, 3, 1200
-        );
+        ));
+        this.connect('App', 'Database' + this.databaseCount, DATA_ROLES);
 
         this.updateUI();
         this.showToast('Database ' + this.databaseCount + ' added!');
     }
-
-    /**
-     * Update Method
-     * 
-     * Draws connection lines for all databases.
-     */
-    update() {
-        this.graphics.clear();
-        
-        const app = GameState.nodes['App'];
-        
-        // Draw User → App connection
-        const user = GameState.nodes['User1'];
-        if (user) {
-            drawDualLines(this.graphics, user, app);
-        }
-        
-        // Draw App → Database connections (for all databases)
-        for (let i = 1; i <= this.databaseCount; i++) {
-            const database = GameState.nodes['Database' + i];
-            if (database) {
-                drawDualLines(this.graphics, app, database);
-            }
-        }
-    }
-
-    /**
-     * Spawn Packet
-     * 
-     * Creates request packets with read/write visualization.
-     */
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, LAYOUT_CONFIG.packets.circleRadius,
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
-        }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
-    }
 }
@@ -22,9 +22,9 @@
 
 import { CONFIG, GameState } from '../config.js';
 import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, DatabaseNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { AppServerNode } from '../objects/nodes.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level4Layout, connectLevel4AppServer } from '../levels/layouts.js';
 
 export class Level4Scene extends BaseLevelScene {
     /**
@@ -41,6 +41,7 @@ export class Level4Scene extends BaseLevelScene {
             initialPacketsPerWave: 1,
             difficultyInterval: 8500,
             userNodeIds: ['User1'],
+            layout: level4Layout,
             difficultyStages: {
                 stage1: {
                     trafficDelay: 1100,
@@ -89,45 +90,6 @@ export class Level4Scene extends BaseLevelScene {
         this.createAddAppServerButton();
     }
 
-    /**
-     * Create Server Nodes
-     * 
-     * Instantiates initial server nodes for Level 4.
-     */
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const largeSpacing = LAYOUT_CONFIG.spacing.vertical.large;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(
-            this, w * 0.15, h/2, 'User'
-        );
-        
-        // Create Initial App Server (using new AppServerNode class)
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.5, h/2, 'App Server 1', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Database Servers (2 fixed databases, using new DatabaseNode class)
-        const dbStartY = h/2 - largeSpacing/2;
-        
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.8, dbStartY, 'Database 1', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
-        
-        GameState.nodes['Database2'] = new DatabaseNode(
-            this, w * 0.8, dbStartY + largeSpacing, 'Database 2', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
-    }
-
     /**
      * Create Add App Server Button
      * 
@@ -164,7 +126,7 @@ export class Level4Scene extends BaseLevelScene {
         });
 
         this.addAppButton.on('pointerdown', () => {
-            this.addAppServer();
+            this.performAction('addAppServer');
         });
     }
 
@@ -205,87 +167,15 @@ export class Level4Scene extends BaseLevelScene {
 
         // Create new app server (using new AppServerNode class)
         const newY = startY + (this.appServerCount - 1) * spacing;
-        GameState.nodes['App' + this.appServerCount] = new AppServerNode(
-            this, w * 0.5, newY,
+        this.addNode('App' + this.appServerCount, new AppServerNode(
+            this.simulation, w * 0.5, newY,
             'App Server ' + this.appServerCount, 
             ECONOMICS_CONFIG.initialValues.appServerCapacity, 
             ECONOMICS_CONFIG.initialValues.processingDelay
-        );
+        ));
+        connectLevel4AppServer(this.simulation, 'App' + this.appServerCount);
 
         this.updateUI();
         this.showToast('App Server ' + this.appServerCount + ' added!');
     }
-
-    /**
-     * Update Method
-     * 
-     * Draws connection lines for all app servers and databases.
-     */
-    update() {
-        this.graphics.clear();
-        
-        // Draw User → App connections (for all app servers)
-        const user = GameState.nodes['User1'];
-        if (user) {
-            for (let i = 1; i <= this.appServerCount; i++) {
-                const app = GameState.nodes['App' + i];
-                if (app) {
-                    drawDualLines(this.graphics, user, app);
-                }
-            }
-        }
-        
-        // Draw App → Database connections (for all app servers to all databases)
-        for (let i = 1; i <= this.appServerCount; i++) {
-            const app = GameState.nodes['App' + i];
-            if (app) {
-                const db1 = GameState.nodes['Database1'];
-                const db2 = GameState.nodes['Database2'];
-                if (db1) drawDualLines(this.graphics, app, db1);
-                if (db2) drawDualLines(this.graphics, app, db2);
-            }
-        }
-    }
-
-    /**
-     * Spawn Packet
-     * 
-     * Creates request packets with read/write visualization.
-     */
-    spawnPacket(startNode) {
-        if (!startNode || !startNode.active) {
-            console.error('spawnPacket called with invalid startNode:', startNode);
-            return;
-        }
-        
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius,
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
-        }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
-    }
 }
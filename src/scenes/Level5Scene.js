@@ -6,7 +6,7 @@
  * 
  * Level Objectives:
  * - Process 1200 requests total
- * - Maintain error rate below 1%
+ * - Maintain error rate below 10%
  * - Learn how caching reduces database load and improves performance
  * 
  * Architecture:
@@ -18,14 +18,18 @@
  * Key Concepts Taught:
  * - Cache hit/miss mechanics
  * - How caching reduces database load
- * - Cache effectiveness for read-heavy workloads
+ * - Cache effectiveness for read-heavy workloads (20% writes here): the
+ *   cache starts cold, holds more keys with each upgrade and loses the
+ *   keys that are written
+ * - Cache stampedes: the cache restarts mid-level and comes back empty, and
+ *   hot keys expire under load; the player can buy mitigations
+ *   (CACHE_CONFIG.mitigations) to keep the misses off the database
  */
 
 import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, CacheNode, DatabaseNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { UI_CONFIG, CACHE_CONFIG } from '../config/index.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level5Layout } from '../levels/layouts.js';
 
 export class Level5Scene extends BaseLevelScene {
     /**
@@ -42,6 +46,8 @@ export class Level5Scene extends BaseLevelScene {
             initialPacketsPerWave: 1,
             difficultyInterval: 8000,
             userNodeIds: ['User1'],
+            layout: level5Layout,
+            writeRequestPercentage: 20,
             difficultyStages: {
                 stage1: {
                     trafficDelay: 1000,
@@ -73,111 +79,96 @@ export class Level5Scene extends BaseLevelScene {
                     packetsPerWave: 5,
                     message: "⛔ Maximum throughput!"
                 }
+            },
+            chaos: {
+                events: [
+                    { at: 55000, type: 'crash', node: 'Cache1', duration: 2000,
+                      message: "💥 The cache restarted - it is back, but empty!" }
+                ]
             }
         });
     }
 
     /**
-     * Create Server Nodes
+     * Create Method
      * 
-     * Instantiates server nodes for Level 5 with cache layer.
+     * Extends base create() to add the stampede mitigation buttons.
      */
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(
-            this, w * 0.15, h/2, 'User'
-        );
-        
-        // Create Application Server (using new AppServerNode class)
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.45, h/2, 'App Server', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Cache Server (using new CacheNode class)
-        GameState.nodes['Cache1'] = new CacheNode(
-            this, w * 0.45, h/2 - vertOffset, 'Cache', 
-            ECONOMICS_CONFIG.initialValues.cacheCapacity, 
-            ECONOMICS_CONFIG.initialValues.cacheDelay
-        );
-        
-        // Create Database Server (using new DatabaseNode class)
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.70, h/2, 'Database', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
+    create() {
+        super.create();
+        this.mitigationButtons = {};
+        this.createMitigationButtons();
     }
 
     /**
-     * Update Method
+     * Create Mitigation Buttons
      * 
-     * Draws connection lines for cache architecture.
+     * One button per stampede mitigation, along the bottom of the canvas.
      */
-    update() {
-        this.graphics.clear();
-        
-        const app = GameState.nodes['App1'];
-        const cache = GameState.nodes['Cache1'];
-        const db = GameState.nodes['Database1'];
-        
-        // Draw User → App connection
-        const user = GameState.nodes['User1'];
-        if (user && app) {
-            drawDualLines(this.graphics, user, app);
-        }
-        
-        // Draw App → Cache connection (vertical)
-        if (app && cache) {
-            drawDualLines(this.graphics, app, cache);
-        }
-        
-        // Draw App → Database connection (horizontal)
-        if (app && db) {
-            drawDualLines(this.graphics, app, db);
-        }
+    createMitigationButtons() {
+        const w = this.cameras.main.width;
+        const h = this.cameras.main.height;
+        const keys = Object.keys(CACHE_CONFIG.mitigations);
+
+        keys.forEach((key, i) => {
+            const mitigation = CACHE_CONFIG.mitigations[key];
+            const x = w * (i + 1) / (keys.length + 1);
+
+            const background = this.add.rectangle(
+                x, h - 50,
+                UI_CONFIG.buttons.large.width,
+                UI_CONFIG.buttons.large.height,
+                UI_CONFIG.buttonColors.primary
+            ).setInteractive({ useHandCursor: true });
+
+            const text = this.add.text(
+                x, h - 50,
+                `+ ${mitigation.label} ($${mitigation.price})`,
+                {
+                    fontSize: UI_CONFIG.fonts.button,
+                    color: UI_CONFIG.textColors.light,
+                    fontFamily: UI_CONFIG.fontFamily
+                }
+            ).setOrigin(0.5);
+
+            background.on('pointerover', () => background.setFillStyle(UI_CONFIG.buttonColors.primaryHighlight));
+            background.on('pointerout', () => background.setFillStyle(UI_CONFIG.buttonColors.primary));
+            background.on('pointerdown', () => this.performAction('buyCacheMitigation', key));
+
+            this.mitigationButtons[key] = { background, text };
+        });
     }
 
     /**
-     * Spawn Packet
+     * Buy Cache Mitigation
+     * 
+     * Turns a stampede mitigation on for the cache if the player can afford it.
      * 
-     * Creates request packets with read/write visualization.
+     * @param {string} key - CACHE_CONFIG mitigation key
      */
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius,
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
+    buyCacheMitigation(key) {
+        const mitigation = CACHE_CONFIG.mitigations[key];
+        const cache = this.simulation.nodes.Cache1;
+        if (!mitigation || !cache) return;
+
+        if (cache[key]) {
+            this.showToast(`${mitigation.label} already bought!`);
+            return;
+        }
+        if (GameState.money < mitigation.price) {
+            this.showToast(`Not enough money! Need $${mitigation.price}`);
+            return;
         }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
+
+        GameState.money -= mitigation.price;
+        cache.setMitigation(key, true);
+
+        const button = this.mitigationButtons[key];
+        button.text.setText(`✓ ${mitigation.label}`);
+        button.background.setFillStyle(UI_CONFIG.buttonColors.success);
+        button.background.disableInteractive();
+
+        this.updateUI();
+        this.showToast(`🧊 ${mitigation.label} on: fewer misses reach the database`);
     }
 }
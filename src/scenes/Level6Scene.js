@@ -23,10 +23,10 @@
  */
 
 import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, CacheNode, DatabaseNode, LoadBalancerNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
+import { LoadBalancerNode } from '../objects/nodes.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level6Layout } from '../levels/layouts.js';
 
 export class Level6Scene extends BaseLevelScene {
     constructor() {
@@ -38,6 +38,7 @@ export class Level6Scene extends BaseLevelScene {
             initialPacketsPerWave: 1,
             difficultyInterval: 7500,
             userNodeIds: ['User1'],
+            layout: level6Layout,
             difficultyStages: {
                 stage1: {
                     trafficDelay: 900,
@@ -81,45 +82,6 @@ export class Level6Scene extends BaseLevelScene {
         this.setupLoadBalancerButton();
     }
 
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
-        const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(
-            this, w * 0.15, h/2, 'User'
-        );
-        
-        // Create 2 Application Servers (using new AppServerNode class)
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.40, h/2 - smallSpacing, 'App Server 1', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        GameState.nodes['App2'] = new AppServerNode(
-            this, w * 0.40, h/2 + smallSpacing, 'App Server 2', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Cache Server (using new CacheNode class)
-        GameState.nodes['Cache1'] = new CacheNode(
-            this, w * 0.60, h/2 - vertOffset, 'Cache', 
-            ECONOMICS_CONFIG.initialValues.cacheCapacity, 
-            ECONOMICS_CONFIG.initialValues.cacheDelay
-        );
-        
-        // Create Database Server (using new DatabaseNode class)
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.60, h/2, 'Database', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
-    }
-
     setupLoadBalancerButton() {
         const w = this.cameras.main.width;
         const h = this.cameras.main.height;
@@ -156,7 +118,7 @@ export class Level6Scene extends BaseLevelScene {
         });
         
         this.lbButtonBg.on('pointerdown', () => {
-            this.addLoadBalancer();
+            this.performAction('addLoadBalancer');
         });
     }
 
@@ -179,11 +141,11 @@ export class Level6Scene extends BaseLevelScene {
         const h = this.cameras.main.height;
         
         // Create Load Balancer (using new LoadBalancerNode class)
-        GameState.nodes['LoadBalancer1'] = new LoadBalancerNode(
-            this, w * 0.27, h/2, 'Load Balancer', 
+        this.addNode('LoadBalancer1', new LoadBalancerNode(
+            this.simulation, w * 0.27, h/2, 'Load Balancer', 
             ECONOMICS_CONFIG.initialValues.loadBalancerCapacity, 
             ECONOMICS_CONFIG.initialValues.loadBalancerDelay
-        );
+        ));
 
         this.lbButtonText.setText('✓ Load Balancer Added');
         this.lbButtonBg.setFillStyle(UI_CONFIG.buttonColors.disabled);
@@ -192,71 +154,4 @@ export class Level6Scene extends BaseLevelScene {
         this.updateUI();
         this.showToast('Load Balancer added! Traffic distributed intelligently.');
     }
-
-    update() {
-        this.graphics.clear();
-        
-        const lb = GameState.nodes['LoadBalancer1'];
-        const app1 = GameState.nodes['App1'];
-        const app2 = GameState.nodes['App2'];
-        const cache = GameState.nodes['Cache1'];
-        const db = GameState.nodes['Database1'];
-        
-        // Draw User → LoadBalancer or User → App connections
-        const user = GameState.nodes['User1'];
-        if (user) {
-            if (lb) {
-                drawDualLines(this.graphics, user, lb);
-            } else {
-                if (app1) drawDualLines(this.graphics, user, app1);
-                if (app2) drawDualLines(this.graphics, user, app2);
-            }
-        }
-        
-        // Draw LoadBalancer → App connections
-        if (lb) {
-            if (app1) drawDualLines(this.graphics, lb, app1);
-            if (app2) drawDualLines(this.graphics, lb, app2);
-        }
-        
-        // Draw App → Cache connections
-        if (app1 && cache) drawDualLines(this.graphics, app1, cache);
-        if (app2 && cache) drawDualLines(this.graphics, app2, cache);
-        
-        // Draw App → Database connections
-        if (app1 && db) drawDualLines(this.graphics, app1, db);
-        if (app2 && db) drawDualLines(this.graphics, app2, db);
-    }
-
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius,
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
-        }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
-    }
 }
@@ -1,34 +1,47 @@
 /**
  * Level 7 Scene - CDN Introduction
- * 
+ *
  * This scene implements the seventh level teaching CDN (Content Delivery Network) concepts.
- * 
+ *
  * Level Objectives:
  * - Process 1600 requests total
- * - Maintain error rate below 1%
- * - Learn how CDNs reduce latency for static content
- * 
+ * - Maintain error rate below 10%
+ * - Keep the median (p50) latency under 1500ms for users spread over three regions
+ * - Serve at most 8% stale reads, though a content release mid-level
+ *   changes the most popular content
+ *
  * Architecture:
- * - 3 User nodes
- * - 1 Load Balancer
- * - 2 App Servers
- * - 1 Cache Server
- * - 1 Database Server
- * - Optional CDN (can be added by player)
- * 
+ * - 3 User nodes (North America, Europe, Asia-Pacific) reading a small site
+ *   (50 keys, 80% static content) and never writing to it
+ * - The origin in North America: 1 Load Balancer, 2 App Servers, 1 Cache
+ *   Server and 1 Database Server
+ * - Optional CDN edge PoPs, one per region, and an origin shield (can be
+ *   added by player)
+ *
  * Key Concepts Taught:
- * - CDNs serve static content from edge locations
- * - Reduces load on origin servers
- * - Improves response times for geographically distributed users
+ * - Distance costs time: every link gains latency with the distance between
+ *   its regions (see REGION_CONFIG), and a request crosses it twice
+ * - CDNs serve static content from edge locations close to the users, so
+ *   most requests never make the long trip; dynamic content still goes to
+ *   the origin
+ * - An origin shield collects the misses of every edge, so the origin
+ *   fetches a key once rather than once per PoP
+ * - Edges keep content until it expires: after the content release they
+ *   serve the old version until the player purges them
  */
 
 import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, CacheNode, DatabaseNode, LoadBalancerNode, CDNNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG, REGION_CONFIG } from '../config/index.js';
+import { CDNNode } from '../objects/nodes.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level7Layout, LEVEL7_REGIONS, level7EdgeKey } from '../levels/layouts.js';
 
 export class Level7Scene extends BaseLevelScene {
+    /**
+     * Constructor
+     *
+     * Configures Level 7 with users in three regions and an origin in North America.
+     */
     constructor() {
         super({
             key: 'Level7Scene',
@@ -37,189 +50,209 @@ export class Level7Scene extends BaseLevelScene {
             initialTrafficDelay: 1100,
             initialPacketsPerWave: 2,
             difficultyInterval: 7000,
-            userNodeIds: ['User1'],
+            userNodeIds: ['User1', 'User2', 'User3'],
+            layout: level7Layout,
+            writeRequestPercentage: 0,
+            staticPercentage: 80,
+            keySpace: { keys: 50 },
+            latencyObjective: { percentile: 50, maxLatency: 1500 },
+            consistencyObjective: { maxStaleReadRate: 8 },
             difficultyStages: {
                 stage1: { trafficDelay: 850, packetsPerWave: 2, message: "Traffic increasing..." },
                 stage2: { trafficDelay: 650, packetsPerWave: 3, message: "Load rising..." },
                 stage3: { trafficDelay: 450, packetsPerWave: 3, message: "⚠ High traffic!" },
-                stage4: { trafficDelay: 320, packetsPerWave: 4, message: "⚠ Consider adding CDN!" },
+                stage4: { trafficDelay: 320, packetsPerWave: 4, message: "⚠ Far away users wait the longest!" },
                 stage5: { trafficDelay: 220, packetsPerWave: 5, message: "⛔ Heavy load!" },
                 stage6: { trafficDelay: 150, packetsPerWave: 6, message: "⛔ Maximum throughput!" }
             }
         });
-        this.hasCDN = false;
-        this.cdnButtonBg = null;
-        this.cdnButtonText = null;
+
+        // New versions of the hottest static keys are published mid-level
+        this.contentRelease = { at: 40000, keys: 10 };
+        this.releaseTimer = null;
+        this.cdnButtons = {};
     }
 
+    /**
+     * Create Method
+     *
+     * Extends base create() to add the CDN purchase and purge buttons.
+     */
     create() {
         super.create();
-        this.setupCDNButton();
+        this.releaseTimer = null;
+        this.cdnButtons = {};
+        this.createCDNButtons();
     }
 
-    createNodes() {
+    /**
+     * Create CDN Buttons
+     *
+     * One button per regional edge, one for the origin shield and one to purge
+     * every CDN node, along the bottom of the canvas.
+     */
+    createCDNButtons() {
+        const buttons = [
+            ...LEVEL7_REGIONS.map(region => ({
+                key: region,
+                label: `+ ${REGION_CONFIG.regions[region].short} Edge ($${ECONOMICS_CONFIG.purchases.cdn})`,
+                action: () => this.performAction('addCDN', region)
+            })),
+            {
+                key: 'shield',
+                label: `+ Origin Shield ($${ECONOMICS_CONFIG.purchases.originShield})`,
+                action: () => this.performAction('addOriginShield')
+            },
+            {
+                key: 'purge',
+                label: '🧹 Purge CDN',
+                action: () => this.performAction('purgeCDN', null)
+            }
+        ];
+
         const w = this.cameras.main.width;
         const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
-        const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(this, w * 0.15, h/2, 'User');
-        
-        // Create Load Balancer (using new LoadBalancerNode class)
-        GameState.nodes['LoadBalancer1'] = new LoadBalancerNode(
-            this, w * 0.30, h/2, 'Load Balancer', 
-            ECONOMICS_CONFIG.initialValues.loadBalancerCapacity, 
-            ECONOMICS_CONFIG.initialValues.loadBalancerDelay
-        );
-        
-        // Create App Servers (using new AppServerNode class)
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.45, h/2 - smallSpacing, 'App Server 1', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        GameState.nodes['App2'] = new AppServerNode(
-            this, w * 0.45, h/2 + smallSpacing, 'App Server 2', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Cache (using new CacheNode class)
-        GameState.nodes['Cache1'] = new CacheNode(
-            this, w * 0.65, h/2 - vertOffset, 'Cache', 
-            ECONOMICS_CONFIG.initialValues.cacheCapacity, 
-            ECONOMICS_CONFIG.initialValues.cacheDelay
-        );
-        
-        // Create Database (using new DatabaseNode class)
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.65, h/2, 'Database', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
+
+        buttons.forEach((button, i) => {
+            const x = w * (i + 1) / (buttons.length + 1);
+
+            const background = this.add.rectangle(
+                x, h - 50,
+                UI_CONFIG.buttons.small.width,
+                UI_CONFIG.buttons.small.height,
+                UI_CONFIG.buttonColors.primary
+            ).setInteractive({ useHandCursor: true });
+
+            const text = this.add.text(
+                x, h - 50,
+                button.label,
+                {
+                    fontSize: UI_CONFIG.fonts.button,
+                    color: UI_CONFIG.textColors.light,
+                    fontFamily: UI_CONFIG.fontFamily
+                }
+            ).setOrigin(0.5);
+
+            background.on('pointerover', () => background.setFillStyle(UI_CONFIG.buttonColors.primaryHighlight));
+            background.on('pointerout', () => background.setFillStyle(UI_CONFIG.buttonColors.primary));
+            background.on('pointerdown', button.action);
+
+            this.cdnButtons[button.key] = { background, text };
+        });
     }
 
-    setupCDNButton() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const cost = ECONOMICS_CONFIG.purchases.cdn;
-        
-        this.cdnButtonBg = this.add.rectangle(
-            w * 0.15, h - 50, 
-            UI_CONFIG.buttons.medium.width, 
-            UI_CONFIG.buttons.medium.height, 
-            UI_CONFIG.buttonColors.success
+    /**
+     * Add CDN
+     *
+     * Buys the CDN edge of a region, next to its users.
+     *
+     * @param {string} region - REGION_CONFIG region key
+     */
+    addCDN(region) {
+        const key = level7EdgeKey(region);
+        const label = REGION_CONFIG.regions[region].short;
+        if (this.simulation.nodes[key]) {
+            this.showToast(`${label} edge already added!`);
+            return;
+        }
+
+        const user = this.simulation.nodes[`User${LEVEL7_REGIONS.indexOf(region) + 1}`];
+        const bought = this.buyCDNNode(
+            key, region, ECONOMICS_CONFIG.purchases.cdn,
+            this.cameras.main.width * 0.25, user.y, `CDN ${label}`
         );
-        this.cdnButtonBg.setStrokeStyle(2, UI_CONFIG.buttonColors.successHover);
-        this.cdnButtonBg.setInteractive({ useHandCursor: true });
-        
-        this.cdnButtonText = this.add.text(
-            w * 0.15, h - 50, 
-            `+ Add CDN ($${cost})`, 
-            {
-                fontSize: UI_CONFIG.fonts.button,
-                color: UI_CONFIG.textColors.light,
-                fontStyle: 'bold',
-                fontFamily: UI_CONFIG.fontFamily
-            }
-        ).setOrigin(0.5);
-        
-        this.cdnButtonBg.on('pointerover', () => this.cdnButtonBg.setFillStyle(UI_CONFIG.buttonColors.successHover));
-        this.cdnButtonBg.on('pointerout', () => { 
-            if (!this.hasCDN) this.cdnButtonBg.setFillStyle(UI_CONFIG.buttonColors.success); 
-        });
-        this.cdnButtonBg.on('pointerdown', () => this.addCDN());
+        if (!bought) return;
+
+        this.markBought(region, `✓ ${label} Edge`);
+        this.showToast(`CDN edge added! ${REGION_CONFIG.regions[region].label} gets static content nearby.`);
     }
 
-    addCDN() {
-        if (this.hasCDN) {
-            this.showToast('CDN already added!');
+    /**
+     * Add Origin Shield
+     *
+     * Buys a CDN node next to the origin that the edges fetch their misses from.
+     */
+    addOriginShield() {
+        if (this.simulation.nodes.Shield1) {
+            this.showToast('Origin shield already added!');
             return;
         }
 
-        const cost = ECONOMICS_CONFIG.purchases.cdn;
+        const bought = this.buyCDNNode(
+            'Shield1', 'na', ECONOMICS_CONFIG.purchases.originShield,
+            this.cameras.main.width * 0.45, this.cameras.main.height/2 - LAYOUT_CONFIG.spacing.vertical.extraLarge,
+            'Origin Shield'
+        );
+        if (!bought) return;
+
+        this.markBought('shield', '✓ Origin Shield');
+        this.showToast('Origin shield added! Edge misses reach the origin once.');
+    }
+
+    /**
+     * Pay for a CDN node and place it in its region
+     *
+     * @returns {boolean} False if the player cannot afford it
+     */
+    buyCDNNode(key, region, cost, x, y, name) {
         if (GameState.money < cost) {
             this.showToast(`Not enough money! Need $${cost}`);
-            return;
+            return false;
         }
 
         GameState.money -= cost;
-        this.hasCDN = true;
-
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        
-        // Create CDN (using new CDNNode class)
-        GameState.nodes['CDN1'] = new CDNNode(
-            this, w * 0.15, h/2 - LAYOUT_CONFIG.spacing.vertical.extraLarge * 1.1, 'CDN', 
-            ECONOMICS_CONFIG.initialValues.cdnCapacity, 
+        const node = new CDNNode(
+            this.simulation, x, y, name,
+            ECONOMICS_CONFIG.initialValues.cdnCapacity,
             ECONOMICS_CONFIG.initialValues.cdnDelay
         );
-
-        this.cdnButtonText.setText('✓ CDN Added');
-        this.cdnButtonBg.setFillStyle(UI_CONFIG.buttonColors.disabled);
-        this.cdnButtonBg.disableInteractive();
-
+        node.region = region;
+        this.addNode(key, node);
         this.updateUI();
-        this.showToast('CDN added! Static content served faster.');
+        return true;
     }
 
-    update() {
-        this.graphics.clear();
-        
-        const cdn = GameState.nodes['CDN1'];
-        const lb = GameState.nodes['LoadBalancer1'];
-        const app1 = GameState.nodes['App1'];
-        const app2 = GameState.nodes['App2'];
-        const cache = GameState.nodes['Cache1'];
-        const db = GameState.nodes['Database1'];
-        
-        const user = GameState.nodes['User1'];
-        if (user) {
-            if (cdn) drawDualLines(this.graphics, user, cdn);
-            if (lb) drawDualLines(this.graphics, user, lb);
+    /**
+     * Show a purchase button as bought
+     */
+    markBought(key, label) {
+        const button = this.cdnButtons[key];
+        button.text.setText(label);
+        button.background.setFillStyle(UI_CONFIG.buttonColors.success);
+        button.background.disableInteractive();
+    }
+
+    /**
+     * Start Simulation
+     *
+     * Extends the base start to schedule the content release on the
+     * simulation clock, so replays see it at the same time.
+     */
+    startSimulation() {
+        super.startSimulation();
+
+        if (GameState.isRunning && !this.releaseTimer) {
+            this.releaseTimer = this.simulation.clock.delayedCall(this.contentRelease.at, () => this.releaseContent());
         }
-        
-        if (cdn && lb) drawDualLines(this.graphics, cdn, lb);
-        if (lb && app1) drawDualLines(this.graphics, lb, app1);
-        if (lb && app2) drawDualLines(this.graphics, lb, app2);
-        if (app1 && cache) drawDualLines(this.graphics, app1, cache);
-        if (app2 && cache) drawDualLines(this.graphics, app2, cache);
-        if (app1 && db) drawDualLines(this.graphics, app1, db);
-        if (app2 && db) drawDualLines(this.graphics, app2, db);
     }
 
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius, 
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
+    /**
+     * Release Content
+     *
+     * Publishes new versions of the hottest keys at the origin (its cache
+     * drops them). CDN nodes keep serving the old ones until they expire or
+     * are purged.
+     */
+    releaseContent() {
+        const cache = this.simulation.nodes.Cache1;
+        for (let key = 1; key <= this.contentRelease.keys; key++) {
+            this.simulation.keySpace.publish(key);
+            if (cache) cache.invalidate(key);
         }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
+
+        const hasCDN = Object.values(this.simulation.nodes).some(node => node.type === 'cdn');
+        this.showToast(hasCDN
+            ? '🚀 New content released! The CDN still serves the old version - purge it'
+            : '🚀 New content released!');
     }
 }
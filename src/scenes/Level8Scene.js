@@ -1,34 +1,43 @@
 /**
  * Level 8 Scene - Read Replica Introduction
- * 
+ *
  * This scene implements the eighth level teaching database read replica concepts.
- * 
+ *
  * Level Objectives:
- * - Process 2000 requests total
- * - Maintain error rate below 1%
- * - Learn how read replicas scale database read operations
- * 
+ * - Process 1800 requests total
+ * - Maintain error rate below 10%
+ * - At most 1% of reads may miss a write their own client made before
+ *   sending them (read-your-writes)
+ *
  * Architecture:
- * - 3 User nodes
- * - 1 CDN
+ * - 3 User nodes (30% writes over a small set of keys)
  * - 1 Load Balancer
  * - 2 App Servers
  * - 1 Cache Server
  * - 1 Primary Database
- * - Optional Read Replicas (can be added by player)
- * 
+ * - Optional Read Replicas, far enough away to lag 5s behind the primary
+ *   (can be added by player)
+ * - Optional read-your-writes routing and synchronous replication
+ *   (REPLICATION_CONFIG.options, can be bought by player)
+ *
  * Key Concepts Taught:
  * - Read replicas handle read-only queries
  * - Primary database handles all writes
  * - Reduces load on primary database
- * - Improves read scalability
+ * - Replication is asynchronous: a replica returns the previous version of a
+ *   key until the primary's write reaches it, so a user can save a change and
+ *   not see it on the next page
+ * - Read-your-writes routing sends a client that just wrote to the primary
+ *   (more load on the primary); synchronous replication keeps the replicas
+ *   current (slower writes). The consistency score at the end shows what
+ *   share of reads were fresh
  */
 
 import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, CacheNode, DatabaseNode, LoadBalancerNode, CDNNode } from '../objects/nodes.js';
-import { drawDualLines } from '../utils/animations.js';
+import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG, REPLICATION_CONFIG } from '../config/index.js';
+import { DatabaseNode } from '../objects/nodes.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level8Layout } from '../levels/layouts.js';
 
 export class Level8Scene extends BaseLevelScene {
     constructor() {
@@ -39,7 +48,12 @@ export class Level8Scene extends BaseLevelScene {
             initialTrafficDelay: 1000,
             initialPacketsPerWave: 2,
             difficultyInterval: 6500,
-            userNodeIds: ['User1'],
+            userNodeIds: ['User1', 'User2', 'User3'],
+            layout: level8Layout,
+            writeRequestPercentage: 30,
+            staticPercentage: 0,
+            keySpace: { keys: 50 },
+            consistencyObjective: { maxStaleOwnReadRate: 1 },
             difficultyStages: {
                 stage1: { trafficDelay: 800, packetsPerWave: 2, message: "Traffic increasing..." },
                 stage2: { trafficDelay: 600, packetsPerWave: 3, message: "Load rising..." },
@@ -50,83 +64,37 @@ export class Level8Scene extends BaseLevelScene {
             }
         });
         this.readReplicaCount = 0;
+        this.replicaLag = 5000;     // ms each replica applies the primary's writes after it
         this.rrButtonBg = null;
         this.rrButtonText = null;
+        this.optionButtons = {};
     }
 
     create() {
         super.create();
+        this.optionButtons = {};
         this.setupReadReplicaButton();
-    }
-
-    createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
-        const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
-
-        // Create User Node (using new UserNode class)
-        GameState.nodes['User1'] = new UserNode(this, w * 0.12, h/2, 'User');
-        
-        // Create CDN (using new CDNNode class)
-        GameState.nodes['CDN1'] = new CDNNode(
-            this, w * 0.12, h/2 - vertOffset * 1.2, 'CDN', 
-            ECONOMICS_CONFIG.initialValues.cdnCapacity, 
-            ECONOMICS_CONFIG.initialValues.cdnDelay
-        );
-        
-        // Create Load Balancer (using new LoadBalancerNode class)
-        GameState.nodes['LoadBalancer1'] = new LoadBalancerNode(
-            this, w * 0.27, h/2, 'Load Balancer', 
-            ECONOMICS_CONFIG.initialValues.loadBalancerCapacity, 
-            ECONOMICS_CONFIG.initialValues.loadBalancerDelay
-        );
-        
-        // Create App Servers (using new AppServerNode class)
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.42, h/2 - smallSpacing, 'App Server 1', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        GameState.nodes['App2'] = new AppServerNode(
-            this, w * 0.42, h/2 + smallSpacing, 'App Server 2', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Cache (using new CacheNode class)
-        GameState.nodes['Cache1'] = new CacheNode(
-            this, w * 0.58, h/2 - vertOffset, 'Cache', 
-            ECONOMICS_CONFIG.initialValues.cacheCapacity, 
-            ECONOMICS_CONFIG.initialValues.cacheDelay
-        );
-        
-        // Create Primary Database (using new DatabaseNode class)
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.58, h/2, 'Primary DB', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
+        this.createOptionButtons();
     }
 
     setupReadReplicaButton() {
         const w = this.cameras.main.width;
         const h = this.cameras.main.height;
         const cost = ECONOMICS_CONFIG.purchases.readReplica;
-        
+        const x = w / 4;
+
         this.rrButtonBg = this.add.rectangle(
-            w * 0.58, h - 50, 
-            UI_CONFIG.buttons.large.width, 
-            UI_CONFIG.buttons.large.height, 
+            x, h - 50,
+            UI_CONFIG.buttons.large.width,
+            UI_CONFIG.buttons.large.height,
             UI_CONFIG.buttonColors.warning
         );
-        this.rrButtonBg.setStrokeStyle(2, UI_CONFIG.buttonColors.warningHover);
+        this.rrButtonBg.setStrokeStyle(2, UI_CONFIG.buttonColors.warningHighlight);
         this.rrButtonBg.setInteractive({ useHandCursor: true });
-        
+
         this.rrButtonText = this.add.text(
-            w * 0.58, h - 50, 
-            `+ Add Read Replica ($${cost})`, 
+            x, h - 50,
+            `+ Add Read Replica ($${cost})`,
             {
                 fontSize: UI_CONFIG.fonts.button,
                 color: UI_CONFIG.textColors.light,
@@ -134,15 +102,54 @@ export class Level8Scene extends BaseLevelScene {
                 fontFamily: UI_CONFIG.fontFamily
             }
         ).setOrigin(0.5);
-        
-        this.rrButtonBg.on('pointerover', () => this.rrButtonBg.setFillStyle(UI_CONFIG.buttonColors.warningHover));
+
+        this.rrButtonBg.on('pointerover', () => this.rrButtonBg.setFillStyle(UI_CONFIG.buttonColors.warningHighlight));
         this.rrButtonBg.on('pointerout', () => this.rrButtonBg.setFillStyle(UI_CONFIG.buttonColors.warning));
-        this.rrButtonBg.on('pointerdown', () => this.addReadReplica());
+        this.rrButtonBg.on('pointerdown', () => this.performAction('addReadReplica'));
+    }
+
+    /**
+     * Create Option Buttons
+     *
+     * One button per replication option, next to the read replica button.
+     */
+    createOptionButtons() {
+        const w = this.cameras.main.width;
+        const h = this.cameras.main.height;
+        const keys = Object.keys(REPLICATION_CONFIG.options);
+
+        keys.forEach((key, i) => {
+            const option = REPLICATION_CONFIG.options[key];
+            const x = w * (i + 2) / (keys.length + 2);
+
+            const background = this.add.rectangle(
+                x, h - 50,
+                UI_CONFIG.buttons.large.width,
+                UI_CONFIG.buttons.large.height,
+                UI_CONFIG.buttonColors.primary
+            ).setInteractive({ useHandCursor: true });
+
+            const text = this.add.text(
+                x, h - 50,
+                `+ ${option.label} ($${option.price})`,
+                {
+                    fontSize: UI_CONFIG.fonts.button,
+                    color: UI_CONFIG.textColors.light,
+                    fontFamily: UI_CONFIG.fontFamily
+                }
+            ).setOrigin(0.5);
+
+            background.on('pointerover', () => background.setFillStyle(UI_CONFIG.buttonColors.primaryHighlight));
+            background.on('pointerout', () => background.setFillStyle(UI_CONFIG.buttonColors.primary));
+            background.on('pointerdown', () => this.performAction('buyReplicationOption', key));
+
+            this.optionButtons[key] = { background, text };
+        });
     }
 
     addReadReplica() {
         const maxReplicas = ECONOMICS_CONFIG.limits.readReplicas;
-        
+
         if (this.readReplicaCount >= maxReplicas) {
             this.showToast(`Maximum ${maxReplicas} Read Replicas!`);
             return;
@@ -161,89 +168,78 @@ export class Level8Scene extends BaseLevelScene {
         const h = this.cameras.main.height;
         const spacing = LAYOUT_CONFIG.spacing.vertical.large;
         const startY = h/2 + LAYOUT_CONFIG.spacing.vertical.medium;
-        
+
         // Create Read Replica (using new DatabaseNode class)
-        GameState.nodes[`ReadReplica${this.readReplicaCount}`] = new DatabaseNode(
-            this, w * 0.58, startY + (this.readReplicaCount - 1) * spacing,
-            `Read Replica ${this.readReplicaCount}`, 
-            ECONOMICS_CONFIG.initialValues.readReplicaCapacity, 
+        const replica = this.addNode(`ReadReplica${this.readReplicaCount}`, new DatabaseNode(
+            this.simulation, w * 0.58, startY + (this.readReplicaCount - 1) * spacing,
+            `Read Replica ${this.readReplicaCount}`,
+            ECONOMICS_CONFIG.initialValues.readReplicaCapacity,
             ECONOMICS_CONFIG.initialValues.readReplicaDelay
-        );
+        ));
+        replica.isReplica = true;
+        replica.replicationLag = this.replicaLag;
+        this.connectReadReplica(`ReadReplica${this.readReplicaCount}`);
 
         if (this.readReplicaCount >= maxReplicas) {
             this.rrButtonText.setText('✓ Max Replicas');
-            this.rrButtonBg.setFillStyle(UI_CONFIG.buttonColors.disabled);
+            this.rrButtonBg.setFillStyle(UI_CONFIG.buttonColors.success);
             this.rrButtonBg.disableInteractive();
         }
 
         this.updateUI();
-        this.showToast(`Read Replica ${this.readReplicaCount} added!`);
+        this.showToast(`Read Replica ${this.readReplicaCount} added! It lags ${this.replicaLag / 1000}s behind the primary.`);
+    }
+
+    /**
+     * Wire a read replica: apps read from it ahead of the primary,
+     * and the primary replicates to it
+     */
+    connectReadReplica(key) {
+        ['App1', 'App2'].forEach(app => this.connect(app, key, ['read', 'miss'], 1));
+        this.connect('Database1', key, ['replication']);
     }
 
-    update() {
-        this.graphics.clear();
-        
-        const cdn = GameState.nodes['CDN1'];
-        const lb = GameState.nodes['LoadBalancer1'];
-        const app1 = GameState.nodes['App1'];
-        const app2 = GameState.nodes['App2'];
-        const cache = GameState.nodes['Cache1'];
-        const primaryDb = GameState.nodes['Database1'];
-        
-        const user = GameState.nodes['User1'];
-        if (user) {
-            if (cdn) drawDualLines(this.graphics, user, cdn);
-            if (lb) drawDualLines(this.graphics, user, lb);
+    /**
+     * Buy Replication Option
+     *
+     * Turns read-your-writes routing on for both app servers, or switches the
+     * primary to synchronous replication, if the player can afford it.
+     *
+     * @param {string} key - REPLICATION_CONFIG option key
+     */
+    buyReplicationOption(key) {
+        const option = REPLICATION_CONFIG.options[key];
+        const primary = this.simulation.nodes.Database1;
+        if (!option || !primary) return;
+
+        const apps = ['App1', 'App2'].map(app => this.simulation.nodes[app]).filter(Boolean);
+        const bought = key === 'readYourWrites'
+            ? apps.length > 0 && apps.every(app => app.readYourWrites)
+            : primary.replicationMode === 'sync';
+        if (bought) {
+            this.showToast(`${option.label} already bought!`);
+            return;
         }
-        
-        if (cdn && lb) drawDualLines(this.graphics, cdn, lb);
-        if (lb && app1) drawDualLines(this.graphics, lb, app1);
-        if (lb && app2) drawDualLines(this.graphics, lb, app2);
-        if (app1 && cache) drawDualLines(this.graphics, app1, cache);
-        if (app2 && cache) drawDualLines(this.graphics, app2, cache);
-        if (app1 && primaryDb) drawDualLines(this.graphics, app1, primaryDb);
-        if (app2 && primaryDb) drawDualLines(this.graphics, app2, primaryDb);
-        
-        // Draw connections to read replicas
-        for (let i = 1; i <= this.readReplicaCount; i++) {
-            const replica = GameState.nodes[`ReadReplica${i}`];
-            if (replica) {
-                if (app1) drawDualLines(this.graphics, app1, replica);
-                if (app2) drawDualLines(this.graphics, app2, replica);
-                if (primaryDb) drawDualLines(this.graphics, primaryDb, replica);
-            }
+        if (GameState.money < option.price) {
+            this.showToast(`Not enough money! Need $${option.price}`);
+            return;
         }
-    }
 
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
+        GameState.money -= option.price;
+        if (key === 'readYourWrites') {
+            apps.forEach(app => { app.readYourWrites = true; });
         } else {
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius, 
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
+            primary.replicationMode = 'sync';
         }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
+
+        const button = this.optionButtons[key];
+        button.text.setText(`✓ ${option.label}`);
+        button.background.setFillStyle(UI_CONFIG.buttonColors.success);
+        button.background.disableInteractive();
+
+        this.updateUI();
+        this.showToast(key === 'readYourWrites'
+            ? '🔁 Users who just saved read from the primary (more load on it)'
+            : '🔁 Writes wait for every replica (slower writes, no lag)');
     }
 }
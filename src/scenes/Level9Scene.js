@@ -26,11 +26,10 @@
  */
 
 import { CONFIG, GameState } from '../config.js';
-import { LAYOUT_CONFIG, ECONOMICS_CONFIG, UI_CONFIG } from '../config/index.js';
-import { UserNode, AppServerNode, CacheNode, DatabaseNode, LoadBalancerNode, CDNNode } from '../objects/nodes.js';
+import { LAYOUT_CONFIG, UI_CONFIG } from '../config/index.js';
 import { PubsubQueueNode } from '../objects/PubsubQueueNode.js';
-import { drawDualLines } from '../utils/animations.js';
 import { BaseLevelScene } from './BaseLevelScene.js';
+import { level9Layout, connectLevel9Queue } from '../levels/layouts.js';
 
 export class Level9Scene extends BaseLevelScene {
     constructor() {
@@ -42,6 +41,7 @@ export class Level9Scene extends BaseLevelScene {
             initialPacketsPerWave: 2,
             difficultyInterval: 6500,
             userNodeIds: ['User1'],
+            layout: level9Layout,
             difficultyStages: {
                 stage1: { trafficDelay: 800, packetsPerWave: 2, message: "Traffic increasing..." },
                 stage2: { trafficDelay: 600, packetsPerWave: 3, message: "Load rising..." },
@@ -62,62 +62,8 @@ export class Level9Scene extends BaseLevelScene {
     }
 
     createNodes() {
-        const w = this.cameras.main.width;
-        const h = this.cameras.main.height;
-        const spacing = LAYOUT_CONFIG.spacing.vertical.medium;
-        const smallSpacing = LAYOUT_CONFIG.spacing.vertical.small;
-        const vertOffset = LAYOUT_CONFIG.spacing.vertical.extraLarge;
-
-        // Create User Node
-        GameState.nodes['User1'] = new UserNode(this, w * 0.12, h/2, 'User');
-        
-        // Create CDN
-        GameState.nodes['CDN1'] = new CDNNode(
-            this, w * 0.12, h/2 - vertOffset * 1.2, 'CDN', 
-            ECONOMICS_CONFIG.initialValues.cdnCapacity, 
-            ECONOMICS_CONFIG.initialValues.cdnDelay
-        );
-        
-        // Create Load Balancer
-        GameState.nodes['LoadBalancer1'] = new LoadBalancerNode(
-            this, w * 0.27, h/2, 'Load Balancer', 
-            ECONOMICS_CONFIG.initialValues.loadBalancerCapacity, 
-            ECONOMICS_CONFIG.initialValues.loadBalancerDelay
-        );
-        
-        // Create App Servers
-        GameState.nodes['App1'] = new AppServerNode(
-            this, w * 0.42, h/2 - smallSpacing, 'App Server 1', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        GameState.nodes['App2'] = new AppServerNode(
-            this, w * 0.42, h/2 + smallSpacing, 'App Server 2', 
-            ECONOMICS_CONFIG.initialValues.appServerCapacity, 
-            ECONOMICS_CONFIG.initialValues.processingDelay
-        );
-        
-        // Create Cache
-        GameState.nodes['Cache1'] = new CacheNode(
-            this, w * 0.58, h/2 - vertOffset, 'Cache', 
-            ECONOMICS_CONFIG.initialValues.cacheCapacity, 
-            ECONOMICS_CONFIG.initialValues.cacheDelay
-        );
-        
-        // Create initial Pubsub Queue
-        GameState.nodes['Queue1'] = new PubsubQueueNode(
-            this, w * 0.58, h/2 + vertOffset * 0.5, 'Queue 1',
-            20, // capacity
-            200 // processing speed
-        );
+        super.createNodes();
         this.queueCount = 1;
-        
-        // Create Primary Database
-        GameState.nodes['Database1'] = new DatabaseNode(
-            this, w * 0.74, h/2, 'Primary DB', 
-            ECONOMICS_CONFIG.initialValues.databaseCapacity, 
-            ECONOMICS_CONFIG.initialValues.databaseDelay
-        );
     }
 
     setupQueueButton() {
@@ -147,7 +93,7 @@ export class Level9Scene extends BaseLevelScene {
         
         this.queueButtonBg.on('pointerover', () => this.queueButtonBg.setFillStyle(UI_CONFIG.buttonColors.warningHover));
         this.queueButtonBg.on('pointerout', () => this.queueButtonBg.setFillStyle(UI_CONFIG.buttonColors.warning));
-        this.queueButtonBg.on('pointerdown', () => this.addQueue());
+        this.queueButtonBg.on('pointerdown', () => this.performAction('addQueue'));
     }
 
     addQueue() {
@@ -174,12 +120,13 @@ export class Level9Scene extends BaseLevelScene {
         const startY = h/2 + vertOffset * 0.5;
         
         // Create new Queue
-        GameState.nodes[`Queue${this.queueCount}`] = new PubsubQueueNode(
-            this, w * 0.58, startY + (this.queueCount - 1) * spacing,
+        this.addNode(`Queue${this.queueCount}`, new PubsubQueueNode(
+            this.simulation, w * 0.58, startY + (this.queueCount - 1) * spacing,
             `Queue ${this.queueCount}`,
             20, // capacity
             200 // processing speed
-        );
+        ));
+        connectLevel9Queue(this.simulation, `Queue${this.queueCount}`);
 
         if (this.queueCount >= maxQueues) {
             this.queueButtonText.setText('✓ Max Queues');
@@ -190,75 +137,4 @@ export class Level9Scene extends BaseLevelScene {
         this.updateUI();
         this.showToast(`Queue ${this.queueCount} added!`);
     }
-
-    update() {
-        this.graphics.clear();
-        
-        const cdn = GameState.nodes['CDN1'];
-        const lb = GameState.nodes['LoadBalancer1'];
-        const app1 = GameState.nodes['App1'];
-        const app2 = GameState.nodes['App2'];
-        const cache = GameState.nodes['Cache1'];
-        const database = GameState.nodes['Database1'];
-        
-        // Draw connections between user, CDN, and load balancer
-        const user = GameState.nodes['User1'];
-        if (user) {
-            if (cdn) drawDualLines(this.graphics, user, cdn);
-            if (lb) drawDualLines(this.graphics, user, lb);
-        }
-        
-        if (cdn && lb) drawDualLines(this.graphics, cdn, lb);
-        if (lb && app1) drawDualLines(this.graphics, lb, app1);
-        if (lb && app2) drawDualLines(this.graphics, lb, app2);
-        if (app1 && cache) drawDualLines(this.graphics, app1, cache);
-        if (app2 && cache) drawDualLines(this.graphics, app2, cache);
-        if (cache && database) drawDualLines(this.graphics, cache, database);
-        if (app1 && database) drawDualLines(this.graphics, app1, database);
-        if (app2 && database) drawDualLines(this.graphics, app2, database);
-        
-        // Draw connections to queues
-        for (let i = 1; i <= this.queueCount; i++) {
-            const queue = GameState.nodes[`Queue${i}`];
-            if (queue) {
-                if (app1) drawDualLines(this.graphics, app1, queue);
-                if (app2) drawDualLines(this.graphics, app2, queue);
-                if (database) drawDualLines(this.graphics, queue, database);
-            }
-        }
-    }
-
-    spawnPacket(startNode) {
-        const isWrite = Math.random() * 100 < CONFIG.writeRequestPercentage;
-        let packet;
-        
-        if (isWrite) {
-            // Write request (diamond shape)
-            const size = LAYOUT_CONFIG.packets.diamondSize;
-            packet = this.add.graphics();
-            packet.fillStyle(CONFIG.colors.packetReq, 1);
-            packet.beginPath();
-            packet.moveTo(0, -size);
-            packet.lineTo(size, 0);
-            packet.lineTo(0, size);
-            packet.lineTo(-size, 0);
-            packet.closePath();
-            packet.fillPath();
-            packet.x = startNode.x;
-            packet.y = startNode.y;
-            packet.isWrite = true;
-        } else {
-            // Read request (circle)
-            packet = this.add.circle(
-                startNode.x, startNode.y, 
-                LAYOUT_CONFIG.packets.circleRadius, 
-                CONFIG.colors.packetReq
-            );
-            packet.isWrite = false;
-        }
-        
-        packet.sourceNode = startNode;
-        packet.isResponse = false;
-        startNode.routePacket(packet);
-    }
 }
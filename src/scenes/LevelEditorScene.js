@@ -0,0 +1,587 @@
+/**
+ * Level Editor Scene
+ *
+ * Builds JSON level files (see LevelDefinition) in the browser, so teachers
+ * can make their own exercises without touching the source.
+ *
+ * How it works:
+ * - The canvas works like the sandbox: place nodes from the palette, drag
+ *   them into position, shift-drag to link them, Remove mode to delete
+ * - Clicking a node selects it in the side panel (LevelEditorPanel) to set
+ *   its name, capacity and speed
+ * - The panel edits everything else: budget, objectives, traffic stages,
+ *   purchases (price and limit, defaults from ECONOMICS_CONFIG), story and notes
+ * - Play-test (or Start) runs the level in the DataLevelScene; pick the Level
+ *   Editor again to come back to it. Export downloads the level file, Open loads one.
+ *
+ * The level stays in the scene between visits: levelData holds the panel's
+ * settings, design the nodes and links from the canvas.
+ */
+
+import { CONFIG, GameState } from '../config.js';
+import { ECONOMICS_CONFIG, BREAKER_CONFIG, CACHE_CONFIG, CDN_CONFIG, GATEWAY_CONFIG, LOAD_BALANCER_CONFIG, REGION_CONFIG, REPLICATION_CONFIG } from '../config/index.js';
+import { createNode } from '../objects/nodes.js';
+import { LevelDefinition } from '../levels/LevelDefinition.js';
+import { Topology } from '../simulation/Topology.js';
+import { LevelEditorPanel } from '../utils/LevelEditorPanel.js';
+import { SandboxScene } from './SandboxScene.js';
+
+const purchases = ECONOMICS_CONFIG.purchases;
+const limits = ECONOMICS_CONFIG.limits;
+
+/**
+ * Components a level can offer for purchase, with default price and limit
+ * Bought nodes are wired automatically (purchase links "auto").
+ */
+export const PURCHASE_KINDS = {
+    app:          { label: 'App Server',    type: 'app',          prefix: 'App',          price: purchases.appServer,    limit: limits.appServers },
+    database:     { label: 'Database',      type: 'database',     prefix: 'Database',     price: purchases.database,     limit: limits.databases },
+    replica:      { label: 'Read Replica',  type: 'database',     prefix: 'Replica',      price: purchases.readReplica,  limit: limits.readReplicas, props: { isReplica: true } },
+    cache:        { label: 'Cache',         type: 'cache',        prefix: 'Cache',        price: purchases.cache,        limit: limits.caches },
+    loadbalancer: { label: 'Load Balancer', type: 'loadbalancer', prefix: 'LoadBalancer', price: purchases.loadBalancer, limit: limits.loadBalancers },
+    cdn:          { label: 'CDN',           type: 'cdn',          prefix: 'CDN',          price: purchases.cdn,          limit: limits.cdns },
+    pubsub:       { label: 'Pubsub Queue',  type: 'pubsub',       prefix: 'Queue',        price: 300,                    limit: 1 },    // Level 9's queue price
+    breaker:      { label: 'Circuit Breaker', type: 'breaker',    prefix: 'Breaker',      price: purchases.circuitBreaker, limit: limits.circuitBreakers },
+    gateway:      { label: 'API Gateway',   type: 'gateway',      prefix: 'Gateway',      price: purchases.apiGateway,   limit: limits.apiGateways }
+};
+
+/**
+ * JSON cache key the level is handed to the DataLevelScene under
+ */
+const PLAYTEST_KEY = 'level-editor-playtest';
+
+/**
+ * Settings of a new level (everything but the nodes and links)
+ */
+function createLevelData() {
+    return {
+        title: 'My Level',
+        budget: 1000,
+        target: { requests: 500, maxErrorRate: CONFIG.maxErrorRate },
+        traffic: {
+            initialDelay: 1500,
+            initialPacketsPerWave: 1,
+            difficultyInterval: 8000,
+            stages: [
+                { delay: 1000, packetsPerWave: 2, message: 'Traffic increasing...' }
+            ]
+        },
+        purchases: [],
+        story: [],
+        notes: { title: "Architect's Notes", text: '', points: [], insight: '' }
+    };
+}
+
+export class LevelEditorScene extends SandboxScene {
+    /**
+     * Constructor
+     */
+    constructor() {
+        super('LevelEditorScene');
+        this.levelData = createLevelData();
+        this.design = { nodes: [], links: [] };
+        this.panel = null;
+        this.selectedNode = null;
+    }
+
+    /**
+     * Create Method Override
+     *
+     * Opens the side panel before the canvas is laid out, so nodes are placed
+     * on the canvas size they will be edited at.
+     */
+    create() {
+        if (!this.panel) {
+            this.panel = new LevelEditorPanel(this, PURCHASE_KINDS);
+        }
+        this.panel.show();
+        this.selectedNode = null;
+
+        super.create();
+        this.panel.render();
+
+        this.events.once('shutdown', () => this.panel.hide());
+    }
+
+    /**
+     * Create Traffic Controls Override
+     *
+     * Traffic is set through the level's stages in the panel.
+     */
+    createTrafficControls() {
+    }
+
+    /**
+     * Restore Design Override
+     *
+     * Rebuilds the canvas from the design (positions are fractions of the canvas).
+     */
+    restoreDesign() {
+        const w = this.scale.width;
+        const h = this.scale.height;
+
+        this.design.nodes.forEach(spec => {
+            const node = createNode(this.simulation, spec.type, w * spec.x, h * spec.y,
+                spec.name, spec.capacity, spec.speed);
+            Object.assign(node, spec.props);
+            node.definitionProps = spec.props || {};     // Kept as-is on export
+            this.addNode(spec.key, node);
+
+            if (spec.type === 'user') {
+                this.simulation.traffic.userNodeIds.push(spec.key);
+            }
+        });
+
+        this.design.links.forEach(link => {
+            const inferred = link.roles ? link : Topology.inferLink(this.simulation.nodes[link.from], this.simulation.nodes[link.to]);
+            if (!inferred) {
+                console.warn(`Level editor: dropped link ${link.from} → ${link.to} (no roles)`);
+                return;
+            }
+
+            const priority = link.priority !== undefined ? link.priority : inferred.priority;
+            this.connect(link.from, link.to, inferred.roles, priority !== undefined ? priority : 0);
+        });
+    }
+
+    /**
+     * Save Design Override
+     */
+    saveDesign() {
+        this.design = this.captureDesign();
+    }
+
+    /**
+     * Capture Design
+     * Uses the game size rather than the camera, which is already gone on shutdown.
+     *
+     * @returns {Object} { nodes, links } in level file format
+     */
+    captureDesign() {
+        const w = this.scale.width;
+        const h = this.scale.height;
+        const round = value => Math.round(value * 1000) / 1000;
+
+        const nodes = Object.values(this.simulation.nodes).map(node => {
+            const spec = { key: node.key, type: node.type, name: node.name, x: round(node.x / w), y: round(node.y / h) };
+
+            if (node.type !== 'user') {
+                spec.capacity = node.capacity;
+                spec.speed = node.speed;
+            }
+
+            const props = { ...node.definitionProps };
+            if (node.isReplica) {
+                props.isReplica = true;
+            } else {
+                delete props.isReplica;
+            }
+            if (node.region) {
+                props.region = node.region;
+            } else {
+                delete props.region;
+            }
+
+            // Wait queue settings only when they differ from the defaults
+            const defaults = ECONOMICS_CONFIG.initialValues;
+            [['queueSize', defaults.queueSize], ['timeout', defaults.requestTimeout]].forEach(([field, value]) => {
+                if (node.waitQueue && !node.messageQueue && node[field] !== value) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            // Same for the load balancing strategy and health checks
+            const healthCheck = LOAD_BALANCER_CONFIG.healthCheck;
+            [
+                ['strategy', LOAD_BALANCER_CONFIG.defaultStrategy],
+                ['healthCheck', healthCheck.enabled],
+                ['healthCheckInterval', healthCheck.interval],
+                ['unhealthyThreshold', healthCheck.unhealthyThreshold],
+                ['healthyThreshold', healthCheck.healthyThreshold]
+            ].forEach(([field, value]) => {
+                if (node.type === 'loadbalancer' && node[field] !== value) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            // Cache eviction, expiry, write policy and stampede mitigations
+            [
+                ['eviction', CACHE_CONFIG.eviction],
+                ['maxKeys', null],
+                ['ttl', CACHE_CONFIG.ttl],
+                ['invalidateOnWrite', CACHE_CONFIG.invalidateOnWrite],
+                ['writePolicy', CACHE_CONFIG.writePolicy],
+                ['flushInterval', CACHE_CONFIG.flushInterval],
+                ...Object.keys(CACHE_CONFIG.mitigations).map(key => [key, false])
+            ].forEach(([field, value]) => {
+                if (node.type === 'cache' && node[field] !== value) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            // Replication: a primary's mode, a replica's lag, an app server's read-your-writes routing
+            [
+                ['replicationMode', REPLICATION_CONFIG.mode, node.type === 'database' && !node.isReplica],
+                ['replicationLag', REPLICATION_CONFIG.lag, node.type === 'database' && node.isReplica],
+                ['readYourWrites', false, node.type === 'app']
+            ].forEach(([field, value, applies]) => {
+                if (applies && node[field] !== value) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            // CDN keys and expiry (after the cache settings, which share these fields)
+            [['maxKeys', null], ['ttl', CDN_CONFIG.ttl]].forEach(([field, value]) => {
+                if (node.type === 'cdn' && node[field] !== value) {
+                    props[field] = node[field];
+                }
+            });
+            // Circuit breaker settings
+            [['failureThreshold', BREAKER_CONFIG.failureThreshold], ['openDuration', BREAKER_CONFIG.openDuration]].forEach(([field, value]) => {
+                if (node.type === 'breaker' && node[field] !== value) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            // And API gateway settings
+            ['algorithm', 'rate', 'burst', 'limit', 'window', 'auth', 'authDelay'].forEach(field => {
+                if (node.type === 'gateway' && node[field] !== GATEWAY_CONFIG[field]) {
+                    props[field] = node[field];
+                } else {
+                    delete props[field];
+                }
+            });
+            if (Object.keys(props).length > 0) {
+                spec.props = props;
+            }
+
+            return spec;
+        });
+
+        const links = this.simulation.topology.edges
+            .filter(edge => this.simulation.nodes[edge.from] && this.simulation.nodes[edge.to])
+            .map(edge => ({ from: edge.from, to: edge.to, roles: [...edge.roles], priority: edge.priority }));
+
+        return { nodes, links };
+    }
+
+    /**
+     * Build Level
+     *
+     * @returns {Object} The level file contents
+     */
+    buildLevel() {
+        const data = this.levelData;
+        const design = this.captureDesign();
+
+        return {
+            title: data.title,
+            levelNumber: data.levelNumber,
+            budget: data.budget,
+            revenuePerRequest: data.revenuePerRequest,
+            upgradeCost: data.upgradeCost,
+            target: data.target,
+            traffic: data.traffic,
+            nodes: design.nodes,
+            links: design.links,
+            purchases: data.purchases,
+            story: data.story,
+            notes: data.notes
+        };
+    }
+
+    /**
+     * Check Level
+     *
+     * @returns {boolean} True if the level file would load
+     */
+    checkLevel(level) {
+        try {
+            LevelDefinition.fromData(level);
+            return true;
+        } catch (e) {
+            console.warn(e.message);
+            this.showToast(e.message.replace('Level definition: ', "Can't use level: "));
+            return false;
+        }
+    }
+
+    /**
+     * Play Test
+     *
+     * Runs the level in the DataLevelScene.
+     */
+    playTest() {
+        const level = this.buildLevel();
+        if (!this.checkLevel(level)) return;
+
+        // Round-trip through JSON so the play-test can't change the editor's level
+        this.cache.json.add(PLAYTEST_KEY, JSON.parse(JSON.stringify(level)));
+        this.scene.start('DataLevelScene', { url: PLAYTEST_KEY });
+    }
+
+    /**
+     * Start Simulation Override
+     *
+     * The Start button play-tests the level.
+     */
+    startSimulation() {
+        this.playTest();
+    }
+
+    /**
+     * Export Level
+     *
+     * Downloads the level file.
+     */
+    exportLevel() {
+        const level = this.buildLevel();
+        if (!this.checkLevel(level)) return;
+
+        const blob = new Blob([JSON.stringify(level, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${level.title.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level'}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open Level
+     *
+     * Replaces the level being edited with a level file.
+     *
+     * @param {string} text - Level file contents
+     */
+    openLevel(text) {
+        let data;
+        let definition;
+        try {
+            data = JSON.parse(text);
+            definition = LevelDefinition.fromData(data);
+        } catch (e) {
+            alert('Could not open level: ' + e.message);
+            return;
+        }
+
+        // Settings are kept as written; nodes and links come with their defaults filled in
+        const { nodes, links, ...settings } = data;
+        const defaults = createLevelData();
+
+        this.levelData = {
+            ...defaults,
+            ...settings,
+            target: { ...defaults.target, ...settings.target },
+            traffic: { ...defaults.traffic, stages: [], ...settings.traffic },
+            notes: { ...defaults.notes, ...settings.notes }
+        };
+        this.loadDesign({ nodes: definition.nodes, links: definition.links });
+    }
+
+    /**
+     * New Level
+     */
+    newLevel() {
+        if (!confirm('Start a new level? Unsaved changes are lost.')) return;
+
+        this.levelData = createLevelData();
+        this.loadDesign({ nodes: [], links: [] });
+    }
+
+    /**
+     * Load Design
+     * Clears the canvas and builds the given design.
+     */
+    loadDesign(design) {
+        this.clearDesign();
+        this.design = design;
+        this.restoreDesign();
+        this.panel.render();
+    }
+
+    /**
+     * Add Purchase
+     *
+     * @param {string} kind - Key of PURCHASE_KINDS
+     */
+    addPurchase(kind) {
+        const entry = PURCHASE_KINDS[kind];
+        const purchaseList = this.levelData.purchases;
+
+        // Ids must be unique; offering the same kind twice gets app2, app3...
+        let id = kind;
+        for (let n = 2; purchaseList.some(purchase => purchase.id === id); n++) {
+            id = kind + n;
+        }
+
+        const node = { type: entry.type, name: entry.label };
+        if (entry.props) {
+            node.props = { ...entry.props };
+        }
+
+        purchaseList.push({
+            id,
+            label: entry.label,
+            price: entry.price,
+            limit: entry.limit,
+            keyPrefix: entry.prefix,
+            node,
+            links: 'auto'
+        });
+    }
+
+    /**
+     * Update Node
+     * Applies a field edited in the panel to the selected node.
+     *
+     * @param {BaseNode} node - Node to change
+     * @param {string} field - 'name', 'region', 'capacity', 'speed', 'queueSize', 'timeout', 'isReplica',
+     *                         'replicationMode', 'replicationLag', 'readYourWrites',
+     *                         'strategy', a health check setting ('healthCheck', 'healthCheckInterval',
+     *                         'unhealthyThreshold', 'healthyThreshold'), a cache setting ('eviction',
+     *                         'maxKeys', 'ttl', 'invalidateOnWrite', 'writePolicy', 'flushInterval'
+     *                         or a stampede mitigation; 'maxKeys' and 'ttl' also for CDN nodes), 'failureThreshold',
+     *                         'openDuration' or a gateway setting
+     *                         ('algorithm', 'rate', 'burst', 'limit', 'window', 'auth', 'authDelay')
+     * @param {*} value - New value
+     */
+    updateNode(node, field, value) {
+        if (!node) return;
+
+        switch (field) {
+            case 'name':
+                node.name = value;
+                this.simulationView.withView(node, view => view.textName.setText(value));
+                break;
+            case 'region':
+                node.region = REGION_CONFIG.regions[value] ? value : null;
+                break;
+            case 'capacity':
+                if (value > 0) node.capacity = value;
+                break;
+            case 'speed':
+                if (value > 0) node.speed = node.baseSpeed = value;
+                break;
+            case 'queueSize':
+                if (value >= 0) node.queueSize = value;
+                break;
+            case 'timeout':
+                if (value > 0) node.timeout = value;
+                break;
+            case 'isReplica':
+                node.isReplica = value;
+                this.panel.render();    // Primaries and replicas have different replication fields
+                break;
+            case 'replicationMode':
+                if (REPLICATION_CONFIG.modes[value]) node.replicationMode = value;
+                break;
+            case 'replicationLag':
+                if (value >= 0) node.replicationLag = value;
+                break;
+            case 'readYourWrites':
+                node.readYourWrites = value;
+                break;
+            case 'strategy':
+                if (LOAD_BALANCER_CONFIG.strategies[value]) node.strategy = value;
+                break;
+            case 'healthCheck':
+                node.healthCheck = value;
+                break;
+            case 'healthCheckInterval':
+            case 'unhealthyThreshold':
+            case 'healthyThreshold':
+                if (value > 0) node[field] = value;
+                break;
+            case 'eviction':
+                if (CACHE_CONFIG.evictionPolicies[value]) node.eviction = value;
+                break;
+            case 'maxKeys':
+                node.maxKeys = value > 0 ? value : null;
+                break;
+            case 'ttl':
+                if (value >= 0) node.ttl = value;
+                break;
+            case 'invalidateOnWrite':
+                node.invalidateOnWrite = value;
+                break;
+            case 'writePolicy':
+                if (CACHE_CONFIG.writePolicies[value]) node.writePolicy = value;
+                break;
+            case 'flushInterval':
+                if (value > 0) node.flushInterval = value;
+                break;
+            case 'singleFlight':
+            case 'earlyRefresh':
+            case 'staleWhileRevalidate':
+                node[field] = value;
+                break;
+            case 'failureThreshold':
+                if (value > 0 && value <= 1) node.failureThreshold = value;
+                break;
+            case 'openDuration':
+                if (value > 0) node.openDuration = value;
+                break;
+            case 'algorithm':
+                if (GATEWAY_CONFIG.algorithms[value]) node.algorithm = value;
+                break;
+            case 'rate':
+            case 'burst':
+            case 'limit':
+            case 'window':
+                if (value > 0) node[field] = value;
+                break;
+            case 'auth':
+                node.auth = value;
+                break;
+            case 'authDelay':
+                if (value >= 0) node.authDelay = value;
+                break;
+        }
+    }
+
+    /**
+     * Node Clicked Override
+     *
+     * Selects the node in the panel, unless Remove mode is on.
+     */
+    onNodeClicked(node) {
+        if (this.removeMode) {
+            super.onNodeClicked(node);
+            return;
+        }
+
+        if (GameState.isRunning) return;
+
+        this.selectedNode = node;
+        this.panel.render();
+    }
+
+    /**
+     * Remove Component Override
+     *
+     * Also clears the panel when the selected node is removed.
+     */
+    removeComponent(key) {
+        super.removeComponent(key);
+
+        if (this.selectedNode && this.selectedNode.key === key) {
+            this.selectedNode = null;
+            this.panel.render();
+        }
+    }
+
+    /**
+     * Skip Level Override
+     */
+    skipLevel() {
+        this.showToast('Nothing to skip in the editor - press Play-test to try the level');
+    }
+}
@@ -0,0 +1,379 @@
+/**
+ * Sandbox Scene
+ *
+ * Free-build mode with no fixed layout and no win condition, for
+ * whiteboarding designs in interviews and workshops.
+ *
+ * How it works:
+ * - The palette on the left places User, App, Database, Cache, Load Balancer,
+ *   CDN, Pubsub Queue, Circuit Breaker and API Gateway nodes; drag them into position
+ * - Shift-drag between nodes to link them (see LinkEditor)
+ * - Remove mode: click a node to delete it
+ * - Traffic controls set requests per second and the share of writes
+ *   (they also work while the simulation runs, to try "what if load doubles")
+ *
+ * The design is edited before the run starts, like the levels. Reset keeps
+ * the design so it can be run again; Clear starts over from an empty canvas.
+ * Every edit goes through performAction(), so a session can be replayed.
+ */
+
+import { CONFIG, GameState } from '../config.js';
+import { UI_CONFIG, RETRY_CONFIG } from '../config/index.js';
+import { createNode } from '../objects/nodes.js';
+import { BaseLevelScene } from './BaseLevelScene.js';
+
+/**
+ * Components in the palette, by node type (see NODE_TYPES)
+ * prefix is used for node keys and names (App1 / 'App Server 1', ...)
+ */
+export const COMPONENTS = {
+    user:         { label: 'User',          prefix: 'User' },
+    app:          { label: 'App Server',    prefix: 'App' },
+    database:     { label: 'Database',      prefix: 'Database' },
+    cache:        { label: 'Cache',         prefix: 'Cache' },
+    loadbalancer: { label: 'Load Balancer', prefix: 'LoadBalancer' },
+    cdn:          { label: 'CDN',           prefix: 'CDN' },
+    pubsub:       { label: 'Pubsub Queue',  prefix: 'Queue' },
+    breaker:      { label: 'Circuit Breaker', prefix: 'Breaker' },
+    gateway:      { label: 'API Gateway',   prefix: 'Gateway' }
+};
+
+/**
+ * Traffic control limits
+ */
+const TRAFFIC = {
+    waveDelay: 1000,            // One wave per second, so packets per wave = requests per second
+    initialRate: 2,
+    minRate: 1,
+    maxRate: 12,
+    writeStep: 10               // Write percentage changes in steps of 10%
+};
+
+/**
+ * Palette layout (screen coordinates)
+ */
+const PALETTE = {
+    x: 90,
+    top: 30,
+    spacing: 42,
+    width: 160,
+    height: 34
+};
+
+export class SandboxScene extends BaseLevelScene {
+    /**
+     * Constructor
+     *
+     * Constant traffic (no difficulty ramp), no target and no revenue.
+     *
+     * @param {string} key - Scene key (scenes built on the sandbox pass their own)
+     */
+    constructor(key = 'SandboxScene') {
+        super({
+            key,
+            levelNumber: 0,
+            targetTotal: Infinity,
+            initialTrafficDelay: TRAFFIC.waveDelay,
+            initialPacketsPerWave: TRAFFIC.initialRate,
+            difficultyInterval: 0,
+            userNodeIds: [],
+            revenuePerRequest: 0,
+            retries: { policy: RETRY_CONFIG.defaultPolicy, choices: Object.keys(RETRY_CONFIG.policies) }
+        });
+        this.savedDesign = [];      // Design actions restored when the sandbox is reset
+    }
+
+    /**
+     * Create Method Override
+     *
+     * Builds the (empty) sandbox, adds the palette and traffic controls and
+     * restores the design from before the last reset.
+     */
+    create() {
+        this.componentCounts = {};
+        this.removeMode = false;
+        this.requestsPerSecond = TRAFFIC.initialRate;
+        this.writePercentage = CONFIG.writeRequestPercentage;
+
+        super.create();
+        this.createPalette();
+        this.createTrafficControls();
+
+        if (!this.replayPlayer) {
+            this.restoreDesign();
+        }
+
+        this.events.once('shutdown', () => this.saveDesign());
+    }
+
+    /**
+     * Restore Design
+     * Re-performs the design actions saved at the last reset.
+     */
+    restoreDesign() {
+        this.savedDesign.forEach(([, action, ...args]) => this.performAction(action, ...args));
+    }
+
+    /**
+     * Save Design
+     * Remembers the design (everything done before Start) for the next reset.
+     */
+    saveDesign() {
+        if (this.replayPlayer) return;
+
+        const startIndex = this.replayLog.actions.findIndex(([, action]) => action === 'startSimulation');
+        this.savedDesign = startIndex === -1
+            ? this.replayLog.actions.slice()
+            : this.replayLog.actions.slice(0, startIndex);
+    }
+
+    /**
+     * Create Server Nodes
+     *
+     * The sandbox starts empty: everything is built from the palette.
+     */
+    createNodes() {
+    }
+
+    /**
+     * Create Palette
+     *
+     * One button per component, then the Remove mode toggle and Clear.
+     */
+    createPalette() {
+        let y = PALETTE.top;
+
+        Object.entries(COMPONENTS).forEach(([type, component]) => {
+            this.createPaletteButton(y, `+ ${component.label}`, UI_CONFIG.buttonColors.primary,
+                UI_CONFIG.buttonColors.primaryHighlight, () => this.placeComponent(type));
+            y += PALETTE.spacing;
+        });
+
+        y += PALETTE.spacing / 2;
+
+        this.removeButton = this.createPaletteButton(y, '🗑 Remove: Off', UI_CONFIG.buttonColors.warning,
+            UI_CONFIG.buttonColors.warningHighlight, () => this.toggleRemoveMode());
+        y += PALETTE.spacing;
+
+        this.createPaletteButton(y, '🧹 Clear All', UI_CONFIG.buttonColors.danger,
+            UI_CONFIG.buttonColors.dangerHighlight, () => this.performAction('clearDesign'));
+
+        this.paletteBottom = y + PALETTE.spacing;
+    }
+
+    /**
+     * Create Palette Button
+     *
+     * @returns {Object} { bg, text }
+     */
+    createPaletteButton(y, label, color, highlight, onClick) {
+        const bg = this.add.rectangle(PALETTE.x, y, PALETTE.width, PALETTE.height, color)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+
+        const text = this.add.text(PALETTE.x, y, label, {
+            fontSize: UI_CONFIG.fonts.stat,
+            color: UI_CONFIG.textColors.white,
+            fontFamily: 'Arial'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        bg.on('pointerover', () => bg.setFillStyle(highlight));
+        bg.on('pointerout', () => bg.setFillStyle(color));
+        bg.on('pointerdown', onClick);
+
+        return { bg, text };
+    }
+
+    /**
+     * Create Traffic Controls
+     *
+     * Requests per second and write percentage, each with -/+ buttons.
+     */
+    createTrafficControls() {
+        const y = this.paletteBottom + PALETTE.spacing / 2;
+
+        this.rateText = this.createStepper(y,
+            () => this.performAction('configureTraffic', this.requestsPerSecond - 1, this.writePercentage),
+            () => this.performAction('configureTraffic', this.requestsPerSecond + 1, this.writePercentage));
+
+        this.writeText = this.createStepper(y + PALETTE.spacing,
+            () => this.performAction('configureTraffic', this.requestsPerSecond, this.writePercentage - TRAFFIC.writeStep),
+            () => this.performAction('configureTraffic', this.requestsPerSecond, this.writePercentage + TRAFFIC.writeStep));
+
+        this.updateTrafficText();
+    }
+
+    /**
+     * Create Stepper
+     * A value label between - and + buttons
+     *
+     * @returns {Phaser.GameObjects.Text} The value label
+     */
+    createStepper(y, onMinus, onPlus) {
+        const buttonSize = PALETTE.height;
+        const left = PALETTE.x - PALETTE.width / 2 + buttonSize / 2;
+        const right = PALETTE.x + PALETTE.width / 2 - buttonSize / 2;
+
+        [[left, '-', onMinus], [right, '+', onPlus]].forEach(([x, label, onClick]) => {
+            const bg = this.add.rectangle(x, y, buttonSize, buttonSize, UI_CONFIG.buttonColors.primary)
+                .setScrollFactor(0)
+                .setInteractive({ useHandCursor: true });
+
+            this.add.text(x, y, label, {
+                fontSize: UI_CONFIG.fonts.button,
+                color: UI_CONFIG.textColors.white,
+                fontStyle: 'bold'
+            }).setOrigin(0.5).setScrollFactor(0);
+
+            bg.on('pointerover', () => bg.setFillStyle(UI_CONFIG.buttonColors.primaryHighlight));
+            bg.on('pointerout', () => bg.setFillStyle(UI_CONFIG.buttonColors.primary));
+            bg.on('pointerdown', onClick);
+        });
+
+        return this.add.text(PALETTE.x, y, '', {
+            fontSize: UI_CONFIG.fonts.small,
+            color: UI_CONFIG.textColors.white,
+            fontFamily: 'Arial'
+        }).setOrigin(0.5).setScrollFactor(0);
+    }
+
+    /**
+     * Update Traffic Text
+     */
+    updateTrafficText() {
+        this.rateText.setText(`${this.requestsPerSecond} req/s`);
+        this.writeText.setText(`${this.writePercentage}% writes`);
+    }
+
+    /**
+     * Place Component
+     *
+     * Drops a new component near the middle of the current view, fanned out
+     * so several quick clicks don't stack nodes on top of each other.
+     */
+    placeComponent(type) {
+        const view = this.cameras.main.midPoint;
+        const count = Object.keys(this.simulation.nodes).length;
+        const x = view.x + (count % 5 - 2) * 40;
+        const y = view.y + (Math.floor(count / 5) % 3 - 1) * 40;
+
+        this.performAction('addComponent', type, Math.round(x), Math.round(y));
+    }
+
+    /**
+     * Add Component
+     *
+     * @param {string} type - Key of COMPONENTS
+     * @param {number} x - Position
+     * @param {number} y - Position
+     */
+    addComponent(type, x, y) {
+        const component = COMPONENTS[type];
+        if (!component || GameState.isRunning) return;
+
+        // Next free number for this kind of component
+        let number = this.componentCounts[type] || 0;
+        do {
+            number++;
+        } while (this.simulation.nodes[component.prefix + number]);
+        this.componentCounts[type] = number;
+
+        const key = component.prefix + number;
+        this.addNode(key, createNode(this.simulation, type, x, y, `${component.label} ${number}`));
+
+        // Users send the traffic
+        if (type === 'user') {
+            this.simulation.traffic.userNodeIds.push(key);
+        }
+    }
+
+    /**
+     * Remove Component
+     *
+     * @param {string} key - Node key
+     */
+    removeComponent(key) {
+        if (!this.simulation.nodes[key] || GameState.isRunning) return;
+
+        const traffic = this.simulation.traffic;
+        traffic.userNodeIds = traffic.userNodeIds.filter(userKey => userKey !== key);
+
+        this.simulation.removeNode(key);
+    }
+
+    /**
+     * Clear Design
+     *
+     * Removes every component (and with them every link).
+     */
+    clearDesign() {
+        if (GameState.isRunning) return;
+
+        Object.keys(this.simulation.nodes).forEach(key => this.removeComponent(key));
+        this.componentCounts = {};
+    }
+
+    /**
+     * Toggle Remove Mode
+     * While on, clicking a node removes it.
+     */
+    toggleRemoveMode() {
+        this.removeMode = !this.removeMode;
+        this.removeButton.text.setText(`🗑 Remove: ${this.removeMode ? 'On' : 'Off'}`);
+    }
+
+    /**
+     * Node Clicked Override
+     *
+     * Removes the node in Remove mode, otherwise opens the node inspector.
+     */
+    onNodeClicked(node) {
+        if (!this.removeMode) {
+            super.onNodeClicked(node);
+            return;
+        }
+
+        if (!GameState.isRunning && !this.replayPlayer) {
+            this.performAction('removeComponent', node.key);
+        }
+    }
+
+    /**
+     * Configure Traffic
+     *
+     * @param {number} requestsPerSecond - Requests generated per second
+     * @param {number} writePercentage - Share of requests that are writes (0-100)
+     */
+    configureTraffic(requestsPerSecond, writePercentage) {
+        this.requestsPerSecond = Phaser.Math.Clamp(requestsPerSecond, TRAFFIC.minRate, TRAFFIC.maxRate);
+        this.writePercentage = Phaser.Math.Clamp(writePercentage, 0, 100);
+
+        this.simulation.traffic.setRate(this.requestsPerSecond, TRAFFIC.waveDelay);
+        this.simulation.writeRequestPercentage = this.writePercentage;
+
+        this.updateTrafficText();
+    }
+
+    /**
+     * Start Simulation Override
+     *
+     * Needs at least one user to generate traffic.
+     */
+    startSimulation() {
+        if (this.simulation.traffic.userNodeIds.length === 0) {
+            this.showToast('Add a User to generate traffic');
+            return;
+        }
+
+        super.startSimulation();
+    }
+
+    /**
+     * Skip Level Override
+     *
+     * The sandbox is not a level, so there is nothing to skip.
+     */
+    skipLevel() {
+        this.showToast('Nothing to skip in the sandbox');
+    }
+}
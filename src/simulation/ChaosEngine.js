@@ -0,0 +1,235 @@
+/**
+ * ChaosEngine Class
+ *
+ * Injects failures into a running simulation so players have to design for
+ * them. A level declares its chaos next to its traffic stages:
+ * - events: scheduled events, each at `at` ms after the start
+ * - random: every `interval` ms an event starts with probability `chance`,
+ *   of one of `types`, on one of `nodes` (default: every processing node)
+ *
+ * Event types (missing values come from CHAOS_CONFIG):
+ * - crash:     { node, duration } - the node crashes (drops everything it
+ *              holds and every packet sent to it) and restarts after duration
+ * - slowdown:  { node, factor, duration } - processing takes factor times longer
+ * - linkFault: { from, to, latency, loss, duration } - packets on the link (either
+ *              way) take latency ms longer and a `loss` share of them is lost
+ * - partition: { nodes, duration } - packets between these nodes and the rest
+ *              of the architecture are lost
+ * Any event can carry a `message` announced instead of the generated one.
+ *
+ * Emits on the simulation:
+ * - 'chaosStarted' (event, description) / 'chaosEnded' (event, description)
+ */
+
+import { CHAOS_CONFIG } from '../config/index.js';
+
+export class ChaosEngine {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     * @param {Object} config - { events: [...], random: { interval, chance, types, nodes, duration } }
+     */
+    constructor(sim, config = {}) {
+        this.sim = sim;
+        this.events = config.events || [];
+        this.random = config.random
+            ? { ...CHAOS_CONFIG.random, types: Object.keys(CHAOS_CONFIG.types), ...config.random }
+            : null;
+
+        this.timers = [];
+        this.linkFaults = [];       // Active link faults: { from, to, latency, loss }
+        this.partitions = [];       // Active partitions: Set of node keys cut off from the rest
+        this.active = [];           // Active events
+        this.started = 0;           // Events started
+        this.running = false;
+    }
+
+    /**
+     * Schedule the events (times count from now)
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.events.forEach(event => {
+            this.timers.push(this.sim.clock.delayedCall(event.at || 0, () => this.trigger(event)));
+        });
+
+        if (this.random) {
+            this.timers.push(this.sim.clock.addEvent({
+                delay: this.random.interval,
+                callback: () => this.rollRandom(),
+                loop: true
+            }));
+        }
+    }
+
+    /**
+     * Cancel pending events (active ones stay in effect)
+     */
+    stop() {
+        this.running = false;
+        this.timers.forEach(timer => timer.remove());
+        this.timers = [];
+    }
+
+    /**
+     * Maybe start a random event
+     */
+    rollRandom() {
+        const random = this.sim.random;
+        if (!random.chance(this.random.chance)) return;
+
+        const candidates = (this.random.nodes || Object.keys(this.sim.nodes))
+            .map(key => this.sim.nodes[key])
+            .filter(node => node && node.crash && !node.down);
+        if (candidates.length === 0) return;
+
+        const type = random.pick(this.random.types);
+        const node = random.pick(candidates);
+        const event = { type, duration: this.random.duration };
+
+        if (type === 'linkFault') {
+            const edges = this.sim.topology.getActiveEdges()
+                .filter(edge => edge.fromNode === node || edge.toNode === node);
+            if (edges.length === 0) return;
+            const edge = random.pick(edges);
+            event.from = edge.from;
+            event.to = edge.to;
+        } else if (type === 'partition') {
+            event.nodes = [node.key];
+        } else {
+            event.node = node.key;
+        }
+
+        this.trigger(event);
+    }
+
+    /**
+     * Start an event, and schedule its end
+     *
+     * @param {Object} event - Event spec (see class comment)
+     */
+    trigger(event) {
+        const duration = event.duration || CHAOS_CONFIG.duration;
+        let undo;
+
+        switch (event.type) {
+            case 'crash': {
+                const node = this.sim.nodes[event.node];
+                if (!node || !node.crash || node.down) return;
+                node.crash();
+                undo = () => node.restart();
+                break;
+            }
+            case 'slowdown': {
+                const node = this.sim.nodes[event.node];
+                if (!node || node.slowdown === undefined) return;
+                const factor = event.factor || CHAOS_CONFIG.slowdownFactor;
+                node.slowdown = factor;
+                node.showFloatText(`🐢 ×${factor}`, '#ff9800');
+                undo = () => {
+                    if (node.slowdown === factor) node.slowdown = 1;
+                };
+                break;
+            }
+            case 'linkFault': {
+                if (!this.sim.nodes[event.from] || !this.sim.nodes[event.to]) return;
+                const fault = {
+                    from: event.from,
+                    to: event.to,
+                    latency: event.latency !== undefined ? event.latency : CHAOS_CONFIG.linkLatency,
+                    loss: event.loss !== undefined ? event.loss : CHAOS_CONFIG.linkLoss
+                };
+                this.linkFaults.push(fault);
+                undo = () => this.linkFaults.splice(this.linkFaults.indexOf(fault), 1);
+                break;
+            }
+            case 'partition': {
+                const keys = (event.nodes || []).filter(key => this.sim.nodes[key]);
+                if (keys.length === 0) return;
+                const partition = new Set(keys);
+                this.partitions.push(partition);
+                undo = () => this.partitions.splice(this.partitions.indexOf(partition), 1);
+                break;
+            }
+            default:
+                console.warn(`Unknown chaos event type '${event.type}'`);
+                return;
+        }
+
+        this.started++;
+        this.active.push(event);
+        this.sim.emit('chaosStarted', event, event.message || this.describe(event));
+
+        this.sim.clock.delayedCall(duration, () => {
+            undo();
+            this.active.splice(this.active.indexOf(event), 1);
+            this.sim.emit('chaosEnded', event, this.describe(event, true));
+        });
+    }
+
+    /**
+     * Effect of the active faults on a packet going from one node to another
+     *
+     * @returns {Object|null} { latency, loss, partitioned } or null if the link is fine
+     */
+    getLinkEffect(from, to) {
+        const partitioned = this.isPartitioned(from, to);
+        const fault = this.getLinkFault(from, to);
+        if (!partitioned && !fault) return null;
+
+        return {
+            latency: fault ? fault.latency : 0,
+            loss: fault ? fault.loss : 0,
+            partitioned
+        };
+    }
+
+    /**
+     * Active fault on the link between two nodes (either way), if any
+     */
+    getLinkFault(a, b) {
+        return this.linkFaults.find(fault =>
+            (fault.from === a.key && fault.to === b.key) || (fault.from === b.key && fault.to === a.key)) || null;
+    }
+
+    /**
+     * Does an active partition separate the two nodes?
+     */
+    isPartitioned(a, b) {
+        return this.partitions.some(partition => partition.has(a.key) !== partition.has(b.key));
+    }
+
+    /**
+     * Is the node cut off from the rest by an active partition?
+     */
+    isIsolated(node) {
+        return this.partitions.some(partition => partition.has(node.key));
+    }
+
+    /**
+     * Announcement of an event starting (or ending)
+     */
+    describe(event, ended = false) {
+        const name = key => (this.sim.nodes[key] ? this.sim.nodes[key].name : key);
+
+        switch (event.type) {
+            case 'crash':
+                return ended ? `✅ ${name(event.node)} is back up` : `💥 ${name(event.node)} crashed!`;
+            case 'slowdown':
+                return ended
+                    ? `✅ ${name(event.node)} is back to normal speed`
+                    : `🐢 ${name(event.node)} slowed down ×${event.factor || CHAOS_CONFIG.slowdownFactor}!`;
+            case 'linkFault':
+                return ended
+                    ? `✅ Link ${name(event.from)} ↔ ${name(event.to)} recovered`
+                    : `📶 Link ${name(event.from)} ↔ ${name(event.to)} degraded: packets delayed and lost!`;
+            case 'partition':
+                return ended
+                    ? '✅ Network partition healed'
+                    : `✂ Network partition: ${(event.nodes || []).map(name).join(', ')} cut off!`;
+            default:
+                return '';
+        }
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * EventEmitter Class
+ *
+ * Minimal publish/subscribe helper used by the simulation core.
+ * It intentionally mirrors the small subset of Phaser's EventEmitter API
+ * (on/once/off/emit) so scenes can subscribe to simulation events the same
+ * way they subscribe to Phaser events - without depending on Phaser.
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     *
+     * @param {string} event - Event name
+     * @param {Function} fn - Listener callback
+     * @param {Object} context - Optional `this` for the callback
+     * @returns {EventEmitter} this (chainable)
+     */
+    on(event, fn, context) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push({ fn, context, once: false });
+        return this;
+    }
+
+    /**
+     * Subscribe to an event for a single emission
+     */
+    once(event, fn, context) {
+        this.on(event, fn, context);
+        const list = this.listeners.get(event);
+        list[list.length - 1].once = true;
+        return this;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * Without a callback, removes every listener of that event
+     */
+    off(event, fn, context) {
+        const list = this.listeners.get(event);
+        if (!list) return this;
+
+        if (!fn) {
+            this.listeners.delete(event);
+            return this;
+        }
+
+        this.listeners.set(event, list.filter(l => l.fn !== fn || (context && l.context !== context)));
+        return this;
+    }
+
+    /**
+     * Emit an event to all listeners
+     *
+     * @param {string} event - Event name
+     * @param {...any} args - Arguments passed to each listener
+     */
+    emit(event, ...args) {
+        const list = this.listeners.get(event);
+        if (!list || list.length === 0) return false;
+
+        // Copy so listeners can unsubscribe while we iterate
+        for (const listener of [...list]) {
+            if (listener.once) {
+                this.off(event, listener.fn, listener.context);
+            }
+            listener.fn.apply(listener.context, args);
+        }
+        return true;
+    }
+
+    /**
+     * Remove every listener of every event
+     */
+    removeAllListeners() {
+        this.listeners.clear();
+        return this;
+    }
+}
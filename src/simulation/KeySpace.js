@@ -0,0 +1,195 @@
+/**
+ * KeySpace Class
+ *
+ * The resources users read and write. Every request is for one key, drawn
+ * with the level's popularity distribution (see CACHE_CONFIG.keySpace), so
+ * how well a cache does depends on how many keys it holds and how skewed
+ * the traffic is:
+ * - keys are numbered 1..keys, 1 being the most popular
+ * - zipf: key k is drawn in proportion to 1 / k^exponent
+ * - uniform: every key as often
+ *
+ * It also numbers the writes to each key, so a read can tell a fresh value
+ * from a stale one:
+ * - a write gets the next version where it is applied (a database, or a
+ *   write-back cache taking it)
+ * - database version: the newest version a database holds, which lags behind
+ *   while a write-back cache has not flushed it
+ * - acknowledged version: the newest version whose writer was told it was
+ *   saved
+ * A read that returns an older version than the acknowledged one is stale:
+ * its user could already have seen the newer value. (A read racing a write
+ * still in flight may return either.)
+ *
+ * It also remembers what each client (a user's session, packet.clientId)
+ * wrote: a read sent after its own client's write to the key was
+ * acknowledged, that still returns an older version, breaks read-your-writes
+ * consistency (the user does not see their own change).
+ *
+ * Keys are drawn from their own PRNG, seeded from the simulation's seed, so
+ * the rest of a run draws the same numbers whatever the traffic reads.
+ */
+
+import { CACHE_CONFIG } from '../config/index.js';
+import { Random } from './Random.js';
+
+export class KeySpace {
+    /**
+     * @param {Object} config - { keys, distribution, exponent } (missing values from CACHE_CONFIG.keySpace)
+     * @param {number} seed - Simulation seed
+     * @throws {Error} If the distribution is unknown
+     */
+    constructor(config = {}, seed = 0) {
+        const settings = { ...CACHE_CONFIG.keySpace, ...config };
+        if (!CACHE_CONFIG.distributions[settings.distribution]) {
+            throw new Error(`Unknown key distribution '${settings.distribution}'`);
+        }
+
+        this.keys = Math.max(1, Math.floor(settings.keys));
+        this.distribution = settings.distribution;
+        this.exponent = settings.exponent;
+        this.random = new Random(`${seed}:keys`);
+        this.versions = new Map();      // Key -> version in the database (0 if never written)
+        this.numbered = new Map();      // Key -> last version handed out
+        this.acknowledged = new Map();  // Key -> newest version acknowledged to its writer
+        this.ownWrites = new Map();     // Client id -> { at, keys: Map(key -> { version, at }) } of its acknowledged writes
+
+        this.cumulative = this.distribution === 'zipf' ? this.buildZipf() : null;
+    }
+
+    /**
+     * Cumulative probabilities of the keys (Zipf)
+     */
+    buildZipf() {
+        const cumulative = new Float64Array(this.keys);
+        let total = 0;
+        for (let k = 1; k <= this.keys; k++) {
+            total += 1 / Math.pow(k, this.exponent);
+            cumulative[k - 1] = total;
+        }
+        return cumulative.map(value => value / total);
+    }
+
+    /**
+     * Draw the key of a new request
+     *
+     * @returns {number} Key (1 = most popular)
+     */
+    draw() {
+        const roll = this.random.next();
+        if (!this.cumulative) return 1 + Math.floor(roll * this.keys);
+
+        // First key whose cumulative probability exceeds the roll
+        let low = 0;
+        let high = this.keys - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.cumulative[mid] > roll) high = mid;
+            else low = mid + 1;
+        }
+        return low + 1;
+    }
+
+    /**
+     * Version of a key in the database
+     */
+    version(key) {
+        return this.versions.get(key) || 0;
+    }
+
+    /**
+     * Newest version of a key acknowledged to its writer
+     */
+    acknowledgedVersion(key) {
+        return this.acknowledged.get(key) || 0;
+    }
+
+    /**
+     * Is a value of the key at this version stale?
+     */
+    isStale(key, version) {
+        return version < this.acknowledgedVersion(key);
+    }
+
+    /**
+     * A write to the key was applied: number its new value
+     *
+     * @returns {number} The new version
+     */
+    newVersion(key) {
+        const version = (this.numbered.get(key) || 0) + 1;
+        this.numbered.set(key, version);
+        return version;
+    }
+
+    /**
+     * The writer of this version was told it was saved: older values are stale from now on
+     *
+     * @param {number} key - Resource key
+     * @param {number} version - Version written
+     * @param {string|null} writer - Client that wrote it (optional)
+     * @param {number} at - Simulation time of the acknowledgement
+     */
+    acknowledge(key, version, writer = null, at = 0) {
+        if (version > this.acknowledgedVersion(key)) this.acknowledged.set(key, version);
+        if (writer === null || writer === undefined) return;
+
+        let own = this.ownWrites.get(writer);
+        if (!own) {
+            own = { at, keys: new Map() };
+            this.ownWrites.set(writer, own);
+        }
+        own.at = at;
+        const previous = own.keys.get(key);
+        if (!previous || version > previous.version) own.keys.set(key, { version, at });
+    }
+
+    /**
+     * Simulation time of a client's last acknowledged write (null if it never wrote)
+     */
+    lastWriteAt(writer) {
+        const own = this.ownWrites.get(writer);
+        return own ? own.at : null;
+    }
+
+    /**
+     * Does a read miss its own client's write? (The read was sent after the
+     * write was acknowledged, and returned an older version)
+     *
+     * @param {number} key - Resource key
+     * @param {number} version - Version the read returned
+     * @param {string|null} reader - Client that read it
+     * @param {number} sentAt - Simulation time the read was sent
+     */
+    missesOwnWrite(key, version, reader, sentAt) {
+        const own = this.ownWrites.get(reader);
+        const written = own && own.keys.get(key);
+        return Boolean(written) && written.at <= sentAt && version < written.version;
+    }
+
+    /**
+     * A database applied a write to the key
+     *
+     * @param {number} key - Resource key
+     * @param {number|null} version - Version the write carries (numbered by a
+     *                                write-back cache), or null to number it now
+     * @returns {number} The version written
+     */
+    write(key, version = null) {
+        const written = version !== null ? version : this.newVersion(key);
+        this.versions.set(key, Math.max(this.version(key), written));
+        return written;
+    }
+
+    /**
+     * A new version of the key was published outside the request flow (a
+     * content release): it is written and acknowledged at once
+     *
+     * @returns {number} The new version
+     */
+    publish(key) {
+        const version = this.write(key);
+        this.acknowledge(key, version);
+        return version;
+    }
+}
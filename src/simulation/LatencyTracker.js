@@ -0,0 +1,74 @@
+/**
+ * LatencyTracker Class
+ *
+ * End-to-end latency of completed user requests (time from the user sending
+ * the request to the response arriving back), with percentiles for the
+ * sidebar and for latency objectives ("p95 under 1500ms").
+ *
+ * Samples are kept sorted, so reading a percentile is a lookup.
+ */
+
+/**
+ * Percentiles shown in the sidebar and usable in latency objectives
+ */
+export const LATENCY_PERCENTILES = [50, 95, 99];
+
+export class LatencyTracker {
+    constructor() {
+        this.samples = [];      // Sorted ascending (ms)
+    }
+
+    /**
+     * Number of recorded requests
+     */
+    get count() {
+        return this.samples.length;
+    }
+
+    /**
+     * Record the latency of one request
+     *
+     * @param {number} ms - End-to-end latency
+     */
+    record(ms) {
+        // Binary search for the insert position
+        let low = 0;
+        let high = this.samples.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.samples[mid] <= ms) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        this.samples.splice(low, 0, ms);
+    }
+
+    /**
+     * Latency that p% of requests stayed under (nearest rank)
+     *
+     * @param {number} p - Percentile (0-100)
+     * @returns {number|null} Latency in ms, or null before the first request
+     */
+    percentile(p) {
+        if (this.samples.length === 0) return null;
+
+        const rank = Math.ceil((p / 100) * this.samples.length);
+        return this.samples[Math.max(0, rank - 1)];
+    }
+
+    /**
+     * Every percentile in LATENCY_PERCENTILES
+     *
+     * @returns {Object} { p50, p95, p99 } (null before the first request)
+     */
+    summary() {
+        const summary = {};
+        LATENCY_PERCENTILES.forEach(p => {
+            summary[`p${p}`] = this.percentile(p);
+        });
+        return summary;
+    }
+}
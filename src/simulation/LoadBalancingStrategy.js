@@ -0,0 +1,190 @@
+/**
+ * LoadBalancingStrategy Class
+ *
+ * Picks the app server a load balancer sends a request to. Built from a
+ * LOAD_BALANCER_CONFIG strategy (see src/config/loadBalancerConfig.js):
+ * - leastLoad:          lowest load ratio (current load / capacity)
+ * - roundRobin:         each app server in turn
+ * - weightedRoundRobin: in turn, in proportion to capacity (smooth weighted
+ *                       round robin, so a big server's turns are spread out)
+ * - random:             any app server
+ * - leastConnections:   fewest requests in progress, whatever the capacity
+ * - powerOfTwo:         two app servers at random, the less loaded of them
+ * - clientHash:         hash of the request's client modulo the number of app
+ *                       servers: a client always lands on the same one...
+ *                       until a server is added or removed and most move
+ * - consistentHash:     the client's hash on a ring of virtualNodes points per
+ *                       app server: adding or removing one only moves the
+ *                       clients of the ring segments it gains or loses
+ *
+ * Sticky strategies remember each client's app server and count the clients
+ * that had to move (`moved`), e.g. when a server was bought.
+ */
+
+import { LOAD_BALANCER_CONFIG } from '../config/index.js';
+import { Random } from './Random.js';
+
+/**
+ * 32-bit hash of a string, well mixed so that similar keys ('App1#1',
+ * 'App1#2'...) land far apart
+ */
+function hashKey(text) {
+    let hash = Random.normalizeSeed(`#${text}`);    // FNV-1a ('#' keeps numeric keys from being parsed)
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+export class LoadBalancingStrategy {
+    /**
+     * @param {string} key - Key of the strategy in LOAD_BALANCER_CONFIG.strategies
+     * @throws {Error} If there is no such strategy
+     */
+    constructor(key) {
+        const preset = LOAD_BALANCER_CONFIG.strategies[key];
+        if (!preset) {
+            throw new Error(`Unknown load balancing strategy '${key}'`);
+        }
+
+        this.key = key;
+        this.label = preset.label;
+        this.sticky = !!preset.sticky;
+
+        this.turn = 0;              // Round robin: next position
+        this.weights = new Map();   // Weighted round robin: node -> current weight
+        this.ring = null;           // Consistent hashing: [{ point, node }] sorted by point
+        this.ringNodes = null;      // Nodes the ring was built for
+        this.sessions = new Map();  // Sticky: client -> key of its app server
+        this.moved = 0;             // Sticky: clients that had to move to another app server
+    }
+
+    /**
+     * Pick the target for a request
+     *
+     * @param {Array<BaseNode>} targets - Available app servers (not empty)
+     * @param {Packet} packet - The request
+     * @param {Random} random - The simulation's PRNG
+     * @returns {BaseNode}
+     */
+    select(targets, packet, random) {
+        let target;
+
+        switch (this.key) {
+            case 'roundRobin':
+                target = targets[this.turn++ % targets.length];
+                break;
+            case 'weightedRoundRobin':
+                target = this.selectWeighted(targets);
+                break;
+            case 'random':
+                target = random.pick(targets);
+                break;
+            case 'leastConnections':
+                target = this.selectLowest(targets, node => node.currentLoad);
+                break;
+            case 'powerOfTwo':
+                target = this.selectPowerOfTwo(targets, random);
+                break;
+            case 'clientHash':
+                target = targets[hashKey(packet.clientId) % targets.length];
+                break;
+            case 'consistentHash':
+                target = this.selectOnRing(targets, hashKey(packet.clientId));
+                break;
+            default:
+                target = this.selectLowest(targets, node => node.currentLoad / node.capacity);
+        }
+
+        if (this.sticky) this.trackSession(packet.clientId, target);
+        return target;
+    }
+
+    /**
+     * Target with the lowest value (the first one on ties)
+     */
+    selectLowest(targets, value) {
+        let selected = targets[0];
+        let lowest = value(selected);
+
+        for (let i = 1; i < targets.length; i++) {
+            const current = value(targets[i]);
+            if (current < lowest) {
+                lowest = current;
+                selected = targets[i];
+            }
+        }
+
+        return selected;
+    }
+
+    /**
+     * Smooth weighted round robin: every pick, each target gains its weight
+     * (capacity) and the one with the most is picked and pays back the total
+     */
+    selectWeighted(targets) {
+        let total = 0;
+        let selected = null;
+
+        targets.forEach(node => {
+            const weight = (this.weights.get(node) || 0) + node.capacity;
+            this.weights.set(node, weight);
+            total += node.capacity;
+            if (!selected || weight > this.weights.get(selected)) selected = node;
+        });
+
+        this.weights.set(selected, this.weights.get(selected) - total);
+        return selected;
+    }
+
+    /**
+     * Two different targets at random, the one with the lower load ratio
+     */
+    selectPowerOfTwo(targets, random) {
+        if (targets.length === 1) return targets[0];
+
+        const first = random.int(targets.length);
+        const second = (first + 1 + random.int(targets.length - 1)) % targets.length;
+        return this.selectLowest([targets[first], targets[second]], node => node.currentLoad / node.capacity);
+    }
+
+    /**
+     * First ring point at or after the hash (wrapping around)
+     */
+    selectOnRing(targets, hash) {
+        if (!this.ringNodes || this.ringNodes.length !== targets.length ||
+            targets.some(node => !this.ringNodes.includes(node))) {
+            this.buildRing(targets);
+        }
+
+        const point = this.ring.find(entry => entry.point >= hash) || this.ring[0];
+        return point.node;
+    }
+
+    /**
+     * Place virtualNodes points per target on the ring
+     */
+    buildRing(targets) {
+        this.ring = [];
+        targets.forEach(node => {
+            for (let i = 0; i < LOAD_BALANCER_CONFIG.virtualNodes; i++) {
+                this.ring.push({ point: hashKey(`${node.key}#${i}`), node });
+            }
+        });
+        this.ring.sort((a, b) => a.point - b.point);
+        this.ringNodes = [...targets];
+    }
+
+    /**
+     * Remember the client's app server; count it if the client had to move
+     */
+    trackSession(client, target) {
+        const previous = this.sessions.get(client);
+        if (previous !== undefined && previous !== target.key) {
+            this.moved++;
+        }
+        this.sessions.set(client, target.key);
+    }
+}
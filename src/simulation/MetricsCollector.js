@@ -0,0 +1,190 @@
+/**
+ * MetricsCollector Class
+ *
+ * Time series of the simulation for the metrics dashboard: one sample per
+ * interval of simulated time, so charts show *when* things changed (e.g. the
+ * bottleneck moving from the app servers to the database).
+ *
+ * Fed by the request paths:
+ * - Simulation.recordSuccess()/recordFailure()/recordShed()/recordRetry() (UserNode, dropPacket)
+ * - ProcessingNode.receivePacket() (accepted requests) and dropPacket() (drops per node)
+ *
+ * Each sample (see sample()):
+ * {
+ *   time,                  // Simulated time at the end of the interval (ms)
+ *   throughput,            // Completed requests per second
+ *   retries,               // Retry attempts sent per second
+ *   shed,                  // Requests answered with a 429 per second
+ *   errorRate,             // % of the interval's finished requests that failed (null if none finished;
+ *                          //   shed requests are not counted as finished)
+ *   p50, p95, p99,         // Latency of the interval's completed requests (null if none)
+ *   gauges: { money },     // Values read from addGauge() providers
+ *   nodes: { App1: { utilization, arrivals, drops } }
+ * }
+ */
+
+import { LatencyTracker } from './LatencyTracker.js';
+
+export class MetricsCollector {
+    /**
+     * @param {Simulation} sim - The simulation to sample
+     * @param {Object} options
+     * @param {number} options.interval - Simulated time per sample (ms)
+     * @param {number} options.maxSamples - Oldest samples are dropped beyond this
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.interval = options.interval || 1000;
+        this.maxSamples = options.maxSamples || 3600;
+
+        this.samples = [];
+        this.gauges = {};           // name -> () => number
+        this.resetInterval();
+
+        this.timer = sim.clock.addEvent({
+            delay: this.interval,
+            callback: this.sample,
+            callbackScope: this,
+            loop: true
+        });
+
+        // Stopping clears the clock: keep what happened since the last sample
+        sim.on('stopped', () => {
+            if (this.current.finished > 0 || this.current.shed > 0) this.sample();
+        });
+    }
+
+    /**
+     * Start counting a new interval
+     */
+    resetInterval() {
+        this.current = {
+            start: this.sim.now,
+            success: 0,
+            errors: 0,
+            finished: 0,
+            shed: 0,
+            retries: 0,
+            latency: new LatencyTracker(),
+            nodes: {}           // key -> { arrivals, drops }
+        };
+    }
+
+    /**
+     * Counters of a node in the current interval
+     */
+    nodeCounters(node) {
+        if (!this.current.nodes[node.key]) {
+            this.current.nodes[node.key] = { arrivals: 0, drops: 0 };
+        }
+        return this.current.nodes[node.key];
+    }
+
+    /**
+     * Register a value to read at every sample (e.g. the player's money,
+     * which lives in the game state rather than the simulation)
+     *
+     * @param {string} name - Key in sample.gauges
+     * @param {Function} read - Returns the current value
+     */
+    addGauge(name, read) {
+        this.gauges[name] = read;
+    }
+
+    /**
+     * A user request completed
+     */
+    recordSuccess(latency) {
+        this.current.success++;
+        this.current.finished++;
+        this.current.latency.record(latency);
+    }
+
+    /**
+     * A user request failed
+     */
+    recordFailure() {
+        this.current.errors++;
+        this.current.finished++;
+    }
+
+    /**
+     * A user request was shed (429)
+     */
+    recordShed() {
+        this.current.shed++;
+    }
+
+    /**
+     * A user sent a retry attempt
+     */
+    recordRetry() {
+        this.current.retries++;
+    }
+
+    /**
+     * A node accepted a packet for processing
+     */
+    recordArrival(node) {
+        this.nodeCounters(node).arrivals++;
+    }
+
+    /**
+     * A node dropped a packet (full, no route...)
+     */
+    recordDrop(node) {
+        this.nodeCounters(node).drops++;
+    }
+
+    /**
+     * Close the current interval and store its sample
+     *
+     * @returns {Object} The new sample
+     */
+    sample() {
+        const current = this.current;
+        const seconds = Math.max(1, this.sim.now - current.start) / 1000;
+        const latency = current.latency.summary();
+
+        const gauges = {};
+        Object.entries(this.gauges).forEach(([name, read]) => {
+            gauges[name] = read();
+        });
+
+        // Utilization is the load at the end of the interval; a node that
+        // dropped requests during it was saturated, even if it has room now
+        const nodes = {};
+        Object.values(this.sim.nodes).forEach(node => {
+            if (!node.getLoadRatio) return;
+
+            const counters = current.nodes[node.key] || { arrivals: 0, drops: 0 };
+            nodes[node.key] = {
+                utilization: counters.drops > 0 ? 1 : node.getLoadRatio(),
+                arrivals: counters.arrivals,
+                drops: counters.drops
+            };
+        });
+
+        const sample = {
+            time: this.sim.now,
+            throughput: current.success / seconds,
+            retries: current.retries / seconds,
+            shed: current.shed / seconds,
+            errorRate: current.finished > 0 ? current.errors / current.finished * 100 : null,
+            p50: latency.p50,
+            p95: latency.p95,
+            p99: latency.p99,
+            gauges,
+            nodes
+        };
+
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        this.resetInterval();
+        this.sim.emit('metricsSampled', sample);
+        return sample;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Packet Class
+ *
+ * Plain data object describing a single request travelling through the
+ * architecture. It carries the same metadata the Phaser packet sprites used to
+ * carry (sourceNode, appNode, isWrite, isResponse, cacheMissed...), plus where
+ * it currently is so a renderer can draw it:
+ * - `location`: node the packet is sitting at (queued or being processed)
+ * - `transit`:  { from, to, departAt, arriveAt } while travelling on a link
+ *
+ * Responses go back through the CDN edges the request passed on its way to
+ * the origin (`cdnPath`, so they can keep static content), then to the user
+ * (see returnNode).
+ *
+ * Timing: `createdAt` is when this attempt was sent (`requestStartedAt` when the
+ * user first sent the request, earlier for retries) and `hops` holds one
+ * span per node it visited - arrival, start of processing, departure and
+ * notes such as 'cache miss' - so its latency can be broken down per hop
+ * (getSpans(), used by the packet tracer).
+ *
+ * Packets never draw themselves; the SimulationView creates a sprite per packet.
+ */
+
+export class Packet {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     * @param {number} id - Unique packet id
+     * @param {Object} props - Initial metadata (sourceNode, isWrite, ...)
+     */
+    constructor(sim, id, props = {}) {
+        this.sim = sim;
+        this.id = id;
+
+        // Routing metadata
+        this.sourceNode = null;    // User node that created the request
+        this.clientId = null;      // Client (session) of that user, for sticky load balancing (see UserNode)
+        this.appNode = null;       // App server that forwarded to a backend
+        this.dataRole = null;      // Role of the app server's backend call ('read', 'write', 'miss')
+        this.resourceKey = null;   // Key the request reads or writes (see KeySpace)
+        this.contentType = 'dynamic';  // 'static' reads can be kept at CDN edges (see CDN_CONFIG.contentTypes)
+        this.cdnPath = [];         // CDN nodes that passed the request on, nearest to the user first
+        this.dataVersion = null;   // Version of the key a read returned or a write was given
+        this.staleRead = false;    // The read returned an older version than one already acknowledged
+        this.staleOwnRead = false; // ...than one its own client wrote before sending it (read-your-writes)
+        this.cacheNode = null;     // Cache that missed (the app fills it with the database's answer) or took the write
+        this.breaker = null;       // { node, caller, trial } while a call passes a circuit breaker
+        this.isWrite = false;
+        this.isResponse = false;
+        this.cacheMissed = false;
+        this.isCacheHit = false;
+        this.isCDNHit = false;
+        this.isShed = false;       // Answered with a 429 by a rate limiter (see ApiGatewayNode)
+        this.isBackground = false; // Internal work (e.g. queued writes) - not a user request
+        this.attempt = 1;          // 2+ for retries of a failed request (see UserNode.retryRequest)
+        this.requestStartedAt = null;  // When the user first sent the request (set below unless a retry)
+
+        // Position state (read by the renderer)
+        this.location = props.sourceNode || null;
+        this.transit = null;
+
+        Object.assign(this, props);
+
+        this.createdAt = sim.now;
+        if (this.requestStartedAt === null) this.requestStartedAt = sim.now;
+        this.endedAt = null;       // Set when the packet is destroyed
+        this.hops = [];            // { node, name, arrivedAt, startedAt, leftAt, notes } per node visited
+        this.alive = true;
+    }
+
+    /**
+     * Span of the node the packet is at (or last visited)
+     */
+    get currentHop() {
+        return this.hops[this.hops.length - 1] || null;
+    }
+
+    /**
+     * Node a response goes back to: the last CDN the request passed, else its user
+     */
+    get returnNode() {
+        return this.cdnPath.length > 0 ? this.cdnPath[this.cdnPath.length - 1] : this.sourceNode;
+    }
+
+    /**
+     * The packet reached a node
+     */
+    recordArrival(node) {
+        this.hops.push({
+            node: node.key,
+            name: node.name,
+            arrivedAt: this.sim.now,
+            startedAt: null,       // Stays null while waiting (or if dropped on arrival)
+            leftAt: null,
+            notes: []
+        });
+    }
+
+    /**
+     * The current node started working on the packet
+     */
+    startProcessing() {
+        const hop = this.currentHop;
+        if (hop && hop.startedAt === null) {
+            hop.startedAt = this.sim.now;
+        }
+    }
+
+    /**
+     * The packet left a node on a link
+     */
+    recordDeparture(node) {
+        const hop = this.currentHop;
+        if (hop && hop.node === node.key && hop.leftAt === null) {
+            hop.leftAt = this.sim.now;
+        }
+    }
+
+    /**
+     * Note what happened at the current node ('cache miss', 'dropped (timeout)')
+     */
+    annotate(note) {
+        const hop = this.currentHop;
+        if (hop) hop.notes.push(note);
+    }
+
+    /**
+     * Per-node timing breakdown
+     *
+     * @returns {Array<Object>} { node, name, notes, start, end, queue, processing, link }
+     *   (ms; link is the travel time to the next node, null for the last span)
+     */
+    getSpans() {
+        const now = this.endedAt !== null ? this.endedAt : this.sim.now;
+
+        return this.hops.map((hop, i) => {
+            const end = hop.leftAt !== null ? hop.leftAt : (i < this.hops.length - 1 ? this.hops[i + 1].arrivedAt : now);
+            const next = this.hops[i + 1];
+
+            return {
+                node: hop.node,
+                name: hop.name,
+                notes: hop.notes,
+                start: hop.arrivedAt,
+                end,
+                queue: (hop.startedAt !== null ? hop.startedAt : end) - hop.arrivedAt,
+                processing: hop.startedAt !== null ? end - hop.startedAt : 0,
+                link: next ? next.arrivedAt - end : null
+            };
+        });
+    }
+
+    /**
+     * Remove the packet from the simulation
+     * Same name as Phaser's GameObject.destroy so routing code reads unchanged
+     */
+    destroy() {
+        this.sim.destroyPacket(this);
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Random Class
+ *
+ * Seedable pseudo-random number generator for all gameplay randomness
+ * (write/read mix, user selection, CDN hits, database picks...).
+ * Two simulations created with the same seed and given the same player
+ * actions produce exactly the same run, so a bad run can be reproduced and
+ * a "challenge seed" can be shared.
+ *
+ * Uses mulberry32: tiny, fast and good enough for gameplay.
+ * Math.random() is only used to pick a fresh seed when none is given.
+ */
+
+export class Random {
+    /**
+     * @param {number|string} seed - Seed (numbers and numeric strings are used
+     *                               as-is, other strings are hashed)
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Pick a new random seed
+     *
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Turn any seed value into an unsigned 32-bit integer
+     *
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash so word seeds ("black-friday") work too
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability (0-1)
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array (undefined if empty)
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Regions
+ *
+ * Distances between the regions of REGION_CONFIG, and the travel time they
+ * add to links. Users send their requests to the nearest entry point they
+ * are linked to, and CDN edges fetch misses from the nearest origin, so a
+ * PoP in the users' own region takes the long trip off their requests.
+ */
+
+import { REGION_CONFIG } from '../config/index.js';
+
+/**
+ * Distance between two regions (thousands of km; 0 if either is missing)
+ *
+ * @param {string|null} from - REGION_CONFIG region key
+ * @param {string|null} to - REGION_CONFIG region key
+ * @returns {number}
+ */
+export function getRegionDistance(from, to) {
+    const a = REGION_CONFIG.regions[from];
+    const b = REGION_CONFIG.regions[to];
+    if (!a || !b) return 0;
+
+    return Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
+}
+
+/**
+ * Travel time a link between the two regions gains from its distance (ms)
+ */
+export function getRegionLatency(from, to) {
+    return Math.round(getRegionDistance(from, to) * REGION_CONFIG.msPerThousandKm);
+}
+
+/**
+ * The nodes closest to a node (all of them if none has a region)
+ *
+ * @param {BaseNode} from - Node the traffic leaves from
+ * @param {Array<BaseNode>} nodes - Candidate targets
+ * @returns {Array<BaseNode>} Candidates at the shortest distance, in their original order
+ */
+export function nearestNodes(from, nodes) {
+    const distances = nodes.map(node => getRegionDistance(from.region, node.region));
+    const nearest = Math.min(...distances);
+    return nodes.filter((node, i) => distances[i] === nearest);
+}
@@ -0,0 +1,102 @@
+/**
+ * ReplayLog Class
+ *
+ * Compact record of one run: the level, the PRNG seed and every player action
+ * stamped with the simulated time it happened at. Because the simulation is
+ * deterministic for a given seed, re-applying the same actions at the same
+ * simulated times reproduces the run exactly.
+ *
+ * Actions are stored as arrays to keep saved files small:
+ *   [time, actionName, ...args]   e.g. [0, 'startSimulation'], [8123.4, 'addQueue']
+ */
+
+const REPLAY_VERSION = 1;
+
+export class ReplayLog {
+    /**
+     * @param {Object} props
+     * @param {string} props.sceneKey - Level scene key (e.g. 'Level3Scene')
+     * @param {number} props.level - Level number
+     * @param {number} props.seed - Simulation seed
+     * @param {Array} props.actions - Recorded actions (optional)
+     * @param {number|null} props.endTime - Simulated time the run ended at (optional)
+     * @param {string|null} props.levelSource - Level file of a JSON level (optional, see DataLevelScene)
+     */
+    constructor({ sceneKey, level, seed, actions = [], endTime = null, levelSource = null }) {
+        this.sceneKey = sceneKey;
+        this.level = level;
+        this.seed = seed;
+        this.actions = actions;
+        this.endTime = endTime;
+        this.levelSource = levelSource;
+    }
+
+    /**
+     * Record a player action
+     *
+     * @param {number} time - Simulated time (ms)
+     * @param {string} action - Scene method name
+     * @param {Array} args - Method arguments (must be JSON-serializable)
+     */
+    record(time, action, args = []) {
+        this.actions.push([time, action, ...args]);
+    }
+
+    /**
+     * Mark the end of the run
+     */
+    finish(time) {
+        this.endTime = time;
+    }
+
+    /**
+     * Serialize to a JSON string
+     */
+    serialize() {
+        return JSON.stringify({
+            v: REPLAY_VERSION,
+            scene: this.sceneKey,
+            level: this.level,
+            seed: this.seed,
+            end: this.endTime,
+            src: this.levelSource || undefined,     // Left out for built-in levels
+            actions: this.actions
+        });
+    }
+
+    /**
+     * Parse a serialized replay
+     *
+     * @param {string} text - Output of serialize()
+     * @returns {ReplayLog}
+     * @throws {Error} If the text is not a valid replay
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Replay is not valid JSON');
+        }
+
+        if (!data || data.v !== REPLAY_VERSION) {
+            throw new Error('Unsupported replay version');
+        }
+        if (typeof data.scene !== 'string' || !Array.isArray(data.actions)) {
+            throw new Error('Replay is missing its level or actions');
+        }
+
+        const actions = data.actions.filter(entry =>
+            Array.isArray(entry) && typeof entry[0] === 'number' && typeof entry[1] === 'string'
+        );
+
+        return new ReplayLog({
+            sceneKey: data.scene,
+            level: data.level,
+            seed: data.seed,
+            actions,
+            endTime: data.end,
+            levelSource: typeof data.src === 'string' ? data.src : null
+        });
+    }
+}
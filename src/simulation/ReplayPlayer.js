@@ -0,0 +1,64 @@
+/**
+ * ReplayPlayer Class
+ *
+ * Re-drives a simulation from a ReplayLog. Simulated time is advanced in
+ * chunks that stop exactly at each recorded action, so actions are applied
+ * at the same simulated instant they were recorded at.
+ *
+ * The player does not know what actions mean; it hands them to a dispatch
+ * callback (the level scene), which keeps it usable headless as well.
+ */
+
+export class ReplayPlayer {
+    /**
+     * @param {Simulation} sim - Simulation to drive (created with the log's seed)
+     * @param {ReplayLog} log - Recorded run
+     * @param {Object} options
+     * @param {Function} options.dispatch - (action, args) => void, applies one action
+     * @param {Function} options.canAdvance - () => boolean, false while not started or paused
+     */
+    constructor(sim, log, { dispatch, canAdvance }) {
+        this.sim = sim;
+        this.log = log;
+        this.dispatch = dispatch;
+        this.canAdvance = canAdvance || (() => true);
+        this.index = 0;     // Next action to apply
+    }
+
+    /**
+     * True once every recorded action has been applied
+     */
+    get finished() {
+        return this.index >= this.log.actions.length;
+    }
+
+    /**
+     * Apply every action recorded at or before the current simulated time
+     */
+    dispatchDue() {
+        const actions = this.log.actions;
+
+        while (this.index < actions.length && actions[this.index][0] <= this.sim.now) {
+            const [, action, ...args] = actions[this.index++];
+            this.dispatch(action, args);
+        }
+    }
+
+    /**
+     * Advance the replay by `ms` of simulated time
+     * Pass 0 to only apply actions that are already due (e.g. while paused).
+     */
+    advance(ms) {
+        const target = this.sim.now + ms;
+
+        this.dispatchDue();
+
+        while (!this.sim.stopped && this.canAdvance() && this.sim.now < target) {
+            const next = this.log.actions[this.index];
+            const stopAt = next ? Math.min(next[0], target) : target;
+
+            this.sim.advanceTo(stopAt);
+            this.dispatchDue();
+        }
+    }
+}
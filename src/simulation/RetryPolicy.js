@@ -0,0 +1,89 @@
+/**
+ * RetryPolicy Class
+ *
+ * Decides whether and when a user retries a failed request attempt.
+ * Built from a RETRY_CONFIG preset (see src/config/retryConfig.js):
+ * - Gives up after maxAttempts attempts
+ * - Waits a fixed or exponentially growing delay before each retry,
+ *   optionally with full jitter so retries of a burst of failures spread out
+ * - Optional retry budget, shared by every user of the simulation: each new
+ *   request earns `budget` retries (saved up to budgetCap) and each retry
+ *   spends one, so retries can never be more than that share of the traffic
+ *
+ * Retrying blindly multiplies the load on a system that is already failing
+ * (a "retry storm"); backoff, jitter and budgets are the standard defences.
+ */
+
+import { RETRY_CONFIG } from '../config/index.js';
+
+export class RetryPolicy {
+    /**
+     * @param {string} key - Key of the preset in RETRY_CONFIG.policies
+     * @throws {Error} If there is no such preset
+     */
+    constructor(key) {
+        const preset = RETRY_CONFIG.policies[key];
+        if (!preset) {
+            throw new Error(`Unknown retry policy '${key}'`);
+        }
+
+        this.key = key;
+        this.label = preset.label;
+        this.maxAttempts = preset.maxAttempts || 1;
+        this.backoff = preset.backoff || 'fixed';
+        this.baseDelay = preset.baseDelay || 0;
+        this.multiplier = preset.multiplier || 2;
+        this.maxDelay = preset.maxDelay || Infinity;
+        this.jitter = !!preset.jitter;
+        this.budget = preset.budget !== undefined ? preset.budget : null;
+        this.budgetCap = preset.budgetCap || 10;
+
+        this.tokens = this.budget !== null ? this.budgetCap : 0;     // Retries left in the budget
+    }
+
+    /**
+     * A user sent a new request (earns retry budget)
+     */
+    recordRequest() {
+        if (this.budget !== null) {
+            this.tokens = Math.min(this.budgetCap, this.tokens + this.budget);
+        }
+    }
+
+    /**
+     * Retry a failed attempt? Spends budget if it does.
+     *
+     * @param {number} attempt - Attempt that failed (1 = the original request)
+     * @returns {boolean}
+     */
+    shouldRetry(attempt) {
+        if (attempt >= this.maxAttempts) return false;
+
+        if (this.budget !== null) {
+            if (this.tokens < 1) return false;
+            this.tokens--;
+        }
+
+        return true;
+    }
+
+    /**
+     * Time to wait before the next attempt
+     *
+     * @param {number} attempt - Attempt that failed (1 = the original request)
+     * @param {Random} random - The simulation's PRNG (jitter)
+     * @returns {number} Delay in ms
+     */
+    getDelay(attempt, random) {
+        let delay = this.backoff === 'exponential'
+            ? this.baseDelay * Math.pow(this.multiplier, attempt - 1)
+            : this.baseDelay;
+        delay = Math.min(delay, this.maxDelay);
+
+        if (this.jitter) {
+            delay = random.next() * delay;
+        }
+
+        return Math.round(delay);
+    }
+}
@@ -0,0 +1,464 @@
+/**
+ * Simulation Class
+ *
+ * Pure-JS discrete-event engine that owns the whole architecture model:
+ * nodes, packets, timers and request statistics. It has no dependency on
+ * Phaser or the DOM, so a level can run in Node (for balance experiments and
+ * unit tests) or in the browser with a SimulationView drawing it.
+ *
+ * Nodes talk to the simulation instead of the scene:
+ * - sim.clock.delayedCall()  instead of scene.time.delayedCall()
+ * - sim.transmit()           instead of sendPacketAnim()
+ * - sim.recordSuccess()/recordFailure() instead of touching GameState
+ *   (successes also record their end-to-end latency in sim.latency, and
+ *   count stale reads); sim.recordShed() for requests a rate limiter answered
+ *   with a 429; sim.recordLostWrites() for acknowledged writes that were lost
+ * - sim.metrics.recordArrival()/recordDrop() per node, for the time series
+ *   in sim.metrics (see MetricsCollector)
+ * - sim.random.next()        instead of Math.random()
+ * - sim.retryPolicy          decides whether users retry failed attempts
+ *   (see RetryPolicy; retries are counted in stats.retries)
+ * - sim.chaos                injects failures declared by the level (see
+ *   ChaosEngine); transmit() applies its link faults and partitions
+ * - sim.keySpace             draws the resource key each request is for and
+ *   numbers the keys' versions; a successful write acknowledges its version
+ *   and reads of older ones count as stale (see KeySpace, CacheNode), and
+ *   stale for their own client too if it wrote the newer one (read-your-writes)
+ * - reads are for static or dynamic content (staticPercentage, drawn from a
+ *   PRNG of their own like the keys); CDN edges keep static content (see CDNNode)
+ * - links between nodes in different regions take longer the further apart
+ *   the regions are (getLinkLatency(), see Regions)
+ *
+ * Events (subscribe with sim.on(name, fn)):
+ * - 'nodeAdded' (key, node)                 / 'nodeRemoved' (key, node)
+ * - 'packetCreated' (packet)                / 'packetDestroyed' (packet)
+ * - 'packetTransmitted' (packet, from, to)  / 'packetArrived' (packet, node)
+ * - 'requestSucceeded' (packet, userNode)   / 'requestFailed' (packet, node, reason)
+ * - 'requestShed' (packet, userNode)        - a request was answered with a 429
+ * - 'requestRetried' (packet, userNode)     - a new attempt of a failed request was sent
+ * - 'writesLost' (node, count)              - acknowledged writes were lost (e.g. a queue
+ *   or write-back cache crashed before writing them to a database)
+ * - 'retryPolicyChanged' (policy)
+ * - 'breakerStateChanged' (node, state)    - a circuit breaker opened, half-opened or closed
+ * - 'loadBalancerStrategyChanged' (node, strategy) - a load balancer switched strategy
+ * - 'cacheWritePolicyChanged' (node, policy) - a cache switched write policy
+ * - 'cacheMitigationChanged' (node, mitigation, enabled) - a cache stampede mitigation was turned on or off
+ * - 'cdnPurged' (node, count)              - a CDN node dropped the keys it held
+ * - 'nodeCrashed' (node)                    / 'nodeRestarted' (node)
+ * - 'chaosStarted' (event, description)     / 'chaosEnded' (event, description)
+ * - 'backendHealthChanged' (balancer, node, healthy) - a health check took an app
+ *   server out of a load balancer's rotation or put it back
+ * - 'nodeFloatText' (node, msg, color), 'nodeFlash' (node), 'nodeUpgraded' (node)
+ * - 'topologyChanged' (topology)
+ * - 'difficultyChanged' (level, stage), 'stopped' ()
+ * - 'metricsSampled' (sample)                - once per metrics interval
+ */
+
+import { CONFIG } from '../config.js';
+import { RETRY_CONFIG, CDN_CONFIG } from '../config/index.js';
+import { EventEmitter } from './EventEmitter.js';
+import { SimulationClock } from './SimulationClock.js';
+import { Packet } from './Packet.js';
+import { TrafficGenerator } from './TrafficGenerator.js';
+import { Random } from './Random.js';
+import { Topology } from './Topology.js';
+import { LatencyTracker } from './LatencyTracker.js';
+import { MetricsCollector } from './MetricsCollector.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { ChaosEngine } from './ChaosEngine.js';
+import { KeySpace } from './KeySpace.js';
+import { getRegionLatency } from './Regions.js';
+
+export class Simulation extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.linkLatency - Travel time of a packet on a link (ms)
+     * @param {number} options.writeRequestPercentage - Share of generated requests that are writes
+     * @param {number|string} options.seed - PRNG seed (a random one is picked if omitted)
+     * @param {number} options.metricsInterval - Simulated time per metrics sample (ms, default 1000)
+     * @param {string} options.retryPolicy - Key of a RETRY_CONFIG policy (default RETRY_CONFIG.defaultPolicy)
+     * @param {Object} options.keySpace - { keys, distribution, exponent } of the resource keys (default CACHE_CONFIG.keySpace)
+     * @param {number} options.staticPercentage - Share of reads for static content (default CDN_CONFIG.staticPercentage)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.clock = new SimulationClock();
+        this.random = new Random(options.seed);    // All gameplay randomness goes through this
+        this.linkLatency = options.linkLatency || 500;
+        this.writeRequestPercentage = options.writeRequestPercentage !== undefined
+            ? options.writeRequestPercentage
+            : CONFIG.writeRequestPercentage;
+        this.staticPercentage = options.staticPercentage !== undefined
+            ? options.staticPercentage
+            : CDN_CONFIG.staticPercentage;
+
+        this.nodes = {};            // key -> node
+        this.topology = new Topology(this);
+        this.packets = new Set();   // Live packets
+        this.nextPacketId = 1;
+        this.traffic = null;
+        this.chaos = null;
+
+        this.stats = {
+            success: 0,
+            errors: 0,
+            total: 0,
+            shed: 0,                // Requests answered with a 429 (counted in total, not in errors)
+            retries: 0,             // Extra attempts sent by users (not counted in total)
+            reads: 0,               // Successful reads
+            staleReads: 0,          // Successful reads that returned an older value than the latest write
+            staleOwnReads: 0,       // ...older than a write their own client already had acknowledged
+            lostWrites: 0,          // Acknowledged writes that never reached a database
+            databaseStorage: 0
+        };
+        this.latency = new LatencyTracker();
+        this.metrics = new MetricsCollector(this, { interval: options.metricsInterval });
+        this.retryPolicy = new RetryPolicy(options.retryPolicy || RETRY_CONFIG.defaultPolicy);
+        this.keySpace = new KeySpace(options.keySpace, this.random.seed);
+        this.contentRandom = new Random(`${this.random.seed}:content`);
+
+        this.stopped = false;
+    }
+
+    /**
+     * Seed of this run (show it to the player so the run can be reproduced)
+     */
+    get seed() {
+        return this.random.seed;
+    }
+
+    /**
+     * Current simulated time (ms)
+     */
+    get now() {
+        return this.clock.now;
+    }
+
+    /**
+     * Add a node to the architecture
+     *
+     * @param {string} key - Unique node key (e.g. 'App1')
+     * @param {BaseNode} node - Node instance
+     * @returns {BaseNode} The node (for chaining)
+     */
+    addNode(key, node) {
+        node.key = key;
+        this.nodes[key] = node;
+        this.emit('nodeAdded', key, node);
+        return node;
+    }
+
+    /**
+     * Remove a node from the architecture
+     */
+    removeNode(key) {
+        const node = this.nodes[key];
+        if (!node) return;
+
+        node.active = false;
+        delete this.nodes[key];
+        this.topology.removeNode(key);
+        this.emit('nodeRemoved', key, node);
+    }
+
+    /**
+     * Configure and return the traffic generator
+     *
+     * @param {Object} config - See TrafficGenerator
+     */
+    setTraffic(config) {
+        if (this.traffic) this.traffic.stop();
+        this.traffic = new TrafficGenerator(this, config);
+        return this.traffic;
+    }
+
+    /**
+     * Create a packet
+     *
+     * @param {Object} props - Packet metadata
+     * @returns {Packet}
+     */
+    createPacket(props) {
+        const packet = new Packet(this, this.nextPacketId++, props);
+        if (packet.location) {
+            packet.recordArrival(packet.location);  // First span: where the packet was created
+        }
+        this.packets.add(packet);
+        this.emit('packetCreated', packet);
+        return packet;
+    }
+
+    /**
+     * Spawn a new user request and hand it to the user node for routing
+     *
+     * @param {UserNode} userNode - The user node generating the request
+     */
+    spawnRequest(userNode) {
+        const isWrite = this.random.next() * 100 < this.writeRequestPercentage;
+        const contentType = !isWrite && this.contentRandom.next() * 100 < this.staticPercentage ? 'static' : 'dynamic';
+        const packet = this.createPacket({ sourceNode: userNode, isWrite, contentType, resourceKey: this.keySpace.draw() });
+        packet.startProcessing();
+        userNode.routePacket(packet);
+        return packet;
+    }
+
+    /**
+     * Send a packet along a link
+     *
+     * The packet arrives at `target` after `duration` ms of simulated time and is
+     * handed to target.receivePacket(). If the target was removed meanwhile the
+     * packet is destroyed; if it is down (crashed) the packet is dropped there.
+     * Chaos link faults add travel time and lose packets; packets across a
+     * partition are lost.
+     *
+     * @param {Packet} packet - Packet to send
+     * @param {BaseNode} target - Destination node
+     * @param {BaseNode} sender - Node the packet leaves from
+     * @param {number} duration - Travel time (defaults to getLinkLatency())
+     */
+    transmit(packet, target, sender, duration = this.getLinkLatency(sender, target)) {
+        if (!packet.alive) return;
+
+        // Decided when the packet leaves, so a run stays reproducible
+        const effect = this.chaos ? this.chaos.getLinkEffect(sender, target) : null;
+        const lost = effect && (effect.partitioned || (effect.loss > 0 && this.random.chance(effect.loss)));
+        if (effect) duration += effect.latency;
+
+        packet.location = null;
+        packet.recordDeparture(sender);
+        packet.transit = {
+            from: sender,
+            to: target,
+            departAt: this.now,
+            arriveAt: this.now + duration
+        };
+        this.emit('packetTransmitted', packet, sender, target);
+
+        this.clock.delayedCall(duration, () => {
+            if (!packet.alive) return;
+
+            packet.transit = null;
+
+            // Lost on the way: dropped at whichever end is a server (users can't drop packets)
+            if (lost) {
+                const node = [target, sender].find(end => end.active && end.dropPacket);
+                if (!node) {
+                    packet.destroy();
+                    return;
+                }
+                packet.location = node;
+                if (effect.partitioned) {
+                    node.dropPacket(packet, 'partition', 'Partitioned!');
+                } else {
+                    node.dropPacket(packet, 'packetLoss', 'Lost!');
+                }
+                return;
+            }
+
+            // Check if target node still exists (might have been removed)
+            if (target.active) {
+                packet.location = target;
+                packet.recordArrival(target);
+                this.emit('packetArrived', packet, target);
+                if (target.down) {
+                    target.dropPacket(packet, 'nodeDown', 'Down!');
+                } else {
+                    target.receivePacket(packet);
+                }
+            } else {
+                packet.destroy();
+            }
+        });
+    }
+
+    /**
+     * Travel time of a link: linkLatency, plus the distance between the
+     * regions of its two ends (see Regions)
+     */
+    getLinkLatency(from, to) {
+        return this.linkLatency + getRegionLatency(from.region, to.region);
+    }
+
+    /**
+     * Would a packet sent from one node reach the other? (the target is up
+     * and no partition separates them; used by health checks)
+     */
+    isReachable(from, to) {
+        return !to.down && !(this.chaos && this.chaos.isPartitioned(from, to));
+    }
+
+    /**
+     * Remove a packet from the simulation
+     */
+    destroyPacket(packet) {
+        if (!packet.alive) return;
+
+        packet.alive = false;
+        packet.endedAt = this.now;
+        this.packets.delete(packet);
+        this.emit('packetDestroyed', packet);
+    }
+
+    /**
+     * Record a successfully completed user request
+     *
+     * @param {Packet} packet - The response packet
+     * @param {UserNode} userNode - User that sent the request
+     * @param {number} latency - End-to-end latency (ms)
+     */
+    recordSuccess(packet, userNode, latency) {
+        this.stats.success++;
+        this.stats.total++;
+        if (packet.isWrite) {
+            if (packet.dataVersion !== null) {
+                this.keySpace.acknowledge(packet.resourceKey, packet.dataVersion, packet.clientId, this.now);
+            }
+        } else {
+            this.stats.reads++;
+            if (packet.staleRead) this.stats.staleReads++;
+            if (packet.dataVersion !== null
+                && this.keySpace.missesOwnWrite(packet.resourceKey, packet.dataVersion, packet.clientId, packet.createdAt)) {
+                packet.staleOwnRead = true;
+                this.stats.staleOwnReads++;
+                if (userNode) userNode.staleOwnReads++;
+            }
+        }
+        this.latency.record(latency);
+        this.metrics.recordSuccess(latency);
+        this.emit('requestSucceeded', packet, userNode);
+    }
+
+    /**
+     * Record a failed user request
+     *
+     * @param {Packet} packet - The failed packet
+     * @param {BaseNode} node - Node where it failed
+     * @param {string} reason - Short reason (e.g. 'timeout', 'queueFull')
+     */
+    recordFailure(packet, node, reason) {
+        this.stats.errors++;
+        this.stats.total++;
+        this.metrics.recordFailure();
+        this.emit('requestFailed', packet, node, reason);
+    }
+
+    /**
+     * Record a user request shed by a rate limiter (answered with a 429)
+     * Shed load is neither a success nor an error.
+     *
+     * @param {Packet} packet - The 429 response
+     * @param {UserNode} userNode - User that got it
+     */
+    recordShed(packet, userNode) {
+        this.stats.shed++;
+        this.stats.total++;
+        this.metrics.recordShed();
+        this.emit('requestShed', packet, userNode);
+    }
+
+    /**
+     * Record acknowledged writes that were lost before reaching a database
+     *
+     * @param {BaseNode} node - Node that lost them
+     * @param {number} count - Writes lost
+     */
+    recordLostWrites(node, count) {
+        if (count <= 0) return;
+        this.stats.lostWrites += count;
+        this.emit('writesLost', node, count);
+    }
+
+    /**
+     * Record a retry attempt sent by a user
+     *
+     * @param {Packet} packet - The new attempt
+     * @param {UserNode} userNode - User that sent it
+     */
+    recordRetry(packet, userNode) {
+        this.stats.retries++;
+        this.metrics.recordRetry();
+        this.emit('requestRetried', packet, userNode);
+    }
+
+    /**
+     * Switch the users' retry policy
+     *
+     * @param {string} key - Key of a RETRY_CONFIG policy
+     */
+    setRetryPolicy(key) {
+        this.retryPolicy = new RetryPolicy(key);
+        this.emit('retryPolicyChanged', this.retryPolicy);
+    }
+
+    /**
+     * Configure and return the chaos engine
+     *
+     * @param {Object} config - See ChaosEngine
+     */
+    setChaos(config) {
+        if (this.chaos) this.chaos.stop();
+        this.chaos = new ChaosEngine(this, config);
+        return this.chaos;
+    }
+
+    /**
+     * Start generating traffic (and chaos)
+     */
+    start() {
+        this.stopped = false;
+        if (this.traffic) this.traffic.start();
+        if (this.chaos) this.chaos.start();
+    }
+
+    /**
+     * Stop the simulation
+     * Cancels all pending events and removes every in-flight packet
+     */
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+
+        if (this.traffic) this.traffic.stop();
+        if (this.chaos) this.chaos.stop();
+        this.clock.clear();
+        [...this.packets].forEach(packet => packet.destroy());
+        this.emit('stopped');
+    }
+
+    /**
+     * Advance the simulation by `ms` of simulated time
+     * Called by the renderer every frame (scaled by the game speed)
+     */
+    advance(ms) {
+        if (this.stopped) return;
+        this.clock.advance(ms);
+    }
+
+    /**
+     * Advance the simulation to an exact simulated time
+     */
+    advanceTo(time) {
+        if (this.stopped) return;
+        this.clock.advanceTo(time);
+    }
+
+    /**
+     * Run headless until `ms` of simulated time has passed or `until()` is true
+     *
+     * @param {number} ms - Maximum simulated time to run
+     * @param {Object} options - { step: ms per tick (default 50), until: () => boolean }
+     * @returns {Object} Final stats
+     */
+    runFor(ms, options = {}) {
+        const step = options.step || 50;
+        const end = this.now + ms;
+
+        while (!this.stopped && this.now < end) {
+            this.advance(Math.min(step, end - this.now));
+            if (options.until && options.until(this)) break;
+        }
+
+        return { ...this.stats, time: this.now };
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * SimulationClock Class
+ *
+ * Discrete-event scheduler that owns simulated time.
+ * Replaces Phaser's `scene.time` for everything that affects gameplay:
+ * - Events are kept in a priority queue ordered by fire time
+ * - Time only moves when advance() is called (by the renderer every frame,
+ *   or as fast as possible by a headless run)
+ * - Events scheduled for the same instant fire in the order they were added,
+ *   so a run is fully reproducible
+ *
+ * The API deliberately mirrors Phaser's Clock (delayedCall / addEvent / remove)
+ * so node code reads the same as it did when it used `scene.time`.
+ */
+
+/**
+ * ScheduledEvent Class
+ * Handle returned by the clock, can be removed before it fires
+ */
+class ScheduledEvent {
+    constructor(clock, time, seq, callback, loopDelay) {
+        this.clock = clock;
+        this.time = time;
+        this.seq = seq;
+        this.callback = callback;
+        this.loopDelay = loopDelay;   // null for one-shot events
+        this.removed = false;
+    }
+
+    /**
+     * Cancel this event (same name as Phaser's TimerEvent.remove)
+     */
+    remove() {
+        this.removed = true;
+    }
+}
+
+export class SimulationClock {
+    constructor() {
+        this.now = 0;          // Current simulated time (ms)
+        this.seq = 0;          // Tie-breaker for events at the same time
+        this.heap = [];        // Binary min-heap of ScheduledEvents
+    }
+
+    /**
+     * Schedule a one-shot callback
+     *
+     * @param {number} delay - Milliseconds of simulated time from now
+     * @param {Function} callback - Function to call
+     * @returns {ScheduledEvent} Handle that can be removed
+     */
+    delayedCall(delay, callback) {
+        return this.push(this.now + Math.max(0, delay), callback, null);
+    }
+
+    /**
+     * Schedule a (possibly repeating) event
+     *
+     * @param {Object} config - { delay, callback, callbackScope, loop }
+     * @returns {ScheduledEvent} Handle that can be removed
+     */
+    addEvent(config) {
+        const callback = config.callbackScope
+            ? config.callback.bind(config.callbackScope)
+            : config.callback;
+        const delay = Math.max(1, config.delay);
+        return this.push(this.now + delay, callback, config.loop ? delay : null);
+    }
+
+    /**
+     * Advance simulated time, firing every due event in order
+     *
+     * @param {number} ms - Milliseconds of simulated time to advance
+     */
+    advance(ms) {
+        this.advanceTo(this.now + ms);
+    }
+
+    /**
+     * Advance simulated time to an exact instant
+     * Used by replays so actions land on the exact recorded time
+     *
+     * @param {number} target - Simulated time to stop at (ms)
+     */
+    advanceTo(target) {
+        if (target < this.now) return;
+
+        while (this.heap.length > 0 && this.heap[0].time <= target) {
+            const event = this.pop();
+            if (event.removed) continue;
+
+            this.now = event.time;
+
+            if (event.loopDelay !== null) {
+                event.time += event.loopDelay;
+                event.seq = this.seq++;
+                this.insert(event);
+            }
+
+            event.callback();
+        }
+
+        this.now = target;
+    }
+
+    /**
+     * Number of events still waiting to fire
+     */
+    get pending() {
+        return this.heap.filter(e => !e.removed).length;
+    }
+
+    /**
+     * Drop every scheduled event
+     */
+    clear() {
+        this.heap.forEach(e => e.removed = true);
+        this.heap = [];
+    }
+
+    /**
+     * Internal: create and insert an event
+     */
+    push(time, callback, loopDelay) {
+        const event = new ScheduledEvent(this, time, this.seq++, callback, loopDelay);
+        this.insert(event);
+        return event;
+    }
+
+    /**
+     * Heap ordering: earlier time first, then insertion order
+     */
+    before(a, b) {
+        return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+    }
+
+    insert(event) {
+        const heap = this.heap;
+        heap.push(event);
+        let i = heap.length - 1;
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.before(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < heap.length && this.before(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && this.before(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
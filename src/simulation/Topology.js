@@ -0,0 +1,372 @@
+/**
+ * Topology Class
+ *
+ * Directed graph of the architecture: which node forwards which kind of
+ * traffic to which downstream node. Nodes consult it when routing instead of
+ * looking up hard-coded keys, and the level scene draws its connections from it.
+ *
+ * Edges are declared between node keys, so a level can wire nodes the player
+ * has not bought yet; an edge only takes effect once both ends exist.
+ *
+ * Edge roles (what an edge carries):
+ * - 'request':     all user requests (User → CDN/Gateway/LB/App, CDN → CDN/Gateway/LB,
+ *                  Gateway → LB/App, LB → App)
+ * - 'read':        read requests (App → Cache/ReadReplica/Database)
+ * - 'write':       write requests (App → Queue/Database, Queue → Database)
+ * - 'miss':        reads after a cache miss (App → ReadReplica/Database)
+ * - 'replication': data copied between databases (drawn, not routed)
+ *
+ * Priority: for a given node and role only the lowest priority number that
+ * has an available target is used. E.g. User → CDN (0) and User → LB (1):
+ * traffic goes to the LB until a CDN is bought.
+ *
+ * Circuit breakers sit on data edges (App → Breaker → Cache/Replica/Database)
+ * and are transparent to routing: an edge into a breaker only carries the
+ * roles the breaker can pass on, with the priority of the node behind it. A
+ * breaker in front of the database neither takes reads away from a cache nor,
+ * in front of a cache, captures the app's writes. A node behind a breaker is
+ * only reached through it, even if the app is also linked to it directly
+ * (adding a breaker does not need the old link removed). While a breaker is not
+ * taking calls (open) it is routed around if the app has another route for
+ * the role - its fallback, e.g. reading from the database instead of a cache -
+ * and only when there is none do the calls fail fast at the breaker.
+ *
+ * API gateways sit on request edges (User/CDN → Gateway → LB/App) and are
+ * transparent the same way: the edge into a gateway has the priority of what
+ * is behind it (a user still prefers a CDN in front of it), and the load
+ * balancer or app servers behind it are only reached through it.
+ *
+ * Responses are not routed through the graph; they travel back along the
+ * path the request came (packet.appNode, packet.cdnPath / packet.sourceNode).
+ *
+ * A CDN edge linked to another CDN node uses it as its origin shield: misses
+ * go to the shield before the load balancer or app servers behind it.
+ *
+ * Players can draw their own links before a run; inferLink() picks the roles
+ * and priority from the two node types, and validate() reports users whose
+ * traffic could not reach a node able to answer it.
+ */
+
+/**
+ * Roles carried by a plain data-store edge (reads, writes and cache misses)
+ */
+export const DATA_ROLES = ['read', 'write', 'miss'];
+
+/**
+ * Node types that are transparent to routing: an edge into one takes the
+ * priority of the nodes behind it, and those nodes are only reached through it
+ */
+const PASS_THROUGH_TYPES = ['breaker', 'gateway'];
+
+/**
+ * What a player-drawn link carries, by "fromType>toType"
+ * Priorities mirror the built-in levels: e.g. a user prefers a CDN over a
+ * load balancer over an app server, and an app reads from a cache before a
+ * read replica before the primary database.
+ */
+const LINK_RULES = {
+    'user>cdn':               { roles: ['request'], priority: 0 },
+    'user>loadbalancer':      { roles: ['request'], priority: 1 },
+    'user>app':               { roles: ['request'], priority: 2 },
+    'user>gateway':           { roles: ['request'], priority: 0 },   // Priority comes from behind the gateway
+    'cdn>cdn':                { roles: ['request'], priority: 0 },   // Origin shield
+    'cdn>loadbalancer':       { roles: ['request'], priority: 1 },
+    'cdn>app':                { roles: ['request'], priority: 2 },
+    'cdn>gateway':            { roles: ['request'], priority: 0 },
+    'gateway>loadbalancer':   { roles: ['request'], priority: 1 },
+    'gateway>app':            { roles: ['request'], priority: 2 },
+    'loadbalancer>app':       { roles: ['request'], priority: 0 },
+    'app>cache':              { roles: ['read'], priority: 0 },
+    'app>pubsub':             { roles: ['write'], priority: 0 },
+    'app>replica':            { roles: ['read', 'miss'], priority: 1 },
+    'app>database':           { roles: DATA_ROLES, priority: 2 },
+    'app>breaker':            { roles: DATA_ROLES, priority: 0 },    // Priority comes from behind the breaker
+    'breaker>cache':          { roles: ['read'], priority: 0 },
+    'breaker>replica':        { roles: ['read', 'miss'], priority: 1 },
+    'breaker>database':       { roles: DATA_ROLES, priority: 2 },
+    'pubsub>database':        { roles: ['write'], priority: 0 },
+    'database>replica':       { roles: ['replication'], priority: 0 }
+};
+
+export class Topology {
+    /**
+     * @param {Simulation} sim - Owning simulation (used to resolve node keys)
+     */
+    constructor(sim) {
+        this.sim = sim;
+        this.edges = [];    // { from, to, roles, priority }
+    }
+
+    /**
+     * Add (or replace) an edge
+     *
+     * @param {string} from - Upstream node key
+     * @param {string} to - Downstream node key
+     * @param {Array<string>} roles - Roles carried by the edge (default ['request'])
+     * @param {number} priority - Lower numbers are preferred (default 0)
+     * @returns {Object} The edge
+     */
+    connect(from, to, roles = ['request'], priority = 0) {
+        this.disconnect(from, to);
+
+        const edge = { from, to, roles: [...roles], priority };
+        this.edges.push(edge);
+        this.sim.emit('topologyChanged', this);
+        return edge;
+    }
+
+    /**
+     * Get the edge between two nodes (or undefined)
+     */
+    getEdge(from, to) {
+        return this.edges.find(edge => edge.from === from && edge.to === to);
+    }
+
+    /**
+     * Remove the edge between two nodes
+     */
+    disconnect(from, to) {
+        const before = this.edges.length;
+        this.edges = this.edges.filter(edge => !(edge.from === from && edge.to === to));
+
+        if (this.edges.length !== before) {
+            this.sim.emit('topologyChanged', this);
+        }
+    }
+
+    /**
+     * Remove every edge touching a node
+     */
+    removeNode(key) {
+        const before = this.edges.length;
+        this.edges = this.edges.filter(edge => edge.from !== key && edge.to !== key);
+
+        if (this.edges.length !== before) {
+            this.sim.emit('topologyChanged', this);
+        }
+    }
+
+    /**
+     * Get the node for a key if it exists and is active
+     */
+    resolve(key) {
+        const node = this.sim.nodes[key];
+        return node && node.active ? node : null;
+    }
+
+    /**
+     * Get the downstream nodes a node should use for a role
+     * Only the best (lowest) priority group with an available node is returned.
+     *
+     * @param {string} from - Upstream node key
+     * @param {string} role - Traffic role ('request', 'read', 'write', 'miss')
+     * @param {Function} accept - Optional filter: only these nodes are candidates
+     * @returns {Array<BaseNode>} Candidate targets (empty if none)
+     */
+    getTargets(from, role, accept = null) {
+        return this.getTargetGroup(from, role, accept).targets;
+    }
+
+    /**
+     * Get the best priority group for a node and role (see getTargets())
+     *
+     * @returns {Object} { priority, targets } (priority is Infinity if there are no targets)
+     */
+    getTargetGroup(from, role, accept = null) {
+        let bestPriority = Infinity;
+        let targets = [];
+        let tripped = { priority: Infinity, targets: [] };    // Best group of breakers not taking calls
+
+        // Nodes behind one of this node's breakers or gateways are only reached through it
+        const guarded = new Set();
+        this.edges.forEach(edge => {
+            const node = edge.from === from && edge.roles.includes(role) ? this.resolve(edge.to) : null;
+            if (node && PASS_THROUGH_TYPES.includes(node.type)) {
+                this.getTargetGroup(node.key, role).targets.forEach(behind => guarded.add(behind));
+            }
+        });
+
+        this.edges.forEach(edge => {
+            if (edge.from !== from || !edge.roles.includes(role)) return;
+
+            const node = this.resolve(edge.to);
+            if (!node || guarded.has(node) || (accept && !accept(node))) return;
+
+            // A breaker or gateway passes the role on with the priority of what is behind it
+            let priority = edge.priority;
+            if (PASS_THROUGH_TYPES.includes(node.type)) {
+                const behind = this.getTargetGroup(node.key, role);
+                if (behind.targets.length === 0) return;
+                priority = behind.priority;
+
+                if (node.isTakingCalls && !node.isTakingCalls()) {
+                    if (priority < tripped.priority) tripped = { priority, targets: [] };
+                    if (priority === tripped.priority) tripped.targets.push(node);
+                    return;
+                }
+            }
+
+            if (priority > bestPriority) return;
+
+            if (priority < bestPriority) {
+                bestPriority = priority;
+                targets = [];
+            }
+            targets.push(node);
+        });
+
+        // No other way: the calls go to the breaker and fail fast there
+        if (targets.length === 0) return tripped;
+
+        return { priority: bestPriority, targets };
+    }
+
+    /**
+     * True if the node has at least one edge to an available node
+     */
+    hasDownstream(from) {
+        return this.edges.some(edge => edge.from === from && this.resolve(edge.to));
+    }
+
+    /**
+     * Get the edges currently in effect, for drawing
+     * An edge is in effect when both ends exist and, for at least one of its
+     * roles, it belongs to the priority group that routing would use.
+     *
+     * @returns {Array<Object>} { from, to, roles, priority, fromNode, toNode }
+     */
+    getActiveEdges() {
+        return this.getLinkedEdges().filter(edge => edge.inEffect);
+    }
+
+    /**
+     * Get every edge whose two nodes exist, flagged with whether it is in effect
+     * Edges that lose on priority are still returned so the player can see
+     * (and remove) the links they drew.
+     *
+     * @returns {Array<Object>} { from, to, roles, priority, fromNode, toNode, inEffect }
+     */
+    getLinkedEdges() {
+        return this.edges
+            .filter(edge => this.resolve(edge.from) && this.resolve(edge.to))
+            .map(edge => {
+                const fromNode = this.resolve(edge.from);
+                const toNode = this.resolve(edge.to);
+                const inEffect = edge.roles.some(role =>
+                    role === 'replication' || this.getTargets(edge.from, role).includes(toNode)
+                );
+                return { ...edge, fromNode, toNode, inEffect };
+            });
+    }
+
+    /**
+     * Work out what a link drawn by the player carries
+     *
+     * @param {BaseNode} fromNode - Upstream node
+     * @param {BaseNode} toNode - Downstream node
+     * @returns {Object|null} { roles, priority }, or null if the link makes no sense
+     */
+    static inferLink(fromNode, toNode) {
+        if (!fromNode || !toNode || fromNode === toNode) return null;
+
+        const typeOf = node => (node.type === 'database' && node.isReplica) ? 'replica' : node.type;
+        let rule = LINK_RULES[`${typeOf(fromNode)}>${typeOf(toNode)}`];
+
+        // A replica still takes writes from a queue like any database
+        if (!rule && toNode.type === 'database') {
+            rule = LINK_RULES[`${typeOf(fromNode)}>database`];
+        }
+
+        return rule ? { roles: [...rule.roles], priority: rule.priority } : null;
+    }
+
+    /**
+     * Check that every user's traffic can be answered
+     * Follows request links from each user and checks each server reached:
+     * entry points lead somewhere, breakers and gateways have something wired
+     * behind them, and an app server that is not a monolith has a route for
+     * reads, writes and cache misses that ends at a database.
+     *
+     * @returns {Array<Object>} Problems as { key, message } (empty if valid)
+     */
+    validate() {
+        const problems = [];
+        const visited = new Set();
+        const flag = (node, message) => {
+            // A node shared by several upstream servers is only reported once
+            message = `${node.name}: ${message}`;
+            if (!problems.some(problem => problem.message === message)) {
+                problems.push({ key: node.key, message });
+            }
+        };
+
+        const visit = (node) => {
+            if (visited.has(node)) return;
+            visited.add(node);
+
+            const next = this.getTargets(node.key, 'request');
+            this.validatePassThrough(node, flag);
+
+            switch (node.type) {
+                case 'user':
+                    if (next.length === 0) flag(node, 'not linked to any server');
+                    break;
+                case 'cdn':
+                    if (next.length === 0) flag(node, 'no origin to fetch misses from');
+                    break;
+                case 'loadbalancer':
+                    if (next.length === 0) flag(node, 'no app servers to balance across');
+                    break;
+                case 'app':
+                    this.validateAppServer(node, flag);
+                    break;
+            }
+
+            next.forEach(visit);
+        };
+
+        Object.values(this.sim.nodes)
+            .filter(node => node.active && node.type === 'user')
+            .forEach(visit);
+
+        return problems;
+    }
+
+    /**
+     * Check the data routes of an app server (see validate())
+     */
+    validateAppServer(app, flag) {
+        // An app server with no links at all answers on its own (monolith)
+        if (!this.hasDownstream(app.key)) return;
+
+        const reads = this.getTargets(app.key, 'read');
+        const writes = this.getTargets(app.key, 'write');
+
+        if (reads.length === 0) flag(app, 'no route for reads');
+        if (writes.length === 0) flag(app, 'no route for writes');
+
+        // Reads that reach a cache (directly or through a breaker) need a route for misses
+        const readsCache = reads.some(node => node.type === 'cache' ||
+            (node.type === 'breaker' && this.getTargets(node.key, 'read').some(behind => behind.type === 'cache')));
+        if (readsCache && this.getTargets(app.key, 'miss').length === 0) {
+            flag(app, 'no route for cache misses');
+        }
+
+        writes
+            .filter(node => node.type === 'pubsub')
+            .filter(queue => this.getTargets(queue.key, 'write').length === 0)
+            .forEach(queue => flag(queue, 'no database to drain writes to'));
+    }
+
+    /**
+     * Flag breakers and gateways linked from a node with nothing behind them
+     * (routing skips them, so the node's traffic would silently go elsewhere)
+     */
+    validatePassThrough(node, flag) {
+        this.edges
+            .filter(edge => edge.from === node.key)
+            .map(edge => this.resolve(edge.to))
+            .filter(next => next && PASS_THROUGH_TYPES.includes(next.type) && !this.hasDownstream(next.key))
+            .forEach(next => flag(next, 'nothing wired behind it'));
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * TrafficGenerator Class
+ *
+ * Generates request waves from user nodes and ramps up difficulty over time.
+ * This is the logic that used to live in BaseLevelScene.scheduleNextWave() and
+ * increaseDifficulty(), now running on the simulation clock so a level can be
+ * played headless.
+ *
+ * Emits on the simulation:
+ * - 'difficultyChanged' (level, stage) - stage is undefined once stages run out
+ */
+
+export class TrafficGenerator {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     * @param {Object} config - Traffic configuration
+     * @param {number} config.initialTrafficDelay - Initial delay between waves (ms)
+     * @param {number} config.initialPacketsPerWave - Starting packets per wave
+     * @param {number} config.difficultyInterval - Time between difficulty increases (ms, 0 = constant traffic)
+     * @param {Object} config.difficultyStages - { stage1: { trafficDelay, packetsPerWave, message }, ... }
+     * @param {Array<string>} config.userNodeIds - Keys of the user nodes that send traffic
+     */
+    constructor(sim, config) {
+        this.sim = sim;
+        this.initialTrafficDelay = config.initialTrafficDelay || 1500;
+        this.initialPacketsPerWave = config.initialPacketsPerWave || 1;
+        this.difficultyInterval = config.difficultyInterval !== undefined ? config.difficultyInterval : 8000;
+        this.difficultyStages = config.difficultyStages || {};
+        this.userNodeIds = config.userNodeIds || ['User1'];
+
+        this.currentTrafficDelay = this.initialTrafficDelay;
+        this.packetsPerWave = this.initialPacketsPerWave;
+        this.difficultyLevel = 0;
+
+        this.trafficTimer = null;
+        this.difficultyTimer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start generating traffic
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.scheduleNextWave();
+
+        if (this.difficultyInterval > 0) {
+            this.difficultyTimer = this.sim.clock.addEvent({
+                delay: this.difficultyInterval,
+                callback: () => this.increaseDifficulty(),
+                loop: true
+            });
+        }
+    }
+
+    /**
+     * Stop generating traffic
+     */
+    stop() {
+        this.running = false;
+        if (this.trafficTimer) this.trafficTimer.remove();
+        if (this.difficultyTimer) this.difficultyTimer.remove();
+    }
+
+    /**
+     * Set the traffic rate directly (e.g. from the sandbox controls)
+     * Takes effect from the next wave.
+     *
+     * @param {number} packetsPerWave - Requests per wave
+     * @param {number} trafficDelay - Delay between waves (ms)
+     */
+    setRate(packetsPerWave, trafficDelay) {
+        this.packetsPerWave = packetsPerWave;
+        this.currentTrafficDelay = trafficDelay;
+    }
+
+    /**
+     * Schedule Next Traffic Wave
+     */
+    scheduleNextWave() {
+        if (!this.running) return;
+
+        // Spawn Packets
+        for (let i = 0; i < this.packetsPerWave; i++) {
+            const userKey = this.sim.random.pick(this.userNodeIds);
+            this.sim.clock.delayedCall(i * 80, () => {
+                const userNode = this.sim.nodes[userKey];
+                if (this.running && userNode && userNode.active) {
+                    this.sim.spawnRequest(userNode);
+                }
+            });
+        }
+
+        // Schedule Next Wave
+        this.trafficTimer = this.sim.clock.delayedCall(this.currentTrafficDelay, () => {
+            this.scheduleNextWave();
+        });
+    }
+
+    /**
+     * Increase Difficulty
+     *
+     * Uses the difficulty stages configuration to progressively increase challenge.
+     */
+    increaseDifficulty() {
+        this.difficultyLevel++;
+
+        // Find the stage configuration for current difficulty level
+        const stage = this.difficultyStages[`stage${this.difficultyLevel}`];
+
+        if (stage) {
+            this.currentTrafficDelay = stage.trafficDelay;
+            this.packetsPerWave = stage.packetsPerWave;
+        }
+
+        this.sim.emit('difficultyChanged', this.difficultyLevel, stage);
+    }
+}
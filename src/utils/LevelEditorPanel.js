@@ -0,0 +1,508 @@
+/**
+ * Level Editor Panel
+ *
+ * Side panel of the LevelEditorScene (the #level-editor-panel element):
+ * forms for everything in a level file that is not drawn on the canvas.
+ * - Selected node: name, region, capacity, speed, wait queue (and read replica and
+ *   replication for databases, read-your-writes routing for app servers,
+ *   load balancing strategy and health checks, cache eviction, expiry, write policy
+ *   and stampede mitigations, CDN keys and expiry,
+ *   breaker and gateway settings)
+ * - Level settings, objectives, traffic (its key space and static content share) and
+ *   difficulty stages, chaos events
+ *   (scheduled ones; random chaos is kept as written in the level file)
+ * - Purchases, story pages and the end-of-level notes
+ *
+ * Form fields write straight into the editor's levelData through their
+ * data-path ('traffic.stages.0.delay'); buttons call back into the scene.
+ */
+
+import { CONFIG } from '../config.js';
+import { CACHE_CONFIG, CDN_CONFIG, CHAOS_CONFIG, GATEWAY_CONFIG, LOAD_BALANCER_CONFIG, REGION_CONFIG, REPLICATION_CONFIG } from '../config/index.js';
+import { NODE_TYPES } from '../objects/nodes.js';
+
+/**
+ * Escape a value for use in HTML text or attributes
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read a dotted path ('target.requests', 'purchases.0.price')
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+/**
+ * Write a dotted path (creating missing objects on the way); undefined deletes the field
+ */
+function setPath(object, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((value, part) => value[part] || (value[part] = {}), object);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+}
+
+export class LevelEditorPanel {
+    /**
+     * @param {LevelEditorScene} editor - Scene that owns the level being edited
+     * @param {Object} purchaseKinds - Components that can be offered for purchase, by kind
+     */
+    constructor(editor, purchaseKinds) {
+        this.editor = editor;
+        this.purchaseKinds = purchaseKinds;
+        this.element = document.getElementById('level-editor-panel');
+
+        this.element.addEventListener('change', (event) => this.onChange(event.target));
+        this.element.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) this.onAction(button.dataset.action, Number(button.dataset.index));
+        });
+    }
+
+    /**
+     * Show the panel (the canvas shrinks to make room)
+     */
+    show() {
+        this.element.style.display = 'flex';
+        window.dispatchEvent(new Event('resize'));
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.element.style.display = 'none';
+        window.dispatchEvent(new Event('resize'));
+    }
+
+    /**
+     * Redraw every section from the editor's current state
+     */
+    render() {
+        const data = this.editor.levelData;
+
+        this.element.innerHTML = `
+            <div class="editor-actions">
+                <button data-action="playTest" class="start"><span>▶ Play-test</span></button>
+                <button data-action="exportLevel" class="replay"><span>⬇ Export</span></button>
+                <button data-action="openLevel" class="replay"><span>📂 Open</span></button>
+                <button data-action="newLevel" class="reset"><span>✚ New</span></button>
+                <input type="file" id="level-file-input" accept=".json,application/json" style="display: none;">
+            </div>
+            ${this.renderNodeSection()}
+            <div class="sidebar-section">
+                <h3>Level</h3>
+                ${this.field('Title', 'title', 'text')}
+                ${this.field('Level number', 'levelNumber', 'optional')}
+                ${this.field('Starting budget ($)', 'budget', 'optional')}
+                ${this.field('Revenue per request ($)', 'revenuePerRequest', 'optional')}
+                ${this.field('Upgrade cost ($)', 'upgradeCost', 'optional')}
+            </div>
+            <div class="sidebar-section">
+                <h3>Objectives</h3>
+                ${this.field('Requests to complete', 'target.requests')}
+                ${this.field('Max error rate (%)', 'target.maxErrorRate')}
+                ${this.field('Max latency (ms)', 'target.maxLatency', 'optional')}
+                ${this.field('Latency percentile (50/95/99)', 'target.latencyPercentile', 'optional', 95)}
+                ${this.field('Max shed rate (%)', 'target.maxShedRate', 'optional', CONFIG.maxShedRate)}
+                ${this.field('Max stale reads (%)', 'target.maxStaleReadRate', 'optional')}
+                ${this.field('Max reads missing own writes (%)', 'target.maxStaleOwnReadRate', 'optional')}
+                ${this.field('Max lost writes', 'target.maxLostWrites', 'optional')}
+            </div>
+            <div class="sidebar-section">
+                <h3>Traffic</h3>
+                ${this.field('Delay between waves (ms)', 'traffic.initialDelay')}
+                ${this.field('Requests per wave', 'traffic.initialPacketsPerWave')}
+                ${this.field('Stage interval (ms, 0 = constant)', 'traffic.difficultyInterval')}
+                ${this.field('Writes (%)', 'traffic.writePercentage', 'optional')}
+                ${this.field('Resource keys', 'traffic.keySpace.keys', 'optional', CACHE_CONFIG.keySpace.keys)}
+                ${this.field('Key popularity (Zipf exponent, 0 = uniform)', 'traffic.keySpace.exponent', 'optional', CACHE_CONFIG.keySpace.exponent)}
+                ${this.field('Static content (% of reads)', 'traffic.staticPercentage', 'optional', CDN_CONFIG.staticPercentage)}
+                ${data.traffic.stages.map((stage, i) => `
+                    <div class="editor-row">
+                        <strong>Stage ${i + 1}</strong>
+                        <button data-action="removeStage" data-index="${i}" class="reset"><span>✕</span></button>
+                    </div>
+                    ${this.field('Delay (ms)', `traffic.stages.${i}.delay`)}
+                    ${this.field('Requests per wave', `traffic.stages.${i}.packetsPerWave`)}
+                    ${this.field('Message', `traffic.stages.${i}.message`, 'text')}
+                `).join('')}
+                <button data-action="addStage" class="upgrade"><span>+ Add Stage</span></button>
+            </div>
+            ${this.renderChaosSection()}
+            ${this.renderPurchaseSection()}
+            <div class="sidebar-section">
+                <h3>Story</h3>
+                ${data.story.map((page, i) => `
+                    <div class="editor-row">
+                        <strong>Page ${i + 1}</strong>
+                        <button data-action="removePage" data-index="${i}" class="reset"><span>✕</span></button>
+                    </div>
+                    <textarea data-path="story.${i}.text" data-type="text" rows="3">${escapeHtml(page.text)}</textarea>
+                `).join('')}
+                <button data-action="addPage" class="upgrade"><span>+ Add Page</span></button>
+            </div>
+            <div class="sidebar-section">
+                <h3>Architect's Notes</h3>
+                ${this.field('Title', 'notes.title', 'text')}
+                <label class="editor-field"><span>Text</span></label>
+                <textarea data-path="notes.text" data-type="text" rows="3">${escapeHtml(data.notes.text)}</textarea>
+                <label class="editor-field"><span>Points (one per line)</span></label>
+                <textarea data-path="notes.points" data-type="lines" rows="3">${escapeHtml(data.notes.points.join('\n'))}</textarea>
+                ${this.field('Key insight', 'notes.insight', 'text')}
+            </div>
+        `;
+
+        this.element.querySelector('#level-file-input').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) file.text().then(text => this.editor.openLevel(text));
+        });
+    }
+
+    /**
+     * Selected node section (or how to select one)
+     */
+    renderNodeSection() {
+        const node = this.editor.selectedNode;
+
+        if (!node) {
+            return `
+                <div class="sidebar-section">
+                    <h3>Selected Node</h3>
+                    <p class="editor-hint">Place nodes from the palette, click one to edit it,
+                    shift-drag between two nodes to link them.</p>
+                </div>`;
+        }
+
+        const defaults = NODE_TYPES[node.type];
+        const nodeField = (label, field, value, type = 'number') => `
+            <label class="editor-field"><span>${label}</span>
+                <input type="${type}" data-node-field="${field}" value="${escapeHtml(value)}"
+                    placeholder="${escapeHtml(defaults[field] !== undefined ? defaults[field] : '')}">
+            </label>`;
+
+        return `
+            <div class="sidebar-section">
+                <h3>Selected Node</h3>
+                ${nodeField('Name', 'name', node.name, 'text')}
+                <label class="editor-field"><span>Region</span>
+                    <select data-node-field="region">
+                        <option value="" ${!node.region ? 'selected' : ''}>None</option>
+                        ${Object.entries(REGION_CONFIG.regions).map(([key, region]) =>
+                            `<option value="${key}" ${node.region === key ? 'selected' : ''}>${region.label}</option>`).join('')}
+                    </select>
+                </label>
+                ${node.type !== 'user' ? nodeField('Capacity', 'capacity', node.capacity) : ''}
+                ${node.type !== 'user' ? nodeField('Processing time (ms)', 'speed', node.speed) : ''}
+                ${node.waitQueue && !node.messageQueue ? nodeField('Wait queue size', 'queueSize', node.queueSize) : ''}
+                ${node.waitQueue && !node.messageQueue ? nodeField('Wait timeout (ms)', 'timeout', node.timeout) : ''}
+                ${node.type === 'database' ? `
+                    <label class="editor-field"><span>Read replica</span>
+                        <input type="checkbox" data-node-field="isReplica" ${node.isReplica ? 'checked' : ''}>
+                    </label>
+                    ${node.isReplica ? nodeField('Replication lag (ms)', 'replicationLag', node.replicationLag) : `
+                    <label class="editor-field"><span>Replication</span>
+                        <select data-node-field="replicationMode">
+                            ${Object.entries(REPLICATION_CONFIG.modes).map(([key, mode]) =>
+                                `<option value="${key}" ${node.replicationMode === key ? 'selected' : ''}>${mode.label}</option>`).join('')}
+                        </select>
+                    </label>`}` : ''}
+                ${node.type === 'app' ? `
+                    <label class="editor-field"><span>${REPLICATION_CONFIG.options.readYourWrites.label}</span>
+                        <input type="checkbox" data-node-field="readYourWrites" ${node.readYourWrites ? 'checked' : ''}>
+                    </label>` : ''}
+                ${node.type === 'loadbalancer' ? `
+                    <label class="editor-field"><span>Strategy</span>
+                        <select data-node-field="strategy">
+                            ${Object.entries(LOAD_BALANCER_CONFIG.strategies).map(([key, strategy]) =>
+                                `<option value="${key}" ${node.strategy === key ? 'selected' : ''}>${strategy.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="editor-field"><span>Health checks</span>
+                        <input type="checkbox" data-node-field="healthCheck" ${node.healthCheck ? 'checked' : ''}>
+                    </label>
+                    ${nodeField('Health check every (ms)', 'healthCheckInterval', node.healthCheckInterval)}
+                    ${nodeField('Out after failed checks', 'unhealthyThreshold', node.unhealthyThreshold)}
+                    ${nodeField('Back after passed checks', 'healthyThreshold', node.healthyThreshold)}` : ''}
+                ${node.type === 'cache' ? `
+                    <label class="editor-field"><span>Eviction</span>
+                        <select data-node-field="eviction">
+                            ${Object.entries(CACHE_CONFIG.evictionPolicies).map(([key, policy]) =>
+                                `<option value="${key}" ${node.eviction === key ? 'selected' : ''}>${policy.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="editor-field"><span>Keys held</span>
+                        <input type="number" data-node-field="maxKeys" value="${escapeHtml(node.maxKeys || '')}"
+                            placeholder="${node.capacity * CACHE_CONFIG.keysPerCapacity} (${CACHE_CONFIG.keysPerCapacity} per capacity)">
+                    </label>
+                    ${nodeField('Key TTL (ms, 0 = none)', 'ttl', node.ttl)}
+                    <label class="editor-field"><span>Invalidate on write</span>
+                        <input type="checkbox" data-node-field="invalidateOnWrite" ${node.invalidateOnWrite ? 'checked' : ''}>
+                    </label>
+                    <label class="editor-field"><span>Write policy</span>
+                        <select data-node-field="writePolicy">
+                            ${Object.entries(CACHE_CONFIG.writePolicies).map(([key, policy]) =>
+                                `<option value="${key}" ${node.writePolicy === key ? 'selected' : ''}>${policy.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    ${nodeField('Write-back flush every (ms)', 'flushInterval', node.flushInterval)}
+                    ${Object.entries(CACHE_CONFIG.mitigations).map(([key, mitigation]) => `
+                        <label class="editor-field"><span>${mitigation.label}</span>
+                            <input type="checkbox" data-node-field="${key}" ${node[key] ? 'checked' : ''}>
+                        </label>`).join('')}` : ''}
+                ${node.type === 'cdn' ? `
+                    <label class="editor-field"><span>Keys held</span>
+                        <input type="number" data-node-field="maxKeys" value="${escapeHtml(node.maxKeys || '')}"
+                            placeholder="${node.capacity * CDN_CONFIG.keysPerCapacity} (${CDN_CONFIG.keysPerCapacity} per capacity)">
+                    </label>
+                    ${nodeField('Key TTL (ms, 0 = none)', 'ttl', node.ttl)}` : ''}
+                ${node.type === 'breaker' ? nodeField('Opens at failure ratio (0-1)', 'failureThreshold', node.failureThreshold) : ''}
+                ${node.type === 'breaker' ? nodeField('Stays open (ms)', 'openDuration', node.openDuration) : ''}
+                ${node.type === 'gateway' ? `
+                    <label class="editor-field"><span>Rate limiting</span>
+                        <select data-node-field="algorithm">
+                            ${Object.entries(GATEWAY_CONFIG.algorithms).map(([key, algorithm]) =>
+                                `<option value="${key}" ${node.algorithm === key ? 'selected' : ''}>${algorithm.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    ${nodeField('Token bucket: requests/s per user', 'rate', node.rate)}
+                    ${nodeField('Token bucket: burst', 'burst', node.burst)}
+                    ${nodeField('Sliding window: requests per user', 'limit', node.limit)}
+                    ${nodeField('Sliding window: length (ms)', 'window', node.window)}
+                    <label class="editor-field"><span>Auth checks</span>
+                        <input type="checkbox" data-node-field="auth" ${node.auth ? 'checked' : ''}>
+                    </label>
+                    ${nodeField('Auth check time (ms)', 'authDelay', node.authDelay)}` : ''}
+                <button data-action="removeSelectedNode" class="reset"><span>🗑 Remove Node</span></button>
+            </div>`;
+    }
+
+    /**
+     * Chaos events section: one block per scheduled event, then the add row
+     */
+    renderChaosSection() {
+        const chaos = this.editor.levelData.traffic.chaos;
+        const events = chaos && chaos.events ? chaos.events : [];
+
+        return `
+            <div class="sidebar-section">
+                <h3>Chaos Events</h3>
+                ${events.map((event, i) => {
+                    const path = `traffic.chaos.events.${i}`;
+                    let fields;
+                    if (event.type === 'linkFault') {
+                        fields = `
+                            ${this.field('From node', `${path}.from`, 'text')}
+                            ${this.field('To node', `${path}.to`, 'text')}
+                            ${this.field('Extra latency (ms)', `${path}.latency`, 'optional', CHAOS_CONFIG.linkLatency)}
+                            ${this.field('Packet loss (0-1)', `${path}.loss`, 'optional', CHAOS_CONFIG.linkLoss)}`;
+                    } else if (event.type === 'partition') {
+                        fields = `
+                            <label class="editor-field"><span>Nodes cut off (one per line)</span></label>
+                            <textarea data-path="${path}.nodes" data-type="lines" rows="2">${escapeHtml(event.nodes.join('\n'))}</textarea>`;
+                    } else {
+                        fields = this.field('Node', `${path}.node`, 'text');
+                        if (event.type === 'slowdown') {
+                            fields += this.field('Slowdown factor', `${path}.factor`, 'optional', CHAOS_CONFIG.slowdownFactor);
+                        }
+                    }
+                    return `
+                        <div class="editor-row">
+                            <strong>${CHAOS_CONFIG.types[event.type] ? CHAOS_CONFIG.types[event.type].label : escapeHtml(event.type)}</strong>
+                            <button data-action="removeChaosEvent" data-index="${i}" class="reset"><span>✕</span></button>
+                        </div>
+                        ${this.field('At (ms)', `${path}.at`)}
+                        ${fields}
+                        ${this.field('Duration (ms)', `${path}.duration`, 'optional', CHAOS_CONFIG.duration)}
+                        ${this.field('Message', `${path}.message`, 'text')}`;
+                }).join('')}
+                <div class="editor-row">
+                    <select id="editor-chaos-type">
+                        ${Object.entries(CHAOS_CONFIG.types).map(([type, entry]) =>
+                            `<option value="${type}">${entry.label}</option>`).join('')}
+                    </select>
+                    <button data-action="addChaosEvent" class="upgrade"><span>+ Add</span></button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Purchases section: one block per purchase, then the add row
+     */
+    renderPurchaseSection() {
+        const purchases = this.editor.levelData.purchases;
+
+        return `
+            <div class="sidebar-section">
+                <h3>Purchases</h3>
+                ${purchases.map((purchase, i) => `
+                    <div class="editor-row">
+                        <strong>${escapeHtml(purchase.node.type)}</strong>
+                        <button data-action="removePurchase" data-index="${i}" class="reset"><span>✕</span></button>
+                    </div>
+                    ${this.field('Button label', `purchases.${i}.label`, 'text')}
+                    ${this.field('Price ($)', `purchases.${i}.price`)}
+                    ${this.field('Limit', `purchases.${i}.limit`)}
+                    ${this.field('Capacity', `purchases.${i}.node.capacity`, 'optional', NODE_TYPES[purchase.node.type].capacity)}
+                    ${this.field('Processing time (ms)', `purchases.${i}.node.speed`, 'optional', NODE_TYPES[purchase.node.type].speed)}
+                `).join('')}
+                <div class="editor-row">
+                    <select id="editor-purchase-kind">
+                        ${Object.entries(this.purchaseKinds).map(([kind, entry]) =>
+                            `<option value="${kind}">${entry.label}</option>`).join('')}
+                    </select>
+                    <button data-action="addPurchase" class="upgrade"><span>+ Add</span></button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Labelled input bound to a levelData path
+     *
+     * @param {string} label - Field label
+     * @param {string} path - Dotted path into levelData
+     * @param {string} type - 'number', 'optional' (number that may be left empty) or 'text'
+     * @param {*} placeholder - Shown when empty (e.g. the default value)
+     */
+    field(label, path, type = 'number', placeholder = '') {
+        const value = getPath(this.editor.levelData, path);
+
+        return `
+            <label class="editor-field"><span>${label}</span>
+                <input type="${type === 'text' ? 'text' : 'number'}" data-path="${path}" data-type="${type}"
+                    value="${escapeHtml(value !== undefined && value !== null ? value : '')}"
+                    placeholder="${escapeHtml(placeholder !== undefined ? placeholder : '')}">
+            </label>`;
+    }
+
+    /**
+     * Store an edited field
+     */
+    onChange(input) {
+        if (input.dataset.nodeField) {
+            const field = input.dataset.nodeField;
+            const value = input.type === 'checkbox' ? input.checked
+                : field === 'name' || field === 'algorithm' || field === 'strategy' || field === 'eviction' || field === 'writePolicy' || field === 'region' || field === 'replicationMode' ? input.value
+                : Number(input.value);
+            this.editor.updateNode(this.editor.selectedNode, field, value);
+            return;
+        }
+
+        if (!input.dataset.path) return;
+
+        let value;
+        switch (input.dataset.type) {
+            case 'text':
+                value = input.value;
+                break;
+            case 'lines':
+                value = input.value.split('\n').map(line => line.trim()).filter(line => line);
+                break;
+            case 'optional':
+                value = input.value === '' ? undefined : Number(input.value);
+                break;
+            default:
+                // Required numbers keep their old value when cleared
+                if (input.value === '') {
+                    input.value = getPath(this.editor.levelData, input.dataset.path);
+                    return;
+                }
+                value = Number(input.value);
+        }
+
+        setPath(this.editor.levelData, input.dataset.path, value);
+    }
+
+    /**
+     * Handle a button
+     *
+     * @param {string} action - data-action of the button
+     * @param {number} index - data-index of the button (list entries)
+     */
+    onAction(action, index) {
+        const data = this.editor.levelData;
+
+        switch (action) {
+            case 'playTest':
+            case 'exportLevel':
+            case 'newLevel':
+                this.editor[action]();
+                return;
+            case 'openLevel':
+                this.element.querySelector('#level-file-input').click();
+                return;
+            case 'removeSelectedNode':
+                this.editor.removeComponent(this.editor.selectedNode.key);
+                return;
+            case 'addStage': {
+                const stages = data.traffic.stages;
+                const last = stages[stages.length - 1] || {
+                    delay: data.traffic.initialDelay,
+                    packetsPerWave: data.traffic.initialPacketsPerWave
+                };
+                stages.push({
+                    delay: Math.max(100, Math.round(last.delay * 0.8)),
+                    packetsPerWave: last.packetsPerWave + 1,
+                    message: 'Traffic increasing...'
+                });
+                break;
+            }
+            case 'removeStage':
+                data.traffic.stages.splice(index, 1);
+                break;
+            case 'addChaosEvent': {
+                const chaos = data.traffic.chaos = data.traffic.chaos || {};
+                const events = chaos.events = chaos.events || [];
+                const type = this.element.querySelector('#editor-chaos-type').value;
+                const last = events[events.length - 1];
+                const servers = Object.values(this.editor.simulation.nodes).filter(node => node.crash);
+                const first = servers[0] ? servers[0].key : 'App1';
+
+                const event = { at: last ? last.at + 10000 : 20000, type };
+                if (type === 'linkFault') {
+                    const edge = this.editor.simulation.topology.getLinkedEdges()[0];
+                    event.from = edge ? edge.from : 'User1';
+                    event.to = edge ? edge.to : first;
+                } else if (type === 'partition') {
+                    event.nodes = [first];
+                } else {
+                    event.node = first;
+                }
+                events.push(event);
+                break;
+            }
+            case 'removeChaosEvent':
+                data.traffic.chaos.events.splice(index, 1);
+                if (data.traffic.chaos.events.length === 0 && !data.traffic.chaos.random) {
+                    delete data.traffic.chaos;
+                }
+                break;
+            case 'addPurchase':
+                this.editor.addPurchase(this.element.querySelector('#editor-purchase-kind').value);
+                break;
+            case 'removePurchase':
+                data.purchases.splice(index, 1);
+                break;
+            case 'addPage':
+                data.story.push({ text: '' });
+                break;
+            case 'removePage':
+                data.story.splice(index, 1);
+                break;
+        }
+
+        this.render();
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * Metrics Dashboard
+ *
+ * Collapsible panel next to the left sidebar (the #metrics-dashboard element)
+ * with line charts of the simulation's MetricsCollector samples over
+ * simulated time:
+ * - Throughput (and retries sent, requests shed), error rate (with the level's limit), latency p50/p95/p99
+ *   (with the latency objective, if any) and money
+ * - Utilization of every node, to see when the bottleneck moves from one
+ *   tier to the next
+ *
+ * Charts are drawn on plain canvases and redrawn on every new sample while
+ * the panel is open. Whether it is open is kept between levels.
+ */
+
+/**
+ * Line colors of the node utilization chart (cycled)
+ */
+const NODE_COLORS = ['#4fc1ff', '#ff6b35', '#00ff00', '#ffd700', '#ff44cc', '#b388ff', '#00ffff', '#ff4444'];
+
+/**
+ * Chart layout (CSS pixels)
+ */
+const CHART = {
+    height: 110,
+    padding: { top: 8, right: 8, bottom: 18, left: 40 }
+};
+
+/**
+ * Open/closed state, shared by the dashboards of every level
+ */
+let expanded = false;
+
+/**
+ * Format an axis value ('1.2k', '15', '0.5')
+ */
+function formatValue(value) {
+    if (value >= 1000) return `${(value / 1000).toFixed(1)}k`;
+    if (value >= 10) return `${Math.round(value)}`;
+    return `${Math.round(value * 10) / 10}`;
+}
+
+/**
+ * Draw a line chart (also used by the node inspector)
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on (sized to its CSS width)
+ * @param {Array<Object>} samples - MetricsCollector samples
+ * @param {Array<Object>} lines - { color, value: sample => number|null } (null leaves a gap)
+ * @param {Object} options - { max: lowest y-axis maximum, limit: dashed threshold line, height: CSS pixels }
+ */
+export function drawLineChart(canvas, samples, lines, options = {}) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = options.height || CHART.height;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+
+    const pad = CHART.padding;
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    // Y axis from 0 to the largest value (or the limit, so it is always visible)
+    let max = options.max || 1;
+    if (options.limit) max = Math.max(max, options.limit * 1.2);
+    samples.forEach(sample => lines.forEach(line => {
+        const value = line.value(sample);
+        if (value !== null && value !== undefined) max = Math.max(max, value);
+    }));
+
+    const firstTime = samples.length > 0 ? samples[0].time : 0;
+    const lastTime = samples.length > 1 ? samples[samples.length - 1].time : firstTime + 1;
+    const toX = time => pad.left + (time - firstTime) / (lastTime - firstTime) * plotWidth;
+    const toY = value => pad.top + plotHeight - value / max * plotHeight;
+
+    // Axes and labels
+    ctx.strokeStyle = 'rgba(74, 144, 226, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, pad.top + plotHeight);
+    ctx.lineTo(pad.left + plotWidth, pad.top + plotHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = '#b0b0b0';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(formatValue(max), pad.left - 4, pad.top);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('0', pad.left - 4, pad.top + plotHeight);
+
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${Math.round(firstTime / 1000)}s`, pad.left, pad.top + plotHeight + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(lastTime / 1000)}s`, pad.left + plotWidth, pad.top + plotHeight + 4);
+
+    // Threshold (error rate limit, latency objective)
+    if (options.limit) {
+        ctx.strokeStyle = '#ff4444';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, toY(options.limit));
+        ctx.lineTo(pad.left + plotWidth, toY(options.limit));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Series
+    ctx.lineWidth = 1.5;
+    lines.forEach(line => {
+        ctx.strokeStyle = line.color;
+        ctx.beginPath();
+
+        let drawing = false;
+        samples.forEach(sample => {
+            const value = line.value(sample);
+            if (value === null || value === undefined) {
+                drawing = false;
+                return;
+            }
+
+            if (drawing) {
+                ctx.lineTo(toX(sample.time), toY(value));
+            } else {
+                ctx.moveTo(toX(sample.time), toY(value));
+                drawing = true;
+            }
+        });
+
+        ctx.stroke();
+    });
+}
+
+export class MetricsDashboard {
+    /**
+     * @param {Simulation} simulation - Simulation whose metrics are charted
+     * @param {Object} options
+     * @param {number} options.maxErrorRate - Error rate limit of the level (%)
+     * @param {Object} options.latencyObjective - { percentile, maxLatency } (optional)
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.metrics = simulation.metrics;
+        this.options = options;
+        this.nodeKeys = [];             // Nodes seen so far, in order (fixes their colors)
+
+        this.element = document.getElementById('metrics-dashboard');
+        this.toggleButton = document.getElementById('metrics-toggle');
+        this.chartsElement = document.getElementById('metrics-charts');
+
+        this.renderCharts();
+
+        this.onToggle = () => this.toggle();
+        this.onSample = () => this.draw();
+        this.onResize = () => this.draw();
+        this.toggleButton.addEventListener('click', this.onToggle);
+        this.simulation.on('metricsSampled', this.onSample);
+        window.addEventListener('resize', this.onResize);
+    }
+
+    /**
+     * Chart definitions (title, legend, lines, axis options)
+     */
+    getCharts() {
+        const objective = this.options.latencyObjective;
+
+        return [
+            {
+                title: 'Throughput (req/s)',
+                lines: [
+                    { label: 'Completed', color: '#00ff00', value: sample => sample.throughput },
+                    { label: 'Retries', color: '#ff4444', value: sample => sample.retries },
+                    { label: 'Shed (429)', color: '#ff00ff', value: sample => sample.shed }
+                ]
+            },
+            {
+                title: 'Error Rate (%)',
+                lines: [{ label: 'Errors', color: '#ff4444', value: sample => sample.errorRate }],
+                options: { limit: this.options.maxErrorRate }
+            },
+            {
+                title: 'Latency (ms)',
+                lines: [
+                    { label: 'p50', color: '#00ffff', value: sample => sample.p50 },
+                    { label: 'p95', color: '#ffd700', value: sample => sample.p95 },
+                    { label: 'p99', color: '#ff6b35', value: sample => sample.p99 }
+                ],
+                options: { limit: objective ? objective.maxLatency : null }
+            },
+            {
+                title: 'Money ($)',
+                lines: [{ label: 'Budget', color: '#ffd700', value: sample => sample.gauges.money }]
+            },
+            {
+                title: 'Node Utilization (%)',
+                lines: this.nodeKeys.map((key, i) => ({
+                    label: this.simulation.nodes[key] ? this.simulation.nodes[key].name : key,
+                    color: NODE_COLORS[i % NODE_COLORS.length],
+                    value: sample => (sample.nodes[key] ? sample.nodes[key].utilization * 100 : null)
+                })),
+                options: { max: 100 }
+            }
+        ];
+    }
+
+    /**
+     * Build one block (title, legend, canvas) per chart
+     */
+    renderCharts() {
+        this.charts = this.getCharts();
+
+        this.chartsElement.innerHTML = this.charts.map((chart, i) => `
+            <div class="metrics-chart">
+                <div class="metrics-chart-title">${chart.title}</div>
+                <div class="metrics-legend">
+                    ${chart.lines.map(line => `<span><span class="legend-dot" style="background:${line.color}"></span>${line.label}</span>`).join('')}
+                </div>
+                <canvas data-chart="${i}" style="height: ${CHART.height}px"></canvas>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Redraw every chart (only while the panel is open)
+     */
+    draw() {
+        if (!expanded || this.element.style.display === 'none') return;
+
+        const samples = this.metrics.samples;
+
+        // Nodes bought since the last draw get a line (and a legend entry)
+        const latest = samples.length > 0 ? samples[samples.length - 1].nodes : {};
+        const newKeys = Object.keys(latest).filter(key => !this.nodeKeys.includes(key));
+        if (newKeys.length > 0) {
+            this.nodeKeys.push(...newKeys);
+            this.renderCharts();
+        }
+
+        this.charts.forEach((chart, i) => {
+            const canvas = this.chartsElement.querySelector(`canvas[data-chart="${i}"]`);
+            drawLineChart(canvas, samples, chart.lines, chart.options);
+        });
+    }
+
+    /**
+     * Show the dashboard (open or collapsed, as the player left it)
+     */
+    show() {
+        this.element.style.display = 'flex';
+        this.applyExpanded();
+    }
+
+    /**
+     * Open or collapse the charts
+     */
+    toggle() {
+        expanded = !expanded;
+        this.applyExpanded();
+    }
+
+    /**
+     * Apply the open/closed state; the game canvas resizes to the space left
+     */
+    applyExpanded() {
+        this.element.classList.toggle('collapsed', !expanded);
+        window.dispatchEvent(new Event('resize'));
+        this.draw();
+    }
+
+    /**
+     * Hide the dashboard and stop listening (scene shutdown)
+     */
+    destroy() {
+        this.toggleButton.removeEventListener('click', this.onToggle);
+        this.simulation.off('metricsSampled', this.onSample);
+        window.removeEventListener('resize', this.onResize);
+
+        this.element.style.display = 'none';
+        window.dispatchEvent(new Event('resize'));
+    }
+}
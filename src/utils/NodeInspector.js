@@ -0,0 +1,504 @@
+/**
+ * Node Inspector
+ *
+ * Panel over the top-right of the game area (the #node-inspector element)
+ * that opens when the player clicks a node:
+ * - Live statistics: status (crashed, partitioned or slowed down by chaos
+ *   events), capacity, processing time, load, queue depth,
+ *   processed/dropped/timed out packets, region, plus hit rate (cache, CDN),
+ *   keys held, evictions, expiries and stale hits (cache, CDN),
+ *   invalidations, stampedes and stampede mitigations (cache), dynamic
+ *   requests passed through and purges (CDN), storage and replication
+ *   (database: mode, or a replica's lag and keys behind), reads sent to the
+ *   primary by read-your-writes routing (app server), breaker state and
+ *   failure ratio (circuit breaker), rate limit and requests shed (API
+ *   gateway) or request counts, latency and missed own writes (user)
+ * - Load balancers: strategy picker (switchable mid-run), health check
+ *   switch and a histogram of the requests sent to each app server since the
+ *   strategy was set, with each server's health
+ * - Caches: write policy picker (switchable mid-run) with the writes taken,
+ *   dirty keys waiting for a flush and writes lost (in crashes, or evicted
+ *   with nowhere to flush them)
+ * - Utilization history from the simulation's MetricsCollector
+ * - Actions on this node only: upgrade (to its next tier), purge (CDN),
+ *   crash / restart (injected failure, during the run) and, in scenes that
+ *   allow it before the run, remove
+ *
+ * Actions go through scene.performAction() so they are recorded in replays.
+ * The panel refreshes on every metrics sample (unless a picker is open), when
+ * a circuit breaker changes state, a load balancer strategy, app server health,
+ * cache write policy or mitigation changes, a CDN is purged, the node crashes
+ * or restarts, and after each action.
+ */
+
+import { GameState } from '../config.js';
+import { GATEWAY_CONFIG, LOAD_BALANCER_CONFIG, CACHE_CONFIG, REGION_CONFIG, REPLICATION_CONFIG } from '../config/index.js';
+import { getUpgradeCost } from './uiManager.js';
+import { drawLineChart } from './MetricsDashboard.js';
+
+/**
+ * Display name per node type
+ */
+const TYPE_LABELS = {
+    user: 'User',
+    app: 'App Server',
+    database: 'Database',
+    cache: 'Cache',
+    loadbalancer: 'Load Balancer',
+    cdn: 'CDN',
+    pubsub: 'Pubsub Queue',
+    breaker: 'Circuit Breaker',
+    gateway: 'API Gateway'
+};
+
+/**
+ * Circuit breaker state names
+ */
+const BREAKER_STATES = {
+    closed: '🟢 Closed',
+    open: '🔴 Open (failing fast)',
+    halfOpen: '🟡 Half-open (trial calls)'
+};
+
+/**
+ * App server health state names (see LoadBalancerNode.getServerHealth)
+ */
+const HEALTH_STATES = {
+    healthy: 'Healthy',
+    failing: 'Failing checks',
+    unhealthy: 'Out of rotation',
+    recovering: 'Recovering'
+};
+
+/**
+ * Height of the utilization history chart (CSS pixels)
+ */
+const HISTORY_HEIGHT = 80;
+
+/**
+ * Format a 0xRRGGBB color for CSS
+ */
+function hexColor(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * Format a 0-1 ratio as a percentage
+ */
+function percent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+export class NodeInspector {
+    /**
+     * @param {BaseLevelScene} scene - Scene whose nodes are inspected
+     * @param {Simulation} simulation - The scene's simulation
+     */
+    constructor(scene, simulation) {
+        this.scene = scene;
+        this.simulation = simulation;
+        this.node = null;
+
+        this.element = document.getElementById('node-inspector');
+
+        this.onClick = (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button && !button.disabled) this.onAction(button.dataset.action);
+        };
+        this.onChange = (event) => {
+            if (event.target.dataset.strategy !== undefined) {
+                this.scene.performAction('setLoadBalancerStrategy', this.node.key, event.target.value);
+            } else if (event.target.dataset.healthCheck !== undefined) {
+                this.scene.performAction('setHealthCheck', this.node.key, event.target.checked);
+            } else if (event.target.dataset.writePolicy !== undefined) {
+                this.scene.performAction('setCacheWritePolicy', this.node.key, event.target.value);
+            }
+        };
+        this.onSample = () => {
+            // Rebuilding the panel would close a picker under the player's cursor
+            if (document.activeElement && document.activeElement.tagName === 'SELECT' &&
+                this.element.contains(document.activeElement)) return;
+            this.refresh();
+        };
+        this.onNodeRemoved = (key) => {
+            if (this.node && this.node.key === key) this.close();
+        };
+        this.onNodeChanged = (node) => {
+            if (node === this.node) this.refresh();
+        };
+
+        this.element.addEventListener('click', this.onClick);
+        this.element.addEventListener('change', this.onChange);
+        this.simulation.on('metricsSampled', this.onSample);
+        this.simulation.on('nodeRemoved', this.onNodeRemoved);
+        this.simulation.on('breakerStateChanged', this.onNodeChanged);
+        this.simulation.on('loadBalancerStrategyChanged', this.onNodeChanged);
+        this.simulation.on('backendHealthChanged', this.onNodeChanged);
+        this.simulation.on('cacheWritePolicyChanged', this.onNodeChanged);
+        this.simulation.on('cacheMitigationChanged', this.onNodeChanged);
+        this.simulation.on('writesLost', this.onNodeChanged);
+        this.simulation.on('cdnPurged', this.onNodeChanged);
+        this.simulation.on('nodeCrashed', this.onNodeChanged);
+        this.simulation.on('nodeRestarted', this.onNodeChanged);
+    }
+
+    /**
+     * Inspect a node
+     *
+     * @param {BaseNode} node - Clicked node
+     */
+    open(node) {
+        this.node = node;
+        this.element.style.display = 'block';
+        this.refresh();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.node = null;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Redraw the panel for the current state of the node
+     */
+    refresh() {
+        const node = this.node;
+        if (!node) return;
+
+        this.element.innerHTML = `
+            <div class="inspector-header">
+                <div>
+                    <strong>${node.name}</strong>
+                    <div class="inspector-type">${TYPE_LABELS[node.type] || node.type} · Level ${node.level}</div>
+                </div>
+                <button data-action="close" class="reset"><span>✕</span></button>
+            </div>
+            ${this.getStats().map(([label, value]) => `
+                <div class="stat-item">
+                    <span class="stat-label">${label}:</span>
+                    <span class="stat-value">${value}</span>
+                </div>
+            `).join('')}
+            ${node.type === 'loadbalancer' ? this.getBalancerHtml() : ''}
+            ${node.type === 'cache' ? this.getCacheHtml() : ''}
+            ${node.getLoadRatio ? `
+                <div class="inspector-subtitle">Utilization history</div>
+                <canvas id="inspector-history" style="height: ${HISTORY_HEIGHT}px"></canvas>
+            ` : ''}
+            <div class="inspector-actions">${this.getActionButtons()}</div>
+        `;
+
+        if (node.getLoadRatio) {
+            drawLineChart(this.element.querySelector('#inspector-history'), this.simulation.metrics.samples, [{
+                color: '#4fc1ff',
+                value: sample => (sample.nodes[node.key] ? sample.nodes[node.key].utilization * 100 : null)
+            }], { max: 100, height: HISTORY_HEIGHT });
+        }
+    }
+
+    /**
+     * Statistics rows for the node's type
+     *
+     * @returns {Array<Array>} [label, value] pairs
+     */
+    getStats() {
+        const node = this.node;
+
+        if (node.type === 'user') {
+            const latency = node.latency.summary();
+            const ms = value => (value === null ? '-' : `${Math.round(value)}ms`);
+            return [
+                ['Region', this.getRegionLabel()],
+                ['Latency p50 / p95', `${ms(latency.p50)} / ${ms(latency.p95)}`],
+                ['Requests / min', node.rpm],
+                ['In flight', node.concurrentRequests],
+                ['Succeeded', node.localSuccess],
+                ['Failed', node.localErrors],
+                ['Shed (429)', node.localShed],
+                ['Retries sent', node.retries],
+                ['Missed own writes', node.staleOwnReads]
+            ];
+        }
+
+        const chaos = this.simulation.chaos;
+        const status = [node.down ? '🔴 Down' : '🟢 Up'];
+        if (chaos && chaos.isIsolated(node)) status.push('✂ partitioned');
+        if (node.slowdown > 1) status.push(`🐢 ${node.slowdown}× slower`);
+
+        const stats = [
+            ...(node.region ? [['Region', this.getRegionLabel()]] : []),
+            ['Status', `${status.join(', ')}${node.crashes > 0 ? ` (crashed ${node.crashes}×)` : ''}`],
+            ['Capacity', node.maxCapacity ? `${node.capacity} (max ${node.maxCapacity})` : node.capacity],
+            ['Processing time', `${Math.round(node.speed)}ms`],
+            ['Current load', `${node.currentLoad} / ${node.capacity} (${percent(node.getLoadRatio())})`]
+        ];
+
+        if (node.messageQueue) {
+            stats.push(['Queue depth', `${node.messageQueue.length} / ${node.capacity}`]);
+        } else {
+            stats.push(['Waiting', `${node.waitQueue.length} / ${node.queueSize} (timeout ${node.timeout}ms)`]);
+        }
+
+        stats.push(['Processed', node.processed], ['Dropped', node.dropped]);
+        if (!node.messageQueue) {
+            stats.push(['Timed out', node.timedOut]);
+        }
+
+        if (node.hits !== undefined) {
+            const lookups = node.hits + node.misses;
+            stats.push(['Hit rate', lookups > 0 ? `${percent(node.hits / lookups)} (${node.hits}/${lookups})` : '-']);
+        }
+
+        if (node.type === 'cdn') {
+            const ttl = node.ttl > 0 ? `TTL ${node.ttl / 1000}s` : 'no TTL';
+            stats.push(['Keys cached', `${node.entries.size} / ${node.keyCapacity} (${ttl})`]);
+            stats.push(['Evicted / expired', `${node.evictions} / ${node.expirations}`]);
+            stats.push(['Stale hits', node.staleHits]);
+            stats.push(['Dynamic passed through', node.passed]);
+            stats.push(['Purged', `${node.purged} keys in ${node.purges} purges`]);
+        }
+
+        if (node.type === 'cache') {
+            const ttl = node.ttl > 0 ? `TTL ${node.ttl / 1000}s` : 'no TTL';
+            stats.push(['Keys cached', `${node.entries.size} / ${node.keyCapacity} (${node.eviction.toUpperCase()}, ${ttl})`]);
+            stats.push(['Evicted / expired', `${node.evictions} / ${node.expirations}`]);
+            stats.push(['Invalidated', node.invalidateOnWrite ? node.invalidations : 'Off']);
+            stats.push(['Stale hits', node.staleHits]);
+            stats.push(['Stampedes', `${node.stampedes} (${node.duplicateMisses} duplicate misses)`]);
+
+            const mitigations = Object.keys(CACHE_CONFIG.mitigations).filter(key => node[key]);
+            stats.push(['Mitigations', mitigations.length > 0
+                ? mitigations.map(key => CACHE_CONFIG.mitigations[key].label).join(', ')
+                : 'None']);
+            if (node.singleFlight) stats.push(['Coalesced misses', node.coalesced]);
+            if (node.earlyRefresh) stats.push(['Refreshed early', node.earlyRefreshes]);
+            if (node.staleWhileRevalidate) stats.push(['Served while revalidating', node.staleServed]);
+        }
+
+        if (node.type === 'app' && node.readYourWrites) {
+            stats.push(['Read-your-writes', `${node.pinnedReads} reads sent to the primary`]);
+        }
+
+        if (node.databaseStorage !== undefined) {
+            stats.push(['Storage', `${node.databaseStorage} records`]);
+            stats.push(['Role', node.isReplica ? 'Read replica' : 'Primary']);
+            if (node.isReplica) {
+                stats.push(['Replication lag', `${node.replicationLag}ms`]);
+                stats.push(['Keys behind', node.behind.size]);
+                stats.push(['Writes replicated', node.replicated]);
+                stats.push(['Stale reads served', node.staleServed]);
+            } else {
+                stats.push(['Replication', REPLICATION_CONFIG.modes[node.replicationMode].label]);
+            }
+        }
+
+        if (node.type === 'breaker') {
+            const { calls, failures, failureRatio } = node.getWindowStats();
+            stats.push(['State', BREAKER_STATES[node.state]]);
+            stats.push(['Failure ratio', `${percent(failureRatio)} (${failures}/${calls} in ${node.window / 1000}s, opens at ${percent(node.failureThreshold)})`]);
+            stats.push(['Calls turned away', node.rejected]);
+            stats.push(['Times opened', node.trips]);
+        }
+
+        if (node.type === 'gateway') {
+            stats.push(['Rate limit', node.algorithm === 'slidingWindow'
+                ? `${GATEWAY_CONFIG.algorithms.slidingWindow.label}: ${node.limit} per ${node.window / 1000}s per user`
+                : `${GATEWAY_CONFIG.algorithms.tokenBucket.label}: ${node.rate}/s, burst ${node.burst} per user`]);
+            stats.push(['Allowed', node.allowed]);
+            stats.push(['Shed (429)', `${node.shed} (${percent(node.getShedRatio())})`]);
+            stats.push(['Auth checks', node.auth ? `${node.authChecks} (+${node.authDelay}ms each)` : 'Off']);
+        }
+
+        const next = node.getNextUpgrade();
+        stats.push(['Next upgrade', next
+            ? `Level ${next.level}: ${next.capacity} capacity, ${next.speed}ms`
+            : 'Fully upgraded']);
+
+        return stats;
+    }
+
+    /**
+     * Name of the node's region (see REGION_CONFIG)
+     */
+    getRegionLabel() {
+        const region = REGION_CONFIG.regions[this.node.region];
+        return region ? `${region.label} (${region.short})` : 'None';
+    }
+
+    /**
+     * Load balancer strategy picker and distribution histogram
+     */
+    getBalancerHtml() {
+        const node = this.node;
+        const balancer = node.getBalancer();
+
+        const options = Object.entries(LOAD_BALANCER_CONFIG.strategies).map(([key, strategy]) =>
+            `<option value="${key}" ${key === node.strategy ? 'selected' : ''}>${strategy.label}</option>`).join('');
+
+        // Every app server behind the balancer, plus any that got requests and were removed since
+        const keys = node.getDownstream('request').map(server => server.key);
+        Object.keys(node.distribution).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        });
+        const counts = keys.map(key => node.distribution[key] || 0);
+        const sent = counts.reduce((sum, count) => sum + count, 0);
+        const most = Math.max(1, ...counts);
+
+        const rows = keys.map((key, i) => {
+            const server = this.simulation.nodes[key];
+            const health = server ? node.getServerHealth(server) : null;
+            const dot = health
+                ? `<span class="inspector-health-dot" title="${HEALTH_STATES[health]}" style="background: ${hexColor(LOAD_BALANCER_CONFIG.healthColors[health])}"></span>`
+                : '';
+            return `
+                <div class="inspector-histogram-row">
+                    <span class="inspector-histogram-label">${dot}${server ? server.name : key}</span>
+                    <div class="inspector-histogram-bar">
+                        <div class="inspector-histogram-fill" style="width: ${counts[i] / most * 100}%"></div>
+                    </div>
+                    <span class="inspector-histogram-value">${counts[i]} (${sent > 0 ? percent(counts[i] / sent) : '-'})</span>
+                </div>`;
+        }).join('');
+
+        return `
+            <div class="inspector-subtitle">Strategy</div>
+            <select data-strategy ${GameState.isGameOver ? 'disabled' : ''}>${options}</select>
+            ${balancer.sticky ? `
+                <div class="stat-item">
+                    <span class="stat-label">Sessions moved:</span>
+                    <span class="stat-value">${balancer.moved} of ${balancer.sessions.size}</span>
+                </div>` : ''}
+            <label class="inspector-checkbox">
+                <input type="checkbox" data-health-check ${node.healthCheck ? 'checked' : ''} ${GameState.isGameOver ? 'disabled' : ''}>
+                Health checks
+            </label>
+            ${node.healthCheck ? `
+                <div class="stat-item">
+                    <span class="stat-label">Checks:</span>
+                    <span class="stat-value">every ${node.healthCheckInterval / 1000}s, out after ${node.unhealthyThreshold} failed, back after ${node.healthyThreshold} passed</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Servers taken out:</span>
+                    <span class="stat-value">${node.failovers}</span>
+                </div>` : ''}
+            <div class="inspector-subtitle">Requests per app server</div>
+            ${rows || '<div class="inspector-type">No app servers wired</div>'}
+        `;
+    }
+
+    /**
+     * Cache write policy picker and write counts
+     */
+    getCacheHtml() {
+        const node = this.node;
+
+        const options = Object.entries(CACHE_CONFIG.writePolicies).map(([key, policy]) =>
+            `<option value="${key}" ${key === node.writePolicy ? 'selected' : ''}>${policy.label}</option>`).join('');
+        const rows = [
+            ['Writes taken', node.takesWrites() ? node.writes : 'None (app servers write to the database)'],
+            ['Dirty keys', node.writePolicy === 'writeBack'
+                ? `${node.getDirtyCount()} (flushed every ${node.flushInterval / 1000}s)`
+                : node.getDirtyCount()],
+            ['Flushed', node.flushes],
+            ['Writes lost', node.lostWrites]
+        ];
+
+        return `
+            <div class="inspector-subtitle">Write policy</div>
+            <select data-write-policy ${GameState.isGameOver ? 'disabled' : ''}>${options}</select>
+            ${rows.map(([label, value]) => `
+                <div class="stat-item">
+                    <span class="stat-label">${label}:</span>
+                    <span class="stat-value">${value}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Upgrade / remove buttons for the node
+     */
+    getActionButtons() {
+        const node = this.node;
+        const buttons = [];
+
+        if (node.type !== 'user') {
+            const cost = getUpgradeCost(node);
+            const maxed = cost === null;
+            const label = maxed ? 'Max Level' : `⬆ Upgrade ($${cost})`;
+            const disabled = maxed || GameState.money < cost || GameState.isGameOver;
+            buttons.push(`<button data-action="upgrade" class="upgrade" ${disabled ? 'disabled' : ''}><span>${label}</span></button>`);
+        }
+
+        if (node.purge && !GameState.isGameOver) {
+            buttons.push('<button data-action="purge" class="reset"><span>🧹 Purge</span></button>');
+        }
+
+        if (node.crash && GameState.isRunning && !GameState.isGameOver) {
+            buttons.push(node.down
+                ? '<button data-action="restart" class="upgrade"><span>🔄 Restart</span></button>'
+                : '<button data-action="crash" class="reset"><span>💥 Crash</span></button>');
+        }
+
+        if (this.scene.removeComponent && !GameState.isRunning) {
+            buttons.push('<button data-action="remove" class="reset"><span>🗑 Remove</span></button>');
+        }
+
+        return buttons.join('');
+    }
+
+    /**
+     * Handle a button
+     *
+     * @param {string} action - data-action of the button
+     */
+    onAction(action) {
+        const key = this.node.key;
+
+        switch (action) {
+            case 'close':
+                this.close();
+                return;
+            case 'upgrade':
+                this.scene.performAction('upgradeNode', key);
+                break;
+            case 'crash':
+                this.scene.performAction('crashNode', key);
+                break;
+            case 'restart':
+                this.scene.performAction('restartNode', key);
+                break;
+            case 'purge':
+                this.scene.performAction('purgeCDN', key);
+                break;
+            case 'remove':
+                this.scene.performAction('removeComponent', key);
+                break;
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Close the panel and stop listening (scene shutdown)
+     */
+    destroy() {
+        this.close();
+        this.element.removeEventListener('click', this.onClick);
+        this.element.removeEventListener('change', this.onChange);
+        this.simulation.off('metricsSampled', this.onSample);
+        this.simulation.off('nodeRemoved', this.onNodeRemoved);
+        this.simulation.off('breakerStateChanged', this.onNodeChanged);
+        this.simulation.off('loadBalancerStrategyChanged', this.onNodeChanged);
+        this.simulation.off('backendHealthChanged', this.onNodeChanged);
+        this.simulation.off('cacheWritePolicyChanged', this.onNodeChanged);
+        this.simulation.off('cacheMitigationChanged', this.onNodeChanged);
+        this.simulation.off('writesLost', this.onNodeChanged);
+        this.simulation.off('cdnPurged', this.onNodeChanged);
+        this.simulation.off('nodeCrashed', this.onNodeChanged);
+        this.simulation.off('nodeRestarted', this.onNodeChanged);
+    }
+}
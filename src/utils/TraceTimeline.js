@@ -0,0 +1,139 @@
+/**
+ * Trace Timeline
+ *
+ * Panel over the bottom-left of the game area (the #trace-timeline element)
+ * listing the spans of the packet followed by the PacketTracer:
+ * - One row per node visited (User → Load Balancer → App → Cache → ...),
+ *   with what happened there ('cache miss', 'dropped (timeout)')
+ * - A waterfall bar per row: time waiting in the node's queue, then time
+ *   being processed, placed on the request's own time axis
+ * - Queue / processing / link times in ms, and the end-to-end total
+ *
+ * The tracer decides when to redraw (when a span starts or ends).
+ */
+
+/**
+ * Format a duration
+ */
+function ms(value) {
+    return `${Math.round(value)}ms`;
+}
+
+export class TraceTimeline {
+    /**
+     * @param {PacketTracer} tracer - Tracer whose packet is shown
+     */
+    constructor(tracer) {
+        this.tracer = tracer;
+        this.element = document.getElementById('trace-timeline');
+
+        this.onClick = (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'sampleNext') {
+                this.tracer.sampleNext();
+            } else if (button.dataset.action === 'close') {
+                this.tracer.scene.toggleTracing();
+            }
+        };
+        this.element.addEventListener('click', this.onClick);
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        this.element.style.display = 'block';
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Redraw the timeline
+     *
+     * @param {Packet|null} packet - Followed packet (null while waiting for a sample)
+     */
+    render(packet) {
+        this.element.innerHTML = `
+            <div class="inspector-header">
+                <div>
+                    <strong>🔍 ${packet ? this.getTitle(packet) : 'Packet trace'}</strong>
+                    <div class="inspector-type">${packet ? this.getStatus(packet) : ''}</div>
+                </div>
+                <button data-action="close" class="reset"><span>✕</span></button>
+            </div>
+            ${packet ? this.renderSpans(packet) : `
+                <p class="trace-hint">Click a packet to follow it, or wait for the next
+                sampled request (1 in ${this.tracer.sampleEvery}).</p>
+            `}
+            <div class="inspector-actions">
+                <button data-action="sampleNext" class="replay"><span>⏭ Next sample</span></button>
+            </div>
+        `;
+    }
+
+    /**
+     * 'Write request #42 from User 1'
+     */
+    getTitle(packet) {
+        const kind = packet.isBackground ? 'Queued write' : packet.isWrite ? 'Write request' : 'Read request';
+        const source = packet.sourceNode ? ` from ${packet.sourceNode.name}` : '';
+        const attempt = packet.attempt > 1 ? ` (attempt ${packet.attempt})` : '';
+        return `${kind} #${packet.id}${source}${attempt}`;
+    }
+
+    /**
+     * In flight / completed / dropped, with the time so far
+     */
+    getStatus(packet) {
+        const end = packet.endedAt !== null ? packet.endedAt : packet.sim.now;
+        const total = ms(end - packet.createdAt);
+        const last = packet.currentHop;
+
+        if (packet.alive) return `In flight · ${total} so far`;
+        if (last && last.notes.some(note => note.startsWith('dropped'))) return `Dropped at ${last.name} after ${total}`;
+        return `Completed in ${total}`;
+    }
+
+    /**
+     * Waterfall rows, one per span
+     */
+    renderSpans(packet) {
+        const spans = packet.getSpans();
+        const start = packet.createdAt;
+        const end = packet.endedAt !== null ? packet.endedAt : packet.sim.now;
+        const total = Math.max(1, end - start);
+        const position = time => `${(time - start) / total * 100}%`;
+        const width = duration => `${duration / total * 100}%`;
+
+        return spans.map(span => `
+            <div class="trace-span">
+                <div class="trace-span-label">
+                    <strong>${span.name}</strong>
+                    ${span.notes.map(note => `<span class="trace-note">${note}</span>`).join('')}
+                </div>
+                <div class="trace-bar">
+                    <div class="trace-bar-queue" style="left: ${position(span.start)}; width: ${width(span.queue)}"></div>
+                    <div class="trace-bar-processing" style="left: ${position(span.start + span.queue)}; width: ${width(span.processing)}"></div>
+                </div>
+                <div class="trace-span-times">
+                    queue ${ms(span.queue)} · processing ${ms(span.processing)}${span.link !== null ? ` · link ${ms(span.link)}` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Hide the panel and stop listening (scene shutdown)
+     */
+    destroy() {
+        this.hide();
+        this.element.removeEventListener('click', this.onClick);
+    }
+}
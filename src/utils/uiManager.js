@@ -14,6 +14,7 @@
  */
 
 import { CONFIG, GameState } from '../config.js';
+import { RETRY_CONFIG } from '../config/retryConfig.js';
 
 /**
  * Get Target Total for Level
@@ -24,6 +25,11 @@ import { CONFIG, GameState } from '../config.js';
  * @returns {number} Target request count
  */
 function getTargetForLevel(level) {
+    // Levels loaded from JSON carry their own target
+    if (GameState.levelDefinition) {
+        return GameState.levelDefinition.target.requests;
+    }
+    
     switch(level) {
         case 1: return CONFIG.level1 ? CONFIG.level1.targetTotal : CONFIG.targetTotal;
         case 2: return CONFIG.level2Target;
@@ -34,6 +40,7 @@ function getTargetForLevel(level) {
         case 7: return CONFIG.level7Target;
         case 8: return CONFIG.level8Target;
         case 9: return CONFIG.level9Target;
+        case 0: return Infinity;    // Sandbox: no target
         default: return CONFIG.targetTotal;
     }
 }
@@ -47,6 +54,9 @@ function getTargetForLevel(level) {
  * @returns {number} Maximum error rate percentage
  */
 function getMaxErrorRateForLevel(level) {
+    if (GameState.levelDefinition) {
+        return GameState.levelDefinition.target.maxErrorRate;
+    }
     if (level === 1 && CONFIG.level1) {
         return CONFIG.level1.maxErrorRate;
     }
@@ -54,20 +64,111 @@ function getMaxErrorRateForLevel(level) {
 }
 
 /**
- * Get Upgrade Cost for Level
+ * Get Max Shed Rate
+ * 
+ * Returns the largest share of requests a rate limiter may shed (429) for the
+ * level to still count as won
+ * 
+ * @returns {number} Maximum shed rate percentage
+ */
+function getMaxShedRate() {
+    return GameState.maxShedRate !== null ? GameState.maxShedRate : CONFIG.maxShedRate;
+}
+
+/**
+ * Get Error Rate
+ * 
+ * Share of answered requests that failed. Requests shed by a rate limiter got
+ * a deliberate 429 rather than an error, so they are left out:
+ * errors / (total - shed) * 100
+ * 
+ * @returns {number} Error rate percentage (0 before any request was answered)
+ */
+export function getErrorRate() {
+    const answered = GameState.total - GameState.shed;
+    return answered > 0 ? (GameState.errors / answered) * 100 : 0;
+}
+
+/**
+ * Get Shed Rate
+ * 
+ * @returns {number} Share of all requests that were shed (429), in percent
+ */
+export function getShedRate() {
+    return GameState.total > 0 ? (GameState.shed / GameState.total) * 100 : 0;
+}
+
+/**
+ * Is Latency Objective Met
+ * 
+ * Levels can add a latency goal (e.g. p95 under 1500ms) to their win condition.
+ * 
+ * @returns {boolean} True if the level has no latency goal or it is met
+ */
+function isLatencyObjectiveMet() {
+    const objective = GameState.latencyObjective;
+    if (!objective) return true;
+    
+    const latency = GameState.latency[`p${objective.percentile}`];
+    return latency !== null && latency <= objective.maxLatency;
+}
+
+/**
+ * Get Stale Read Rate
  * 
- * Returns the upgrade cost for the current level
- * Levels may have custom upgrade costs
+ * @returns {number} Share of successful reads that returned an older version
+ *                   than the latest write, in percent
+ */
+export function getStaleReadRate() {
+    return GameState.reads > 0 ? (GameState.staleReads / GameState.reads) * 100 : 0;
+}
+
+/**
+ * Get Stale Own Read Rate
  * 
- * @returns {number} Upgrade cost
+ * @returns {number} Share of successful reads that missed a write their own
+ *                   client had already been told was saved, in percent
  */
-function getUpgradeCost() {
-    // Level 1 has a special upgrade cost
-    if (GameState.currentLevel === 1 && CONFIG.level1 && CONFIG.level1.servers && CONFIG.level1.servers.app) {
-        return CONFIG.level1.servers.app.upgradeCost;
+export function getStaleOwnReadRate() {
+    return GameState.reads > 0 ? (GameState.staleOwnReads / GameState.reads) * 100 : 0;
+}
+
+/**
+ * Is Consistency Objective Met
+ * 
+ * Levels can add a consistency goal (few stale reads, no lost writes) to their
+ * win condition.
+ * 
+ * @returns {boolean} True if the level has no consistency goal or it is met
+ */
+function isConsistencyObjectiveMet() {
+    const objective = GameState.consistencyObjective;
+    if (!objective) return true;
+    
+    return (objective.maxStaleReadRate === null || getStaleReadRate() <= objective.maxStaleReadRate)
+        && (objective.maxStaleOwnReadRate === null || getStaleOwnReadRate() <= objective.maxStaleOwnReadRate)
+        && (objective.maxLostWrites === null || GameState.lostWrites <= objective.maxLostWrites);
+}
+
+/**
+ * Get Upgrade Cost for a Node
+ * 
+ * Returns what the node's next upgrade costs: its type-specific tier cost
+ * (see BaseNode.getNextUpgrade), unless the level sets one flat upgrade cost
+ * 
+ * @param {BaseNode} node - Node to upgrade
+ * @returns {number|null} Upgrade cost, or null if the node can't be upgraded further
+ */
+export function getUpgradeCost(node) {
+    const next = node.getNextUpgrade();
+    if (!next) return null;
+    
+    // Levels loaded from JSON may set their own
+    if (GameState.levelDefinition && GameState.levelDefinition.upgradeCost !== undefined) {
+        return GameState.levelDefinition.upgradeCost;
     }
-    // Default upgrade cost for other levels
-    return CONFIG.upgradeCost;
+    
+    return next.cost;
 }
 
 /**
@@ -96,10 +197,24 @@ export function updateObjectivesDisplay() {
     const maxErrorRate = getMaxErrorRateForLevel(GameState.currentLevel);
     
     const objectivesList = document.querySelector('.objectives-list');
-    if (objectivesList) {
+    if (objectivesList && !Number.isFinite(target)) {
+        // Sandbox: nothing to win, just build and experiment
+        objectivesList.innerHTML = `
+            <li>Place components from the palette</li>
+            <li>Shift-drag between nodes to link them</li>
+            <li>Set the traffic and watch it run</li>
+        `;
+    } else if (objectivesList) {
+        const objective = GameState.latencyObjective;
+        const consistency = GameState.consistencyObjective;
         objectivesList.innerHTML = `
             <li>Complete ${target} requests</li>
             <li>Maintain error rate < ${maxErrorRate}%</li>
+            ${objective ? `<li>Keep p${objective.percentile} latency ≤ ${objective.maxLatency}ms</li>` : ''}
+            ${GameState.maxShedRate !== null ? `<li>Shed (429) at most ${GameState.maxShedRate}% of requests</li>` : ''}
+            ${consistency && consistency.maxStaleReadRate !== null ? `<li>Serve stale data on ≤ ${consistency.maxStaleReadRate}% of reads</li>` : ''}
+            ${consistency && consistency.maxStaleOwnReadRate !== null ? `<li>Hide users' own writes from them on ≤ ${consistency.maxStaleOwnReadRate}% of reads</li>` : ''}
+            ${consistency && consistency.maxLostWrites !== null ? `<li>Lose at most ${consistency.maxLostWrites} acknowledged writes</li>` : ''}
             <li>Manage your budget wisely</li>
         `;
     }
@@ -114,11 +229,10 @@ export function updateObjectivesDisplay() {
  * 
  * Updates:
  * - Money/budget display
- * - Request statistics (total, success, errors)
+ * - Request statistics (total, success, errors, retries, shed, stale reads, lost writes)
  * - Progress label (adjusts target based on current level)
  * - Error rate percentage
  * - System load indicator
- * - Upgrade button availability
  * - Start button state
  */
 export function updateUI() {
@@ -140,7 +254,7 @@ export function updateUI() {
      */
     const progressLabel = document.querySelector('.stat-item .stat-label');
     if (progressLabel && progressLabel.textContent.includes('Progress')) {
-        progressLabel.textContent = `Progress (${target}):`;
+        progressLabel.textContent = `Progress (${Number.isFinite(target) ? target : '∞'}):`;
     }
     
     // Update success count (green text)
@@ -149,11 +263,30 @@ export function updateUI() {
     // Update error count (red text)
     document.getElementById('stat-errors').innerText = GameState.errors;
 
+    // Update retry count (orange text)
+    document.getElementById('stat-retries').innerText = GameState.retries;
+
+    // Update shed count (magenta text) - requests a rate limiter answered with a 429
+    const statShedEl = document.getElementById('stat-shed');
+    if (statShedEl) {
+        statShedEl.innerText = GameState.shed;
+    }
+
+    // Update stale read and lost write counts (yellow/red text)
+    const statStaleEl = document.getElementById('stat-stale');
+    if (statStaleEl) {
+        statStaleEl.innerText = GameState.staleReads;
+    }
+    const statLostEl = document.getElementById('stat-lost-writes');
+    if (statLostEl) {
+        statLostEl.innerText = GameState.lostWrites;
+    }
+
     // Update derived/calculated UI elements
     updateErrorRate();          // Calculate and display error percentage
+    updateLatencyStats();       // Show p50/p95/p99 latency
     updateLoadIndicator();      // Show current system load level
     updateDatabaseStats();      // Update database storage and speed (Level 2 only)
-    updateUpgradeButton();      // Enable/disable upgrade button based on money
     updateStartButton();        // Update start button state and text
 }
 
@@ -163,19 +296,14 @@ export function updateUI() {
  * Calculates the error rate percentage and updates both the display text
  * and color based on whether it's within acceptable limits.
  * 
- * Error rate calculation: (errors / total) * 100
+ * Error rate calculation: errors / (total - shed) * 100 (see getErrorRate)
  * 
  * Color coding:
  * - White (#e0e0e0): Error rate is acceptable (< 1%)
  * - Red (#ff4444): Error rate exceeded threshold (> 1%) with enough samples
  */
 function updateErrorRate() {
-    let rate = 0;
-    
-    // Only calculate if we have processed requests
-    if (GameState.total > 0) {
-        rate = (GameState.errors / GameState.total) * 100;
-    }
+    const rate = getErrorRate();
     
     // Update the displayed percentage
     const rateEl = document.getElementById('stat-rate');
@@ -193,6 +321,29 @@ function updateErrorRate() {
     }
 }
 
+/**
+ * Update Latency Display
+ * 
+ * Shows the p50/p95/p99 end-to-end latency of completed requests.
+ * The percentile of the level's latency objective turns red while it is missed.
+ */
+function updateLatencyStats() {
+    const objective = GameState.latencyObjective;
+    
+    ['p50', 'p95', 'p99'].forEach(key => {
+        const element = document.getElementById(`stat-latency-${key}`);
+        if (!element) return;
+        
+        const latency = GameState.latency[key];
+        element.innerText = latency === null ? '-' : `${Math.round(latency)}ms`;
+        
+        const isObjective = objective && key === `p${objective.percentile}`;
+        element.style.color = isObjective && latency !== null && latency > objective.maxLatency
+            ? '#ff4444'
+            : '#e0e0e0';
+    });
+}
+
 /**
  * Update Load Indicator
  * 
@@ -300,33 +451,6 @@ function updateDatabaseStats() {
     }
 }
 
-/**
- * Update Upgrade Button State
- * 
- * Enables or disables the upgrade button based on available funds.
- * Also updates the button text to show cost or "Insufficient Funds".
- * Uses level-specific upgrade costs when available.
- * 
- * Button states:
- * - Enabled: Player has enough money for upgrade
- * - Disabled: Player doesn't have enough money for upgrade
- */
-function updateUpgradeButton() {
-    const upgradeBtn = document.getElementById('btn-upgrade');
-    const upgradeCost = getUpgradeCost();
-    
-    // Check if player has enough money for an upgrade
-    if (GameState.money < upgradeCost) {
-        // Insufficient funds - disable button and show required amount
-        upgradeBtn.disabled = true;
-        upgradeBtn.innerHTML = `<span>⬆ Insufficient Funds ($${upgradeCost})</span>`;
-    } else {
-        // Sufficient funds - enable button and show cost
-        upgradeBtn.disabled = false;
-        upgradeBtn.innerHTML = `<span>⬆ Upgrade Server ($${upgradeCost})</span>`;
-    }
-}
-
 /**
  * Update Start Button State
  * 
@@ -404,10 +528,18 @@ export function checkGameEnd(scene) {
  * Terminates the current simulation and displays the results modal.
  * Stops all timers, calculates final statistics, and determines win/lose status.
  * 
- * Win condition: Error rate below level-specific maximum
- * Lose condition: Error rate >= level-specific maximum
+ * Win condition: Error rate below level-specific maximum, no more requests shed
+ *                than the level allows (and latency and consistency
+ *                objectives met, if any: stale reads, reads that missed
+ *                their own client's write and lost writes within their limits)
+ * Lose condition: Error rate >= level-specific maximum, too many requests shed,
+ *                 or latency or consistency objective missed
  * 
- * @param {Phaser.Scene} scene - The active game scene (needed to stop timers)
+ * Shed requests (429 from a rate limiter) count towards the target but not
+ * towards the error rate: shedding some load to keep the rest healthy is a
+ * valid strategy, as long as it stays within the level's shed limit.
+ * 
+ * @param {Phaser.Scene} scene - The active game scene (needed to stop the simulation)
  */
 function endGame(scene) {
     // Update game state flags
@@ -415,21 +547,20 @@ function endGame(scene) {
     GameState.isGameOver = true;
 
     /**
-     * Stop All Active Timers
+     * Stop the Simulation
      * This prevents new requests from being generated and stops
      * difficulty increases after the level ends
      */
-    if (scene.trafficTimer) scene.trafficTimer.remove();
-    if (scene.difficultyTimer) scene.difficultyTimer.remove();
+    if (scene.simulation) scene.simulation.stop();
 
-    // Calculate final error rate
-    const rate = (GameState.errors / GameState.total) * 100;
+    // Calculate final error rate (shed requests left out)
+    const rate = getErrorRate();
     
     // Get level-specific max error rate
     const maxErrorRate = getMaxErrorRateForLevel(GameState.currentLevel);
     
-    // Determine win/lose based on error rate
-    const isWin = rate < maxErrorRate;
+    // Determine win/lose based on error rate, shed load (and latency / consistency, if the level has those goals)
+    const isWin = rate < maxErrorRate && isShedWithinLimit() && isLatencyObjectiveMet() && isConsistencyObjectiveMet();
 
     // Display the results modal
     showResultModal(isWin, rate, maxErrorRate);
@@ -473,11 +604,25 @@ function showResultModal(isWin, rate, maxErrorRate) {
      * Win Condition - Show Success Message and Educational Content
      */
     if (isWin) {
+        /**
+         * Level Loaded From JSON
+         * Shows the end-of-level notes from its definition
+         */
+        if (GameState.levelDefinition) {
+            const definition = GameState.levelDefinition;
+            title.innerText = `${definition.title} Complete!`;
+            body.innerHTML = `
+                <p>Final Error Rate: <strong style="color:#00ff00">${rate.toFixed(2)}%</strong> (Goal < ${maxErrorRate}%)</p>
+                <p>You successfully handled ${target} requests!</p>
+                ${getNotesHtml(definition.notes)}
+            `;
+            btnNext.style.display = 'none';
+        }
         /**
          * Level 1 Success
          * Explains vertical scaling concept and its trade-offs
          */
-        if (GameState.currentLevel === 1) {
+        else if (GameState.currentLevel === 1) {
             title.innerText = "Level 1 Complete!";
             body.innerHTML = `
                 <p>Final Error Rate: <strong style="color:#00ff00">${rate.toFixed(2)}%</strong> (Goal < ${maxErrorRate}%)</p>
@@ -530,12 +675,231 @@ function showResultModal(isWin, rate, maxErrorRate) {
      */
     else {
         title.innerText = "Mission Failed";
-        body.innerHTML = `
+        if (rate >= maxErrorRate) {
+            body.innerHTML = `
             <p>Final Error Rate: <strong style="color:#ff4444">${rate.toFixed(2)}%</strong> (Exceeded ${maxErrorRate}%)</p>
             <p>System crashed under high pressure, user experience was poor.</p>
             <p>Suggestion: Upgrade servers earlier, or prepare before pressure arrives.</p>
         `;
+        } else if (!isShedWithinLimit()) {
+            body.innerHTML = `
+            <p>Final Error Rate: <strong style="color:#00ff00">${rate.toFixed(2)}%</strong> (Goal < ${maxErrorRate}%)</p>
+            <p>The servers stayed healthy, but too many users were turned away with a 429.</p>
+            <p>Suggestion: Loosen the rate limit, or add capacity so less load has to be shed.</p>
+        `;
+        } else if (!isConsistencyObjectiveMet()) {
+            body.innerHTML = `
+            <p>Final Error Rate: <strong style="color:#00ff00">${rate.toFixed(2)}%</strong> (Goal < ${maxErrorRate}%)</p>
+            <p>Requests got through, but users saw stale data or lost writes they had been told were saved.</p>
+            <p>Suggestion: Pick a cache write policy that matches the risk - write-through keeps caches fresh, write-back loses what it has not flushed. Keep users who just wrote off lagging read replicas (read-your-writes routing, synchronous replication).</p>
+        `;
+        } else {
+            body.innerHTML = `
+            <p>Final Error Rate: <strong style="color:#00ff00">${rate.toFixed(2)}%</strong> (Goal < ${maxErrorRate}%)</p>
+            <p>Requests got through, but users waited too long for them.</p>
+            <p>Suggestion: Cut hops and queueing - add capacity, caches or a CDN in front of slow tiers.</p>
+        `;
+        }
         // Hide next level button on failure
         btnNext.style.display = 'none';
     }
+
+    // Shed load, for runs where a rate limiter turned requests away
+    body.innerHTML += getShedResultHtml();
+
+    // Result of the latency goal, for levels that have one
+    body.innerHTML += getLatencyResultHtml();
+
+    // Result of the consistency goal, for levels that have one (and the consistency score)
+    body.innerHTML += getConsistencyResultHtml();
+
+    // Seed of this run so it can be replayed or shared as a challenge
+    body.innerHTML += getSeedInfoHtml();
+}
+
+/**
+ * Is Shed Within Limit
+ * 
+ * @returns {boolean} True if no more requests were shed than the level allows
+ */
+function isShedWithinLimit() {
+    return getShedRate() <= getMaxShedRate();
+}
+
+/**
+ * Get Shed Result HTML
+ * 
+ * @returns {string} HTML line with the requests shed and the limit (empty if none were shed
+ *                   and the level sets no shed limit)
+ */
+function getShedResultHtml() {
+    if (GameState.shed === 0 && GameState.maxShedRate === null) return '';
+    
+    const color = isShedWithinLimit() ? '#00ff00' : '#ff4444';
+    
+    return `<p>Shed (429): <strong style="color:${color}">${getShedRate().toFixed(2)}%</strong> of requests, ${GameState.shed} turned away (Limit ≤ ${getMaxShedRate()}%)</p>`;
+}
+
+/**
+ * Get Latency Result HTML
+ * 
+ * @returns {string} HTML line with the level's latency goal and result (empty if it has none)
+ */
+function getLatencyResultHtml() {
+    const objective = GameState.latencyObjective;
+    if (!objective) return '';
+    
+    const latency = GameState.latency[`p${objective.percentile}`];
+    const color = isLatencyObjectiveMet() ? '#00ff00' : '#ff4444';
+    const value = latency === null ? '-' : `${Math.round(latency)}ms`;
+    
+    return `<p>p${objective.percentile} Latency: <strong style="color:${color}">${value}</strong> (Goal ≤ ${objective.maxLatency}ms)</p>`;
+}
+
+/**
+ * Get Consistency Score
+ * 
+ * @returns {number} Share of successful reads that returned the latest
+ *                   acknowledged data, in percent (100 if there were no reads)
+ */
+export function getConsistencyScore() {
+    return 100 - getStaleReadRate();
+}
+
+/**
+ * Get Consistency Result HTML
+ * 
+ * @returns {string} HTML lines with the consistency score and the level's consistency
+ *                   goal and result (empty if it has none and no read was stale)
+ */
+function getConsistencyResultHtml() {
+    const objective = GameState.consistencyObjective;
+    if (!objective && GameState.staleReads === 0) return '';
+    
+    const own = GameState.staleOwnReads > 0 ? `, ${GameState.staleOwnReads} missed a write of their own` : '';
+    let html = `<p>Consistency Score: <strong>${getConsistencyScore().toFixed(1)}%</strong> of reads fresh${own}</p>`;
+    if (!objective) return html;
+    
+    if (objective.maxStaleReadRate !== null) {
+        const rate = getStaleReadRate();
+        const color = rate <= objective.maxStaleReadRate ? '#00ff00' : '#ff4444';
+        html += `<p>Stale Reads: <strong style="color:${color}">${rate.toFixed(2)}%</strong> of reads, ${GameState.staleReads} in all (Limit ≤ ${objective.maxStaleReadRate}%)</p>`;
+    }
+    if (objective.maxStaleOwnReadRate !== null) {
+        const rate = getStaleOwnReadRate();
+        const color = rate <= objective.maxStaleOwnReadRate ? '#00ff00' : '#ff4444';
+        html += `<p>Missed Own Writes: <strong style="color:${color}">${rate.toFixed(2)}%</strong> of reads, ${GameState.staleOwnReads} in all (Limit ≤ ${objective.maxStaleOwnReadRate}%)</p>`;
+    }
+    if (objective.maxLostWrites !== null) {
+        const color = GameState.lostWrites <= objective.maxLostWrites ? '#00ff00' : '#ff4444';
+        html += `<p>Lost Writes: <strong style="color:${color}">${GameState.lostWrites}</strong> (Limit ≤ ${objective.maxLostWrites})</p>`;
+    }
+    return html;
+}
+
+/**
+ * Get Notes HTML
+ * 
+ * Renders a level definition's end-of-level notes in the same
+ * "Architect's Notes" box the built-in levels use.
+ * 
+ * @param {Object|null} notes - { title, text, points, insight }
+ * @returns {string} HTML (empty if there are no notes)
+ */
+function getNotesHtml(notes) {
+    if (!notes) return '';
+    
+    const points = notes.points.length > 0
+        ? `<ul style="text-align: left; margin-left: 20px;">${notes.points.map(point => `<li>${point}</li>`).join('')}</ul>`
+        : '';
+    const insight = notes.insight ? `<br/><strong>Key Insight:</strong> ${notes.insight}` : '';
+    
+    return `
+        <div class="concept-box" style="background: rgba(74, 144, 226, 0.1); border: 1px solid #4a90e2; border-radius: 8px; padding: 15px; margin-top: 15px;">
+            <strong>${notes.title}</strong><br/>
+            ${notes.text || ''}
+            ${points}
+            ${insight}
+        </div>
+    `;
+}
+
+/**
+ * Update Replay Controls
+ * 
+ * Shows the playback speed buttons while a replay is playing and highlights
+ * the selected speed. The result modal only offers "Watch Replay" after a
+ * live run (a replay can simply be restarted from the level).
+ * 
+ * @param {boolean} isReplaying - True while a replay is playing
+ * @param {number} speed - Current playback speed
+ */
+export function updateReplayControls(isReplaying, speed) {
+    const replayControls = document.getElementById('replay-controls');
+    if (replayControls) {
+        replayControls.style.display = isReplaying ? 'flex' : 'none';
+        replayControls.querySelectorAll('[data-speed]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+    }
+    
+    const btnWatch = document.getElementById('btn-modal-replay');
+    if (btnWatch) {
+        btnWatch.style.display = isReplaying ? 'none' : 'inline-block';
+    }
+}
+
+/**
+ * Update Retry Controls
+ * 
+ * Shows the retry policy picker in levels that let the player choose how
+ * users retry failed requests, with the current policy selected.
+ * 
+ * @param {Array<string>|null} choices - RETRY_CONFIG policy keys on offer (null hides the picker)
+ * @param {string} current - Key of the policy in use
+ */
+export function updateRetryControls(choices, current) {
+    const retryControls = document.getElementById('retry-controls');
+    const select = document.getElementById('retry-policy');
+    if (!retryControls || !select) return;
+    
+    retryControls.style.display = choices ? 'flex' : 'none';
+    if (!choices) return;
+    
+    select.innerHTML = choices.map(key =>
+        `<option value="${key}">${RETRY_CONFIG.policies[key].label}</option>`).join('');
+    select.value = current;
+}
+
+/**
+ * Update Trace Button
+ * 
+ * Shows whether packet trace mode is on.
+ * 
+ * @param {boolean} isTracing - True while tracing
+ */
+export function updateTraceButton(isTracing) {
+    const btnTrace = document.getElementById('btn-trace');
+    if (btnTrace) {
+        btnTrace.innerHTML = isTracing ? '<span>🔍 Trace: On</span>' : '<span>🔍 Trace: Off</span>';
+        btnTrace.classList.toggle('active', isTracing);
+    }
+}
+
+/**
+ * Get Seed Info HTML
+ * 
+ * Returns the seed line shown at the bottom of the result modal.
+ * 
+ * @returns {string} HTML snippet (empty if no seed is set)
+ */
+export function getSeedInfoHtml() {
+    if (GameState.seed === null) return '';
+    
+    return `
+        <p style="color:#aaa; font-size:12px; margin-top:15px;">
+            Seed: <strong style="color:#ffd700">${GameState.seed}</strong>
+            &mdash; replay this exact run with <code>?seed=${GameState.seed}</code>
+        </p>
+    `;
 }
@@ -0,0 +1,77 @@
+/**
+ * Routing Tests
+ *
+ * Builds the built-in level layouts in a headless Simulation and checks
+ * where their requests go.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/simulation/Simulation.js';
+import * as layouts from '../src/levels/layouts.js';
+
+const SIZE = { width: 1280, height: 720 };
+
+/**
+ * Build a layout, send light traffic from User1 for `ms` and record which
+ * nodes the packets reached
+ */
+function runLayout(layout, ms = 20000) {
+    const sim = new Simulation({ seed: 1 });
+    layout(sim, SIZE);
+
+    const visited = new Set();
+    sim.on('packetArrived', (packet, node) => visited.add(node.key));
+
+    sim.setTraffic({
+        initialTrafficDelay: 1000,
+        initialPacketsPerWave: 1,
+        difficultyInterval: ms * 2,
+        userNodeIds: ['User1']
+    });
+    sim.start();
+    const stats = sim.runFor(ms);
+    sim.stop();
+
+    return { sim, stats, visited };
+}
+
+test('every level layout builds without a scene', () => {
+    for (let level = 1; level <= 9; level++) {
+        const sim = new Simulation();
+        layouts[`level${level}Layout`](sim, SIZE);
+
+        assert.ok(sim.nodes.User1, `level ${level} has a user`);
+        Object.values(sim.nodes).forEach(node => {
+            assert.ok(node.x >= 0 && node.x <= SIZE.width, `level ${level} ${node.key} is inside the canvas`);
+            assert.ok(node.y >= 0 && node.y <= SIZE.height, `level ${level} ${node.key} is inside the canvas`);
+        });
+    }
+});
+
+test('level 1 app server answers users by itself', () => {
+    const { stats, visited } = runLayout(layouts.level1Layout);
+
+    assert.ok(stats.success > 0);
+    assert.equal(stats.errors, 0);
+    assert.deepEqual([...visited].sort(), ['App', 'User1']);
+});
+
+test('level 2 requests go through the app server to the database', () => {
+    const { stats, visited } = runLayout(layouts.level2Layout);
+
+    assert.ok(stats.success > 0);
+    assert.equal(stats.errors, 0);
+    assert.ok(visited.has('App'));
+    assert.ok(visited.has('Database'));
+});
+
+test('level 5 reads try the cache before the database', () => {
+    const { stats, visited } = runLayout(layouts.level5Layout);
+
+    assert.ok(stats.success > 0);
+    assert.ok(visited.has('Cache1'));
+    assert.ok(visited.has('Database1'));
+});